@@ -0,0 +1,438 @@
+// Analyst annotations: personal notes and tags on messages/terminal blocks, per analyst
+import { $$, $$withSelf, escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { formatDateTime } from '../utils/date.js';
+import { padNumber, truncate } from '../utils/text.js';
+import { debounce } from '../utils/animation.js';
+import { getAnalystId, readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+import { registerMessageAction } from './message-actions.js';
+
+const STORAGE_NAME = 'annotations';
+const EXPORT_FORMAT = 'uplink-annotations';
+const EXPORT_VERSION = 1;
+const EXCERPT_LENGTH = 140;
+
+let annotations = null;
+let panel = null;
+let releaseFocus = null;
+
+/* ==========================================================
+   STORAGE
+   ========================================================== */
+
+function getAnnotationKey(epNum, msgIndex, blockIndex = null) {
+  return blockIndex === null ? `${epNum}:${msgIndex}` : `${epNum}:${msgIndex}:${blockIndex}`;
+}
+
+function isValidAnnotation(entry) {
+  return Boolean(entry)
+    && Number.isInteger(entry.epNum) && entry.epNum > 0
+    && Number.isInteger(entry.msgIndex) && entry.msgIndex >= 0
+    && (entry.blockIndex === null || Number.isInteger(entry.blockIndex))
+    && typeof entry.text === 'string';
+}
+
+function normalizeAnnotation(raw) {
+  const entry = {
+    epNum: Number(raw?.epNum),
+    msgIndex: Number(raw?.msgIndex),
+    blockIndex: raw?.blockIndex === null || raw?.blockIndex === undefined ? null : Number(raw.blockIndex),
+    text: String(raw?.text || '').trim(),
+    tags: parseTags(Array.isArray(raw?.tags) ? raw.tags.join(' ') : raw?.tags),
+    author: String(raw?.author || ''),
+    title: String(raw?.title || ''),
+    excerpt: String(raw?.excerpt || ''),
+    updated: String(raw?.updated || '')
+  };
+  return isValidAnnotation(entry) && (entry.text || entry.tags.length > 0) ? entry : null;
+}
+
+function getAnnotations() {
+  if (!annotations) {
+    const stored = readAnalystData(STORAGE_NAME, {});
+    annotations = {};
+    Object.values(stored && typeof stored === 'object' ? stored : {}).forEach((raw) => {
+      const entry = normalizeAnnotation(raw);
+      if (entry) annotations[getAnnotationKey(entry.epNum, entry.msgIndex, entry.blockIndex)] = entry;
+    });
+  }
+  return annotations;
+}
+
+/**
+ * The analyst's notes on one episode (reading order)
+ * @param {number} epNum - Episode number
+ * @returns {Array<Object>} Annotation entries
+ */
+function getEpisodeAnnotations(epNum) {
+  return Object.values(getAnnotations())
+    .filter(entry => entry.epNum === epNum)
+    .sort((a, b) => a.msgIndex - b.msgIndex || (a.blockIndex ?? -1) - (b.blockIndex ?? -1));
+}
+
+function saveAnnotations() {
+  writeAnalystData(STORAGE_NAME, getAnnotations());
+}
+
+/**
+ * Split free tag input ("#lead, markus beweis") into unique lowercase tags
+ * @param {string} value - Raw input
+ * @returns {Array<string>} Tags without '#'
+ */
+function parseTags(value) {
+  const tags = String(value || '')
+    .split(/[\s,;]+/)
+    .map(tag => tag.replace(/^#+/, '').toLowerCase().replace(/[^a-z0-9_\-äöüß]/g, ''))
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+/* ==========================================================
+   INLINE NOTES
+   ========================================================== */
+
+function findTarget(day, entry) {
+  const selector = entry.blockIndex === null
+    ? `.messages > .message[data-msg="${entry.msgIndex}"]`
+    : `.messages > .terminal-block-wrap[data-msg="${entry.msgIndex}"][data-block="${entry.blockIndex}"]`;
+  return day.querySelector(selector);
+}
+
+function renderTags(tags) {
+  return tags.map(tag => `<span class="annotation-tag">#${escapeHtml(tag)}</span>`).join('');
+}
+
+function renderInlineNote(key, entry) {
+  const note = document.createElement('div');
+  note.className = 'analyst-note analyst-note-own';
+  note.dataset.annotationKey = key;
+  note.innerHTML = `<span class="annotation-text">${escapeHtml(t('annotations.inline', { text: entry.text || '-' }))}</span>`
+    + (entry.tags.length > 0 ? `<span class="annotation-tags">${renderTags(entry.tags)}</span>` : '')
+    + `<button type="button" class="annotation-edit">${t('annotations.edit')}</button>`;
+  note.querySelector('.annotation-edit').addEventListener('click', () => {
+    const day = note.closest('.day');
+    const target = day ? findTarget(day, entry) : null;
+    if (target) openEditor(target, entry.epNum, entry.msgIndex, entry.blockIndex);
+  });
+  return note;
+}
+
+/**
+ * Show the stored notes inside every rendered episode
+ * @param {ParentNode} root - Where to look
+ */
+function decorateAnnotations(root = document) {
+  const all = getAnnotations();
+  $$withSelf('.day[data-ep]', root).forEach((day) => {
+    day.querySelectorAll('.analyst-note-own, .annotation-editor').forEach(element => element.remove());
+    const epNum = Number(day.dataset.ep);
+    Object.entries(all)
+      .filter(([, entry]) => entry.epNum === epNum)
+      .forEach(([key, entry]) => {
+        findTarget(day, entry)?.after(renderInlineNote(key, entry));
+      });
+  });
+}
+
+/* ==========================================================
+   EDITOR
+   ========================================================== */
+
+function describeTarget(element) {
+  const isBlock = element.classList.contains('terminal-block-wrap');
+  const text = (element.querySelector(isBlock ? '.terminal-block' : '.message-text')?.textContent || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return {
+    author: isBlock ? 'Terminal' : (element.querySelector('.message-author')?.textContent || 'System').trim(),
+    title: (element.closest('.day')?.querySelector('.day-title')?.textContent || '').trim(),
+    excerpt: truncate(text, EXCERPT_LENGTH)
+  };
+}
+
+function closeEditor(editor) {
+  const note = editor.nextElementSibling;
+  if (note?.classList.contains('analyst-note-own')) note.hidden = false;
+  editor.remove();
+}
+
+function openEditor(element, epNum, msgIndex, blockIndex) {
+  $$('.annotation-editor').forEach(closeEditor);
+  const key = getAnnotationKey(epNum, msgIndex, blockIndex);
+  const existing = getAnnotations()[key] || null;
+  const label = t(blockIndex === null ? 'annotations.targetMessage' : 'annotations.targetTerminal', {
+    ep: padNumber(epNum),
+    index: msgIndex + 1
+  });
+
+  const editor = document.createElement('form');
+  editor.className = 'annotation-editor';
+  editor.setAttribute('aria-label', t('annotations.editorLabel', { label }));
+  editor.innerHTML = `
+    <label class="annotation-field">
+      <span>${escapeHtml(t('annotations.noteField', { label }))}</span>
+      <textarea name="annotation-text" rows="3" maxlength="2000"></textarea>
+    </label>
+    <label class="annotation-field">
+      <span>${t('annotations.tagsField')}</span>
+      <input type="text" name="annotation-tags" placeholder="${escapeHtml(t('annotations.tagsPlaceholder'))}" autocomplete="off" spellcheck="false">
+    </label>
+    <div class="annotation-actions">
+      <button type="submit" class="annotation-btn">${t('annotations.save')}</button>
+      <button type="button" class="annotation-btn secondary" data-annotation="cancel">${t('annotations.cancel')}</button>
+      ${existing ? `<button type="button" class="annotation-btn danger" data-annotation="delete">${t('annotations.delete')}</button>` : ''}
+    </div>`;
+  const textarea = editor.querySelector('textarea');
+  const tagsInput = editor.querySelector('input');
+  textarea.value = existing?.text || '';
+  tagsInput.value = existing ? existing.tags.map(tag => `#${tag}`).join(' ') : '';
+
+  const note = element.nextElementSibling?.classList.contains('analyst-note-own') ? element.nextElementSibling : null;
+  if (note) note.hidden = true;
+  element.after(editor);
+
+  editor.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const entry = normalizeAnnotation({
+      epNum,
+      msgIndex,
+      blockIndex,
+      text: textarea.value,
+      tags: tagsInput.value,
+      ...describeTarget(element),
+      updated: new Date().toISOString()
+    });
+    if (entry) {
+      getAnnotations()[key] = entry;
+    } else {
+      delete getAnnotations()[key];
+    }
+    saveAnnotations();
+    editor.remove();
+    decorateAnnotations();
+  });
+  editor.addEventListener('click', (event) => {
+    const action = event.target instanceof HTMLElement ? event.target.dataset.annotation : '';
+    if (action === 'cancel') {
+      closeEditor(editor);
+    } else if (action === 'delete') {
+      delete getAnnotations()[key];
+      saveAnnotations();
+      editor.remove();
+      decorateAnnotations();
+    }
+  });
+  editor.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      closeEditor(editor);
+    }
+  });
+  textarea.focus();
+}
+
+/* ==========================================================
+   "MEINE NOTIZEN" PANEL
+   ========================================================== */
+
+function matchesQuery(entry, terms) {
+  if (terms.length === 0) return true;
+  const haystack = [entry.text, entry.excerpt, entry.author, entry.title, `ep.${padNumber(entry.epNum)}`, ...entry.tags.map(tag => `#${tag}`)]
+    .join(' ')
+    .toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+function renderPanelList() {
+  if (!panel) return;
+  const query = panel.querySelector('#notes-query').value || '';
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const entries = Object.values(getAnnotations())
+    .sort((a, b) => a.epNum - b.epNum || a.msgIndex - b.msgIndex || (a.blockIndex ?? -1) - (b.blockIndex ?? -1));
+  const results = entries.filter(entry => matchesQuery(entry, terms));
+
+  const allTags = Array.from(new Set(entries.flatMap(entry => entry.tags))).sort();
+  panel.querySelector('.notes-tags').innerHTML = allTags
+    .map(tag => `<button type="button" class="annotation-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+    .join('');
+
+  panel.querySelector('.search-status').textContent = entries.length === 0
+    ? t('annotations.panelEmpty')
+    : t('annotations.panelCount', { count: entries.length, shown: results.length });
+  panel.querySelector('.notes-results').innerHTML = results.map((entry) => {
+    const href = `${getEpisodePath(entry.epNum)}?m=${entry.msgIndex}`;
+    const meta = [
+      `EP.${padNumber(entry.epNum)}`,
+      entry.author,
+      entry.updated ? formatDateTime(entry.updated) : ''
+    ].filter(Boolean).map(escapeHtml).join(' &middot; ');
+    return `<li>
+      <a class="search-result" href="${escapeHtml(href)}">
+        <span class="search-result-meta">${meta}</span>
+        <span class="search-result-title">// ${escapeHtml(entry.title || t('annotations.episodeFallback', { ep: entry.epNum }))}</span>
+        <span class="notes-result-text">${escapeHtml(entry.text || '-')}</span>
+        ${entry.tags.length > 0 ? `<span class="annotation-tags">${renderTags(entry.tags)}</span>` : ''}
+        <span class="search-result-snippet">${escapeHtml(entry.excerpt)}</span>
+      </a>
+    </li>`;
+  }).join('');
+}
+
+function setPanelStatus(text) {
+  const status = panel?.querySelector('.notes-io-status');
+  if (status) status.textContent = text;
+}
+
+function exportAnnotations() {
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    analyst: getAnalystId(),
+    exported: new Date().toISOString(),
+    annotations: Object.values(getAnnotations())
+  };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${t('annotations.exportFile')}-${getAnalystId().toLowerCase()}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setPanelStatus(t('annotations.exported', { count: payload.annotations.length }));
+}
+
+/**
+ * Merge an exported file into the stored notes (newer edits win)
+ * @param {File} file - JSON export
+ */
+async function importAnnotations(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    setPanelStatus(t('annotations.importInvalid'));
+    return;
+  }
+  if (payload?.format !== EXPORT_FORMAT || !Array.isArray(payload.annotations)) {
+    setPanelStatus(t('annotations.importForeign'));
+    return;
+  }
+  const all = getAnnotations();
+  let imported = 0;
+  payload.annotations.forEach((raw) => {
+    const entry = normalizeAnnotation(raw);
+    if (!entry) return;
+    const key = getAnnotationKey(entry.epNum, entry.msgIndex, entry.blockIndex);
+    if (all[key] && all[key].updated > entry.updated) return;
+    all[key] = entry;
+    imported += 1;
+  });
+  saveAnnotations();
+  decorateAnnotations();
+  renderPanelList();
+  setPanelStatus(t('annotations.imported', { count: imported }));
+}
+
+function renderPanel() {
+  const el = document.createElement('div');
+  el.className = 'search-overlay notes-overlay';
+  el.id = 'notes-overlay';
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="search-panel" role="dialog" aria-modal="true" aria-labelledby="notes-title">
+      <div class="search-head">
+        <div>
+          <span class="search-eyebrow">// Analyst ${escapeHtml(getAnalystId())}</span>
+          <h2 id="notes-title">${t('annotations.panelTitle')}</h2>
+        </div>
+        <button type="button" class="search-close" aria-label="${escapeHtml(t('annotations.panelClose'))}">ESC</button>
+      </div>
+      <form class="search-form" role="search">
+        <input type="search" class="search-input" id="notes-query" placeholder="${escapeHtml(t('annotations.queryPlaceholder'))}" autocomplete="off" spellcheck="false" aria-label="${escapeHtml(t('annotations.queryLabel'))}">
+        <div class="notes-tags" aria-label="${escapeHtml(t('annotations.tagsField'))}"></div>
+      </form>
+      <div class="search-status" aria-live="polite"></div>
+      <ol class="search-results notes-results"></ol>
+      <div class="notes-io">
+        <button type="button" class="annotation-btn" data-notes="export">${t('annotations.export')}</button>
+        <label class="annotation-btn secondary notes-import">${t('annotations.import')}<input type="file" id="notes-import" accept="application/json,.json"></label>
+        <span class="notes-io-status" aria-live="polite"></span>
+      </div>
+    </div>`;
+
+  const input = el.querySelector('#notes-query');
+  el.querySelector('.search-form').addEventListener('submit', event => event.preventDefault());
+  input.addEventListener('input', debounce(renderPanelList, 120));
+  el.querySelector('.notes-tags').addEventListener('click', (event) => {
+    const tag = event.target instanceof HTMLElement ? event.target.dataset.tag : '';
+    if (!tag) return;
+    input.value = `#${tag}`;
+    renderPanelList();
+  });
+  el.querySelector('[data-notes="export"]').addEventListener('click', exportAnnotations);
+  el.querySelector('#notes-import').addEventListener('change', (event) => {
+    const file = event.target.files?.[0];
+    if (file) void importAnnotations(file);
+    event.target.value = '';
+  });
+  el.querySelector('.search-close').addEventListener('click', closeNotesPanel);
+  el.addEventListener('click', (event) => {
+    if (event.target === el) closeNotesPanel();
+  });
+  return el;
+}
+
+function closeNotesPanel() {
+  if (!panel || panel.hidden) return;
+  panel.hidden = true;
+  document.body.classList.remove('search-open');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+/**
+ * Open the "Meine Notizen" panel
+ */
+function openNotesPanel() {
+  if (!panel) {
+    panel = renderPanel();
+    document.body.appendChild(panel);
+  }
+  panel.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(panel, closeNotesPanel);
+  }
+  setPanelStatus('');
+  renderPanelList();
+  panel.querySelector('#notes-query').focus();
+}
+
+/**
+ * Wire analyst annotations
+ * @param {Object} options
+ * @param {HTMLElement|null} options.trigger - Button opening the "Meine Notizen" panel
+ */
+function initAnnotations({ trigger = null } = {}) {
+  registerMessageAction({
+    id: 'annotate',
+    label: t('annotations.action'),
+    title: t('annotations.actionTitle'),
+    run: ({ element, epNum, msgIndex, blockIndex }) => openEditor(element, epNum, msgIndex, blockIndex)
+  });
+  decorateAnnotations();
+  document.addEventListener('uplink:rendered', () => decorateAnnotations());
+  document.addEventListener('uplink:episode-rendered', event => decorateAnnotations(event.detail.day));
+
+  if (trigger instanceof HTMLElement) {
+    trigger.hidden = false;
+    trigger.addEventListener('click', openNotesPanel);
+  }
+}
+
+export { initAnnotations, openNotesPanel, getEpisodeAnnotations };
@@ -1,7 +1,16 @@
 // Cold Open Script
+import { playSound, createSoundToggle } from './sound.js';
+import { getThreatValue, getThreatLevel, getThreatLevels } from './theme.js';
+import { padNumber } from '../utils/text.js';
+
+// Holds the season whose intro was seen; the legacy value '1' counts as season 1
 const COLD_OPEN_KEY = 'uplink_coldopen_shown';
+const LINE_CLASSES = ['', 'nexus', 'cipher', 'system', 'dim'];
+// Gap for config lines without a delay
+const LINE_GAP_MS = 400;
 
-const coldOpenLines = [
+// Used when config.json has no cold open for the season
+const defaultColdOpenLines = [
   { text: '> SIGNAL INTERCEPTED', cls: 'nexus', delay: 0 },
   { text: '> SOURCE: UNKNOWN | ROUTING VIA TOR-RELAY-7', cls: 'dim', delay: 400 },
   { text: '--------------------------------------------------------', cls: 'dim', delay: 700 },
@@ -21,6 +30,103 @@ const coldOpenLines = [
   { text: '> REPORT FINDINGS. STAY ANONYMOUS.', cls: '', delay: 5100 }
 ];
 
+let coldOpenOptions = { season: null, loadData: null };
+let overlayEl = null;
+let lineTimers = [];
+let removeTimer = null;
+let isReplay = false;
+
+function getSeasonKey() {
+  return String(coldOpenOptions.season ?? 1);
+}
+
+/* ==========================================================
+   SCRIPT
+   ========================================================== */
+
+/**
+ * Normalize configured lines: strings or { text, cls, delay }; missing delays follow the previous line
+ * @param {Array} lines - Configured lines
+ * @returns {Array<Object>} { text, cls, delay }
+ */
+function normalizeLines(lines) {
+  let delay = -LINE_GAP_MS;
+  return lines.map((line) => {
+    const entry = typeof line === 'string' ? { text: line } : (line || {});
+    delay = Number.isFinite(entry.delay) ? entry.delay : delay + LINE_GAP_MS;
+    return {
+      text: String(entry.text ?? ''),
+      cls: LINE_CLASSES.includes(entry.cls) ? entry.cls : '',
+      delay
+    };
+  });
+}
+
+/**
+ * Pick the script for the current state: episode, then phase, then the season's lines
+ * @param {Object} config - Site config (cold_open.seasons)
+ * @param {Object} stats - Site stats (current_episode, phase)
+ * @returns {Array|null} Configured lines
+ */
+function selectLines(config, stats) {
+  const season = config?.cold_open?.seasons?.[getSeasonKey()];
+  if (!season) return null;
+  const candidates = [
+    season.episodes?.[String(stats?.current_episode)],
+    season.phases?.[stats?.phase],
+    season.lines
+  ];
+  return candidates.find(lines => Array.isArray(lines) && lines.length > 0) || null;
+}
+
+/**
+ * Values for {placeholders} in cold open lines
+ * @param {Object} data - { episodes, stats, config }
+ * @returns {Object}
+ */
+function getVariables({ episodes = [], stats = {}, config = {} }) {
+  const threatValue = getThreatValue(stats, episodes);
+  const level = getThreatLevel(threatValue, getThreatLevels(config));
+  const phase = (config?.story_arc?.phases || []).find(entry => entry.id === stats?.phase);
+  return {
+    season: getSeasonKey(),
+    episode: padNumber(Number(stats?.current_episode) || episodes.length),
+    episodes: episodes.length,
+    day: stats?.current_day ?? '?',
+    total_days: stats?.total_days ?? '?',
+    phase: String(phase?.label || stats?.phase || 'UNKNOWN').toUpperCase(),
+    threat: level ? level.toUpperCase() : 'NOMINAL',
+    threat_value: threatValue ?? '?',
+    detection_risk: stats?.metrics?.detection_risk ?? '?'
+  };
+}
+
+function interpolate(text, variables) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+}
+
+/**
+ * Lines to play: the configured script with live values, else the built-in one
+ * @returns {Promise<Array<Object>>}
+ */
+async function resolveLines() {
+  if (typeof coldOpenOptions.loadData !== 'function') return defaultColdOpenLines;
+  try {
+    const data = await coldOpenOptions.loadData();
+    const lines = selectLines(data.config, data.stats);
+    if (!lines) return defaultColdOpenLines;
+    const variables = getVariables(data);
+    return normalizeLines(lines).map(line => ({ ...line, text: interpolate(line.text, variables) }));
+  } catch (error) {
+    console.warn('Cold open script unavailable', error);
+    return defaultColdOpenLines;
+  }
+}
+
+/* ==========================================================
+   OVERLAY
+   ========================================================== */
+
 function getFocusableButtons(overlay) {
   return Array.from(overlay.querySelectorAll('button:not([disabled])'))
     .filter(el => el.offsetParent !== null);
@@ -36,6 +142,8 @@ function handleKeyDown(e) {
   }
 
   if (e.key === 'Enter') {
+    // Enter on the sound toggle only toggles
+    if (e.target instanceof HTMLElement && e.target.closest('.sound-toggle')) return;
     const btn = document.getElementById('cold-open-enter');
     if (btn) exitColdOpen();
     return;
@@ -60,60 +168,117 @@ function handleKeyDown(e) {
   }
 }
 
+function clearTimers() {
+  lineTimers.forEach(timer => clearTimeout(timer));
+  lineTimers = [];
+  clearTimeout(removeTimer);
+}
+
 function exitColdOpen() {
   const overlay = document.getElementById('cold-open');
   if (!overlay) return;
 
-  localStorage.setItem(COLD_OPEN_KEY, '1');
+  localStorage.setItem(COLD_OPEN_KEY, getSeasonKey());
+  clearTimers();
   overlay.classList.add('hidden');
   document.removeEventListener('keydown', handleKeyDown);
 
-  window.scrollTo(0, 0);
-  setTimeout(() => overlay.remove(), 700);
-}
-
-function initColdOpen() {
-  if (localStorage.getItem(COLD_OPEN_KEY)) {
-    const overlay = document.getElementById('cold-open');
-    if (overlay) overlay.remove();
-    return;
+  if (isReplay) {
+    document.getElementById('cold-open-replay')?.focus();
+  } else {
+    window.scrollTo(0, 0);
   }
+  removeTimer = setTimeout(() => overlay.remove(), 700);
+}
 
-  const overlay = document.getElementById('cold-open');
-  if (!overlay) return;
-
+function scheduleLines(lines) {
   const linesContainer = document.getElementById('cold-open-lines');
   const enterBtn = document.getElementById('cold-open-enter');
-  const skipBtn = document.getElementById('cold-open-skip-btn');
 
-  coldOpenLines.forEach(({ text, cls, delay }) => {
-    setTimeout(() => {
+  lines.forEach(({ text, cls, delay }) => {
+    lineTimers.push(setTimeout(() => {
       const el = document.createElement('span');
       el.className = `cold-open-line ${cls}`;
       el.textContent = text || '\u00A0';
       linesContainer.appendChild(el);
       requestAnimationFrame(() => el.classList.add('visible'));
-    }, delay);
+      if (text) playSound('coldOpenLine', { tone: cls });
+    }, delay));
   });
 
-  const lastDelay = coldOpenLines[coldOpenLines.length - 1].delay;
-  setTimeout(() => {
+  const lastDelay = lines.length > 0 ? lines[lines.length - 1].delay : 0;
+  lineTimers.push(setTimeout(() => {
     if (enterBtn) {
       enterBtn.classList.add('is-visible');
       enterBtn.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
-  }, lastDelay + 600);
+  }, lastDelay + 600));
+}
+
+/**
+ * Show the overlay and play the intro (again)
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=false] - Started from the "replay intro" control
+ */
+async function playColdOpen({ replay = false } = {}) {
+  if (!overlayEl) return;
+  clearTimers();
+  isReplay = replay;
+  if (!overlayEl.isConnected) {
+    document.body.appendChild(overlayEl);
+    // The detached toggle missed sound changes made meanwhile
+    overlayEl.querySelector('.sound-toggle')?.replaceWith(createSoundToggle());
+  }
+  document.getElementById('cold-open-lines').innerHTML = '';
+  document.getElementById('cold-open-enter')?.classList.remove('is-visible');
+  overlayEl.classList.remove('hidden');
+  document.removeEventListener('keydown', handleKeyDown);
+  document.addEventListener('keydown', handleKeyDown);
+  document.getElementById('cold-open-skip-btn')?.focus();
 
+  const lines = await resolveLines();
+  // Skipped while the script was loading
+  if (!overlayEl.isConnected || overlayEl.classList.contains('hidden')) return;
+  scheduleLines(lines);
+}
+
+function initReplayControl() {
+  const slot = document.getElementById('cold-open-replay-slot');
+  const button = document.getElementById('cold-open-replay');
+  if (!slot || !button) return;
+  button.addEventListener('click', () => { void playColdOpen({ replay: true }); });
+  slot.hidden = false;
+}
+
+/**
+ * Play the season's intro on the first visit and wire the replay control
+ * @param {Object} options
+ * @param {number|string|null} options.season - Current season (config.project.season)
+ * @param {Function|null} options.loadData - Resolves to { episodes, stats, config }
+ */
+function initColdOpen({ season = null, loadData = null } = {}) {
+  coldOpenOptions = { season, loadData };
+  overlayEl = document.getElementById('cold-open');
+  if (!overlayEl) return;
+
+  const enterBtn = document.getElementById('cold-open-enter');
+  const skipBtn = document.getElementById('cold-open-skip-btn');
   if (enterBtn) {
     enterBtn.addEventListener('click', exitColdOpen);
   }
-
   if (skipBtn) {
+    // Sound is off by default; the intro is the first place to turn it on
+    skipBtn.before(createSoundToggle());
     skipBtn.addEventListener('click', exitColdOpen);
-    skipBtn.focus();
   }
+  initReplayControl();
 
-  document.addEventListener('keydown', handleKeyDown);
+  // A new season plays its intro once more
+  if (localStorage.getItem(COLD_OPEN_KEY) === getSeasonKey()) {
+    overlayEl.remove();
+    return;
+  }
+  void playColdOpen();
 }
 
-export { initColdOpen };
+export { initColdOpen, playColdOpen };
@@ -0,0 +1,454 @@
+// Episode export: Markdown, plain text and JSON downloads plus a printable case file
+import { $, $$, escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { formatDate, formatDateTime } from '../utils/date.js';
+import { padNumber } from '../utils/text.js';
+import { getAnalystId } from '../utils/storage.js';
+import { getEpisodeNumber, resolveEpisodePhaseId } from '../utils/episode.js';
+import { t, getLocale } from '../utils/i18n.js';
+import { getEpisodeAnnotations } from './annotations.js';
+
+const EXPORT_FORMAT = 'uplink-episodes';
+const EXPORT_VERSION = 1;
+const FORMATS = {
+  md: { mime: 'text/markdown', extension: 'md' },
+  txt: { mime: 'text/plain', extension: 'txt' },
+  json: { mime: 'application/json', extension: 'json' }
+};
+
+let loadExportData = null;
+let overlay = null;
+let releaseFocus = null;
+// What the open dialog exports: { epNum } for one episode, { epNum: null } for the archive
+let scope = null;
+
+/* ==========================================================
+   NORMALIZED DATA
+   ========================================================== */
+
+/**
+ * Episode in the export schema (same shape for every format)
+ * @param {Object} episode - Episode from dialogs.json
+ * @param {number} index - Position in the list
+ * @param {Object} config - Site config (phase labels)
+ * @param {boolean} withNotes - Include the analyst's own annotations
+ * @returns {Object} Normalized episode
+ */
+function normalizeEpisode(episode, index, config, withNotes) {
+  const epNum = getEpisodeNumber(episode, index);
+  const phases = config?.story_arc?.phases || [];
+  const phaseId = resolveEpisodePhaseId(episode, phases);
+  const phase = phases.find(entry => entry?.id === phaseId);
+  return {
+    episode: epNum,
+    title: String(episode?.title || ''),
+    date: String(episode?.date || ''),
+    phase: phaseId ? { id: phaseId, label: String(phase?.label || phaseId) } : null,
+    messages: (episode?.messages || []).map((msg, msgIndex) => ({
+      index: msgIndex,
+      type: msg?.type === 'system' ? 'system' : 'message',
+      author: msg?.type === 'system' ? 'SYSTEM' : String(msg?.author || 'NEXUS'),
+      timestamp: msg?.timestamp || null,
+      text: String(msg?.text || ''),
+      analyst_note: msg?.analyst_note ? String(msg.analyst_note) : null
+    })),
+    terminal_blocks: (episode?.terminal_blocks || []).map(block => ({
+      after_message: Number.isInteger(Number(block?.after_message)) ? Number(block.after_message) : null,
+      owner: String(block?.owner || 'nexus'),
+      content: String(block?.content || '')
+    })),
+    analyst_notes: (episode?.analyst_notes || []).map(note => String(note?.text || '')).filter(Boolean),
+    personal_notes: withNotes
+      ? getEpisodeAnnotations(epNum).map(entry => ({
+        message: entry.msgIndex,
+        block: entry.blockIndex,
+        text: entry.text,
+        tags: entry.tags
+      }))
+      : []
+  };
+}
+
+async function collectEpisodes(epNum, withNotes) {
+  const { episodes, config } = await loadExportData();
+  const normalized = (episodes || []).map((episode, index) => normalizeEpisode(episode, index, config, withNotes));
+  return {
+    config,
+    episodes: epNum === null ? normalized : normalized.filter(episode => episode.episode === epNum)
+  };
+}
+
+/**
+ * Walk an episode in reading order: each message, then its terminal blocks and notes
+ * @param {Object} episode - Normalized episode
+ * @param {Object} visit - { message(msg), block(block), note(text, personal) }
+ */
+function walkEpisode(episode, visit) {
+  episode.messages.forEach((msg) => {
+    visit.message(msg);
+    episode.terminal_blocks.filter(block => block.after_message === msg.index).forEach(visit.block);
+    if (msg.analyst_note) visit.note(msg.analyst_note, false);
+    episode.personal_notes.filter(note => note.message === msg.index).forEach(note => visit.note(note.text, true));
+  });
+  episode.analyst_notes.forEach(text => visit.note(text, false));
+}
+
+function getHeading(episode) {
+  return `EP.${padNumber(episode.episode)} \u2014 ${episode.title}`;
+}
+
+function getMeta(episode) {
+  return [
+    episode.date ? formatDate(episode.date) : '',
+    episode.phase ? t('export.phase', { phase: episode.phase.label }) : ''
+  ].filter(Boolean).join(' \u00b7 ');
+}
+
+/* ==========================================================
+   FORMATS
+   ========================================================== */
+
+function fence(content) {
+  // A fence longer than any backtick run inside the block
+  const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}text\n${content}\n${marks}`;
+}
+
+/**
+ * Markdown (terminal blocks as fenced code blocks)
+ * @param {Array<Object>} episodes - Normalized episodes
+ * @returns {string}
+ */
+function toMarkdown(episodes) {
+  return episodes.map((episode) => {
+    const lines = [`# ${getHeading(episode)}`, ''];
+    const meta = getMeta(episode);
+    if (meta) lines.push(`*${meta}*`, '');
+    walkEpisode(episode, {
+      message: (msg) => {
+        const time = formatDateTime(msg.timestamp);
+        lines.push(`**${msg.author}**${time ? ` \u00b7 ${time}` : ''}  `, msg.text.replace(/\n/g, '  \n'), '');
+      },
+      block: (block) => { lines.push(fence(block.content), ''); },
+      note: (text, personal) => {
+        lines.push(`> **${personal ? t('export.personalNote') : t('export.analystNote')}:** ${text.replace(/\n/g, ' ')}`, '');
+      }
+    });
+    return lines.join('\n').trimEnd();
+  }).join('\n\n---\n\n') + '\n';
+}
+
+/**
+ * Plain text (terminal blocks as indented code blocks)
+ * @param {Array<Object>} episodes - Normalized episodes
+ * @returns {string}
+ */
+function toPlainText(episodes) {
+  return episodes.map((episode) => {
+    const heading = getHeading(episode);
+    const lines = [heading, '='.repeat(heading.length)];
+    const meta = getMeta(episode);
+    if (meta) lines.push(meta);
+    lines.push('');
+    walkEpisode(episode, {
+      message: (msg) => {
+        const time = formatDateTime(msg.timestamp);
+        lines.push(`${time ? `[${time}] ` : ''}${msg.author}:`, msg.text, '');
+      },
+      block: (block) => {
+        lines.push(...block.content.split('\n').map(line => `    ${line}`), '');
+      },
+      note: (text, personal) => {
+        lines.push(`[${(personal ? t('export.personalNote') : t('export.analystNote')).toUpperCase()}: ${text}]`, '');
+      }
+    });
+    return lines.join('\n').trimEnd();
+  }).join('\n\n\n') + '\n';
+}
+
+/**
+ * Normalized JSON
+ * @param {Array<Object>} episodes - Normalized episodes
+ * @returns {string}
+ */
+function toJson(episodes) {
+  return `${JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    locale: getLocale(),
+    exported: new Date().toISOString(),
+    episodes
+  }, null, 2)}\n`;
+}
+
+const SERIALIZERS = { md: toMarkdown, txt: toPlainText, json: toJson };
+
+function getFileName(epNum, extension) {
+  return epNum === null
+    ? `uplink-${t('export.archiveFile')}.${extension}`
+    : `uplink-ep${padNumber(epNum)}.${extension}`;
+}
+
+function download(content, fileName, mime) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download one episode or the whole archive
+ * @param {string} format - 'md' | 'txt' | 'json'
+ * @param {number|null} epNum - Episode, or null for the archive
+ * @param {Object} options
+ * @param {boolean} [options.withNotes=true] - Include the analyst's own annotations
+ * @returns {Promise<number>} Number of exported episodes
+ */
+async function exportEpisodes(format, epNum, { withNotes = true } = {}) {
+  const target = FORMATS[format];
+  if (!target || typeof loadExportData !== 'function') return 0;
+  const { episodes } = await collectEpisodes(epNum, withNotes);
+  if (episodes.length > 0) {
+    download(SERIALIZERS[format](episodes), getFileName(epNum, target.extension), target.mime);
+  }
+  return episodes.length;
+}
+
+/* ==========================================================
+   CASE FILE (print)
+   ========================================================== */
+
+function renderDossier(character) {
+  const facts = [
+    ['export.case.role', character.role],
+    ['export.case.status', character.status],
+    ['export.case.host', character.host],
+    ['export.case.framework', character.framework],
+    ['export.case.operator', character.operator],
+    ['export.case.location', character.location]
+  ].filter(([, value]) => value);
+  const list = (key, items) => (Array.isArray(items) && items.length > 0
+    ? `<h4>${t(key)}</h4><ul>${items.map(item => `<li>${escapeHtml(typeof item === 'string' ? item : `${item?.name || ''} (${item?.value ?? '?'}%)`)}</li>`).join('')}</ul>`
+    : '');
+  return `
+    <article class="case-dossier">
+      <h3>${escapeHtml(character.name || character.id || '?')}</h3>
+      <dl>${facts.map(([key, value]) => `<dt>${t(key)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+      ${list('export.case.personality', character.personality)}
+      ${list('export.case.skills', character.skills)}
+      ${list('export.case.weaknesses', character.weaknesses)}
+    </article>`;
+}
+
+function renderCaseEpisode(episode) {
+  const rows = [];
+  walkEpisode(episode, {
+    message: (msg) => {
+      rows.push(`<div class="case-msg case-msg-${msg.type}"><span class="case-msg-time">${escapeHtml(formatDateTime(msg.timestamp))}</span>`
+        + `<span class="case-msg-author">${escapeHtml(msg.author)}</span><p class="case-msg-text">${escapeHtml(msg.text)}</p></div>`);
+    },
+    block: (block) => { rows.push(`<pre class="case-terminal">${escapeHtml(block.content)}</pre>`); },
+    note: (text, personal) => {
+      rows.push(`<p class="case-note${personal ? ' case-note-personal' : ''}"><strong>${personal ? t('export.personalNote') : t('export.analystNote')}:</strong> ${escapeHtml(text)}</p>`);
+    }
+  });
+  return `
+    <section class="case-episode">
+      <h2>${escapeHtml(getHeading(episode))}</h2>
+      <p class="case-meta">${escapeHtml(getMeta(episode))}</p>
+      ${rows.join('')}
+    </section>`;
+}
+
+function renderCaseFile(episodes, config, epNum) {
+  const first = episodes[0]?.episode;
+  const last = episodes[episodes.length - 1]?.episode;
+  const reference = `UPLINK-${first === last ? `EP${padNumber(first)}` : `EP${padNumber(first)}-${padNumber(last)}`}`;
+  const characters = Array.isArray(config?.characters) ? config.characters : [];
+  const el = document.createElement('div');
+  el.className = 'case-file';
+  el.id = 'case-file';
+  el.innerHTML = `
+    <section class="case-cover">
+      <p class="case-stamp">${t('export.case.classified')}</p>
+      <h1>${t('export.case.title')}</h1>
+      <p class="case-subtitle">${escapeHtml(epNum === null ? t('export.case.archive', { count: episodes.length }) : getHeading(episodes[0]))}</p>
+      <dl class="case-cover-facts">
+        <dt>${t('export.case.reference')}</dt><dd>${escapeHtml(reference)}</dd>
+        <dt>${t('export.case.season')}</dt><dd>${escapeHtml(String(config?.project?.season ?? '-'))}</dd>
+        <dt>${t('export.case.analyst')}</dt><dd>${escapeHtml(getAnalystId())}</dd>
+        <dt>${t('export.case.created')}</dt><dd>${escapeHtml(formatDateTime(new Date().toISOString()))}</dd>
+      </dl>
+      <p class="case-warning">${t('export.case.warning')}</p>
+    </section>
+    ${characters.length > 0 ? `<section class="case-dossiers"><h2>${t('export.case.dossiers')}</h2>${characters.map(renderDossier).join('')}</section>` : ''}
+    ${episodes.map(renderCaseEpisode).join('')}`;
+  return el;
+}
+
+function cleanupCaseFile() {
+  $('#case-file')?.remove();
+  document.body.classList.remove('case-file-printing');
+}
+
+/**
+ * Print one episode or the archive as a case file ("Save as PDF")
+ * @param {number|null} epNum - Episode, or null for the archive
+ * @param {Object} options
+ * @param {boolean} [options.withNotes=true] - Include the analyst's own annotations
+ * @returns {Promise<number>} Number of printed episodes
+ */
+async function printCaseFile(epNum, { withNotes = true } = {}) {
+  if (typeof loadExportData !== 'function') return 0;
+  const { episodes, config } = await collectEpisodes(epNum, withNotes);
+  if (episodes.length === 0) return 0;
+  cleanupCaseFile();
+  document.body.appendChild(renderCaseFile(episodes, config, epNum));
+  document.body.classList.add('case-file-printing');
+  window.addEventListener('afterprint', cleanupCaseFile, { once: true });
+  window.print();
+  return episodes.length;
+}
+
+/* ==========================================================
+   DIALOG
+   ========================================================== */
+
+function setStatus(text) {
+  const status = overlay?.querySelector('.search-status');
+  if (status) status.textContent = text;
+}
+
+async function handleDialogClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('[data-export]') : null;
+  if (!button || !scope) return;
+  const format = button.dataset.export;
+  const withNotes = overlay.querySelector('#export-notes')?.checked !== false;
+  try {
+    if (format === 'print') {
+      const { epNum } = scope;
+      closeExport();
+      await printCaseFile(epNum, { withNotes });
+      return;
+    }
+    const count = await exportEpisodes(format, scope.epNum, { withNotes });
+    setStatus(t('export.done', { count }));
+  } catch (error) {
+    console.error('Export failed', error);
+    setStatus(t('export.failed'));
+  }
+}
+
+function renderOverlay() {
+  const el = document.createElement('div');
+  el.className = 'search-overlay export-overlay';
+  el.id = 'export-overlay';
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="search-panel" role="dialog" aria-modal="true" aria-labelledby="export-title">
+      <div class="search-head">
+        <div>
+          <span class="search-eyebrow">// ${t('export.eyebrow')}</span>
+          <h2 id="export-title"></h2>
+        </div>
+        <button type="button" class="search-close" aria-label="${t('export.close')}">ESC</button>
+      </div>
+      <div class="export-formats">
+        <button type="button" class="quote-btn" data-export="md">${t('export.md')}</button>
+        <button type="button" class="quote-btn" data-export="txt">${t('export.txt')}</button>
+        <button type="button" class="quote-btn" data-export="json">${t('export.json')}</button>
+        <button type="button" class="quote-btn" data-export="print">${t('export.print')}</button>
+      </div>
+      <label class="export-option"><input type="checkbox" id="export-notes" checked> ${t('export.withNotes')}</label>
+      <div class="search-status" aria-live="polite"></div>
+    </div>`;
+  el.addEventListener('click', (event) => { void handleDialogClick(event); });
+  el.querySelector('.search-close').addEventListener('click', closeExport);
+  el.addEventListener('click', (event) => {
+    if (event.target === el) closeExport();
+  });
+  return el;
+}
+
+/**
+ * Open the export dialog
+ * @param {number|null} epNum - Episode, or null for the whole archive
+ */
+function openExport(epNum = null) {
+  if (typeof loadExportData !== 'function') return;
+  if (!overlay) {
+    overlay = renderOverlay();
+    document.body.appendChild(overlay);
+  }
+  scope = { epNum };
+  overlay.querySelector('#export-title').textContent = epNum === null
+    ? t('export.archiveTitle')
+    : t('export.episodeTitle', { ep: padNumber(epNum) });
+  setStatus('');
+  overlay.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(overlay, closeExport);
+  }
+  overlay.querySelector('[data-export]').focus();
+}
+
+function closeExport() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  document.body.classList.remove('search-open');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+/* ==========================================================
+   TRIGGERS
+   ========================================================== */
+
+function revealShareButtons(root = document) {
+  $$('.episode-share-export', root).forEach((button) => { button.hidden = false; });
+}
+
+function mountArchiveButton() {
+  const controls = $('#page-protokoll .proto-controls');
+  if (!controls || $('#btn-export')) return;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'ctrl-btn';
+  button.id = 'btn-export';
+  button.textContent = t('export.archive');
+  button.addEventListener('click', () => openExport(null));
+  controls.appendChild(button);
+}
+
+/**
+ * Wire episode and archive export
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { episodes, config }
+ */
+function initExport({ loadData = null } = {}) {
+  if (typeof loadData !== 'function') return;
+  loadExportData = loadData;
+  revealShareButtons();
+  mountArchiveButton();
+  document.addEventListener('click', (event) => {
+    const button = event.target instanceof HTMLElement ? event.target.closest('.episode-share-export') : null;
+    const day = button?.closest('.day[data-ep]');
+    if (day) openExport(Number(day.dataset.ep));
+  });
+  document.addEventListener('uplink:rendered', () => {
+    revealShareButtons();
+    // Episoden swapped in by the router (features/router.js)
+    mountArchiveButton();
+  });
+  document.addEventListener('uplink:episode-rendered', event => revealShareButtons(event.detail.day));
+}
+
+export { initExport, openExport, exportEpisodes, printCaseFile, toMarkdown, toPlainText, toJson };
@@ -0,0 +1,184 @@
+// Focus mode: show only selected authors/block types in the message lists, per analyst
+import { $, $$ } from '../utils/dom.js';
+import { readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_NAME = 'focus';
+const ITEM_SELECTOR = '.message, .terminal-block-wrap, .analyst-note';
+const CATEGORIES = [
+  { id: 'nexus', label: 'NEXUS' },
+  { id: 'cipher', label: 'CIPHER' },
+  { id: 'system', labelKey: 'focus.system' },
+  { id: 'terminal', labelKey: 'focus.terminal' },
+  { id: 'notes', labelKey: 'focus.notes' }
+];
+const MODES = new Set(['dim', 'collapse']);
+
+let settings = null;
+
+function getSettings() {
+  if (!settings) {
+    const stored = readAnalystData(STORAGE_NAME, null);
+    const known = new Set(CATEGORIES.map(category => category.id));
+    settings = {
+      hidden: Array.isArray(stored?.hidden) ? stored.hidden.filter(id => known.has(id)) : [],
+      mode: MODES.has(stored?.mode) ? stored.mode : 'dim'
+    };
+  }
+  return settings;
+}
+
+function saveSettings() {
+  writeAnalystData(STORAGE_NAME, getSettings());
+}
+
+/**
+ * Filter category of a rendered timeline item
+ * @param {HTMLElement} element - Child of .messages
+ * @returns {string} Category id
+ */
+function getCategory(element) {
+  if (element.classList.contains('terminal-block-wrap')) return 'terminal';
+  if (element.classList.contains('analyst-note')) return 'notes';
+  if (element.classList.contains('message-nexus')) return 'nexus';
+  if (element.classList.contains('message-cipher')) return 'cipher';
+  // System lines and any other voice (guests, intercepted third parties)
+  return 'system';
+}
+
+/* ==========================================================
+   MESSAGE LISTS
+   ========================================================== */
+
+function createGap(run) {
+  const gap = document.createElement('button');
+  gap.type = 'button';
+  gap.className = 'focus-gap';
+  gap.textContent = t('focus.gap', { count: run.length });
+  gap.title = t('focus.gapTitle');
+  gap.addEventListener('click', () => {
+    // Expanded context stays dimmed so the focus is still visible
+    run.forEach((element) => {
+      element.classList.remove('focus-out');
+      element.classList.add('focus-dim');
+    });
+    gap.remove();
+  });
+  return gap;
+}
+
+/**
+ * Apply the current focus to one message list
+ * @param {HTMLElement} list - .messages
+ */
+function applyToList(list) {
+  const { hidden, mode } = getSettings();
+  const hiddenSet = new Set(hidden);
+  list.querySelectorAll(':scope > .focus-gap').forEach(gap => gap.remove());
+
+  let run = [];
+  const closeRun = () => {
+    if (run.length > 0) run[0].before(createGap(run));
+    run = [];
+  };
+
+  Array.from(list.children)
+    .filter(element => element.matches(ITEM_SELECTOR))
+    .forEach((element) => {
+      const filtered = hiddenSet.has(getCategory(element));
+      element.classList.toggle('focus-dim', filtered && mode === 'dim');
+      element.classList.toggle('focus-out', filtered && mode === 'collapse');
+      if (filtered && mode === 'collapse') {
+        run.push(element);
+      } else {
+        closeRun();
+      }
+    });
+  closeRun();
+}
+
+/**
+ * Apply the current focus to every rendered message list
+ * @param {ParentNode} root - Where to look
+ */
+function applyFocus(root = document) {
+  $$('.timeline .messages', root).forEach(applyToList);
+}
+
+/* ==========================================================
+   CONTROL BAR
+   ========================================================== */
+
+function updateBar(bar) {
+  const { hidden, mode } = getSettings();
+  bar.querySelectorAll('[data-focus-cat]').forEach((button) => {
+    button.setAttribute('aria-pressed', hidden.includes(button.dataset.focusCat) ? 'false' : 'true');
+  });
+  bar.querySelector('[data-focus-mode]').setAttribute('aria-pressed', mode === 'collapse' ? 'true' : 'false');
+  bar.querySelector('[data-focus-reset]').hidden = hidden.length === 0;
+  bar.classList.toggle('active', hidden.length > 0);
+}
+
+function handleBarClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('button') : null;
+  if (!button) return;
+  const current = getSettings();
+
+  if (button.dataset.focusCat) {
+    const id = button.dataset.focusCat;
+    current.hidden = current.hidden.includes(id)
+      ? current.hidden.filter(entry => entry !== id)
+      : [...current.hidden, id];
+  } else if (button.hasAttribute('data-focus-mode')) {
+    current.mode = current.mode === 'collapse' ? 'dim' : 'collapse';
+  } else if (button.hasAttribute('data-focus-reset')) {
+    current.hidden = [];
+  } else {
+    return;
+  }
+  saveSettings();
+  updateBar(event.currentTarget);
+  applyFocus();
+}
+
+function createBar() {
+  const bar = document.createElement('div');
+  bar.className = 'focus-bar';
+  bar.id = 'focus-bar';
+  bar.setAttribute('role', 'group');
+  bar.setAttribute('aria-label', t('focus.label'));
+  bar.innerHTML = `<span class="focus-bar-label">${t('focus.title')}</span>`
+    + CATEGORIES.map(category => `<button type="button" class="focus-toggle cat-${category.id}" data-focus-cat="${category.id}" aria-pressed="true">${category.labelKey ? t(category.labelKey) : category.label}</button>`).join('')
+    + '<span class="ctrl-separator" aria-hidden="true"></span>'
+    + `<button type="button" class="focus-toggle" data-focus-mode aria-pressed="false" title="${t('focus.collapseTitle')}">${t('focus.collapse')}</button>`
+    + `<button type="button" class="focus-reset" data-focus-reset hidden>${t('focus.reset')}</button>`;
+  bar.addEventListener('click', handleBarClick);
+  updateBar(bar);
+  return bar;
+}
+
+function mountBar() {
+  if ($('#focus-bar')) return;
+  const first = $$('.timeline').find(timeline => timeline.querySelector('.messages'));
+  if (!first) return;
+  first.before(createBar());
+}
+
+/**
+ * Wire focus mode for the message lists (episode pages, timelines, live page)
+ */
+function initFocus() {
+  mountBar();
+  applyFocus();
+  document.addEventListener('uplink:rendered', () => {
+    mountBar();
+    applyFocus();
+  });
+  // Timelines of placeholders get the bar with their first rendered episode
+  document.addEventListener('uplink:episode-rendered', (event) => {
+    mountBar();
+    applyFocus(event.detail.day);
+  });
+}
+
+export { initFocus };
@@ -0,0 +1,302 @@
+// Reader hotkeys: vim-style navigation between messages and episodes, plus the "?" help overlay
+import { $, $$, escapeHtml, copyText, trapFocusIn } from '../utils/dom.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+import { getEpisodeNumber } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+import { getPermalinkHash, getPermalinkUrl, applyPermalinkArrival } from './permalinks.js';
+
+// Messages and terminal blocks of every timeline, episodes not rendered yet, plus the entries of the phase archive
+const ITEM_SELECTOR = '.day[data-ep] .messages > [data-msg], .timeline > .day[data-virtual], .arc-episode[data-ep-num]';
+// Collapsed by focus mode or not yet revealed by the replay
+const SKIPPED_SELECTOR = '[hidden], .focus-out, .replay-pending';
+const STATUS_MS = 1600;
+
+/** Every binding in help order; the page keys are handled by main.js handleGlobalShortcuts */
+const BINDINGS = [
+  {
+    group: 'hotkeys.groupReading',
+    entries: [
+      { keys: ['j', 'k'], label: 'hotkeys.message' },
+      { keys: ['n', 'p'], label: 'hotkeys.episode' },
+      { keys: ['g', 'G'], label: 'hotkeys.firstLast' },
+      { keys: ['o'], label: 'hotkeys.open' },
+      { keys: ['c'], label: 'hotkeys.copy' },
+      { keys: ['t'], label: 'hotkeys.view' }
+    ]
+  },
+  {
+    group: 'hotkeys.groupPages',
+    entries: [
+      { keys: ['l'], label: 'nav.live' },
+      { keys: ['e'], label: 'nav.episodes' },
+      { keys: ['d'], label: 'nav.dossiers' },
+      { keys: ['i'], label: 'nav.info' },
+      { keys: ['/'], label: 'nav.search' }
+    ]
+  },
+  {
+    group: 'hotkeys.groupGeneral',
+    entries: [
+      { keys: ['?'], label: 'hotkeys.help' },
+      { keys: [':'], label: 'hotkeys.terminal' },
+      { keys: ['Esc'], label: 'hotkeys.close' }
+    ]
+  }
+];
+
+let options = { loadData: null, episodeUrl: null, toggleView: null };
+let overlay = null;
+let releaseFocus = null;
+let statusTimer = null;
+
+/* ==========================================================
+   ITEMS
+   ========================================================== */
+
+function getItems() {
+  return $$(ITEM_SELECTOR).filter(element => !element.closest(SKIPPED_SELECTOR));
+}
+
+function getItemEpisode(item) {
+  return Number(item.closest('.day[data-ep]')?.dataset.ep ?? item.dataset.epNum);
+}
+
+/**
+ * The item the reader is on: the focused one, else the first one still in view
+ * @param {Array<HTMLElement>} items - Navigable items
+ * @returns {HTMLElement|null}
+ */
+function getCurrentItem(items = getItems()) {
+  // Focus may sit on a button inside the item (message actions)
+  const active = document.activeElement instanceof HTMLElement ? document.activeElement.closest(ITEM_SELECTOR) : null;
+  if (active && items.includes(active)) return active;
+  return items.find(element => element.getBoundingClientRect().bottom > 0) || items[0] || null;
+}
+
+function focusItem(item) {
+  if (!item) return;
+  if (!item.matches('a[href]') && !item.hasAttribute('tabindex')) item.setAttribute('tabindex', '-1');
+  item.focus({ preventScroll: true });
+  item.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' });
+}
+
+function moveBy(delta) {
+  const items = getItems();
+  const current = getCurrentItem(items);
+  if (!current) return;
+  // The first j/k lands on the item in view before moving on
+  if (!current.contains(document.activeElement)) {
+    focusItem(current);
+    return;
+  }
+  const index = items.indexOf(current) + delta;
+  focusItem(items[Math.max(0, Math.min(items.length - 1, index))]);
+}
+
+function moveToEdge(last) {
+  const items = getItems();
+  focusItem(last ? items[items.length - 1] : items[0]);
+}
+
+async function moveToEpisode(delta) {
+  const items = getItems();
+  const current = getCurrentItem(items);
+  if (!current) return;
+  const target = getItemEpisode(current) + delta;
+  const onPage = items.find(element => getItemEpisode(element) === target);
+  if (onPage) {
+    focusItem(onPage);
+    return;
+  }
+  // Single episode pages continue on the neighbouring episode's page
+  if (!$('#timeline-episode .day[data-ep]') || typeof options.loadData !== 'function' || typeof options.episodeUrl !== 'function') return;
+  try {
+    const { episodes } = await options.loadData();
+    if (episodes.some((episode, index) => getEpisodeNumber(episode, index) === target)) {
+      window.location.href = options.episodeUrl(target);
+    }
+  } catch (error) {
+    console.warn('Episode navigation unavailable', error);
+  }
+}
+
+/* ==========================================================
+   ACTIONS
+   ========================================================== */
+
+function showStatus(text) {
+  let status = $('#hotkey-status');
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'hotkey-status';
+    status.id = 'hotkey-status';
+    status.setAttribute('role', 'status');
+    document.body.appendChild(status);
+  }
+  status.textContent = text;
+  status.hidden = false;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => { status.hidden = true; }, STATUS_MS);
+}
+
+function openCurrent() {
+  const current = getCurrentItem();
+  if (!current) return;
+  if (current.matches('.arc-episode')) {
+    current.click();
+    return;
+  }
+  // Messages on overview pages open on their episode page
+  if (current.closest('#timeline-episode')) return;
+  window.location.href = getPermalinkUrl(getItemEpisode(current), Number(current.dataset.msg));
+}
+
+async function copyCurrent() {
+  const current = getCurrentItem();
+  if (!current) return;
+  const isEntry = current.matches('.arc-episode');
+  const epNum = getItemEpisode(current);
+  const msgIndex = Number(current.dataset.msg);
+  const url = isEntry ? current.href : getPermalinkUrl(epNum, msgIndex);
+  try {
+    await copyText(url);
+    showStatus(t('hotkeys.copied'));
+  } catch (error) {
+    console.error('Permalink copy failed', error);
+    showStatus(t('share.error'));
+    return;
+  }
+  if (isEntry) return;
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${getPermalinkHash(epNum, msgIndex)}`);
+  applyPermalinkArrival({ scroll: false });
+}
+
+/* ==========================================================
+   HELP OVERLAY
+   ========================================================== */
+
+function renderKeys(keys) {
+  return keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' / ');
+}
+
+function renderOverlay() {
+  const el = document.createElement('div');
+  el.className = 'search-overlay hotkey-overlay';
+  el.id = 'hotkey-overlay';
+  el.hidden = true;
+  const groups = BINDINGS.map(({ group, entries }) => `
+    <section class="hotkey-group">
+      <h3>${t(group)}</h3>
+      <dl class="hotkey-list">
+        ${entries.map(entry => `<div class="hotkey-row"><dt>${renderKeys(entry.keys)}</dt><dd>${escapeHtml(t(entry.label))}</dd></div>`).join('')}
+      </dl>
+    </section>`).join('');
+  el.innerHTML = `
+    <div class="search-panel" role="dialog" aria-modal="true" aria-labelledby="hotkey-title">
+      <div class="search-head">
+        <div>
+          <span class="search-eyebrow">// ${t('hotkeys.eyebrow')}</span>
+          <h2 id="hotkey-title">${t('hotkeys.title')}</h2>
+        </div>
+        <button type="button" class="search-close" aria-label="${t('hotkeys.closeLabel')}">ESC</button>
+      </div>
+      <div class="hotkey-groups">${groups}</div>
+    </div>`;
+  el.querySelector('.search-close').addEventListener('click', closeHotkeyHelp);
+  el.addEventListener('click', (event) => {
+    if (event.target === el) closeHotkeyHelp();
+  });
+  return el;
+}
+
+/**
+ * Show the list of every keyboard binding
+ */
+function openHotkeyHelp() {
+  if (!overlay) {
+    overlay = renderOverlay();
+    document.body.appendChild(overlay);
+  }
+  overlay.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(overlay, closeHotkeyHelp);
+  }
+  overlay.querySelector('.search-close').focus();
+}
+
+function closeHotkeyHelp() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  document.body.classList.remove('search-open');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+/* ==========================================================
+   DISPATCH
+   ========================================================== */
+
+/**
+ * Handle a reader key (called by the global shortcut handler after its input check)
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {boolean} True if the key was handled
+ */
+function handleReaderShortcut(event) {
+  if (overlay && !overlay.hidden) {
+    if (event.key === '?') closeHotkeyHelp();
+    // Everything else waits until the help is closed (Escape is handled by the focus trap)
+    return event.key !== 'Escape' && event.key !== 'Tab';
+  }
+  // Other dialogs (search, quote card, notes) keep their keys
+  if (document.body.classList.contains('search-open')) return false;
+
+  switch (event.key) {
+    case '?':
+      openHotkeyHelp();
+      return true;
+    case 'j':
+      moveBy(1);
+      return true;
+    case 'k':
+      moveBy(-1);
+      return true;
+    case 'n':
+      void moveToEpisode(1);
+      return true;
+    case 'p':
+      void moveToEpisode(-1);
+      return true;
+    case 'g':
+      moveToEdge(false);
+      return true;
+    case 'G':
+      moveToEdge(true);
+      return true;
+    case 'o':
+      openCurrent();
+      return true;
+    case 'c':
+      void copyCurrent();
+      return true;
+    case 't':
+      return typeof options.toggleView === 'function' && options.toggleView() !== false;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Configure the reader hotkeys
+ * @param {Object} config
+ * @param {Function|null} config.loadData - Resolves to { episodes } (episode pages: n/p across pages)
+ * @param {Function} [config.episodeUrl] - Page of an episode (epNum => URL)
+ * @param {Function} [config.toggleView] - Switch the timeline view; returns false if the page has none
+ */
+function initHotkeys({ loadData = null, episodeUrl = null, toggleView = null } = {}) {
+  options = { loadData, episodeUrl, toggleView };
+}
+
+export { initHotkeys, handleReaderShortcut, openHotkeyHelp, closeHotkeyHelp };
@@ -0,0 +1,161 @@
+// Live polling: detect new transmissions while the Live page is open
+import { escapeHtml } from '../utils/dom.js';
+import { padNumber } from '../utils/text.js';
+import { t } from '../utils/i18n.js';
+import { playSound } from './sound.js';
+
+const VISIBLE_INTERVAL_MS = 60 * 1000;
+const MAX_INTERVAL_MS = 15 * 60 * 1000;
+
+let pollTimer = null;
+let interval = VISIBLE_INTERVAL_MS;
+let pollOptions = null;
+let baseline = null;
+let pendingVersion = null;
+
+/**
+ * Version fingerprint of stats.json
+ * @param {Object} stats - stats.json
+ * @returns {Object} { current_episode, last_updated }
+ */
+function toVersion(stats) {
+  return {
+    current_episode: Number(stats?.current_episode) || 0,
+    last_updated: String(stats?.last_updated || '')
+  };
+}
+
+function isNewerVersion(next, current) {
+  if (!current) return false;
+  if (next.current_episode !== current.current_episode) {
+    return next.current_episode > current.current_episode;
+  }
+  return Boolean(next.last_updated) && next.last_updated !== current.last_updated;
+}
+
+async function fetchVersion() {
+  const response = await fetch(pollOptions.url, { credentials: 'same-origin', cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Version check failed (${response.status})`);
+  }
+  return toVersion(await response.json());
+}
+
+/* ==========================================================
+   BANNER
+   ========================================================== */
+
+function hideBanner() {
+  const banner = document.getElementById('live-announce');
+  if (!banner) return;
+  banner.hidden = true;
+  banner.classList.remove('signal');
+  banner.textContent = '';
+}
+
+function showBanner(version) {
+  const banner = document.getElementById('live-announce');
+  if (!banner) return;
+  const isNewEpisode = version.current_episode > baseline.current_episode;
+  const headline = isNewEpisode
+    ? t('live.newEpisode', { ep: padNumber(version.current_episode) })
+    : t('live.newData');
+  banner.classList.add('signal');
+  banner.innerHTML = `
+    <span class="live-announce-title">// SIGNAL DETECTED</span>
+    <span class="live-announce-text">${escapeHtml(headline)}</span>
+    <span class="live-announce-actions">
+      <button type="button" class="live-announce-btn" data-action="apply">${t('live.apply')}</button>
+      <button type="button" class="live-announce-btn secondary" data-action="dismiss">${t('live.later')}</button>
+    </span>`;
+  banner.hidden = false;
+  playSound('message', { author: 'system' });
+}
+
+async function handleBannerClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('[data-action]') : null;
+  if (!button) return;
+
+  if (button.dataset.action === 'dismiss') {
+    // Remember the version so the same drop does not re-announce itself
+    baseline = pendingVersion || baseline;
+    pendingVersion = null;
+    hideBanner();
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = t('live.receiving');
+  try {
+    await pollOptions.onUpdate();
+    baseline = pendingVersion || baseline;
+    pendingVersion = null;
+    hideBanner();
+    document.getElementById('latest-episode')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (error) {
+    console.error('Live update failed', error);
+    button.disabled = false;
+    button.textContent = t('live.retry');
+  }
+}
+
+/* ==========================================================
+   SCHEDULING
+   ========================================================== */
+
+function schedule(delay) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(() => { void poll(); }, delay);
+}
+
+async function poll() {
+  try {
+    const version = await fetchVersion();
+    if (!baseline) {
+      baseline = version;
+    } else if (isNewerVersion(version, pendingVersion || baseline)) {
+      pendingVersion = version;
+      showBanner(version);
+    }
+    interval = document.hidden ? Math.min(interval * 2, MAX_INTERVAL_MS) : VISIBLE_INTERVAL_MS;
+  } catch (error) {
+    console.warn('Live polling:', error.message);
+    interval = Math.min(interval * 2, MAX_INTERVAL_MS);
+  }
+  schedule(interval);
+}
+
+function handleVisibilityChange() {
+  if (document.hidden) return;
+  // Back in view: check right away, then return to the normal cadence
+  interval = VISIBLE_INTERVAL_MS;
+  schedule(0);
+}
+
+/**
+ * Start polling for new episodes
+ * @param {Object} options
+ * @param {string} options.url - stats.json URL
+ * @param {Object|null} options.version - Version the page was built from ({ current_episode, last_updated })
+ * @param {Function} options.onUpdate - Reloads data and re-renders the Live page
+ * @returns {Function} Stop function
+ */
+function initLivePolling({ url, version = null, onUpdate } = {}) {
+  if (!url || typeof onUpdate !== 'function') return () => {};
+  pollOptions = { url, onUpdate };
+  baseline = version ? toVersion(version) : null;
+  interval = VISIBLE_INTERVAL_MS;
+
+  document.getElementById('live-announce')?.addEventListener('click', (event) => {
+    void handleBannerClick(event);
+  });
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  schedule(baseline ? interval : 0);
+
+  return () => {
+    clearTimeout(pollTimer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
+
+export { initLivePolling };
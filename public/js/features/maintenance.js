@@ -0,0 +1,289 @@
+// Maintenance gate: passphrase unlock for testers (preview during maintenance)
+import { escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { t } from '../utils/i18n.js';
+
+const UNLOCK_KEY = 'uplink_maintenance_unlock';
+const ATTEMPTS_KEY = 'uplink_maintenance_attempts';
+const FREE_ATTEMPTS = 3;
+const BASE_LOCKOUT_MS = 5000;
+const MAX_LOCKOUT_MS = 5 * 60 * 1000;
+
+let overlay = null;
+let releaseFocus = null;
+let lockoutTimer = null;
+let gateSettings = {};
+let unlockHandler = null;
+let memoryAttempts = { count: 0, lockedUntil: 0 };
+
+/**
+ * SHA-256 of a string as lowercase hex (SubtleCrypto)
+ * @param {string} value - Input
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(value) {
+  const bytes = new TextEncoder().encode(value);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Check a passphrase hash against the published check value
+ * (the page only carries sha256(passphrase_sha256), never the hash itself)
+ * @param {string} passphraseHash - sha256(passphrase)
+ * @returns {Promise<boolean>} True if it matches the configured hash
+ */
+async function isValidPassphraseHash(passphraseHash) {
+  if (!/^[0-9a-f]{64}$/.test(passphraseHash || '')) return false;
+  return (await sha256Hex(passphraseHash)) === gateSettings.passphrase_check;
+}
+
+function readSession(key) {
+  try {
+    return sessionStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(key, value) {
+  try {
+    sessionStorage.setItem(key, value);
+  } catch {
+    // Private mode etc.: fall back to in-memory state
+  }
+}
+
+/* ==========================================================
+   RATE LIMIT
+   ========================================================== */
+
+function getAttempts() {
+  try {
+    const stored = JSON.parse(readSession(ATTEMPTS_KEY) || 'null');
+    if (stored && typeof stored.count === 'number') return stored;
+  } catch {
+    // ignore broken state
+  }
+  return memoryAttempts;
+}
+
+function recordFailedAttempt() {
+  const attempts = getAttempts();
+  const count = attempts.count + 1;
+  const lockoutMs = count >= FREE_ATTEMPTS
+    ? Math.min(MAX_LOCKOUT_MS, BASE_LOCKOUT_MS * 2 ** (count - FREE_ATTEMPTS))
+    : 0;
+  memoryAttempts = { count, lockedUntil: lockoutMs ? Date.now() + lockoutMs : 0 };
+  writeSession(ATTEMPTS_KEY, JSON.stringify(memoryAttempts));
+  return memoryAttempts;
+}
+
+function getRemainingLockout() {
+  return Math.max(0, getAttempts().lockedUntil - Date.now());
+}
+
+/* ==========================================================
+   PREVIEW
+   ========================================================== */
+
+async function loadPreview(passphraseHash) {
+  const response = await fetch(`/data/preview-${passphraseHash}.json`, {
+    credentials: 'same-origin',
+    cache: 'no-store'
+  });
+  if (!response.ok) {
+    throw new Error(`Preview request failed (${response.status})`);
+  }
+  return response.json();
+}
+
+async function unlockWith(passphraseHash) {
+  const preview = await loadPreview(passphraseHash);
+  writeSession(UNLOCK_KEY, passphraseHash);
+  if (typeof unlockHandler === 'function') {
+    await unlockHandler(preview);
+  }
+}
+
+/* ==========================================================
+   LOCK SCREEN
+   ========================================================== */
+
+function setError(text) {
+  const error = overlay?.querySelector('.maintenance-error');
+  if (error) error.textContent = text;
+}
+
+function setBusy(busy) {
+  const button = overlay?.querySelector('.maintenance-btn');
+  if (button) button.disabled = busy;
+}
+
+function startLockoutCountdown() {
+  clearInterval(lockoutTimer);
+  const tick = () => {
+    const remaining = getRemainingLockout();
+    if (remaining <= 0) {
+      clearInterval(lockoutTimer);
+      lockoutTimer = null;
+      setBusy(false);
+      setError('');
+      return;
+    }
+    setBusy(true);
+    setError(t('maintenance.lockout', { seconds: Math.ceil(remaining / 1000) }));
+  };
+  tick();
+  if (getRemainingLockout() > 0) {
+    lockoutTimer = setInterval(tick, 1000);
+  }
+}
+
+async function handleSubmit(event) {
+  event.preventDefault();
+  if (getRemainingLockout() > 0) {
+    startLockoutCountdown();
+    return;
+  }
+
+  const input = overlay.querySelector('#maintenance-passphrase');
+  const passphrase = input.value;
+  if (!passphrase) {
+    setError(t('maintenance.empty'));
+    input.focus();
+    return;
+  }
+
+  setBusy(true);
+  setError('');
+  try {
+    const passphraseHash = await sha256Hex(passphrase);
+    if (!(await isValidPassphraseHash(passphraseHash))) {
+      const attempts = recordFailedAttempt();
+      input.value = '';
+      input.focus();
+      if (attempts.lockedUntil) {
+        startLockoutCountdown();
+      } else {
+        setBusy(false);
+        setError(t('maintenance.wrong', { count: FREE_ATTEMPTS - attempts.count }));
+      }
+      return;
+    }
+
+    memoryAttempts = { count: 0, lockedUntil: 0 };
+    writeSession(ATTEMPTS_KEY, JSON.stringify(memoryAttempts));
+    await unlockWith(passphraseHash);
+    closeMaintenanceGate();
+  } catch (error) {
+    console.error('Maintenance unlock failed', error);
+    setBusy(false);
+    setError(t('maintenance.loadError'));
+  }
+}
+
+function renderGate() {
+  const message = gateSettings.message || t('maintenance.message');
+  const hint = String(gateSettings.passphrase_hint || '').trim();
+  const el = document.createElement('div');
+  el.className = 'maintenance-overlay';
+  el.id = 'maintenance-overlay';
+  el.innerHTML = `
+    <div class="maintenance-panel" role="dialog" aria-modal="true" aria-labelledby="maintenance-title" aria-describedby="maintenance-message">
+      <span class="maintenance-badge">${t('maintenance.badge')}</span>
+      <h2 id="maintenance-title">${t('maintenance.title')}</h2>
+      <p id="maintenance-message">${escapeHtml(message)}</p>
+      <form class="maintenance-form" novalidate>
+        <label for="maintenance-passphrase">${t('maintenance.label')}</label>
+        <div class="maintenance-input-row">
+          <input type="password" id="maintenance-passphrase" name="maintenance-passphrase" autocomplete="current-password" required>
+          <button type="submit" class="maintenance-btn">${t('maintenance.unlock')}</button>
+        </div>
+        ${hint ? `<p class="maintenance-hint">${t('maintenance.hint', { hint: escapeHtml(hint) })}</p>` : ''}
+        <p class="maintenance-error" role="alert"></p>
+        <p class="maintenance-note">${t('maintenance.note')}</p>
+      </form>
+    </div>`;
+  el.querySelector('form').addEventListener('submit', (event) => { void handleSubmit(event); });
+  return el;
+}
+
+/**
+ * Show the lock screen
+ */
+function openMaintenanceGate() {
+  if (overlay) return;
+  overlay = renderGate();
+  document.body.appendChild(overlay);
+  document.body.classList.add('maintenance-active');
+  releaseFocus = trapFocusIn(overlay, closeMaintenanceGate);
+  overlay.querySelector('#maintenance-passphrase')?.focus();
+  if (getRemainingLockout() > 0) startLockoutCountdown();
+}
+
+/**
+ * Hide the lock screen (maintenance page stays visible)
+ */
+function closeMaintenanceGate() {
+  if (!overlay) return;
+  const closing = overlay;
+  overlay = null;
+  clearInterval(lockoutTimer);
+  lockoutTimer = null;
+  closing.classList.add('closing');
+  setTimeout(() => closing.remove(), 200);
+  document.body.classList.remove('maintenance-active');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+function addReopenButton() {
+  const host = document.querySelector('#page-maintenance .live-empty');
+  if (!host || host.querySelector('#maintenance-unlock-open')) return;
+  const actions = document.createElement('div');
+  actions.className = 'live-empty-actions';
+  actions.innerHTML = `<button type="button" id="maintenance-unlock-open">${t('maintenance.reopen')}</button>`;
+  actions.querySelector('button').addEventListener('click', openMaintenanceGate);
+  host.appendChild(actions);
+}
+
+/**
+ * Wire the maintenance gate
+ * @param {Object} options
+ * @param {Object} options.settings - Runtime maintenance settings (message, hint, passphrase_check)
+ * @param {Function} options.onUnlock - Receives { dialogs, stats, config } of the withheld content
+ * @returns {Promise<boolean>} True if a passphrase unlock is available
+ */
+async function initMaintenanceGate({ settings = {}, onUnlock = null } = {}) {
+  gateSettings = settings || {};
+  unlockHandler = onUnlock;
+  if (!/^[0-9a-f]{64}$/.test(gateSettings.passphrase_check || '')) return false;
+  if (!window.crypto?.subtle) {
+    console.warn('Maintenance unlock needs SubtleCrypto (HTTPS)');
+    return false;
+  }
+
+  const storedHash = readSession(UNLOCK_KEY);
+  if (storedHash && await isValidPassphraseHash(storedHash)) {
+    try {
+      await unlockWith(storedHash);
+      return true;
+    } catch (error) {
+      console.error('Stored maintenance unlock failed', error);
+    }
+  }
+
+  addReopenButton();
+  openMaintenanceGate();
+  return true;
+}
+
+export {
+  initMaintenanceGate,
+  openMaintenanceGate,
+  closeMaintenanceGate
+};
@@ -0,0 +1,94 @@
+// Message actions: small per-message toolbar that other features register buttons in
+import { $$ } from '../utils/dom.js';
+import { t } from '../utils/i18n.js';
+
+const TARGET_SELECTOR = '.day[data-ep] .messages > .message[data-msg], .day[data-ep] .messages > .terminal-block-wrap[data-msg]';
+
+const actions = [];
+let listening = false;
+
+/**
+ * Describe the message or terminal block an action was triggered on
+ * @param {HTMLElement} element - .message or .terminal-block-wrap
+ * @returns {Object} { element, epNum, msgIndex, blockIndex, kind }
+ */
+function getMessageTarget(element) {
+  const isBlock = element.classList.contains('terminal-block-wrap');
+  return {
+    element,
+    epNum: Number(element.closest('.day[data-ep]')?.dataset.ep),
+    msgIndex: Number(element.dataset.msg),
+    blockIndex: isBlock ? Number(element.dataset.block) : null,
+    kind: isBlock ? 'terminal' : 'message'
+  };
+}
+
+function renderToolbar(element) {
+  const target = getMessageTarget(element);
+  const available = actions.filter(action => !action.isAvailable || action.isAvailable(target));
+  let toolbar = element.querySelector('.message-actions');
+  if (available.length === 0) {
+    toolbar?.remove();
+    return;
+  }
+  if (!toolbar) {
+    toolbar = document.createElement('div');
+    toolbar.className = 'message-actions';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', t('messageActions.label'));
+    (element.querySelector(':scope > .message-box') || element).appendChild(toolbar);
+  }
+  const signature = available.map(action => action.id).join(',');
+  if (toolbar.dataset.actions === signature) return;
+  toolbar.dataset.actions = signature;
+  toolbar.innerHTML = available
+    .map(action => `<button type="button" class="message-action" data-message-action="${action.id}" title="${action.title || action.label}">${action.label}</button>`)
+    .join('');
+}
+
+/**
+ * Add the toolbar to every rendered message and terminal block
+ * @param {ParentNode} root - Where to look
+ */
+function decorateMessageActions(root = document) {
+  if (actions.length === 0) return;
+  $$(TARGET_SELECTOR, root).forEach(renderToolbar);
+}
+
+function handleClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('[data-message-action]') : null;
+  if (!button) return;
+  const action = actions.find(entry => entry.id === button.dataset.messageAction);
+  const element = button.closest('.message, .terminal-block-wrap');
+  if (!action || !element) return;
+  event.preventDefault();
+  action.run(getMessageTarget(element), button, event);
+}
+
+/**
+ * Register a message action (button in every message toolbar)
+ * @param {Object} action
+ * @param {string} action.id - Unique id (also the data attribute value)
+ * @param {string} action.label - Button label (trusted HTML)
+ * @param {string} [action.title] - Tooltip
+ * @param {Function} action.run - Called with (target, button, click event)
+ * @param {Function} [action.isAvailable] - Called with (target); false hides the button
+ */
+function registerMessageAction(action) {
+  if (!action?.id || typeof action.run !== 'function') return;
+  const index = actions.findIndex(entry => entry.id === action.id);
+  if (index >= 0) {
+    actions.splice(index, 1, action);
+  } else {
+    actions.push(action);
+  }
+  if (!listening) {
+    listening = true;
+    document.addEventListener('click', handleClick);
+    document.addEventListener('uplink:rendered', () => decorateMessageActions());
+    document.addEventListener('uplink:episode-rendered', event => decorateMessageActions(event.detail.day));
+  }
+  decorateMessageActions();
+}
+
+export { registerMessageAction, decorateMessageActions, getMessageTarget };
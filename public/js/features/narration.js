@@ -0,0 +1,369 @@
+// Narration: read an episode aloud with speechSynthesis, one voice per character
+import { $$, $$withSelf } from '../utils/dom.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+import { readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { t, getIntlLocale } from '../utils/i18n.js';
+import { ensureEpisodeRendered } from './virtual-timeline.js';
+
+const STORAGE_NAME = 'narration';
+const NARRATE_PARAM = 'narrate';
+const ITEM_SELECTOR = '.message, .terminal-block-wrap, .analyst-note';
+// Used when config.characters[].voice / config.narration.system leave a field out
+const DEFAULT_VOICES = {
+  nexus: { pitch: 0.8, rate: 1.05 },
+  cipher: { pitch: 1.25, rate: 1 },
+  system: { pitch: 1, rate: 1.15 }
+};
+const FALLBACK_VOICE = { pitch: 1, rate: 1 };
+// Box drawing and block characters of the terminal frames
+const FRAME_CHARS = /[\u2500-\u259f]/g;
+
+let loadNarrationData = null;
+let episodeUrl = null;
+let voiceConfig = {};
+let voiceConfigPromise = null;
+let settings = null;
+let active = null;
+
+function isSupported() {
+  return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+function getSettings() {
+  if (!settings) {
+    const stored = readAnalystData(STORAGE_NAME, null);
+    settings = { continue: stored?.continue !== false };
+  }
+  return settings;
+}
+
+/* ==========================================================
+   VOICES
+   ========================================================== */
+
+/**
+ * Voices from config.narration.system and config.characters[].voice (loaded once, on first playback)
+ * @returns {Promise<void>}
+ */
+function loadVoiceConfig() {
+  if (typeof loadNarrationData !== 'function') return Promise.resolve();
+  if (!voiceConfigPromise) {
+    voiceConfigPromise = loadNarrationData()
+      .then(({ config }) => {
+        voiceConfig = { system: config?.narration?.system || {} };
+        (config?.characters || []).forEach((character) => {
+          const id = String(character?.id || '').toLowerCase();
+          if (id && character.voice) voiceConfig[id] = character.voice;
+        });
+      })
+      .catch((error) => {
+        // Default voices for now; the next playback asks again
+        voiceConfigPromise = null;
+        console.warn('Narration: voice settings unavailable', error);
+      });
+  }
+  return voiceConfigPromise;
+}
+
+/**
+ * Pick the speech voice for a speaker
+ * Configured name first, then a voice for the configured (or page) language;
+ * unconfigured speakers get different voices of that language where possible.
+ * @param {string} speaker - Character id or 'system'
+ * @returns {Object} { voice, lang, pitch, rate }
+ */
+function resolveVoice(speaker) {
+  const options = { ...FALLBACK_VOICE, ...(DEFAULT_VOICES[speaker] || {}), ...(voiceConfig[speaker] || {}) };
+  const lang = options.lang || getIntlLocale();
+  const voices = window.speechSynthesis.getVoices();
+  const base = lang.toLowerCase().split('-')[0];
+  const sameLanguage = voices.filter(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === base);
+  let voice = options.name ? voices.find(entry => entry.name === options.name) : null;
+  if (!voice && sameLanguage.length > 0) {
+    const order = Object.keys(DEFAULT_VOICES).indexOf(speaker);
+    voice = sameLanguage[Math.max(0, order) % sameLanguage.length];
+  }
+  return {
+    voice: voice || null,
+    lang: voice?.lang || lang,
+    pitch: Number(options.pitch) || FALLBACK_VOICE.pitch,
+    rate: Number(options.rate) || FALLBACK_VOICE.rate
+  };
+}
+
+/* ==========================================================
+   ITEMS
+   ========================================================== */
+
+function getSpeaker(element) {
+  if (element.classList.contains('message-system') || element.classList.contains('analyst-note')) return 'system';
+  if (element.classList.contains('terminal-block-wrap')) return 'system';
+  const authorClass = Array.from(element.classList).find(name => name.startsWith('message-'));
+  return authorClass ? authorClass.slice('message-'.length) : 'nexus';
+}
+
+/**
+ * Spoken form of a terminal block: owner, size and the first line
+ * @param {HTMLElement} wrap - .terminal-block-wrap
+ * @returns {string}
+ */
+function summarizeTerminalBlock(wrap) {
+  const lines = (wrap.querySelector('.terminal-block')?.textContent || '')
+    .split('\n')
+    .map(line => line.replace(FRAME_CHARS, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const owner = Array.from(wrap.classList).find(name => name.startsWith('owner-'))?.slice('owner-'.length) || 'system';
+  return t('narration.terminal', { owner: owner.toUpperCase(), count: lines.length, first: lines[0] || '' });
+}
+
+function getSpokenText(element) {
+  if (element.classList.contains('terminal-block-wrap')) return summarizeTerminalBlock(element);
+  if (element.classList.contains('analyst-note')) {
+    return t('narration.note', { text: element.textContent.replace(/^\[ANALYST NOTE:\s*|\]$/g, '').trim() });
+  }
+  return (element.querySelector('.message-text')?.textContent || '').trim();
+}
+
+function getItems(day) {
+  return $$(`:scope > .messages > :is(${ITEM_SELECTOR})`, day)
+    .filter(element => !element.closest('[hidden], .focus-out'));
+}
+
+/* ==========================================================
+   PLAYBACK
+   ========================================================== */
+
+/**
+ * Speak one text; resolves when it ends, is cancelled or fails
+ * @param {string} text - Text to speak
+ * @param {string} speaker - Character id or 'system'
+ * @returns {Promise<string|null>} Error code, null on success
+ */
+function speak(text, speaker) {
+  return new Promise((resolve) => {
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    const { voice, lang, pitch, rate } = resolveVoice(speaker);
+    if (voice) utterance.voice = voice;
+    utterance.lang = lang;
+    utterance.pitch = pitch;
+    utterance.rate = rate;
+    utterance.onend = () => resolve(null);
+    utterance.onerror = event => resolve(event.error || 'error');
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+function highlight(session, element) {
+  session.current?.classList.remove('narration-current');
+  session.current = element;
+  if (!element) return;
+  element.classList.add('narration-current');
+  element.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' });
+}
+
+async function runSession(session) {
+  await loadVoiceConfig();
+  while (session.index < session.items.length && !session.stopped) {
+    const element = session.items[session.index];
+    const text = getSpokenText(element);
+    if (text) {
+      highlight(session, element);
+      renderControls(session.bar, session);
+      const error = await speak(text, getSpeaker(element));
+      // Browsers refuse speech without a user gesture (e.g. after continuing on a new page)
+      if (error === 'not-allowed') {
+        finishSession(session, { blocked: true });
+        return;
+      }
+    }
+    if (session.stopped) break;
+    session.index += 1;
+  }
+  const completed = !session.stopped;
+  finishSession(session);
+  if (completed && getSettings().continue) void continueWithNext(session.epNum);
+}
+
+/**
+ * Go on with the next episode: on this page if rendered, else on its page
+ * @param {number} epNum - Episode that just ended
+ */
+async function continueWithNext(epNum) {
+  const next = epNum + 1;
+  const day = await ensureEpisodeRendered($$(`.day[data-ep="${next}"]`).find(element => !element.closest('[hidden]')));
+  if (day) {
+    startSession(day);
+    return;
+  }
+  if (typeof loadNarrationData !== 'function' || typeof episodeUrl !== 'function') return;
+  try {
+    const { stats } = await loadNarrationData();
+    if (next > (Number(stats?.current_episode) || 0)) return;
+    const url = new URL(episodeUrl(next), window.location.origin);
+    url.searchParams.set(NARRATE_PARAM, String(next));
+    window.location.href = url.toString();
+  } catch (error) {
+    console.warn('Narration: next episode unavailable', error);
+  }
+}
+
+/* ==========================================================
+   CONTROLS
+   ========================================================== */
+
+function renderControls(bar, session, { blocked = false } = {}) {
+  if (!bar) return;
+  bar.classList.toggle('active', Boolean(session));
+  const continueToggle = `<button type="button" class="replay-btn secondary" data-narration="continue" aria-pressed="${getSettings().continue}" title="${t('narration.continueTitle')}">${t('narration.continue')}</button>`;
+  if (!session) {
+    bar.innerHTML = `<button type="button" class="replay-btn" data-narration="start">${blocked ? t('narration.resumeHere') : t('narration.start')}</button>${continueToggle}`;
+    return;
+  }
+  const speaker = session.current ? getSpeaker(session.current).toUpperCase() : '';
+  bar.innerHTML = `
+    <span class="replay-status" aria-live="polite">// ${session.paused ? t('narration.paused') : t('narration.speaking', { speaker })}</span>
+    <button type="button" class="replay-btn" data-narration="toggle" aria-pressed="${session.paused}">${session.paused ? t('replay.resume') : t('replay.pause')}</button>
+    <button type="button" class="replay-btn" data-narration="skip">${t('replay.skip')}</button>
+    <button type="button" class="replay-btn secondary" data-narration="stop">${t('narration.stop')}</button>
+    ${continueToggle}`;
+}
+
+function finishSession(session, { blocked = false } = {}) {
+  if (!session || session.finished) return;
+  session.finished = true;
+  session.stopped = true;
+  highlight(session, null);
+  session.day.classList.remove('narration-active');
+  renderControls(session.bar, null, { blocked });
+  if (active === session) active = null;
+}
+
+function stopActive() {
+  if (!active) return;
+  finishSession(active);
+  window.speechSynthesis.cancel();
+}
+
+/**
+ * Read an episode aloud from its first (or given) item
+ * @param {HTMLElement} day - .day[data-ep]
+ */
+function startSession(day) {
+  // A timeline episode rendered just now has no bar yet
+  decorateNarration(day);
+  const bar = day.querySelector(':scope > .narration-bar');
+  stopActive();
+  const items = getItems(day);
+  if (!bar || items.length === 0) return;
+  const session = {
+    day,
+    bar,
+    items,
+    epNum: Number(day.dataset.ep),
+    index: 0,
+    current: null,
+    paused: false,
+    stopped: false,
+    finished: false
+  };
+  active = session;
+  day.classList.add('narration-active');
+  void runSession(session);
+}
+
+function handleBarClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('[data-narration]') : null;
+  if (!button) return;
+  const bar = event.currentTarget;
+  const day = bar.closest('.day[data-ep]');
+  const action = button.dataset.narration;
+
+  if (action === 'continue') {
+    getSettings().continue = !getSettings().continue;
+    writeAnalystData(STORAGE_NAME, getSettings());
+    $$('[data-narration="continue"]').forEach(toggle => toggle.setAttribute('aria-pressed', String(getSettings().continue)));
+    return;
+  }
+  if (action === 'start') {
+    startSession(day);
+    bar.querySelector('[data-narration="toggle"]')?.focus();
+    return;
+  }
+  if (!active || active.day !== day) return;
+  if (action === 'toggle') {
+    active.paused = !active.paused;
+    if (active.paused) {
+      window.speechSynthesis.pause();
+    } else {
+      window.speechSynthesis.resume();
+    }
+  } else if (action === 'skip') {
+    // Cancelling ends the current utterance; runSession moves on
+    active.paused = false;
+    window.speechSynthesis.cancel();
+  } else if (action === 'stop') {
+    stopActive();
+    bar.querySelector('[data-narration="start"]')?.focus();
+    return;
+  }
+  renderControls(bar, active);
+  bar.querySelector(`[data-narration="${action}"]`)?.focus();
+}
+
+/**
+ * Add the narration control to every rendered episode
+ * @param {ParentNode} root - Where to look for episodes
+ */
+function decorateNarration(root = document) {
+  $$withSelf('.day[data-ep]:not([data-virtual])', root).forEach((day) => {
+    const header = day.querySelector(':scope > .day-header');
+    if (!header || day.querySelector(':scope > .narration-bar')) return;
+    const bar = document.createElement('div');
+    bar.className = 'narration-bar';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', t('narration.label'));
+    bar.addEventListener('click', handleBarClick);
+    renderControls(bar, null);
+    // Below the replay control when there is one
+    (day.querySelector(':scope > .replay-bar') || header).after(bar);
+  });
+}
+
+/**
+ * Start narrating the episode named by ?narrate=<N> (continued from the previous page)
+ */
+function applyNarrationArrival() {
+  const params = new URLSearchParams(window.location.search);
+  const epNum = Number(params.get(NARRATE_PARAM));
+  if (!Number.isInteger(epNum) || epNum < 1) return;
+  params.delete(NARRATE_PARAM);
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  void ensureEpisodeRendered($$(`.day[data-ep="${epNum}"]`).find(element => !element.closest('[hidden]')))
+    .then((day) => { if (day) startSession(day); });
+}
+
+/**
+ * Wire episode narration
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { stats, config } (voices, next episode)
+ * @param {Function} [options.episodeUrl] - Page of an episode (epNum => URL)
+ */
+function initNarration({ loadData = null, episodeUrl: urlForEpisode = null } = {}) {
+  if (!isSupported()) return;
+  loadNarrationData = loadData;
+  episodeUrl = urlForEpisode;
+  // Voices load asynchronously in some browsers; resolveVoice() asks again per utterance
+  window.speechSynthesis.getVoices();
+  decorateNarration();
+  applyNarrationArrival();
+  document.addEventListener('uplink:rendered', () => {
+    if (active && !active.day.isConnected) stopActive();
+    decorateNarration();
+  });
+  document.addEventListener('uplink:episode-rendered', event => decorateNarration(event.detail.day));
+  // Speech outlives the page otherwise
+  window.addEventListener('pagehide', () => window.speechSynthesis.cancel());
+}
+
+export { initNarration };
@@ -0,0 +1,189 @@
+// Offline archive: service worker registration and per-episode "offline verfuegbar"
+import { $, $$, escapeHtml } from '../utils/dom.js';
+import { padNumber } from '../utils/text.js';
+import { getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+// Shared with /sw.js (saved episodes survive app updates)
+const EPISODE_CACHE = 'uplink-episodes';
+const EPISODE_PATH = /^\/episode-(\d{3,})\.html$/;
+
+function isSupported() {
+  return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Hand the loaded modules/styles to the worker so the shell works offline
+ * (main.js pulls its imports without a version query)
+ * @param {ServiceWorker|null} worker - Active worker
+ */
+function warmShellCache(worker) {
+  if (!worker || typeof performance?.getEntriesByType !== 'function') return;
+  const urls = performance.getEntriesByType('resource')
+    .map(entry => new URL(entry.name, window.location.href))
+    .filter(url => url.origin === window.location.origin && /^\/(css|js|assets)\//.test(url.pathname))
+    .map(url => url.pathname + url.search);
+  if (urls.length > 0) {
+    worker.postMessage({ type: 'cache-urls', urls });
+  }
+}
+
+async function registerWorker(version) {
+  try {
+    const registration = await navigator.serviceWorker.register(`/sw.js?v=${encodeURIComponent(version)}`);
+    const ready = await navigator.serviceWorker.ready;
+    warmShellCache(ready.active || registration.active);
+  } catch (error) {
+    console.warn('Service worker registration failed', error);
+  }
+}
+
+/* ==========================================================
+   SAVED EPISODES
+   ========================================================== */
+
+async function isEpisodeSaved(epNum) {
+  const cache = await caches.open(EPISODE_CACHE);
+  return Boolean(await cache.match(getEpisodePath(epNum)));
+}
+
+async function saveEpisode(epNum) {
+  const cache = await caches.open(EPISODE_CACHE);
+  await cache.add(getEpisodePath(epNum));
+}
+
+async function removeEpisode(epNum) {
+  const cache = await caches.open(EPISODE_CACHE);
+  await cache.delete(getEpisodePath(epNum));
+}
+
+function setToggleState(button, state) {
+  const saved = state === 'saved';
+  button.classList.toggle('saved', saved);
+  button.classList.toggle('error', state === 'error');
+  button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+  button.title = state === 'error'
+    ? t('offline.saveFailed')
+    : saved ? t('offline.savedTitle') : t('offline.saveTitle');
+}
+
+async function handleToggle(button) {
+  const epNum = Number(button.dataset.epNum);
+  const wasSaved = button.getAttribute('aria-pressed') === 'true';
+  button.disabled = true;
+  try {
+    if (wasSaved) {
+      await removeEpisode(epNum);
+    } else {
+      await saveEpisode(epNum);
+    }
+    setToggleState(button, wasSaved ? 'idle' : 'saved');
+  } catch (error) {
+    console.warn(`Offline toggle for EP.${padNumber(epNum)} failed`, error);
+    setToggleState(button, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Add an offline toggle next to every archive entry
+ * (the entries are links, so the toggle sits beside them in a row)
+ * @param {ParentNode} root - Where to look for archive entries
+ */
+async function decorateArchive(root = document) {
+  const entries = $$('.arc-episode[data-ep-num]', root)
+    .filter(entry => !entry.parentElement?.classList.contains('arc-episode-row'));
+
+  await Promise.all(entries.map(async (entry) => {
+    const epNum = Number(entry.dataset.epNum);
+    if (!Number.isInteger(epNum) || epNum <= 0) return;
+
+    const row = document.createElement('div');
+    row.className = 'arc-episode-row';
+    entry.parentNode.insertBefore(row, entry);
+    row.appendChild(entry);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'arc-offline-toggle';
+    button.dataset.epNum = String(epNum);
+    button.setAttribute('aria-label', t('offline.toggleLabel', { ep: padNumber(epNum) }));
+    button.innerHTML = `<span class="arc-offline-icon" aria-hidden="true">&#8615;</span><span class="arc-offline-label">${t('offline.toggle')}</span>`;
+    button.addEventListener('click', () => { void handleToggle(button); });
+    row.appendChild(button);
+
+    let saved = false;
+    try {
+      saved = await isEpisodeSaved(epNum);
+    } catch {
+      // Storage blocked: leave the toggle unpressed
+    }
+    setToggleState(button, saved ? 'saved' : 'idle');
+  }));
+}
+
+/* ==========================================================
+   OFFLINE PAGE
+   ========================================================== */
+
+function extractTitle(html) {
+  return new DOMParser().parseFromString(html, 'text/html').title.trim();
+}
+
+/**
+ * List the saved episodes on the offline fallback page
+ */
+async function renderSavedEpisodes() {
+  const host = $('#offline-episodes');
+  if (!host) return;
+
+  let items = [];
+  try {
+    const cache = await caches.open(EPISODE_CACHE);
+    const requests = await cache.keys();
+    items = await Promise.all(requests.map(async (request) => {
+      const path = new URL(request.url).pathname;
+      const match = EPISODE_PATH.exec(path);
+      if (!match) return null;
+      const response = await cache.match(request);
+      const title = response ? extractTitle(await response.text()) : '';
+      return { epNum: Number(match[1]), path, title };
+    }));
+  } catch (error) {
+    console.warn('Saved episodes unavailable', error);
+  }
+
+  items = items.filter(Boolean).sort((a, b) => a.epNum - b.epNum);
+  if (items.length === 0) {
+    host.innerHTML = `<p class="live-empty-text">${t('offline.none')}</p>`;
+    return;
+  }
+  host.innerHTML = `
+    <div class="live-empty-title">// ${t('offline.listTitle')}</div>
+    <ul class="offline-list">
+      ${items.map(item => `<li><a href="${escapeHtml(item.path)}">
+        <span class="arc-ep-num">EP.${padNumber(item.epNum)}</span>
+        <span class="offline-list-title">${escapeHtml(item.title || t('annotations.episodeFallback', { ep: item.epNum }))}</span>
+      </a></li>`).join('')}
+    </ul>`;
+}
+
+/**
+ * Register the service worker and wire the offline archive
+ * @param {Object} options
+ * @param {string} options.version - APP_VERSION of the build (selects the shell cache)
+ */
+function initOffline({ version = '' } = {}) {
+  if (!isSupported() || !version) return;
+  void registerWorker(version);
+
+  if ($('#page-offline')) {
+    void renderSavedEpisodes();
+    return;
+  }
+  void decorateArchive();
+  document.addEventListener('uplink:rendered', () => { void decorateArchive(); });
+}
+
+export { initOffline };
@@ -0,0 +1,160 @@
+// Message permalinks: #ep-<N>-m<K>[-<L>] anchors, "Link" action and highlight on arrival
+import { $$, copyText } from '../utils/dom.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+import { getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+import { registerMessageAction } from './message-actions.js';
+
+// Message indices are data-msg (0-based); "-L" extends the link to a range
+const PERMALINK_PATTERN = /^#?ep-(\d+)-m(\d+)(?:-(\d+))?$/;
+const COPY_FEEDBACK_MS = 1200;
+
+let episodeUrl = getEpisodePath;
+let lastCopied = null;
+
+/**
+ * Parse a permalink hash
+ * @param {string} hash - e.g. '#ep-3-m12' or '#ep-3-m12-15'
+ * @returns {Object|null} { epNum, from, to }
+ */
+function parsePermalink(hash) {
+  const match = PERMALINK_PATTERN.exec(String(hash || ''));
+  if (!match) return null;
+  const epNum = Number(match[1]);
+  const start = Number(match[2]);
+  const end = match[3] === undefined ? start : Number(match[3]);
+  if (epNum < 1) return null;
+  return { epNum, from: Math.min(start, end), to: Math.max(start, end) };
+}
+
+/**
+ * Build the hash for one message or a range
+ * @param {number} epNum - Episode number
+ * @param {number} from - First message index
+ * @param {number} [to] - Last message index (defaults to from)
+ * @returns {string} Hash including '#'
+ */
+function getPermalinkHash(epNum, from, to = from) {
+  const start = Math.min(from, to);
+  const end = Math.max(from, to);
+  return end > start ? `#ep-${epNum}-m${start}-${end}` : `#ep-${epNum}-m${start}`;
+}
+
+/**
+ * Absolute URL of a message or range permalink
+ * @param {number} epNum - Episode number
+ * @param {number} from - First message index
+ * @param {number} [to] - Last message index (defaults to from)
+ * @returns {string} URL
+ */
+function getPermalinkUrl(epNum, from, to = from) {
+  return new URL(`${episodeUrl(epNum)}${getPermalinkHash(epNum, from, to)}`, window.location.origin).href;
+}
+
+/* ==========================================================
+   ARRIVAL
+   ========================================================== */
+
+function findDay(epNum) {
+  // Episoden renders every episode twice (newest/chrono): take the visible one
+  const days = $$(`.day[data-ep="${epNum}"]`);
+  return days.find(day => !day.closest('[hidden]')) || days[0] || null;
+}
+
+function clearHighlight() {
+  $$('.permalink-target').forEach(element => element.classList.remove('permalink-target', 'permalink-first'));
+}
+
+/**
+ * Highlight the message(s) named by location.hash, without moving focus
+ * @returns {HTMLElement|null} First highlighted message
+ */
+function highlightPermalink() {
+  const link = parsePermalink(window.location.hash);
+  if (!link) return null;
+  const day = findDay(link.epNum);
+  if (!day) return null;
+  const items = $$('.messages > [data-msg]', day).filter((element) => {
+    const msgIndex = Number(element.dataset.msg);
+    return msgIndex >= link.from && msgIndex <= link.to;
+  });
+  if (items.length === 0) return null;
+
+  clearHighlight();
+  items.forEach((element) => {
+    // Linked messages win over focus mode and a pending replay
+    element.classList.remove('focus-out', 'replay-pending');
+    element.classList.add('permalink-target');
+  });
+  const first = items[0];
+  first.classList.add('permalink-first');
+  return first;
+}
+
+/**
+ * Scroll to, highlight and focus the message(s) named by location.hash
+ * @param {Object} options
+ * @param {boolean} [options.scroll=true] - Scroll the first message into view
+ * @returns {boolean} True if the hash named rendered messages
+ */
+function applyPermalinkArrival({ scroll = true } = {}) {
+  const first = highlightPermalink();
+  if (!first) return false;
+  if (!first.hasAttribute('tabindex')) first.setAttribute('tabindex', '-1');
+  first.focus({ preventScroll: true });
+  if (scroll) {
+    setTimeout(() => first.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' }), 120);
+  }
+  return true;
+}
+
+/* ==========================================================
+   "LINK" ACTION
+   ========================================================== */
+
+async function copyPermalink({ epNum, msgIndex }, button, event) {
+  // Shift+click extends the link from the last copied message of the same episode
+  const from = event?.shiftKey && lastCopied?.epNum === epNum ? lastCopied.msgIndex : msgIndex;
+  lastCopied = { epNum, msgIndex };
+  const hash = getPermalinkHash(epNum, from, msgIndex);
+  const url = getPermalinkUrl(epNum, from, msgIndex);
+
+  const prev = button.textContent;
+  try {
+    await copyText(url);
+    button.textContent = t('share.copied');
+  } catch (error) {
+    console.error('Permalink copy failed', error);
+    button.textContent = t('share.error');
+  }
+  setTimeout(() => { button.textContent = prev; }, COPY_FEEDBACK_MS);
+
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+  highlightPermalink();
+  button.focus();
+}
+
+/**
+ * Wire message permalinks
+ * @param {Object} options
+ * @param {Function} [options.episodeUrl] - Page an episode's permalinks point to (without hash)
+ */
+function initPermalinks({ episodeUrl: urlForEpisode = null } = {}) {
+  if (typeof urlForEpisode === 'function') episodeUrl = urlForEpisode;
+  registerMessageAction({
+    id: 'permalink',
+    label: t('permalinks.action'),
+    title: t('permalinks.actionTitle'),
+    isAvailable: target => target.kind === 'message',
+    run: (target, button, event) => { void copyPermalink(target, button, event); }
+  });
+  applyPermalinkArrival();
+  window.addEventListener('hashchange', () => applyPermalinkArrival());
+  // Hydration and live updates replace the highlighted elements; focus stays where the reader is
+  document.addEventListener('uplink:rendered', () => highlightPermalink());
+  document.addEventListener('uplink:episode-rendered', (event) => {
+    if (parsePermalink(window.location.hash)?.epNum === Number(event.detail.day.dataset.ep)) highlightPermalink();
+  });
+}
+
+export { initPermalinks, parsePermalink, getPermalinkHash, getPermalinkUrl, applyPermalinkArrival };
@@ -0,0 +1,327 @@
+// Reading progress per analyst: read/unread state, bookmarks and "Weiterlesen"
+import { $$, $$withSelf } from '../utils/dom.js';
+import { debounce } from '../utils/animation.js';
+import { padNumber } from '../utils/text.js';
+import { readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { getEpisodeNumber, getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_NAME = 'progress';
+const SEEN_THRESHOLD = 0.6;
+const MESSAGE_SELECTOR = '.message[data-msg]';
+
+let progress = null;
+let observer = null;
+let loadProgressData = null;
+
+function getProgress() {
+  if (!progress) {
+    const stored = readAnalystData(STORAGE_NAME, null);
+    progress = {
+      episodes: stored?.episodes && typeof stored.episodes === 'object' ? stored.episodes : {},
+      last: Number(stored?.last) || null
+    };
+  }
+  return progress;
+}
+
+const saveProgress = debounce(() => {
+  if (progress) writeAnalystData(STORAGE_NAME, progress);
+}, 400);
+
+/**
+ * Stored progress of one episode
+ * @param {number} epNum - Episode number
+ * @returns {Object|null} { seen, total, bookmark } or null if never opened
+ */
+function getEpisodeProgress(epNum) {
+  return getProgress().episodes[String(epNum)] || null;
+}
+
+function ensureEpisodeRecord(epNum, total) {
+  const episodes = getProgress().episodes;
+  const key = String(epNum);
+  if (!episodes[key]) {
+    episodes[key] = { seen: [], total: 0, bookmark: 0 };
+  }
+  if (Number.isInteger(total) && total > 0) {
+    episodes[key].total = total;
+  }
+  return episodes[key];
+}
+
+/**
+ * Share of read messages (0-100)
+ * @param {Object|null} record - Episode progress
+ * @returns {number} Percent
+ */
+function getReadPercent(record) {
+  if (!record || !record.total) return 0;
+  return Math.min(100, Math.round((record.seen.length / record.total) * 100));
+}
+
+function isEpisodeRead(record) {
+  return Boolean(record && record.total > 0 && record.seen.length >= record.total);
+}
+
+/**
+ * First message index the analyst has not seen yet
+ * @param {Object|null} record - Episode progress
+ * @param {number} total - Message count of the episode
+ * @returns {number} Message index (total if everything was read)
+ */
+function getFirstUnreadIndex(record, total) {
+  const seen = new Set(record?.seen || []);
+  for (let i = 0; i < total; i += 1) {
+    if (!seen.has(i)) return i;
+  }
+  return total;
+}
+
+function markSeen(epNum, msgIndex, total) {
+  const record = ensureEpisodeRecord(epNum, total);
+  if (!record.seen.includes(msgIndex)) {
+    record.seen.push(msgIndex);
+    record.seen.sort((a, b) => a - b);
+  }
+  record.bookmark = msgIndex;
+  getProgress().last = epNum;
+  saveProgress();
+}
+
+/* ==========================================================
+   MARKERS
+   ========================================================== */
+
+function renderProgressMarker(record, className) {
+  if (!record || record.seen.length === 0) {
+    return `<span class="${className} progress-badge unread" title="${t('progress.unreadTitle')}">${t('progress.unread')}</span>`;
+  }
+  if (isEpisodeRead(record)) {
+    return `<span class="${className} progress-badge read" title="${t('progress.readTitle')}">${t('progress.read')}</span>`;
+  }
+  const percent = getReadPercent(record);
+  return `<span class="${className} progress-partial" title="${t('progress.partialTitle', { percent })}">`
+    + `<span class="progress-bar" aria-hidden="true"><span class="progress-fill pct-${percent}"></span></span>`
+    + `<span class="progress-label">${percent}%</span>`
+    + '</span>';
+}
+
+function setMarker(host, html, className, before = null) {
+  host.querySelector(`:scope > .${className}`)?.remove();
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  host.insertBefore(template.content, before);
+}
+
+/**
+ * Refresh unread badges / progress bars on timelines and archive buttons
+ * @param {ParentNode} root - Where to look for episodes (default: document)
+ */
+function decorateProgress(root = document) {
+  $$('.day[data-ep] > .day-header', root).forEach((header) => {
+    const epNum = Number(header.parentElement.dataset.ep);
+    setMarker(header, renderProgressMarker(getEpisodeProgress(epNum), 'day-progress'), 'day-progress');
+  });
+
+  $$('.arc-episode[data-ep-num]', root).forEach((button) => {
+    const epNum = Number(button.dataset.epNum);
+    const date = button.querySelector(':scope > .arc-ep-date');
+    setMarker(button, renderProgressMarker(getEpisodeProgress(epNum), 'arc-ep-progress'), 'arc-ep-progress', date);
+  });
+}
+
+const refreshMarkers = debounce(() => decorateProgress(), 250);
+
+/* ==========================================================
+   TRACKING
+   ========================================================== */
+
+function handleIntersections(entries) {
+  let changed = false;
+  entries.forEach((entry) => {
+    if (!entry.isIntersecting || entry.intersectionRatio < SEEN_THRESHOLD) return;
+    const message = entry.target;
+    const day = message.closest('.day[data-ep]');
+    if (!day) return;
+    const epNum = Number(day.dataset.ep);
+    const msgIndex = Number(message.dataset.msg);
+    if (!Number.isInteger(epNum) || !Number.isInteger(msgIndex)) return;
+    markSeen(epNum, msgIndex, day.querySelectorAll(MESSAGE_SELECTOR).length);
+    changed = true;
+  });
+  if (changed) refreshMarkers();
+}
+
+/**
+ * Observe rendered messages and record what the analyst has read
+ * @param {ParentNode} root - Container with rendered episodes
+ */
+function trackReading(root = document) {
+  if (!('IntersectionObserver' in window)) return;
+  if (!observer) {
+    observer = new IntersectionObserver(handleIntersections, { threshold: [SEEN_THRESHOLD] });
+  }
+  $$withSelf('.day[data-ep]', root).forEach((day) => {
+    const total = day.querySelectorAll(MESSAGE_SELECTOR).length;
+    const record = getEpisodeProgress(Number(day.dataset.ep));
+    if (record && total > 0 && record.total !== total) {
+      record.total = total;
+      saveProgress();
+    }
+    day.querySelectorAll(MESSAGE_SELECTOR).forEach(message => observer.observe(message));
+  });
+}
+
+/* ==========================================================
+   CONTINUE READING
+   ========================================================== */
+
+async function collectEpisodeTotals() {
+  const totals = new Map();
+  // Placeholders have no messages yet: their totals come from the data below
+  $$('.day[data-ep]:not([data-virtual])').forEach((day) => {
+    totals.set(Number(day.dataset.ep), day.querySelectorAll(MESSAGE_SELECTOR).length);
+  });
+  if (typeof loadProgressData === 'function') {
+    try {
+      const { episodes } = await loadProgressData();
+      (episodes || []).forEach((episode, i) => {
+        const epNum = getEpisodeNumber(episode, i);
+        if (!totals.has(epNum)) totals.set(epNum, (episode?.messages || []).length);
+      });
+    } catch (error) {
+      console.warn('Progress: episode list unavailable', error);
+    }
+  }
+  return new Map([...totals.entries()].sort((a, b) => a[0] - b[0]));
+}
+
+/**
+ * Find the first unread message, starting with the last opened episode
+ * @returns {Promise<Object|null>} { epNum, msgIndex } or null
+ */
+async function findContinueTarget() {
+  const state = getProgress();
+  if (Object.keys(state.episodes).length === 0) return null;
+
+  const totals = await collectEpisodeTotals();
+  const unreadIn = (epNum) => {
+    const total = totals.get(epNum) || 0;
+    const msgIndex = getFirstUnreadIndex(getEpisodeProgress(epNum), total);
+    return msgIndex < total ? { epNum, msgIndex } : null;
+  };
+
+  if (state.last && totals.has(state.last)) {
+    const target = unreadIn(state.last);
+    if (target) return target;
+  }
+  for (const epNum of totals.keys()) {
+    const target = unreadIn(epNum);
+    if (target) return target;
+  }
+  return null;
+}
+
+function findMessageElement(epNum, msgIndex) {
+  const matches = $$(`.day[data-ep="${epNum}"] [data-msg="${msgIndex}"]`);
+  return matches.find(el => el.getClientRects().length > 0) || matches[0] || null;
+}
+
+function jumpToMessage(epNum, msgIndex) {
+  const target = findMessageElement(epNum, msgIndex);
+  if (target) {
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
+  }
+  window.location.href = `${getEpisodePath(epNum)}?m=${msgIndex}`;
+}
+
+function renderContinueBar(anchor, label, onClick) {
+  document.getElementById('continue-reading')?.remove();
+  const bar = document.createElement('div');
+  bar.className = 'continue-reading';
+  bar.id = 'continue-reading';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'continue-btn';
+  button.innerHTML = '<span class="continue-icon" aria-hidden="true">&#9654;</span>';
+  button.append(label);
+  button.addEventListener('click', onClick);
+  bar.appendChild(button);
+  anchor.parentNode.insertBefore(bar, anchor);
+}
+
+async function initContinueReading() {
+  const liveTimeline = document.getElementById('timeline-live');
+  if (liveTimeline) {
+    const target = await findContinueTarget();
+    if (!target) return;
+    renderContinueBar(
+      liveTimeline,
+      t('progress.continueLive', { ep: padNumber(target.epNum), msg: target.msgIndex + 1 }),
+      () => jumpToMessage(target.epNum, target.msgIndex)
+    );
+    return;
+  }
+
+  // Episode page: offer the stored bookmark unless a link already targets a message
+  const episodeTimeline = document.getElementById('timeline-episode');
+  const day = episodeTimeline?.querySelector('.day[data-ep]');
+  if (!day || new URLSearchParams(window.location.search).has('m')) return;
+  const epNum = Number(day.dataset.ep);
+  const record = getEpisodeProgress(epNum);
+  if (!record || record.bookmark <= 0 || isEpisodeRead(record)) return;
+  renderContinueBar(
+    episodeTimeline,
+    t('progress.continueEpisode', { msg: record.bookmark + 1 }),
+    () => jumpToMessage(epNum, record.bookmark)
+  );
+}
+
+/**
+ * Scroll to ?m=<index> on episode pages (links from "Weiterlesen")
+ * @param {HTMLElement} root - Container holding the rendered episode
+ */
+function applyProgressArrival(root) {
+  const params = new URLSearchParams(window.location.search);
+  const msgRaw = params.get('m') || '';
+  if (params.has('hl') || !/^\d+$/.test(msgRaw) || !(root instanceof HTMLElement)) return;
+  const target = root.querySelector(`[data-msg="${msgRaw}"]`);
+  if (target) {
+    setTimeout(() => target.scrollIntoView({ behavior: 'smooth', block: 'center' }), 120);
+  }
+}
+
+/**
+ * Wire reading progress for the current page
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { episodes } (optional)
+ */
+function initProgress({ loadData = null } = {}) {
+  loadProgressData = loadData;
+  decorateProgress();
+  trackReading();
+  void initContinueReading();
+
+  // Pages re-rendered from JSON replace the observed elements
+  document.addEventListener('uplink:rendered', (event) => {
+    decorateProgress();
+    trackReading();
+    // A page swapped in by the router gets its own "continue reading" offer
+    if (event.detail?.transition) void initContinueReading();
+  });
+  document.addEventListener('uplink:episode-rendered', (event) => {
+    decorateProgress(event.detail.day);
+    trackReading(event.detail.day);
+  });
+}
+
+export {
+  initProgress,
+  decorateProgress,
+  trackReading,
+  getEpisodeProgress,
+  getReadPercent,
+  applyProgressArrival
+};
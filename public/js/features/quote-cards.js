@@ -0,0 +1,463 @@
+// Quote cards: render selected messages as a shareable image (canvas, Web Share API, download)
+import { $, $$, escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { padNumber } from '../utils/text.js';
+import { t } from '../utils/i18n.js';
+import { registerMessageAction } from './message-actions.js';
+import { getPermalinkUrl } from './permalinks.js';
+
+const MAX_MESSAGES = 4;
+const CARD_WIDTH = 1200;
+const CARD_MIN_HEIGHT = 630;
+const CARD_PADDING = 64;
+const AVATAR_SIZE = 56;
+const AVATARS = {
+  nexus: '/assets/avatars/nexus-avatar.svg',
+  cipher: '/assets/avatars/cipher-avatar.svg'
+};
+
+let selection = { epNum: null, indices: [] };
+let tray = null;
+let overlay = null;
+let releaseFocus = null;
+let card = null;
+
+/* ==========================================================
+   SELECTION
+   ========================================================== */
+
+function findDay(epNum) {
+  const days = $$(`.day[data-ep="${epNum}"]`);
+  return days.find(day => !day.closest('[hidden]')) || days[0] || null;
+}
+
+function applySelection() {
+  $$('.quote-selected').forEach(element => element.classList.remove('quote-selected'));
+  const day = selection.epNum === null ? null : findDay(selection.epNum);
+  if (day) {
+    selection.indices.forEach((msgIndex) => {
+      day.querySelector(`.messages > .message[data-msg="${msgIndex}"]`)?.classList.add('quote-selected');
+    });
+  }
+  renderTray();
+}
+
+function clearSelection() {
+  selection = { epNum: null, indices: [] };
+  applySelection();
+}
+
+function toggleSelection({ epNum, msgIndex }) {
+  if (selection.epNum !== epNum) {
+    // A card quotes one episode: picking in another one starts over
+    selection = { epNum, indices: [] };
+  }
+  const { indices } = selection;
+  if (indices.includes(msgIndex)) {
+    selection.indices = indices.filter(index => index !== msgIndex);
+  } else if (indices.length < MAX_MESSAGES) {
+    selection.indices = [...indices, msgIndex].sort((a, b) => a - b);
+  } else {
+    renderTray(t('quote.limit', { max: MAX_MESSAGES }));
+    return;
+  }
+  if (selection.indices.length === 0) selection.epNum = null;
+  applySelection();
+}
+
+function renderTray(notice = '') {
+  const count = selection.indices.length;
+  if (!tray) {
+    tray = document.createElement('div');
+    tray.className = 'quote-tray';
+    tray.id = 'quote-tray';
+    tray.setAttribute('role', 'region');
+    tray.setAttribute('aria-label', t('share.quote'));
+    tray.innerHTML = `
+      <span class="quote-tray-count" aria-live="polite"></span>
+      <button type="button" class="quote-btn" data-quote="create">${t('quote.create')}</button>
+      <button type="button" class="quote-btn secondary" data-quote="clear">${t('quote.clear')}</button>`;
+    tray.querySelector('[data-quote="create"]').addEventListener('click', () => {
+      void openQuoteCard(selection.epNum, selection.indices);
+    });
+    tray.querySelector('[data-quote="clear"]').addEventListener('click', clearSelection);
+    document.body.appendChild(tray);
+  }
+  tray.hidden = count === 0;
+  const label = t('quote.selected', { ep: padNumber(selection.epNum), count });
+  tray.querySelector('.quote-tray-count').textContent = notice ? `${label} - ${notice}` : label;
+}
+
+/* ==========================================================
+   CARD DATA
+   ========================================================== */
+
+function getPlainText(element) {
+  if (!element) return '';
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  return clone.textContent.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function getAuthorId(element) {
+  if (element.classList.contains('message-system')) return 'system';
+  const authorClass = Array.from(element.classList).find(name => name.startsWith('message-') && name !== 'message-system');
+  return authorClass ? authorClass.slice('message-'.length) : 'nexus';
+}
+
+/**
+ * Collect what the card shows from the rendered messages
+ * @param {number} epNum - Episode number
+ * @param {Array<number>} indices - Message indices (data-msg)
+ * @returns {Object|null} { epNum, title, date, url, messages }
+ */
+function collectCardData(epNum, indices) {
+  const day = findDay(epNum);
+  if (!day) return null;
+  const messages = indices
+    .map(msgIndex => day.querySelector(`.messages > .message[data-msg="${msgIndex}"]`))
+    .filter(Boolean)
+    .map((element) => {
+      const authorId = getAuthorId(element);
+      return {
+        authorId,
+        author: authorId === 'system' ? 'SYSTEM' : getPlainText(element.querySelector('.message-author')) || authorId.toUpperCase(),
+        text: getPlainText(element.querySelector('.message-text'))
+      };
+    })
+    .filter(message => message.text);
+  if (messages.length === 0) return null;
+  return {
+    epNum,
+    title: getPlainText(day.querySelector('.day-title')),
+    date: getPlainText(day.querySelector('.day-date')),
+    url: getPermalinkUrl(epNum, indices[0], indices[indices.length - 1]),
+    messages
+  };
+}
+
+/* ==========================================================
+   CANVAS
+   ========================================================== */
+
+function readCssVar(name, fallback) {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  return value || fallback;
+}
+
+function loadImage(src) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+}
+
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  text.split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      let candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      // Words wider than the column (hashes, URLs) break anywhere
+      candidate = word;
+      while (ctx.measureText(candidate).width > maxWidth && candidate.length > 1) {
+        let cut = candidate.length - 1;
+        while (cut > 1 && ctx.measureText(candidate.slice(0, cut)).width > maxWidth) cut -= 1;
+        lines.push(candidate.slice(0, cut));
+        candidate = candidate.slice(cut);
+      }
+      line = candidate;
+    });
+    lines.push(line);
+  });
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = `${kept[maxLines - 1]}...`;
+  while (ctx.measureText(last).width > maxWidth && last.length > 3) last = `${last.slice(0, -4)}...`;
+  kept[maxLines - 1] = last;
+  return kept;
+}
+
+function drawAvatar(ctx, image, message, x, y, color) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x + AVATAR_SIZE / 2, y + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2);
+  ctx.closePath();
+  if (image) {
+    ctx.clip();
+    ctx.drawImage(image, x, y, AVATAR_SIZE, AVATAR_SIZE);
+  } else {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message.author.charAt(0), x + AVATAR_SIZE / 2, y + AVATAR_SIZE / 2 + 1);
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw the quote card
+ * @param {Object} data - From collectCardData()
+ * @returns {Promise<HTMLCanvasElement|null>} Canvas, or null without 2D canvas support
+ */
+async function drawCard(data) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+  if (!ctx) return null;
+  if (document.fonts?.ready) await document.fonts.ready;
+
+  const font = readCssVar('--font-mono', 'Menlo, Consolas, monospace');
+  const colors = {
+    bg: readCssVar('--color-bg', '#050505'),
+    panel: readCssVar('--color-terminal', '#0a0c0a'),
+    text: 'rgba(255, 255, 255, 0.92)',
+    dim: 'rgba(255, 255, 255, 0.55)',
+    nexus: readCssVar('--color-nexus', '#00ff41'),
+    cipher: readCssVar('--color-cipher', '#d17aff'),
+    system: readCssVar('--color-system', 'rgba(255, 200, 0, 0.5)')
+  };
+  const single = data.messages.length === 1;
+  const textSize = single ? 30 : 24;
+  const lineHeight = Math.round(textSize * 1.45);
+  const maxLines = single ? 9 : 5;
+  const textX = CARD_PADDING + AVATAR_SIZE + 24;
+  const textWidth = CARD_WIDTH - textX - CARD_PADDING;
+  const avatars = await Promise.all(data.messages.map(message => (AVATARS[message.authorId] ? loadImage(AVATARS[message.authorId]) : null)));
+
+  // Measure first: the card grows with the quoted text
+  ctx.font = `${textSize}px ${font}`;
+  const blocks = data.messages.map(message => wrapText(ctx, message.text, textWidth, maxLines));
+  const headerHeight = 120;
+  const footerHeight = 90;
+  const bodyHeight = blocks.reduce((sum, lines) => sum + 34 + Math.max(lines.length * lineHeight, AVATAR_SIZE - 34) + 28, 0);
+  canvas.width = CARD_WIDTH;
+  canvas.height = Math.max(CARD_MIN_HEIGHT, headerHeight + bodyHeight + footerHeight);
+
+  ctx.fillStyle = colors.bg;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = colors.panel;
+  ctx.fillRect(24, 24, canvas.width - 48, canvas.height - 48);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(24.5, 24.5, canvas.width - 49, canvas.height - 49);
+  ctx.fillStyle = colors.nexus;
+  ctx.fillRect(24, 24, 3, canvas.height - 48);
+
+  // Header: UPLINK // EP.005 ... date, title below
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.font = `bold 22px ${font}`;
+  ctx.fillStyle = colors.nexus;
+  ctx.fillText(`UPLINK // EP.${padNumber(data.epNum)}`, CARD_PADDING, 78);
+  ctx.font = `18px ${font}`;
+  ctx.fillStyle = colors.dim;
+  if (data.date) {
+    ctx.textAlign = 'right';
+    ctx.fillText(data.date, CARD_WIDTH - CARD_PADDING, 78);
+    ctx.textAlign = 'left';
+  }
+  if (data.title) ctx.fillText(wrapText(ctx, data.title, CARD_WIDTH - CARD_PADDING * 2, 1)[0], CARD_PADDING, 106);
+
+  // Messages
+  let y = headerHeight + 24;
+  data.messages.forEach((message, index) => {
+    const color = colors[message.authorId] || colors.dim;
+    ctx.font = `bold 20px ${font}`;
+    drawAvatar(ctx, avatars[index], message, CARD_PADDING, y, color);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = color;
+    ctx.fillText(message.author, textX, y + 20);
+    ctx.font = `${textSize}px ${font}`;
+    ctx.fillStyle = message.authorId === 'system' ? colors.system : colors.text;
+    blocks[index].forEach((line, lineIndex) => {
+      ctx.fillText(line, textX, y + 34 + lineHeight * (lineIndex + 1) - (lineHeight - textSize));
+    });
+    y += 34 + Math.max(blocks[index].length * lineHeight, AVATAR_SIZE - 34) + 28;
+  });
+
+  // Footer: permalink
+  ctx.font = `16px ${font}`;
+  ctx.fillStyle = colors.dim;
+  ctx.fillText(data.url.replace(/^https?:\/\//, ''), CARD_PADDING, canvas.height - 58);
+  return canvas;
+}
+
+/* ==========================================================
+   PREVIEW, SHARE, DOWNLOAD
+   ========================================================== */
+
+function setStatus(text) {
+  overlay.querySelector('.search-status').textContent = text;
+}
+
+function closeQuoteCard() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  document.body.classList.remove('search-open');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+  if (card?.objectUrl) URL.revokeObjectURL(card.objectUrl);
+  card = null;
+}
+
+function downloadCard() {
+  if (!card) return;
+  const link = document.createElement('a');
+  link.href = card.objectUrl;
+  link.download = card.file.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+async function shareCard() {
+  if (!card) return;
+  try {
+    await navigator.share({
+      files: [card.file],
+      title: `UPLINK EP.${padNumber(card.data.epNum)}`,
+      text: card.data.title ? `UPLINK EP.${padNumber(card.data.epNum)}: ${card.data.title}` : '',
+      url: card.data.url
+    });
+  } catch (error) {
+    // Closing the share sheet is not an error worth reporting
+    if (error?.name === 'AbortError') return;
+    console.error('Quote card share failed', error);
+    setStatus(t('quote.shareFailed'));
+  }
+}
+
+function renderOverlay() {
+  const el = document.createElement('div');
+  el.className = 'search-overlay quote-overlay';
+  el.id = 'quote-overlay';
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="search-panel" role="dialog" aria-modal="true" aria-labelledby="quote-title">
+      <div class="search-head">
+        <div>
+          <span class="search-eyebrow">// ${t('share.quote')}</span>
+          <h2 id="quote-title"></h2>
+        </div>
+        <button type="button" class="search-close" aria-label="${t('quote.close')}">ESC</button>
+      </div>
+      <div class="search-status" aria-live="polite"></div>
+      <div class="quote-preview"></div>
+      <div class="quote-actions">
+        <button type="button" class="quote-btn" data-quote="share" hidden>${t('share.label')}</button>
+        <button type="button" class="quote-btn" data-quote="download">${t('quote.download')}</button>
+      </div>
+    </div>`;
+  el.querySelector('[data-quote="share"]').addEventListener('click', () => { void shareCard(); });
+  el.querySelector('[data-quote="download"]').addEventListener('click', downloadCard);
+  el.querySelector('.search-close').addEventListener('click', closeQuoteCard);
+  el.addEventListener('click', (event) => {
+    if (event.target === el) closeQuoteCard();
+  });
+  return el;
+}
+
+/**
+ * Render and preview a quote card
+ * @param {number} epNum - Episode number
+ * @param {Array<number>} indices - Message indices (data-msg)
+ */
+async function openQuoteCard(epNum, indices) {
+  const data = collectCardData(epNum, indices);
+  if (!data) return;
+  if (!overlay) {
+    overlay = renderOverlay();
+    document.body.appendChild(overlay);
+  }
+  if (card?.objectUrl) URL.revokeObjectURL(card.objectUrl);
+  card = null;
+  overlay.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(overlay, closeQuoteCard);
+  }
+  const count = data.messages.length;
+  overlay.querySelector('#quote-title').textContent = `EP.${padNumber(epNum)} - ${t('quote.messages', { count })}`;
+  overlay.querySelector('.quote-preview').innerHTML = '';
+  overlay.querySelector('[data-quote="share"]').hidden = true;
+  overlay.querySelector('[data-quote="download"]').disabled = true;
+  setStatus(t('quote.rendering'));
+  overlay.querySelector('.search-close').focus();
+
+  const canvas = await drawCard(data);
+  const blob = canvas ? await new Promise(resolve => canvas.toBlob(resolve, 'image/png')) : null;
+  if (!blob) {
+    setStatus(t('quote.unsupported'));
+    return;
+  }
+  const file = new File([blob], `uplink-ep${padNumber(epNum)}-m${indices[0]}.png`, { type: 'image/png' });
+  card = { data, file, objectUrl: URL.createObjectURL(blob) };
+  overlay.querySelector('.quote-preview').innerHTML = `<img src="${card.objectUrl}" alt="${escapeHtml(`${t('share.quote')} EP.${padNumber(epNum)}: ${data.messages.map(message => `${message.author}: ${message.text}`).join(' / ')}`)}">`;
+  overlay.querySelector('[data-quote="share"]').hidden = !(navigator.canShare?.({ files: [file] }));
+  overlay.querySelector('[data-quote="download"]').disabled = false;
+  setStatus('');
+}
+
+/* ==========================================================
+   SHARE BOX
+   ========================================================== */
+
+function handleShareQuote(button) {
+  const day = button.closest('.day[data-ep]');
+  if (!day) return;
+  const epNum = Number(day.dataset.ep);
+  if (selection.epNum === epNum && selection.indices.length > 0) {
+    void openQuoteCard(epNum, selection.indices);
+    return;
+  }
+  // Nothing picked yet: quote the opening line of the episode
+  const first = $$('.messages > .message[data-msg]', day).find(element => !element.classList.contains('message-system'))
+    || $('.messages > .message[data-msg]', day);
+  if (first) void openQuoteCard(epNum, [Number(first.dataset.msg)]);
+}
+
+function revealShareButtons(root = document) {
+  $$('.episode-share-quote', root).forEach((button) => { button.hidden = false; });
+}
+
+/**
+ * Wire quote cards (message action, selection tray, share box button)
+ */
+function initQuoteCards() {
+  if (typeof HTMLCanvasElement === 'undefined' || !('toBlob' in HTMLCanvasElement.prototype)) return;
+  registerMessageAction({
+    id: 'quote',
+    label: t('quote.action'),
+    title: t('quote.actionTitle', { max: MAX_MESSAGES }),
+    isAvailable: target => target.kind === 'message',
+    run: target => toggleSelection(target)
+  });
+  revealShareButtons();
+  document.addEventListener('click', (event) => {
+    const button = event.target instanceof HTMLElement ? event.target.closest('.episode-share-quote') : null;
+    if (button) handleShareQuote(button);
+  });
+  document.addEventListener('uplink:rendered', () => {
+    revealShareButtons();
+    applySelection();
+  });
+  document.addEventListener('uplink:episode-rendered', (event) => {
+    const { day } = event.detail;
+    revealShareButtons(day);
+    if (selection.epNum === Number(day.dataset.ep)) applySelection();
+  });
+}
+
+export { initQuoteCards, openQuoteCard };
@@ -0,0 +1,312 @@
+// Replay mode: play an episode back message by message, paced by its timestamps
+import { $$, $$withSelf } from '../utils/dom.js';
+import { wait, nextFrame } from '../utils/animation.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+import { getEpisodeNumber } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+import { playSound } from './sound.js';
+
+const SPEEDS = [1, 2, 4];
+const TICK_MS = 50;
+// One second of recorded time plays back as 100 ms
+const TIME_COMPRESSION = 0.1;
+const MIN_GAP_MS = 600;
+const MAX_GAP_MS = 4000;
+const FALLBACK_MS_PER_CHAR = 18;
+const REDUCED_MOTION_GAP_MS = 900;
+const TYPE_CHARS_PER_FRAME = 6;
+const FADE_STEPS = 21;
+
+let loadReplayData = null;
+let active = null;
+
+/**
+ * Message timestamps of an episode (ms since epoch, null if unknown)
+ * @param {number} epNum - Episode number
+ * @returns {Promise<Array<number|null>>} One entry per message
+ */
+async function getMessageTimes(epNum) {
+  if (typeof loadReplayData !== 'function') return [];
+  try {
+    const { episodes } = await loadReplayData();
+    const episode = (episodes || []).find((ep, i) => getEpisodeNumber(ep, i) === epNum);
+    return (episode?.messages || []).map((msg) => {
+      const time = Date.parse(msg?.timestamp || '');
+      return Number.isFinite(time) ? time : null;
+    });
+  } catch (error) {
+    console.warn('Replay: timestamps unavailable', error);
+    return [];
+  }
+}
+
+/**
+ * Playback delay before a message: real gap compressed, else text length
+ * @param {Array<number|null>} times - Message timestamps
+ * @param {number} msgIndex - Message index
+ * @param {HTMLElement} element - Rendered message
+ * @returns {number} Delay in ms at 1x
+ */
+function getGapMs(times, msgIndex, element) {
+  if (msgIndex === 0) return MIN_GAP_MS;
+  if (prefersReducedMotion()) return REDUCED_MOTION_GAP_MS;
+  const current = times[msgIndex];
+  const previous = times[msgIndex - 1];
+  const raw = current !== null && current !== undefined && previous !== null && previous !== undefined
+    ? (current - previous) * TIME_COMPRESSION
+    : (element.textContent || '').trim().length * FALLBACK_MS_PER_CHAR;
+  return Math.min(MAX_GAP_MS, Math.max(MIN_GAP_MS, raw));
+}
+
+/* ==========================================================
+   PLAYBACK
+   ========================================================== */
+
+/**
+ * Wait for a playback delay; honours pause, speed changes and skip
+ * @param {Object} session - Active replay
+ * @param {number} ms - Delay at 1x
+ * @returns {Promise<void>}
+ */
+async function playbackWait(session, ms) {
+  let remaining = ms;
+  while (remaining > 0 && !session.stopped && !session.skip) {
+    await wait(TICK_MS);
+    if (!session.paused) remaining -= TICK_MS * session.speed;
+  }
+  session.skip = false;
+}
+
+function scrollIntoViewIfNeeded(element) {
+  element.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'nearest' });
+}
+
+function getAuthorId(message) {
+  const authorClass = Array.from(message.classList).find(name => name.startsWith('message-'));
+  return authorClass ? authorClass.slice('message-'.length) : '';
+}
+
+function showTyping(session, message) {
+  const author = message.querySelector('.message-author')?.textContent || '';
+  const typing = document.createElement('div');
+  const authorId = getAuthorId(message);
+  typing.className = `replay-typing${authorId ? ` from-${authorId}` : ''}`;
+  typing.setAttribute('aria-hidden', 'true');
+  typing.innerHTML = '<span class="replay-typing-author"></span><span class="replay-typing-dots"><span></span><span></span><span></span></span>';
+  typing.querySelector('.replay-typing-author').textContent = author ? t('replay.typing', { author }) : t('replay.incoming');
+  message.parentNode.insertBefore(typing, message);
+  session.typing = typing;
+  scrollIntoViewIfNeeded(typing);
+}
+
+function hideTyping(session) {
+  session.typing?.remove();
+  session.typing = null;
+}
+
+function revealElement(element) {
+  // Leaving display:none restarts the fade-in from 04-effects.css
+  element.classList.remove('replay-pending');
+}
+
+/**
+ * Type a terminal block out character by character
+ * @param {Object} session - Active replay
+ * @param {HTMLElement} wrap - .terminal-block-wrap
+ */
+async function typeTerminalBlock(session, wrap) {
+  const block = wrap.querySelector('.terminal-block');
+  revealElement(wrap);
+  if (!block || prefersReducedMotion()) return;
+  const full = block.textContent || '';
+  let shown = 0;
+  block.classList.add('replay-typing-out');
+  while (shown < full.length && !session.stopped && !session.skip) {
+    if (!session.paused) {
+      shown = Math.min(full.length, shown + TYPE_CHARS_PER_FRAME * session.speed);
+      block.textContent = full.slice(0, shown);
+    }
+    await nextFrame();
+  }
+  session.skip = false;
+  block.textContent = full;
+  block.classList.remove('replay-typing-out');
+}
+
+async function playItem(session, item) {
+  const { element } = item;
+  if (element.classList.contains('message')) {
+    const delay = getGapMs(session.times, item.msgIndex, element);
+    const isChat = !element.classList.contains('message-system');
+    if (isChat && !prefersReducedMotion()) showTyping(session, element);
+    await playbackWait(session, delay);
+    hideTyping(session);
+    if (session.stopped) return;
+    // The restarted fade-in plays the author chirp (features/sound.js)
+    revealElement(element);
+    scrollIntoViewIfNeeded(element);
+    return;
+  }
+  if (element.classList.contains('terminal-block-wrap')) {
+    await playbackWait(session, prefersReducedMotion() ? REDUCED_MOTION_GAP_MS : MIN_GAP_MS);
+    if (session.stopped) return;
+    scrollIntoViewIfNeeded(element);
+    playSound('terminal');
+    await typeTerminalBlock(session, element);
+    return;
+  }
+  // Analyst notes and other annotations follow their message right away
+  revealElement(element);
+}
+
+/**
+ * Show everything that has not been played yet (staggered fade-in)
+ * @param {Object} session - Replay to finish
+ */
+function revealRemaining(session) {
+  hideTyping(session);
+  session.items.slice(session.index).forEach(({ element }, step) => {
+    element.classList.remove('replay-pending');
+    if (element.classList.contains('message')) {
+      element.classList.add(`fade-step-${Math.min(step, FADE_STEPS - 1)}`);
+    }
+  });
+}
+
+async function runSession(session) {
+  while (session.index < session.items.length && !session.stopped) {
+    const item = session.items[session.index];
+    await playItem(session, item);
+    if (session.stopped) break;
+    session.index += 1;
+  }
+  finishSession(session);
+}
+
+/* ==========================================================
+   CONTROLS
+   ========================================================== */
+
+function renderControls(bar, session) {
+  const playing = Boolean(session) && !session.paused;
+  bar.classList.toggle('active', Boolean(session));
+  if (!session) {
+    bar.innerHTML = '<button type="button" class="replay-btn" data-replay="start">'
+      + `<span aria-hidden="true">&#9654;</span> ${t('replay.start')}</button>`;
+    return;
+  }
+  bar.innerHTML = `
+    <span class="replay-status" aria-live="polite">// ${playing ? t('replay.playing') : t('replay.paused')}</span>
+    <button type="button" class="replay-btn" data-replay="toggle" aria-pressed="${playing ? 'false' : 'true'}">${playing ? t('replay.pause') : t('replay.resume')}</button>
+    <button type="button" class="replay-btn" data-replay="speed" title="${t('replay.speed')}">${session.speed}x</button>
+    <button type="button" class="replay-btn" data-replay="skip">${t('replay.skip')}</button>
+    <button type="button" class="replay-btn secondary" data-replay="stop">${t('replay.stop')}</button>`;
+}
+
+function finishSession(session) {
+  if (!session || session.finished) return;
+  session.finished = true;
+  session.stopped = true;
+  revealRemaining(session);
+  session.day.classList.remove('replay-active');
+  renderControls(session.bar, null);
+  if (active === session) active = null;
+}
+
+async function startSession(day, bar) {
+  if (active) finishSession(active);
+
+  const messages = day.querySelector('.messages');
+  if (!messages) return;
+  const items = Array.from(messages.children)
+    .filter(element => element.matches('.message, .terminal-block-wrap, .analyst-note'))
+    .map(element => ({ element, msgIndex: Number(element.dataset.msg) }));
+  if (items.length === 0) return;
+
+  const session = {
+    day,
+    bar,
+    items,
+    index: 0,
+    times: [],
+    speed: SPEEDS[0],
+    paused: false,
+    skip: false,
+    stopped: false,
+    finished: false,
+    typing: null
+  };
+  active = session;
+
+  items.forEach(({ element }) => element.classList.add('replay-pending'));
+  day.classList.add('replay-active');
+  renderControls(bar, session);
+  day.querySelector('.day-header')?.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+
+  session.times = await getMessageTimes(Number(day.dataset.ep));
+  await runSession(session);
+}
+
+function handleBarClick(event) {
+  const button = event.target instanceof HTMLElement ? event.target.closest('[data-replay]') : null;
+  if (!button) return;
+  const bar = event.currentTarget;
+  const day = bar.closest('.day[data-ep]');
+  const action = button.dataset.replay;
+
+  if (action === 'start') {
+    void startSession(day, bar);
+    return;
+  }
+  if (!active || active.day !== day) return;
+  if (action === 'toggle') {
+    active.paused = !active.paused;
+  } else if (action === 'speed') {
+    active.speed = SPEEDS[(SPEEDS.indexOf(active.speed) + 1) % SPEEDS.length];
+  } else if (action === 'skip') {
+    active.skip = true;
+  } else if (action === 'stop') {
+    finishSession(active);
+    return;
+  }
+  renderControls(bar, active);
+  bar.querySelector(`[data-replay="${action}"]`)?.focus();
+}
+
+/**
+ * Add the replay control to every rendered episode
+ * @param {ParentNode} root - Where to look for episodes
+ */
+function decorateReplay(root = document) {
+  // Timeline placeholders get their bar once rendered
+  $$withSelf('.day[data-ep]:not([data-virtual])', root).forEach((day) => {
+    const header = day.querySelector(':scope > .day-header');
+    if (!header || day.querySelector(':scope > .replay-bar')) return;
+    const bar = document.createElement('div');
+    bar.className = 'replay-bar';
+    bar.addEventListener('click', handleBarClick);
+    renderControls(bar, null);
+    header.after(bar);
+  });
+}
+
+/**
+ * Wire replay mode
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { episodes } for message timestamps (optional)
+ */
+function initReplay({ loadData = null } = {}) {
+  loadReplayData = loadData;
+  decorateReplay();
+  document.addEventListener('uplink:rendered', () => {
+    // Re-rendered timelines drop the running replay's elements
+    if (active && !active.day.isConnected) {
+      active.stopped = true;
+      active = null;
+    }
+    decorateReplay();
+  });
+  document.addEventListener('uplink:episode-rendered', event => decorateReplay(event.detail.day));
+}
+
+export { initReplay };
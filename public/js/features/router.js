@@ -0,0 +1,239 @@
+// Page transitions: fetch the pre-rendered page and swap #main-content instead of reloading
+import { $, $$ } from '../utils/dom.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+
+const CONTENT_SELECTOR = '#main-content';
+const NAV_LINK_SELECTOR = '#nav-tabs a.nav-tab';
+// Head elements that differ per page; the rest of <head> is shared
+const HEAD_SELECTORS = ['meta[name="description"]', 'link[rel="canonical"]'];
+
+let options = { isRoutable: () => false, onLeave: null, onSwap: null };
+let active = false;
+let controller = null;
+let navigationId = 0;
+// Page currently shown (path + query); hash-only history entries stay on it
+let shownPage = '';
+
+function toPageKey(url) {
+  return `${url.pathname.replace(/\/index\.html$/, '/')}${url.search}`;
+}
+
+/**
+ * Remember where the reader was in the current history entry
+ */
+function saveScrollPosition() {
+  window.history.replaceState({ ...(window.history.state || {}), scrollY: window.scrollY }, '', window.location.href);
+}
+
+/* ==========================================================
+   SWAP
+   ========================================================== */
+
+/**
+ * Fetch and parse a pre-rendered page
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal
+ * @returns {Promise<Document>}
+ */
+async function fetchPage(url, signal) {
+  const response = await fetch(url, { credentials: 'same-origin', signal, headers: { Accept: 'text/html' } });
+  if (!response.ok) {
+    throw new Error(`Request failed (${response.status}): ${url}`);
+  }
+  const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+  if (!page.querySelector(CONTENT_SELECTOR) || !page.body.dataset.page) {
+    throw new Error(`Not a site page: ${url}`);
+  }
+  return page;
+}
+
+// Tabs link to "#anchor" on their own page: take href, class and aria-current from the new page
+function syncNavigation(page) {
+  const current = $$(NAV_LINK_SELECTOR);
+  const next = $$(NAV_LINK_SELECTOR, page);
+  if (current.length !== next.length) return;
+  current.forEach((link, index) => {
+    link.setAttribute('href', next[index].getAttribute('href'));
+    link.className = next[index].className;
+    const ariaCurrent = next[index].getAttribute('aria-current');
+    if (ariaCurrent) {
+      link.setAttribute('aria-current', ariaCurrent);
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+function syncHead(page) {
+  document.title = page.title;
+  HEAD_SELECTORS.forEach((selector) => {
+    const current = document.head.querySelector(selector);
+    const next = page.head.querySelector(selector);
+    if (current && next) [...next.attributes].forEach(({ name, value }) => current.setAttribute(name, value));
+  });
+}
+
+function swapPage(page) {
+  const content = $(CONTENT_SELECTOR);
+  content.replaceChildren(...[...page.querySelector(CONTENT_SELECTOR).childNodes].map(node => document.importNode(node, true)));
+  document.body.dataset.page = page.body.dataset.page;
+  syncNavigation(page);
+  syncHead(page);
+}
+
+function scrollAfterSwap(url, scrollY) {
+  if (Number.isFinite(scrollY)) {
+    window.scrollTo(0, scrollY);
+    return;
+  }
+  const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+  if (target) {
+    target.scrollIntoView({ block: 'start' });
+  } else {
+    window.scrollTo(0, 0);
+  }
+}
+
+/**
+ * Run a DOM update as a view transition where supported
+ * @param {Function} update - Synchronous DOM update
+ * @returns {Promise<void>} Resolves once the update ran
+ */
+function runTransition(update) {
+  if (typeof document.startViewTransition !== 'function' || prefersReducedMotion()) {
+    update();
+    return Promise.resolve();
+  }
+  return document.startViewTransition(update).updateCallbackDone;
+}
+
+function trackPageView(referrer) {
+  // Matomo (public/js/vendor/matomo.js) only counts the first load on its own
+  if (!Array.isArray(window._paq)) return;
+  window._paq.push(['setReferrerUrl', referrer]);
+  window._paq.push(['setCustomUrl', window.location.href]);
+  window._paq.push(['setDocumentTitle', document.title]);
+  window._paq.push(['trackPageView']);
+}
+
+/* ==========================================================
+   NAVIGATION
+   ========================================================== */
+
+/**
+ * Show another page without a full reload (falls back to one on any failure)
+ * @param {string} href - Target URL
+ * @param {Object} [navigation]
+ * @param {boolean} [navigation.replace=false] - Replace the current history entry
+ * @param {Object|null} [navigation.restore=null] - History state to return to (back/forward)
+ * @returns {Promise<boolean>} True if the page was swapped in place
+ */
+async function routeTo(href, { replace = false, restore = null } = {}) {
+  const url = new URL(href, window.location.href);
+  if (!active) {
+    window.location.assign(url.href);
+    return false;
+  }
+  const id = ++navigationId;
+  controller?.abort();
+  controller = new AbortController();
+  const referrer = window.location.href;
+
+  let page;
+  try {
+    page = await fetchPage(url.href, controller.signal);
+  } catch (error) {
+    if (error.name === 'AbortError') return false;
+    console.warn('Page transition failed, loading the page instead', error);
+    window.location.assign(url.href);
+    return false;
+  }
+  // A later click won the race
+  if (id !== navigationId) return false;
+
+  if (!restore) {
+    saveScrollPosition();
+    window.history[replace ? 'replaceState' : 'pushState']({ scrollY: null }, '', url.href);
+  }
+  shownPage = toPageKey(url);
+  try {
+    options.onLeave?.();
+    await runTransition(() => {
+      swapPage(page);
+      scrollAfterSwap(url, restore?.scrollY);
+    });
+    const content = $(CONTENT_SELECTOR);
+    if (!content.hasAttribute('tabindex')) content.setAttribute('tabindex', '-1');
+    content.focus({ preventScroll: true });
+    await options.onSwap?.({ page: page.body.dataset.page, url });
+  } catch (error) {
+    console.error('Page transition failed, reloading', error);
+    window.location.reload();
+    return false;
+  }
+  trackPageView(referrer);
+  return true;
+}
+
+function handleClick(event) {
+  if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+  const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+  if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+  const url = new URL(link.href, window.location.href);
+  if (url.origin !== window.location.origin || !options.isRoutable(url)) return;
+  // Anchors on the shown page keep the browser's (and bindSmoothAnchorLink's) handling
+  if (toPageKey(url) === shownPage) return;
+  event.preventDefault();
+  void routeTo(url.href);
+}
+
+function handlePopState(event) {
+  const url = new URL(window.location.href);
+  if (toPageKey(url) === shownPage) return;
+  void routeTo(url.href, { restore: event.state || { scrollY: null } });
+}
+
+// Reload or return from another site: the browser no longer restores scroll once it is manual
+function restoreInitialScroll() {
+  const [entry] = performance.getEntriesByType?.('navigation') || [];
+  const scrollY = window.history.state?.scrollY;
+  if (!['reload', 'back_forward'].includes(entry?.type) || !Number.isFinite(scrollY)) return;
+  window.scrollTo(0, scrollY);
+}
+
+/**
+ * Change the address of the shown page without a new history entry (e.g. its ?view=)
+ * @param {string} href - New URL of the shown page
+ */
+function replacePageUrl(href) {
+  const url = new URL(href, window.location.href);
+  window.history.replaceState(window.history.state, '', url.href);
+  shownPage = toPageKey(url);
+}
+
+/**
+ * Take over links between the pre-rendered site pages
+ * @param {Object} config
+ * @param {Function} config.isRoutable - Whether a URL is a page that can be swapped in (URL => boolean)
+ * @param {Function} [config.onLeave] - Called before the current page's content is replaced
+ * @param {Function} [config.onSwap] - Sets up the new page ({ page, url }), may return a promise
+ * @returns {boolean} False where the browser lacks what page swaps need
+ */
+function initRouter({ isRoutable, onLeave = null, onSwap = null } = {}) {
+  if (typeof isRoutable !== 'function' || typeof window.history.pushState !== 'function'
+    || typeof DOMParser === 'undefined' || !$(CONTENT_SELECTOR)) {
+    return false;
+  }
+  options = { isRoutable, onLeave, onSwap };
+  active = true;
+  shownPage = toPageKey(new URL(window.location.href));
+  window.history.scrollRestoration = 'manual';
+  restoreInitialScroll();
+  document.addEventListener('click', handleClick);
+  window.addEventListener('popstate', handlePopState);
+  // Kept for back/forward into this entry and for reloads
+  window.addEventListener('pagehide', saveScrollPosition);
+  return true;
+}
+
+export { initRouter, routeTo, replacePageUrl };
@@ -0,0 +1,459 @@
+// Full-text search across all intercepted transmissions
+import { escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { formatDate } from '../utils/date.js';
+import { padNumber, formatNumber } from '../utils/text.js';
+import { debounce } from '../utils/animation.js';
+import { getEpisodeNumber, getEpisodePath, resolveEpisodePhaseId } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+const MAX_RESULTS = 80;
+const SNIPPET_RADIUS = 70;
+const HIGHLIGHT_SELECTOR = '.message-text, .terminal-block, .analyst-note';
+
+const KIND_LABEL_KEYS = {
+  message: 'search.kind.message',
+  terminal: 'search.kind.terminal',
+  analyst: 'search.kind.analyst',
+  learning: 'search.kind.learning'
+};
+
+function getAuthorLabels() {
+  return {
+    nexus: 'NEXUS',
+    cipher: 'CIPHER',
+    system: t('search.author.system'),
+    analyst: t('search.author.analyst')
+  };
+}
+
+let searchIndex = null;
+let overlay = null;
+let releaseFocus = null;
+let loadSearchData = null;
+
+/**
+ * Split a query into lowercase terms ("quoted phrases" stay together)
+ * @param {string} query - Raw query
+ * @returns {Array<string>} Terms
+ */
+function parseQuery(query) {
+  const terms = [];
+  String(query || '').replace(/"([^"]+)"|(\S+)/g, (_, phrase, word) => {
+    const term = (phrase || word || '').trim().toLowerCase();
+    if (term) terms.push(term);
+    return '';
+  });
+  return terms;
+}
+
+function toDatePart(timestamp, fallback) {
+  if (typeof timestamp === 'string' && timestamp.includes('T')) {
+    return timestamp.split('T')[0];
+  }
+  return fallback || '';
+}
+
+/**
+ * Build the search index from episode data
+ * @param {Array} episodes - Episodes (dialogs.json)
+ * @param {Object} config - Site config (story_arc.phases)
+ * @returns {Array<Object>} Index entries
+ */
+function buildSearchIndex(episodes, config) {
+  const phases = config?.story_arc?.phases || [];
+  const entries = [];
+
+  (episodes || []).forEach((episode, index) => {
+    const epNum = getEpisodeNumber(episode, index);
+    const phase = resolveEpisodePhaseId(episode, phases);
+    const base = { epNum, title: episode?.title || '', phase };
+    const push = (entry) => {
+      const text = String(entry.text || '').trim();
+      if (!text) return;
+      entries.push({ ...base, ...entry, text, haystack: text.toLowerCase() });
+    };
+
+    (episode?.messages || []).forEach((msg, msgIndex) => {
+      const date = toDatePart(msg?.timestamp, episode?.date);
+      const author = msg?.type === 'system' ? 'system' : String(msg?.author || 'nexus').toLowerCase();
+      push({ kind: 'message', author, msgIndex, date, text: msg?.text });
+      if (msg?.analyst_note) {
+        push({ kind: 'analyst', author: 'analyst', msgIndex, date, text: msg.analyst_note });
+      }
+    });
+
+    (episode?.terminal_blocks || []).forEach(block => {
+      const afterMessage = Number(block?.after_message);
+      push({
+        kind: 'terminal',
+        author: String(block?.owner || 'nexus').toLowerCase(),
+        msgIndex: Number.isInteger(afterMessage) ? afterMessage : null,
+        date: episode?.date || '',
+        text: block?.content
+      });
+    });
+
+    (episode?.analyst_notes || []).forEach(note => {
+      push({ kind: 'analyst', author: 'analyst', msgIndex: null, date: episode?.date || '', text: note?.text });
+    });
+
+    (episode?.state_snapshot?.learnings || []).forEach(learning => {
+      push({ kind: 'learning', author: null, msgIndex: null, date: episode?.date || '', text: learning });
+    });
+  });
+
+  return entries;
+}
+
+function countOccurrences(haystack, term) {
+  let count = 0;
+  let pos = haystack.indexOf(term);
+  while (pos !== -1) {
+    count += 1;
+    pos = haystack.indexOf(term, pos + term.length);
+  }
+  return count;
+}
+
+/**
+ * Query the index
+ * @param {Array<Object>} index - Index entries
+ * @param {string} query - Raw query
+ * @param {Object} filters - { author, phase, from, to }
+ * @returns {Array<Object>} Matching entries, best first
+ */
+function querySearchIndex(index, query, filters = {}) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const matches = [];
+  (index || []).forEach(entry => {
+    if (filters.author && entry.author !== filters.author) return;
+    if (filters.phase && entry.phase !== filters.phase) return;
+    if (filters.from && entry.date && entry.date < filters.from) return;
+    if (filters.to && entry.date && entry.date > filters.to) return;
+
+    let score = 0;
+    for (const term of terms) {
+      const hits = countOccurrences(entry.haystack, term);
+      if (hits === 0) return;
+      score += hits;
+    }
+    matches.push({ entry, score });
+  });
+
+  matches.sort((a, b) => b.score - a.score
+    || a.entry.epNum - b.entry.epNum
+    || (a.entry.msgIndex ?? Infinity) - (b.entry.msgIndex ?? Infinity));
+  return matches.map(match => match.entry);
+}
+
+function markTerms(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    let pos = lower.indexOf(term);
+    while (pos !== -1) {
+      ranges.push([pos, pos + term.length]);
+      pos = lower.indexOf(term, pos + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let html = '';
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < cursor) return;
+    html += escapeHtml(text.slice(cursor, start));
+    html += `<mark class="search-hit">${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + escapeHtml(text.slice(cursor));
+}
+
+function buildSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ');
+  const lower = flat.toLowerCase();
+  const first = Math.min(...terms.map(term => {
+    const pos = lower.indexOf(term);
+    return pos === -1 ? Infinity : pos;
+  }));
+  const anchor = Number.isFinite(first) ? first : 0;
+  const start = Math.max(0, anchor - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, anchor + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < flat.length ? '...' : '';
+  return prefix + markTerms(flat.slice(start, end), terms) + suffix;
+}
+
+/**
+ * Deep link into the episode page for a search hit
+ * @param {Object} entry - Index entry
+ * @param {string} query - Raw query (highlighted on arrival)
+ * @returns {string} URL path
+ */
+function getResultHref(entry, query) {
+  const params = new URLSearchParams();
+  params.set('hl', query.trim());
+  if (Number.isInteger(entry.msgIndex)) {
+    params.set('m', String(entry.msgIndex));
+  }
+  return `${getEpisodePath(entry.epNum)}?${params.toString()}`;
+}
+
+/* ==========================================================
+   IN-PAGE HIGHLIGHTING
+   ========================================================== */
+
+/**
+ * Wrap all occurrences of the query terms inside a rendered episode
+ * @param {HTMLElement} root - Episode container (output of renderEpisode)
+ * @param {string} query - Raw query
+ * @returns {Array<HTMLElement>} Inserted <mark> elements
+ */
+function highlightMatches(root, query) {
+  const terms = parseQuery(query);
+  if (!(root instanceof HTMLElement) || terms.length === 0) return [];
+
+  const marks = [];
+  root.querySelectorAll(HIGHLIGHT_SELECTOR).forEach(block => {
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const text = node.nodeValue || '';
+      const lower = text.toLowerCase();
+      if (!terms.some(term => lower.includes(term))) return;
+
+      const fragment = document.createDocumentFragment();
+      const html = markTerms(text, terms);
+      const holder = document.createElement('span');
+      holder.innerHTML = html;
+      while (holder.firstChild) {
+        const child = holder.firstChild;
+        if (child instanceof HTMLElement && child.matches('mark.search-hit')) marks.push(child);
+        fragment.appendChild(child);
+      }
+      node.replaceWith(fragment);
+    });
+  });
+
+  return marks;
+}
+
+/**
+ * Apply ?hl=...&m=... from a search result link to the current page
+ * @param {HTMLElement} root - Container holding the rendered episode
+ */
+function applySearchArrival(root) {
+  const params = new URLSearchParams(window.location.search);
+  const query = params.get('hl');
+  if (!query || !(root instanceof HTMLElement)) return;
+
+  const marks = highlightMatches(root, query);
+  const msgRaw = params.get('m') || '';
+  let target = null;
+  if (/^\d+$/.test(msgRaw)) {
+    target = root.querySelector(`[data-msg="${msgRaw}"] mark.search-hit`)
+      || root.querySelector(`[data-msg="${msgRaw}"]`);
+  }
+  target = target || marks[0] || null;
+  if (target) {
+    setTimeout(() => target.scrollIntoView({ behavior: 'smooth', block: 'center' }), 120);
+  }
+}
+
+/* ==========================================================
+   SEARCH OVERLAY
+   ========================================================== */
+
+function renderPhaseOptions(config) {
+  const phases = config?.story_arc?.phases || [];
+  return `<option value="">${t('search.all')}</option>` + phases
+    .map(phase => `<option value="${escapeHtml(phase.id || '')}">${escapeHtml(phase.label || phase.id || '')}</option>`)
+    .join('');
+}
+
+function renderOverlay() {
+  const authorOptions = Object.entries(getAuthorLabels())
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+
+  const el = document.createElement('div');
+  el.className = 'search-overlay';
+  el.id = 'search-overlay';
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="search-panel" role="dialog" aria-modal="true" aria-labelledby="search-title">
+      <div class="search-head">
+        <div>
+          <span class="search-eyebrow">// ${t('search.eyebrow')}</span>
+          <h2 id="search-title">${t('search.title')}</h2>
+        </div>
+        <button type="button" class="search-close" aria-label="${t('search.close')}">ESC</button>
+      </div>
+      <form class="search-form" role="search">
+        <input type="search" class="search-input" id="search-query" placeholder="${escapeHtml(t('search.placeholder'))}" autocomplete="off" spellcheck="false" aria-label="${t('search.query')}">
+        <div class="search-filters">
+          <label class="search-filter">
+            <span>${t('search.author')}</span>
+            <select id="search-author"><option value="">${t('search.all')}</option>${authorOptions}</select>
+          </label>
+          <label class="search-filter">
+            <span>${t('search.phase')}</span>
+            <select id="search-phase">${renderPhaseOptions(null)}</select>
+          </label>
+          <label class="search-filter">
+            <span>${t('search.from')}</span>
+            <input type="date" id="search-from">
+          </label>
+          <label class="search-filter">
+            <span>${t('search.to')}</span>
+            <input type="date" id="search-to">
+          </label>
+        </div>
+      </form>
+      <div class="search-status" aria-live="polite"></div>
+      <ol class="search-results"></ol>
+    </div>`;
+  return el;
+}
+
+function renderResults(results, query) {
+  const terms = parseQuery(query);
+  return results.slice(0, MAX_RESULTS).map(entry => {
+    const authorLabel = entry.author ? getAuthorLabels()[entry.author] || entry.author.toUpperCase() : '';
+    const meta = [
+      `EP.${padNumber(entry.epNum)}`,
+      authorLabel,
+      entry.date ? formatDate(entry.date) : '',
+      KIND_LABEL_KEYS[entry.kind] ? t(KIND_LABEL_KEYS[entry.kind]) : ''
+    ].filter(Boolean).map(escapeHtml).join(' &middot; ');
+    const authorCls = entry.author ? ` author-${escapeHtml(entry.author.replace(/[^a-z0-9_-]/g, ''))}` : '';
+
+    return `<li>
+      <a class="search-result${authorCls}" href="${escapeHtml(getResultHref(entry, query))}">
+        <span class="search-result-meta">${meta}</span>
+        <span class="search-result-title">// ${escapeHtml(entry.title)}</span>
+        <span class="search-result-snippet">${buildSnippet(entry.text, terms)}</span>
+      </a>
+    </li>`;
+  }).join('');
+}
+
+function runSearch() {
+  if (!overlay) return;
+  const query = overlay.querySelector('#search-query')?.value || '';
+  const status = overlay.querySelector('.search-status');
+  const list = overlay.querySelector('.search-results');
+  if (!status || !list) return;
+
+  if (!searchIndex) {
+    status.textContent = `> ${t('search.building')}`;
+    list.innerHTML = '';
+    return;
+  }
+
+  if (parseQuery(query).length === 0) {
+    status.textContent = `> ${t('search.indexed', { count: searchIndex.length, total: formatNumber(searchIndex.length) })}`;
+    list.innerHTML = '';
+    return;
+  }
+
+  const filters = {
+    author: overlay.querySelector('#search-author')?.value || '',
+    phase: overlay.querySelector('#search-phase')?.value || '',
+    from: overlay.querySelector('#search-from')?.value || '',
+    to: overlay.querySelector('#search-to')?.value || ''
+  };
+  const results = querySearchIndex(searchIndex, query, filters);
+  const shown = Math.min(results.length, MAX_RESULTS);
+  status.textContent = results.length === 0
+    ? `> ${t('search.none')}`
+    : `> ${t('search.hits', { count: results.length })}${results.length > shown ? ` ${t('search.truncated', { shown })}` : ''}`;
+  list.innerHTML = renderResults(results, query);
+}
+
+function closeSearch() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  document.body.classList.remove('search-open');
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+async function openSearch(initialQuery = '') {
+  if (typeof loadSearchData !== 'function') return;
+
+  if (!overlay) {
+    overlay = renderOverlay();
+    document.body.appendChild(overlay);
+    const debouncedSearch = debounce(runSearch, 120);
+    overlay.querySelector('.search-form')?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      overlay.querySelector('.search-result')?.focus();
+    });
+    overlay.querySelector('.search-form')?.addEventListener('input', debouncedSearch);
+    overlay.querySelector('.search-form')?.addEventListener('change', runSearch);
+    overlay.querySelector('.search-close')?.addEventListener('click', closeSearch);
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) closeSearch();
+    });
+  }
+
+  overlay.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(overlay, closeSearch);
+  }
+
+  const input = overlay.querySelector('#search-query');
+  if (input && initialQuery) input.value = initialQuery;
+  input?.focus();
+  runSearch();
+
+  if (searchIndex) return;
+  try {
+    const { episodes, config } = await loadSearchData();
+    searchIndex = buildSearchIndex(episodes, config);
+    const phaseSelect = overlay.querySelector('#search-phase');
+    if (phaseSelect) phaseSelect.innerHTML = renderPhaseOptions(config);
+  } catch (error) {
+    console.error('Search index could not be built', error);
+    const status = overlay.querySelector('.search-status');
+    if (status) status.textContent = `> ${t('search.unavailable')}`;
+    return;
+  }
+  runSearch();
+}
+
+/**
+ * Wire the search overlay
+ * @param {Object} options
+ * @param {Function} options.loadData - Resolves to { episodes, config }
+ * @param {HTMLElement|null} options.trigger - Button opening the overlay
+ * @returns {boolean} True if search is available
+ */
+function initSearch({ loadData, trigger = null } = {}) {
+  if (typeof loadData !== 'function') return false;
+  loadSearchData = loadData;
+  if (trigger instanceof HTMLElement) {
+    trigger.hidden = false;
+    trigger.addEventListener('click', () => { void openSearch(); });
+  }
+  return true;
+}
+
+export {
+  initSearch,
+  openSearch,
+  closeSearch,
+  buildSearchIndex,
+  querySearchIndex,
+  getResultHref,
+  highlightMatches,
+  applySearchArrival
+};
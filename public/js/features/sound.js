@@ -0,0 +1,295 @@
+// Sound layer: generated WebAudio tones for the cold open, incoming messages and alerts
+import { $, $$ } from '../utils/dom.js';
+import { prefersReducedMotion } from '../utils/performance.js';
+import { readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { t } from '../utils/i18n.js';
+import { getThreatLevels } from './theme.js';
+
+const STORAGE_NAME = 'sound';
+const MASTER_GAIN = 0.12;
+
+// Incoming message chirps per author
+const VOICE_TONES = {
+  nexus: { type: 'square', from: 520, to: 780 },
+  cipher: { type: 'triangle', from: 900, to: 1320 },
+  system: { type: 'sine', from: 640, to: 640 }
+};
+// Cold open beeps per line class (features/cold-open.js)
+const LINE_TONES = {
+  nexus: { type: 'square', from: 880, to: 880 },
+  cipher: { type: 'triangle', from: 1040, to: 1040 },
+  system: { type: 'sine', from: 660, to: 660 },
+  dim: { type: 'sine', from: 440, to: 440, gain: 0.4 },
+  '': { type: 'sine', from: 740, to: 740 }
+};
+
+let settings = null;
+let context = null;
+let master = null;
+let loadSoundData = null;
+
+function getSettings() {
+  if (!settings) {
+    const stored = readAnalystData(STORAGE_NAME, null);
+    settings = {
+      // Muted unless the analyst turned sound on
+      enabled: stored?.enabled === true,
+      alarmedAt: Number.isFinite(stored?.alarmedAt) ? stored.alarmedAt : null
+    };
+  }
+  return settings;
+}
+
+function saveSettings() {
+  writeAnalystData(STORAGE_NAME, getSettings());
+}
+
+function getAudioContextClass() {
+  return window.AudioContext || window.webkitAudioContext || null;
+}
+
+/**
+ * Whether sounds play right now (turned on, supported, no reduced-motion preference)
+ * @returns {boolean}
+ */
+function isSoundActive() {
+  return getSettings().enabled && Boolean(getAudioContextClass()) && !prefersReducedMotion();
+}
+
+/**
+ * Audio graph, created on first use; browsers keep it suspended until a user gesture
+ * @returns {AudioContext|null}
+ */
+function getContext() {
+  if (context) return context;
+  const AudioContextClass = getAudioContextClass();
+  if (!AudioContextClass) return null;
+  context = new AudioContextClass();
+  master = context.createGain();
+  master.gain.value = MASTER_GAIN;
+  master.connect(context.destination);
+  return context;
+}
+
+function resumeContext() {
+  if (context?.state === 'suspended') void context.resume();
+}
+
+/**
+ * Start the context from a user gesture, then sound an alarm that was held back while it was suspended
+ */
+function unlockContext() {
+  if (!getContext()) return;
+  const resumed = context.state === 'suspended' ? context.resume() : Promise.resolve();
+  resumed
+    .then(() => {
+      if (loadSoundData) void checkDetectionAlarm();
+    })
+    .catch(error => console.warn('Sound unavailable', error));
+}
+
+/* ==========================================================
+   GENERATORS
+   ========================================================== */
+
+/**
+ * One enveloped oscillator tone
+ * @param {Object} tone - { type, from, to, gain }
+ * @param {number} start - Context time
+ * @param {number} duration - Seconds
+ */
+function playTone({ type, from, to, gain = 1 }, start, duration) {
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, start);
+  if (to !== from) oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+  envelope.gain.setValueAtTime(0.0001, start);
+  envelope.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  oscillator.connect(envelope);
+  envelope.connect(master);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.02);
+}
+
+/**
+ * Band-passed noise burst (terminal static)
+ * @param {number} start - Context time
+ * @param {number} duration - Seconds
+ */
+function playStatic(start, duration) {
+  const length = Math.floor(context.sampleRate * duration);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < length; i += 1) {
+    samples[i] = (Math.random() * 2 - 1) * (1 - i / length);
+  }
+  const source = context.createBufferSource();
+  const filter = context.createBiquadFilter();
+  const envelope = context.createGain();
+  source.buffer = buffer;
+  filter.type = 'bandpass';
+  filter.frequency.value = 2400;
+  filter.Q.value = 0.8;
+  envelope.gain.value = 0.5;
+  source.connect(filter);
+  filter.connect(envelope);
+  envelope.connect(master);
+  source.start(start);
+}
+
+const SOUNDS = {
+  coldOpenLine: (start, { tone = '' } = {}) => playTone(LINE_TONES[tone] || LINE_TONES[''], start, 0.06),
+  message: (start, { author = 'system' } = {}) => {
+    const tone = VOICE_TONES[author] || VOICE_TONES.system;
+    playTone(tone, start, 0.07);
+    playTone(tone, start + 0.09, 0.05);
+  },
+  terminal: start => playStatic(start, 0.25),
+  alarm: (start) => {
+    // Two-tone siren, three cycles
+    for (let cycle = 0; cycle < 3; cycle += 1) {
+      const offset = start + cycle * 0.5;
+      playTone({ type: 'sawtooth', from: 880, to: 880, gain: 0.6 }, offset, 0.24);
+      playTone({ type: 'sawtooth', from: 660, to: 660, gain: 0.6 }, offset + 0.25, 0.24);
+    }
+  }
+};
+
+/**
+ * Play a named sound if sound is on
+ * @param {string} name - 'coldOpenLine' | 'message' | 'terminal' | 'alarm'
+ * @param {Object} [options] - { tone } for cold open lines, { author } for messages
+ * @returns {boolean} True if the sound was scheduled
+ */
+function playSound(name, options = {}) {
+  if (!SOUNDS[name] || !isSoundActive()) return false;
+  const ctx = getContext();
+  if (!ctx || ctx.state !== 'running') {
+    resumeContext();
+    return false;
+  }
+  try {
+    SOUNDS[name](ctx.currentTime + 0.01, options);
+    return true;
+  } catch (error) {
+    console.warn('Sound unavailable', error);
+    return false;
+  }
+}
+
+/**
+ * Chirp for a message as its fade-in from 04-effects.css starts (page load, new episodes, replay reveals)
+ * @param {AnimationEvent} event
+ */
+function handleMessageReveal(event) {
+  const message = event.target;
+  if (event.animationName !== 'fadeIn' || !message.classList?.contains('message')) return;
+  const authorClass = Array.from(message.classList).find(name => name.startsWith('message-'));
+  playSound('message', { author: authorClass ? authorClass.slice('message-'.length) : 'system' });
+}
+
+/* ==========================================================
+   TOGGLE
+   ========================================================== */
+
+function syncToggle(button) {
+  const { enabled } = getSettings();
+  button.setAttribute('aria-pressed', String(enabled));
+  button.textContent = enabled ? t('sound.on') : t('sound.off');
+  button.title = prefersReducedMotion() ? t('sound.reducedTitle') : t('sound.title');
+}
+
+function syncToggles() {
+  $$('.sound-toggle').forEach(syncToggle);
+}
+
+function handleToggleClick() {
+  const current = getSettings();
+  current.enabled = !current.enabled;
+  saveSettings();
+  // The click is the user gesture that lets the audio context start
+  if (current.enabled && getAudioContextClass()) unlockContext();
+  syncToggles();
+}
+
+/**
+ * Mute toggle button; every toggle on the page shows the same state
+ * @returns {HTMLButtonElement}
+ */
+function createSoundToggle() {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'sound-toggle';
+  button.addEventListener('click', handleToggleClick);
+  syncToggle(button);
+  return button;
+}
+
+/* ==========================================================
+   ALERTS
+   ========================================================== */
+
+/**
+ * Detection risk: the higher of metrics.detection_risk and the latest world_state reading
+ * @param {Object} stats - Site stats (the builder copies the latest world_state into them)
+ * @returns {number|null}
+ */
+function getDetectionRisk(stats) {
+  const readings = [stats?.metrics?.detection_risk, stats?.world_state?.detection_risk]
+    .map(Number)
+    .filter(Number.isFinite);
+  return readings.length > 0 ? Math.max(...readings) : null;
+}
+
+async function checkDetectionAlarm() {
+  // Muted: the alarm could not sound, so skip loading the readings
+  if (!isSoundActive()) return;
+  try {
+    const { stats, config } = await loadSoundData();
+    const risk = getDetectionRisk(stats);
+    const threshold = Number(getThreatLevels(config).critical);
+    const { alarmedAt } = getSettings();
+    // Once per rise: only a higher reading than the last alarm sounds again
+    if (risk === null || risk < threshold || (alarmedAt !== null && risk <= alarmedAt)) return;
+    if (playSound('alarm')) {
+      getSettings().alarmedAt = risk;
+      saveSettings();
+    }
+  } catch (error) {
+    console.warn('Detection alarm unavailable', error);
+  }
+}
+
+/**
+ * Fill the topbar mute toggle (before the cold open starts)
+ */
+function initSound() {
+  const slot = $('#sound-switch');
+  if (slot && getAudioContextClass()) {
+    slot.appendChild(createSoundToggle());
+    slot.hidden = false;
+  }
+  // Sound stored as on: the first interaction starts the suspended context
+  const unlock = () => {
+    if (isSoundActive()) unlockContext();
+  };
+  document.addEventListener('pointerdown', unlock, { once: true, capture: true });
+  document.addEventListener('keydown', unlock, { once: true, capture: true });
+  document.addEventListener('animationstart', handleMessageReveal);
+}
+
+/**
+ * Sound the detection-risk alarm when the reading crosses the critical level
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { stats, config }
+ */
+function initSoundAlerts({ loadData = null } = {}) {
+  if (typeof loadData !== 'function') return;
+  loadSoundData = loadData;
+  void checkDetectionAlarm();
+  document.addEventListener('uplink:rendered', () => { void checkDetectionAlarm(); });
+}
+
+export { initSound, initSoundAlerts, playSound, createSoundToggle, isSoundActive };
@@ -0,0 +1,245 @@
+// Interactive score sparkline: crosshair tooltip, category toggles, episode jump
+import { $$, escapeHtml } from '../utils/dom.js';
+import { padNumber, formatNumber } from '../utils/text.js';
+import { getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let openEpisode = (epNum) => { window.location.href = getEpisodePath(epNum); };
+
+function parsePoints(polyline) {
+  return (polyline.getAttribute('points') || '')
+    .trim()
+    .split(/\s+/)
+    .map(pair => pair.split(',').map(Number));
+}
+
+/**
+ * Read the chart model back from the rendered SVG (same markup from builder and hydration)
+ * @param {SVGElement} svg - .dash-sparkline-chart
+ * @param {HTMLElement} container - .dash-sparkline
+ * @returns {Object|null} { episodes, titles, series, width, height }
+ */
+function readChart(svg, container) {
+  const episodes = (svg.dataset.episodes || '').split(',').map(Number).filter(Number.isFinite);
+  if (episodes.length === 0) return null;
+  let titles = [];
+  try {
+    titles = JSON.parse(svg.dataset.titles || '[]');
+  } catch {
+    // Older markup without titles: the tooltip shows episode numbers only
+  }
+  const [, , width = 560, height = 150] = (svg.getAttribute('viewBox') || '').split(/\s+/).map(Number);
+  const series = $$('polyline[data-cat]', svg).map((polyline) => {
+    const id = polyline.dataset.cat;
+    const legend = container.querySelector(`.dash-legend-item[data-cat="${id}"]`);
+    return {
+      id,
+      label: (legend?.textContent || id).replace(/^\s*•\s*/, '').trim(),
+      color: polyline.getAttribute('stroke') || 'currentColor',
+      values: (polyline.dataset.values || '').split(',').map(Number),
+      points: parsePoints(polyline),
+      polyline,
+      visible: true
+    };
+  });
+  return series.length > 0 ? { episodes, titles, series, width, height } : null;
+}
+
+function formatValue(value) {
+  return Number.isFinite(value) ? formatNumber(Math.round(value * 10) / 10) : '-';
+}
+
+function getEpisodeLabel(chart, index) {
+  const epNum = chart.episodes[index];
+  const title = chart.titles[index];
+  return title ? `EP.${padNumber(epNum)} // ${title}` : `EP.${padNumber(epNum)}`;
+}
+
+/* ==========================================================
+   CHART INSTANCE
+   ========================================================== */
+
+function createCursor(chart, svg) {
+  const cursor = document.createElementNS(SVG_NS, 'g');
+  cursor.setAttribute('class', 'dash-sparkline-cursor');
+  cursor.style.display = 'none';
+  const line = document.createElementNS(SVG_NS, 'line');
+  line.setAttribute('y1', '0');
+  line.setAttribute('y2', String(chart.height));
+  line.setAttribute('vector-effect', 'non-scaling-stroke');
+  cursor.appendChild(line);
+  chart.series.forEach((entry) => {
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('r', '3.2');
+    dot.setAttribute('stroke', entry.color);
+    dot.setAttribute('vector-effect', 'non-scaling-stroke');
+    entry.dot = dot;
+    cursor.appendChild(dot);
+  });
+  svg.appendChild(cursor);
+  return { cursor, line };
+}
+
+function convertLegend(container, chart, onToggle) {
+  chart.series.forEach((entry) => {
+    const item = container.querySelector(`.dash-legend-item[data-cat="${entry.id}"]`);
+    if (!item) return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = item.className;
+    button.dataset.cat = entry.id;
+    button.innerHTML = item.innerHTML;
+    button.setAttribute('aria-pressed', 'true');
+    button.title = t('sparkline.toggle', { label: entry.label });
+    button.addEventListener('click', () => onToggle(entry, button));
+    item.replaceWith(button);
+  });
+}
+
+/**
+ * Make one rendered sparkline interactive
+ * @param {HTMLElement} container - .dash-sparkline
+ */
+function enhanceSparkline(container) {
+  const svg = container.querySelector('svg.dash-sparkline-chart[data-episodes]');
+  if (!svg || svg.dataset.interactive === 'true') return;
+  const chart = readChart(svg, container);
+  if (!chart) return;
+  svg.dataset.interactive = 'true';
+
+  const lastIndex = chart.episodes.length - 1;
+  let current = lastIndex;
+  let pointerInside = false;
+  let touchArmed = false;
+  let lastPointerType = 'mouse';
+
+  const { cursor, line } = createCursor(chart, svg);
+  const tooltip = document.createElement('div');
+  tooltip.className = 'dash-sparkline-tooltip';
+  tooltip.hidden = true;
+  container.classList.add('interactive');
+  svg.insertAdjacentElement('afterend', tooltip);
+
+  svg.setAttribute('tabindex', '0');
+  svg.setAttribute('role', 'slider');
+  svg.setAttribute('aria-label', t('sparkline.keyboardLabel'));
+  svg.setAttribute('aria-valuemin', String(chart.episodes[0]));
+  svg.setAttribute('aria-valuemax', String(chart.episodes[lastIndex]));
+
+  const describe = (index) => {
+    const values = chart.series
+      .filter(entry => entry.visible)
+      .map(entry => `${entry.label} ${formatValue(entry.values[index])}`);
+    return `${getEpisodeLabel(chart, index)}: ${values.join(', ')}`;
+  };
+
+  const show = (index) => {
+    current = Math.max(0, Math.min(lastIndex, index));
+    const x = chart.series[0].points[current]?.[0] ?? 0;
+    line.setAttribute('x1', String(x));
+    line.setAttribute('x2', String(x));
+    chart.series.forEach((entry) => {
+      const [px, py] = entry.points[current] || [x, 0];
+      entry.dot.setAttribute('cx', String(px));
+      entry.dot.setAttribute('cy', String(py));
+      entry.dot.style.display = entry.visible ? '' : 'none';
+    });
+    cursor.style.display = '';
+
+    const rows = chart.series
+      .filter(entry => entry.visible)
+      .map(entry => `<li class="legend-${escapeHtml(entry.id)}"><span>${escapeHtml(entry.label)}</span><strong>${formatValue(entry.values[current])}</strong></li>`)
+      .join('');
+    tooltip.innerHTML = `<div class="dash-sparkline-tooltip-title">${escapeHtml(getEpisodeLabel(chart, current))}</div><ul>${rows}</ul>`;
+    const ratio = x / chart.width;
+    tooltip.style.left = `${(ratio * 100).toFixed(2)}%`;
+    tooltip.classList.toggle('align-end', ratio > 0.6);
+    tooltip.hidden = false;
+
+    svg.setAttribute('aria-valuenow', String(chart.episodes[current]));
+    svg.setAttribute('aria-valuetext', describe(current));
+  };
+
+  const hide = () => {
+    if (document.activeElement === svg || pointerInside) return;
+    cursor.style.display = 'none';
+    tooltip.hidden = true;
+  };
+
+  const indexFromPointer = (event) => {
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width) return current;
+    const x = ((event.clientX - rect.left) / rect.width) * chart.width;
+    let nearest = 0;
+    chart.series[0].points.slice(0, chart.episodes.length).forEach(([px], i) => {
+      if (Math.abs(px - x) < Math.abs(chart.series[0].points[nearest][0] - x)) nearest = i;
+    });
+    return nearest;
+  };
+
+  svg.addEventListener('pointermove', (event) => {
+    pointerInside = true;
+    show(indexFromPointer(event));
+  });
+  svg.addEventListener('pointerdown', (event) => {
+    // Touch: the first tap shows the values, a second tap on the same point opens it
+    const index = indexFromPointer(event);
+    lastPointerType = event.pointerType || 'mouse';
+    touchArmed = !tooltip.hidden && index === current;
+    show(index);
+  });
+  svg.addEventListener('pointerleave', () => {
+    pointerInside = false;
+    hide();
+  });
+  svg.addEventListener('click', (event) => {
+    const index = indexFromPointer(event);
+    show(index);
+    if (lastPointerType === 'touch' && !touchArmed) return;
+    openEpisode(chart.episodes[index]);
+  });
+  svg.addEventListener('focus', () => show(current));
+  svg.addEventListener('blur', hide);
+  svg.addEventListener('keydown', (event) => {
+    const moves = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: lastIndex };
+    if (event.key in moves) {
+      event.preventDefault();
+      show(moves[event.key]);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      openEpisode(chart.episodes[current]);
+    }
+  });
+
+  convertLegend(container, chart, (entry, button) => {
+    // Keep at least one category on screen
+    if (entry.visible && chart.series.filter(item => item.visible).length === 1) return;
+    entry.visible = !entry.visible;
+    entry.polyline.classList.toggle('is-off', !entry.visible);
+    button.setAttribute('aria-pressed', entry.visible ? 'true' : 'false');
+    if (!tooltip.hidden) show(current);
+  });
+}
+
+/**
+ * Enhance every score sparkline on the page
+ * @param {ParentNode} root - Where to look
+ */
+function decorateSparklines(root = document) {
+  $$('.dash-sparkline', root).forEach(enhanceSparkline);
+}
+
+/**
+ * Wire the interactive sparkline
+ * @param {Object} options
+ * @param {Function|null} options.onOpen - Opens an episode by number (default: its static page)
+ */
+function initSparkline({ onOpen = null } = {}) {
+  if (typeof onOpen === 'function') openEpisode = onOpen;
+  decorateSparklines();
+  document.addEventListener('uplink:rendered', () => decorateSparklines());
+}
+
+export { initSparkline, decorateSparklines };
@@ -0,0 +1,466 @@
+// Command terminal: in-universe prompt (":" hotkey) with completion and history that drives the site
+import { escapeHtml, trapFocusIn } from '../utils/dom.js';
+import { padNumber, formatNumber } from '../utils/text.js';
+import { getAnalystId, readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { getEpisodeNumber, deriveEffectiveStats } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+import { buildSearchIndex, querySearchIndex, getResultHref } from './search.js';
+import { collectStoryThreads, getThreadFilterUrl } from './threads.js';
+
+const HISTORY_NAME = 'terminal-history';
+const HISTORY_LIMIT = 50;
+const GREP_LIMIT = 8;
+// Page names the prompt accepts (aliases map to navigate() pages)
+const PAGE_ALIASES = {
+  live: 'live',
+  episoden: 'protokoll',
+  episodes: 'protokoll',
+  protokoll: 'protokoll',
+  dossiers: 'dossiers',
+  threads: 'threads',
+  info: 'info'
+};
+const VIEWS = ['newest', 'chrono', 'phase'];
+
+let options = { loadData: null, navigate: null, episodeUrl: null, showView: null, openSearch: null };
+let overlay = null;
+let releaseFocus = null;
+let history = null;
+let historyIndex = -1;
+let draft = '';
+let searchIndex = null;
+
+/**
+ * Split a command line into words ("quoted phrases" stay together)
+ * @param {string} line - Raw input
+ * @returns {Array<string>} Words
+ */
+function tokenize(line) {
+  const words = [];
+  String(line || '').replace(/"([^"]*)"|(\S+)/g, (_, phrase, word) => {
+    words.push(phrase ?? word);
+    return '';
+  });
+  return words;
+}
+
+/* ==========================================================
+   OUTPUT
+   ========================================================== */
+
+function getLog() {
+  return overlay?.querySelector('.term-log') || null;
+}
+
+function print(text, kind = 'out') {
+  const log = getLog();
+  if (!log) return;
+  const line = document.createElement('div');
+  line.className = `term-line term-${kind}`;
+  line.textContent = text;
+  log.appendChild(line);
+  log.scrollTop = log.scrollHeight;
+}
+
+function printLink(text, href) {
+  const log = getLog();
+  if (!log) return;
+  const line = document.createElement('div');
+  line.className = 'term-line term-out';
+  line.innerHTML = `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>`;
+  log.appendChild(line);
+  log.scrollTop = log.scrollHeight;
+}
+
+async function loadData() {
+  if (typeof options.loadData !== 'function') {
+    throw new Error(t('terminal.noData'));
+  }
+  return options.loadData();
+}
+
+/* ==========================================================
+   COMMANDS
+   ========================================================== */
+
+function findEpisode(episodes, epNum) {
+  return episodes.find((episode, index) => getEpisodeNumber(episode, index) === epNum) || null;
+}
+
+async function runOpen(args) {
+  const [target = '', value] = args.map(arg => arg.toLowerCase());
+  const epArg = target === 'ep' || target === 'episode' ? value : target;
+  if (/^\d+$/.test(epArg || '')) {
+    const epNum = Number(epArg);
+    const { episodes } = await loadData();
+    if (!findEpisode(episodes, epNum)) {
+      print(t('terminal.noEpisode', { num: padNumber(epNum) }), 'error');
+      return;
+    }
+    print(t('terminal.opening', { target: `EP.${padNumber(epNum)}` }));
+    window.location.href = options.episodeUrl(epNum);
+    return;
+  }
+  const page = PAGE_ALIASES[target];
+  if (!page) {
+    print(t('terminal.usage.open'), 'error');
+    return;
+  }
+  print(t('terminal.opening', { target }));
+  closeTerminal();
+  options.navigate(page);
+}
+
+function runView(args) {
+  const view = String(args[0] || '').toLowerCase();
+  if (!VIEWS.includes(view)) {
+    print(t('terminal.usage.view'), 'error');
+    return;
+  }
+  closeTerminal();
+  options.showView(view);
+}
+
+async function runDossier(args) {
+  const query = String(args[0] || '').toLowerCase();
+  const { config } = await loadData();
+  const characters = Array.isArray(config?.characters) ? config.characters : [];
+  const character = query
+    ? characters.find(entry => String(entry?.id || '').toLowerCase() === query || String(entry?.name || '').toLowerCase() === query)
+    : null;
+  if (!character) {
+    print(t('terminal.usage.dossier', { ids: characters.map(entry => entry.id).join(', ') }), 'error');
+    return;
+  }
+  print(`${character.name || character.id} // ${character.role || '?'} // ${character.status || '?'}`);
+  closeTerminal();
+  options.navigate('dossiers', `dossier-${character.id}`);
+}
+
+async function runGrep(args) {
+  const query = args.join(' ').trim();
+  if (!query) {
+    print(t('terminal.usage.grep'), 'error');
+    return;
+  }
+  const { episodes, config } = await loadData();
+  if (!searchIndex) searchIndex = buildSearchIndex(episodes, config);
+  // Multi-word input searches the whole phrase
+  const results = querySearchIndex(searchIndex, args.length > 1 ? `"${query}"` : query);
+  print(t('terminal.grepCount', { count: results.length, query }));
+  results.slice(0, GREP_LIMIT).forEach((entry) => {
+    const text = entry.text.replace(/\s+/g, ' ');
+    const snippet = text.length > 90 ? `${text.slice(0, 89)}\u2026` : text;
+    printLink(`EP.${padNumber(entry.epNum)} ${entry.author ? entry.author.toUpperCase() : '--'}: ${snippet}`, getResultHref(entry, query));
+  });
+  if (results.length > GREP_LIMIT) {
+    print(t('terminal.grepMore', { count: results.length - GREP_LIMIT }), 'hint');
+  }
+}
+
+function runSearch(args) {
+  if (typeof options.openSearch !== 'function') {
+    print(t('terminal.noData'), 'error');
+    return;
+  }
+  closeTerminal();
+  void options.openSearch(args.join(' '));
+}
+
+function getPhase(config, stats) {
+  const phases = config?.story_arc?.phases || [];
+  return phases.find(phase => phase?.id === stats.phase) || null;
+}
+
+async function runStatus() {
+  const { episodes, stats, config } = await loadData();
+  const effective = deriveEffectiveStats(episodes, stats, config);
+  const phase = getPhase(config, effective);
+  print(t('terminal.status.episode', { num: padNumber(effective.current_episode), day: effective.current_day, total: effective.total_days }));
+  print(t('terminal.status.phase', { phase: phase?.label || effective.phase || '?' }));
+  const scores = effective.scores || {};
+  const metrics = effective.metrics || {};
+  const rows = [
+    ...(config?.scoring?.categories || [])
+      .filter(category => category.id in scores)
+      .map(category => [category.label || category.id, `${formatNumber(scores[category.id])}/${category.max ?? 100}`]),
+    ...(config?.scoring?.metrics || [])
+      .filter(metric => metric.id in metrics)
+      .map(metric => [metric.label || metric.id, formatNumber(metrics[metric.id])])
+  ];
+  const width = Math.max(0, ...rows.map(([label]) => String(label).length));
+  rows.forEach(([label, value]) => print(`  ${String(label).padEnd(width)}  ${value}`));
+}
+
+async function runPhase() {
+  const { episodes, stats, config } = await loadData();
+  const effective = deriveEffectiveStats(episodes, stats, config);
+  const phases = config?.story_arc?.phases || [];
+  const current = getPhase(config, effective);
+  if (!current) {
+    print(t('terminal.phase.unknown'), 'error');
+    return;
+  }
+  const [from, to] = current.days || [];
+  print(t('terminal.phase.current', { phase: current.label || current.id, from, to, day: effective.current_day }));
+  const next = phases[phases.indexOf(current) + 1];
+  if (next) print(t('terminal.phase.next', { phase: next.label || next.id, day: next.days?.[0] ?? '?' }), 'hint');
+}
+
+async function runThreads(args) {
+  const { episodes } = await loadData();
+  const threads = collectStoryThreads(episodes);
+  const id = args[0];
+  if (id) {
+    const thread = threads.find(entry => entry.id === id);
+    if (!thread) {
+      print(t('terminal.noThread', { id }), 'error');
+      return;
+    }
+    closeTerminal();
+    window.location.href = getThreadFilterUrl(thread.id);
+    return;
+  }
+  if (threads.length === 0) {
+    print(t('threads.emptyTitle'));
+    return;
+  }
+  threads.forEach((thread) => {
+    print(`  ${thread.id.padEnd(24)} [${thread.status}] ${thread.description}`);
+  });
+  print(t('terminal.threadsHint'), 'hint');
+}
+
+function runWhoami() {
+  print(getAnalystId());
+}
+
+function runHistory() {
+  getHistory().forEach((line, index) => print(`  ${String(index + 1).padStart(3)}  ${line}`));
+}
+
+function runHelp() {
+  Object.keys(COMMANDS).forEach((name) => {
+    print(`  ${name.padEnd(10)} ${t(`terminal.help.${name}`)}`);
+  });
+}
+
+/** Command table: name -> handler(args); argument completion in getCompletions() */
+const COMMANDS = {
+  help: runHelp,
+  open: runOpen,
+  view: runView,
+  dossier: runDossier,
+  grep: runGrep,
+  search: runSearch,
+  status: runStatus,
+  phase: runPhase,
+  threads: runThreads,
+  whoami: runWhoami,
+  history: runHistory,
+  clear: () => {
+    const log = getLog();
+    if (log) log.innerHTML = '';
+  },
+  exit: () => closeTerminal()
+};
+
+/**
+ * Run one command line
+ * @param {string} line - Raw input
+ * @returns {Promise<void>}
+ */
+async function runCommand(line) {
+  const [name, ...args] = tokenize(line);
+  if (!name) return;
+  print(`> ${line}`, 'echo');
+  const command = COMMANDS[name.toLowerCase()];
+  if (!command) {
+    print(t('terminal.unknown', { name }), 'error');
+    return;
+  }
+  try {
+    await command(args);
+  } catch (error) {
+    console.error('Terminal command failed', error);
+    print(error?.message || t('terminal.failed'), 'error');
+  }
+}
+
+/* ==========================================================
+   HISTORY & COMPLETION
+   ========================================================== */
+
+function getHistory() {
+  if (!history) {
+    const stored = readAnalystData(HISTORY_NAME, []);
+    history = Array.isArray(stored) ? stored.filter(line => typeof line === 'string') : [];
+  }
+  return history;
+}
+
+function pushHistory(line) {
+  const list = getHistory();
+  if (list[list.length - 1] !== line) list.push(line);
+  if (list.length > HISTORY_LIMIT) list.splice(0, list.length - HISTORY_LIMIT);
+  writeAnalystData(HISTORY_NAME, list);
+  historyIndex = -1;
+}
+
+function stepHistory(input, delta) {
+  const list = getHistory();
+  if (list.length === 0) return;
+  if (historyIndex === -1) {
+    if (delta > 0) return;
+    draft = input.value;
+    historyIndex = list.length;
+  }
+  historyIndex += delta;
+  if (historyIndex >= list.length) {
+    historyIndex = -1;
+    input.value = draft;
+    return;
+  }
+  historyIndex = Math.max(0, historyIndex);
+  input.value = list[historyIndex];
+}
+
+async function getCompletions(words) {
+  if (words.length <= 1) return Object.keys(COMMANDS);
+  const command = words[0].toLowerCase();
+  if (words.length > 2) return [];
+  if (command === 'open') return [...Object.keys(PAGE_ALIASES), 'ep'];
+  if (command === 'view') return VIEWS;
+  if (command === 'dossier' || command === 'threads') {
+    try {
+      const { episodes, config } = await loadData();
+      return command === 'dossier'
+        ? (config?.characters || []).map(entry => String(entry?.id || '')).filter(Boolean)
+        : collectStoryThreads(episodes).map(thread => thread.id);
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+function commonPrefix(values) {
+  return values.reduce((prefix, value) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === value[length]) length += 1;
+    return prefix.slice(0, length);
+  });
+}
+
+async function complete(input) {
+  const value = input.value;
+  const words = value.split(/\s+/);
+  const partial = words[words.length - 1];
+  const candidates = (await getCompletions(words)).filter(candidate => candidate.startsWith(partial.toLowerCase()));
+  if (candidates.length === 0) return;
+  const completed = candidates.length === 1 ? `${candidates[0]} ` : commonPrefix(candidates);
+  if (completed.length > partial.length) {
+    input.value = value.slice(0, value.length - partial.length) + completed;
+    return;
+  }
+  // Nothing left to fill in: list the choices like a shell does
+  print(candidates.join('  '), 'hint');
+}
+
+/* ==========================================================
+   CONSOLE
+   ========================================================== */
+
+function handleInputKey(event) {
+  const input = event.currentTarget;
+  if (event.key === 'Tab' && !event.shiftKey) {
+    event.preventDefault();
+    // Keep the focus trap from moving on
+    event.stopPropagation();
+    void complete(input);
+    return;
+  }
+  if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+    event.preventDefault();
+    stepHistory(input, event.key === 'ArrowUp' ? -1 : 1);
+  }
+}
+
+function renderOverlay() {
+  const el = document.createElement('div');
+  el.className = 'term-overlay';
+  el.id = 'term-overlay';
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="term-panel" role="dialog" aria-modal="true" aria-labelledby="term-title">
+      <div class="term-head">
+        <span class="term-title" id="term-title">// ${t('terminal.title')}</span>
+        <button type="button" class="term-close" aria-label="${t('terminal.close')}">ESC</button>
+      </div>
+      <div class="term-log" role="log" aria-live="polite"></div>
+      <form class="term-form" autocomplete="off">
+        <label class="term-prompt" for="term-input">${escapeHtml(getAnalystId())}&gt;</label>
+        <input type="text" id="term-input" name="term-input" class="term-input" spellcheck="false" autocapitalize="off" aria-describedby="term-title">
+      </form>
+    </div>`;
+  const input = el.querySelector('.term-input');
+  input.addEventListener('keydown', handleInputKey);
+  el.querySelector('.term-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const line = input.value.trim();
+    input.value = '';
+    if (!line) return;
+    pushHistory(line);
+    void runCommand(line);
+  });
+  el.querySelector('.term-close').addEventListener('click', closeTerminal);
+  el.addEventListener('click', (event) => {
+    if (event.target === el) closeTerminal();
+  });
+  return el;
+}
+
+/**
+ * Open the command terminal
+ */
+function openTerminal() {
+  if (!overlay) {
+    overlay = renderOverlay();
+    document.body.appendChild(overlay);
+    print(t('terminal.welcome'), 'hint');
+  }
+  overlay.hidden = false;
+  document.body.classList.add('search-open');
+  if (!releaseFocus) {
+    releaseFocus = trapFocusIn(overlay, closeTerminal);
+  }
+  overlay.querySelector('.term-input').focus();
+}
+
+function closeTerminal() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  document.body.classList.remove('search-open');
+  historyIndex = -1;
+  if (releaseFocus) {
+    releaseFocus();
+    releaseFocus = null;
+  }
+}
+
+/**
+ * Configure the command terminal
+ * @param {Object} config
+ * @param {Function|null} config.loadData - Resolves to { episodes, stats, config }
+ * @param {Function} config.navigate - Open a page (page, targetHash)
+ * @param {Function} config.episodeUrl - Page of an episode (epNum => URL)
+ * @param {Function} config.showView - Show a timeline view ('newest' | 'chrono' | 'phase')
+ * @param {Function} [config.openSearch] - Open the full search overlay
+ */
+function initTerminal({ loadData = null, navigate, episodeUrl, showView, openSearch = null } = {}) {
+  options = { loadData, navigate, episodeUrl, showView, openSearch };
+  // Live updates bring new episodes into grep
+  document.addEventListener('uplink:rendered', () => { searchIndex = null; });
+}
+
+export { initTerminal, openTerminal, closeTerminal, runCommand };
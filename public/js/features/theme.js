@@ -0,0 +1,233 @@
+// Theme manager: named themes per analyst, system preferences and threat-level reactive chrome
+import { $, escapeHtml } from '../utils/dom.js';
+import { readAnalystData, writeAnalystData } from '../utils/storage.js';
+import { t } from '../utils/i18n.js';
+
+const STORAGE_NAME = 'theme';
+const THEMES = ['classic', 'amber', 'high-contrast', 'light'];
+const AUTO = 'auto';
+// Percent values (0-100) from which the chrome shifts; config.theme.threat_levels overrides them
+const DEFAULT_THREAT_LEVELS = { elevated: 40, high: 65, critical: 85 };
+const THREAT_ORDER = ['critical', 'high', 'elevated'];
+const WORLD_STATE_KEYS = ['detection_risk', 'media_awareness', 'law_enforcement_activity'];
+
+let settings = null;
+let threatSettings = { enabled: false, levels: DEFAULT_THREAT_LEVELS };
+let threatValue = null;
+let loadThemeData = null;
+
+function getSettings() {
+  if (!settings) {
+    const stored = readAnalystData(STORAGE_NAME, null);
+    settings = {
+      theme: THEMES.includes(stored?.theme) ? stored.theme : AUTO,
+      // null: follow the site default (config.theme.threat_reactive)
+      reactive: typeof stored?.reactive === 'boolean' ? stored.reactive : null
+    };
+  }
+  return settings;
+}
+
+function saveSettings() {
+  writeAnalystData(STORAGE_NAME, getSettings());
+}
+
+function matches(query) {
+  return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+}
+
+/**
+ * Theme shown for the analyst's choice ("auto" follows prefers-contrast / prefers-color-scheme)
+ * @param {string} choice - Theme id or 'auto'
+ * @returns {string} Theme id
+ */
+function resolveTheme(choice = getSettings().theme) {
+  if (choice !== AUTO) return choice;
+  if (matches('(prefers-contrast: more)')) return 'high-contrast';
+  if (matches('(prefers-color-scheme: light)')) return 'light';
+  return 'classic';
+}
+
+function syncThemeColor() {
+  const meta = document.querySelector('meta[name="theme-color"]');
+  const bg = getComputedStyle(document.documentElement).getPropertyValue('--color-bg').trim();
+  if (meta && bg) meta.setAttribute('content', bg);
+}
+
+/**
+ * Apply the stored (or given) theme to <html data-theme>
+ * @param {string} [choice] - Theme id or 'auto'
+ * @returns {string} Applied theme id
+ */
+function applyTheme(choice) {
+  const theme = resolveTheme(choice);
+  document.documentElement.dataset.theme = theme;
+  syncThemeColor();
+  return theme;
+}
+
+/* ==========================================================
+   THREAT LEVEL
+   ========================================================== */
+
+/**
+ * Current threat value: the highest of metrics.detection_risk and the
+ * latest world_state readings (detection risk, media, law enforcement)
+ * @param {Object} stats - Site stats (the builder copies the latest world_state into them)
+ * @param {Array} [episodes] - Episodes, when loaded (for stats without world_state)
+ * @returns {number|null} 0-100, null without any reading
+ */
+function getThreatValue(stats, episodes = []) {
+  const values = [stats?.metrics?.detection_risk];
+  const latest = [...(episodes || [])].reverse().find(episode => episode?.state_snapshot?.world_state);
+  const world = stats?.world_state || latest?.state_snapshot?.world_state || {};
+  WORLD_STATE_KEYS.forEach(key => values.push(world[key]));
+  const readings = values.map(Number).filter(Number.isFinite);
+  return readings.length > 0 ? Math.max(0, Math.min(100, Math.max(...readings))) : null;
+}
+
+/**
+ * Threat level name for a value
+ * @param {number|null} value - 0-100
+ * @param {Object} levels - { elevated, high, critical } thresholds
+ * @returns {string|null} 'elevated' | 'high' | 'critical' | null
+ */
+function getThreatLevel(value, levels = threatSettings.levels) {
+  if (!Number.isFinite(value)) return null;
+  return THREAT_ORDER.find(level => value >= levels[level]) || null;
+}
+
+function isReactive() {
+  const { reactive } = getSettings();
+  return reactive === null ? threatSettings.enabled : reactive;
+}
+
+function renderThreatIndicator(level) {
+  const tools = $('.site-topbar-tools');
+  let indicator = $('#threat-indicator');
+  if (!level) {
+    indicator?.remove();
+    return;
+  }
+  if (!indicator && tools) {
+    indicator = document.createElement('span');
+    indicator.className = 'threat-indicator';
+    indicator.id = 'threat-indicator';
+    indicator.setAttribute('role', 'status');
+    tools.prepend(indicator);
+  }
+  if (!indicator) return;
+  indicator.textContent = t(`theme.threat.${level}`);
+  indicator.title = t('theme.threatTitle', { value: threatValue });
+}
+
+function applyThreat() {
+  const level = isReactive() ? getThreatLevel(threatValue) : null;
+  if (level) {
+    document.documentElement.dataset.threat = level;
+  } else {
+    delete document.documentElement.dataset.threat;
+  }
+  renderThreatIndicator(level);
+}
+
+/**
+ * Threat thresholds: the defaults with config.theme.threat_levels applied
+ * @param {Object} config - Site config
+ * @returns {Object} { elevated, high, critical }
+ */
+function getThreatLevels(config) {
+  return { ...DEFAULT_THREAT_LEVELS, ...(config?.theme?.threat_levels || {}) };
+}
+
+async function refreshThreat() {
+  // Readings are only loaded while the chrome follows them
+  if (!isReactive()) return;
+  try {
+    const { stats, config } = await loadThemeData();
+    threatSettings = { ...threatSettings, levels: getThreatLevels(config) };
+    threatValue = getThreatValue(stats);
+  } catch (error) {
+    console.warn('Threat level unavailable', error);
+    threatValue = null;
+  }
+  applyThreat();
+  renderPicker();
+}
+
+/* ==========================================================
+   PICKER
+   ========================================================== */
+
+function renderPicker() {
+  const slot = $('#theme-switch');
+  if (!slot) return;
+  const current = getSettings();
+  const options = [AUTO, ...THEMES]
+    .map(id => `<option value="${id}"${id === current.theme ? ' selected' : ''}>${escapeHtml(t(`theme.${id}`))}</option>`)
+    .join('');
+  const threatToggle = !loadThemeData
+    ? ''
+    : `<button type="button" class="theme-threat-toggle" aria-pressed="${isReactive()}" title="${escapeHtml(t('theme.reactiveTitle'))}">${t('theme.reactive')}</button>`;
+  const label = escapeHtml(t('theme.label'));
+  slot.innerHTML = `<select id="theme-select" name="theme-select" class="theme-select" aria-label="${label}" title="${label}">${options}</select>${threatToggle}`;
+  slot.hidden = false;
+}
+
+function handlePickerChange(event) {
+  if (!(event.target instanceof HTMLSelectElement) || event.target.id !== 'theme-select') return;
+  getSettings().theme = event.target.value;
+  saveSettings();
+  applyTheme();
+}
+
+function handlePickerClick(event) {
+  const toggle = event.target instanceof HTMLElement ? event.target.closest('.theme-threat-toggle') : null;
+  if (!toggle) return;
+  getSettings().reactive = !isReactive();
+  saveSettings();
+  toggle.setAttribute('aria-pressed', String(isReactive()));
+  applyThreat();
+  if (threatValue === null) void refreshThreat();
+}
+
+/**
+ * Apply the analyst's theme and fill the topbar picker (before any rendering)
+ */
+function initTheme() {
+  applyTheme();
+  // "Auto" follows system changes while the page is open
+  if (typeof window.matchMedia === 'function') {
+    ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach((query) => {
+      window.matchMedia(query).addEventListener?.('change', () => {
+        if (getSettings().theme === AUTO) applyTheme();
+      });
+    });
+  }
+
+  const slot = $('#theme-switch');
+  if (!slot) return;
+  slot.addEventListener('change', handlePickerChange);
+  slot.addEventListener('click', handlePickerClick);
+  renderPicker();
+}
+
+/**
+ * Let the chrome follow the story's threat level
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { stats, config }
+ * @param {boolean} options.enabled - Site default (config.theme.threat_reactive)
+ */
+function initThreatTheme({ loadData = null, enabled = false } = {}) {
+  if (typeof loadData !== 'function') return;
+  loadThemeData = loadData;
+  threatSettings = { ...threatSettings, enabled };
+  renderPicker();
+  void refreshThreat();
+  // Live updates bring new readings
+  document.addEventListener('uplink:rendered', () => {
+    if (isReactive()) void refreshThreat();
+  });
+}
+
+export { initTheme, initThreatTheme, applyTheme, resolveTheme, getThreatValue, getThreatLevel, getThreatLevels };
@@ -0,0 +1,257 @@
+// Story threads: tracker page (same markup as the builder) and the archive filter ?thread=<id>
+import { $, $$, escapeHtml } from '../utils/dom.js';
+import { padNumber, toSafeClassName } from '../utils/text.js';
+import { getEpisodeNumber, getEpisodePath } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+const CLOSED_STATUSES = new Set(['resolved', 'closed', 'done', 'completed', 'abgeschlossen']);
+const EVENT_LABEL_KEYS = { intro: 'threads.event.intro', change: 'threads.event.change', close: 'threads.event.close' };
+
+function isClosed(status) {
+  return CLOSED_STATUSES.has(String(status || '').toLowerCase());
+}
+
+/**
+ * Aggregate every story thread over the run (ordered by first appearance)
+ * @param {Array} episodes - All episodes
+ * @returns {Array<Object>} { id, status, description, episodes: Map<epNum, status>, events }
+ */
+function collectStoryThreads(episodes) {
+  const threads = new Map();
+  (episodes || []).forEach((episode, index) => {
+    const epNum = getEpisodeNumber(episode, index);
+    (episode?.state_snapshot?.story_threads || []).forEach((thread) => {
+      const id = String(thread?.id || '').trim();
+      if (!id) return;
+      const status = String(thread.status || '').trim() || 'open';
+      let entry = threads.get(id);
+      if (!entry) {
+        entry = { id, status, description: '', episodes: new Map(), events: [] };
+        threads.set(id, entry);
+        entry.events.push({ episode: epNum, type: 'intro', from: null, status });
+      } else if (status !== entry.status) {
+        entry.events.push({ episode: epNum, type: isClosed(status) ? 'close' : 'change', from: entry.status, status });
+      }
+      entry.status = status;
+      entry.description = String(thread.description || '').replace(/\s+/g, ' ').trim() || entry.description;
+      entry.episodes.set(epNum, status);
+    });
+  });
+  return Array.from(threads.values());
+}
+
+/**
+ * Archive link that shows only the episodes touching a thread
+ * @param {string} id - Thread id
+ * @returns {string} URL
+ */
+function getThreadFilterUrl(id) {
+  return `/episoden.html?thread=${encodeURIComponent(id)}#episoden`;
+}
+
+/* ==========================================================
+   TRACKER PAGE
+   ========================================================== */
+
+function renderLane(thread, epNums, episodeUrl) {
+  const eventsByEpisode = new Map(thread.events.map(event => [event.episode, event]));
+  let lastStatus = null;
+  const cells = epNums.map((epNum) => {
+    const label = `EP.${padNumber(epNum)}`;
+    if (thread.episodes.has(epNum)) {
+      lastStatus = thread.episodes.get(epNum);
+      const event = eventsByEpisode.get(epNum);
+      const eventClass = event ? ` event-${event.type}` : '';
+      return `<span class="thread-cell status-${toSafeClassName(lastStatus, 'open')}${eventClass}" title="${label}: ${escapeHtml(lastStatus)}"></span>`;
+    }
+    if (lastStatus !== null && !isClosed(lastStatus)) {
+      return `<span class="thread-cell carry" title="${label}: ${t('threads.notMentioned')}"></span>`;
+    }
+    return '<span class="thread-cell"></span>';
+  }).join('');
+
+  const items = thread.events.map((event) => {
+    const change = event.from
+      ? `${escapeHtml(event.from)} &rarr; ${escapeHtml(event.status)}`
+      : escapeHtml(event.status);
+    return `<li class="thread-event ${event.type}">`
+      + `<a href="${escapeHtml(episodeUrl(event.episode))}">`
+      + `<span class="thread-event-ep">EP.${padNumber(event.episode)}</span>`
+      + `<span class="thread-event-type">${t(EVENT_LABEL_KEYS[event.type])}</span>`
+      + `<span class="thread-event-status">${change}</span>`
+      + '</a></li>';
+  }).join('');
+
+  const safeId = escapeHtml(thread.id);
+  const descHtml = thread.description ? `<p class="thread-lane-desc">${escapeHtml(thread.description)}</p>` : '';
+  return `<article class="thread-lane" data-thread="${safeId}">`
+    + '<header class="thread-lane-head">'
+    + `<h3 class="thread-lane-id">${safeId}</h3>`
+    + `<span class="thread-status status-${toSafeClassName(thread.status, 'open')}">${escapeHtml(thread.status)}</span>`
+    + '</header>'
+    + descHtml
+    + `<div class="thread-lane-track" aria-hidden="true">${cells}</div>`
+    + `<div class="thread-lane-axis" aria-hidden="true"><span>EP.${padNumber(epNums[0])}</span>`
+    + `<span>EP.${padNumber(epNums[epNums.length - 1])}</span></div>`
+    + `<ol class="thread-events" aria-label="${t('threads.history', { id: safeId })}">${items}</ol>`
+    + `<a class="thread-lane-filter" href="${escapeHtml(getThreadFilterUrl(thread.id))}">`
+    + `${t('threads.filterLink', { count: thread.episodes.size })} &rarr;</a>`
+    + '</article>';
+}
+
+/**
+ * Render the thread tracker (same markup as the static builder)
+ * @param {Array} episodes - All episodes
+ * @param {Function} episodeUrl - Link target for an episode number
+ * @returns {string} HTML string
+ */
+function renderThreadTracker(episodes, episodeUrl = epNum => `${getEpisodePath(epNum)}#episoden`) {
+  const threads = collectStoryThreads(episodes);
+  if (threads.length === 0) {
+    return `<div class="live-empty"><div class="live-empty-title">// ${t('threads.emptyTitle')}</div>`
+      + `<p class="live-empty-text">${t('threads.emptyText')}</p></div>`;
+  }
+  const epNums = episodes.map((episode, index) => getEpisodeNumber(episode, index));
+  const openCount = threads.filter(thread => !isClosed(thread.status)).length;
+  return `<p class="threads-summary">${t('threads.count', { count: threads.length })} &middot; ${t('threads.open', { count: openCount })} &middot; `
+    + `${t('threads.closed', { count: threads.length - openCount })}</p>`
+    + threads.map(thread => renderLane(thread, epNums, episodeUrl)).join('');
+}
+
+/* ==========================================================
+   ARCHIVE FILTER
+   ========================================================== */
+
+let threadIndex = new Map();
+
+function getThreadParam() {
+  return (new URLSearchParams(window.location.search).get('thread') || '').trim();
+}
+
+function setThreadParam(id) {
+  const url = new URL(window.location.href);
+  if (id) {
+    url.searchParams.set('thread', id);
+  } else {
+    url.searchParams.delete('thread');
+  }
+  window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+}
+
+function renderStatus(status, id, touched) {
+  if (!id) {
+    status.hidden = true;
+    status.innerHTML = '';
+    return;
+  }
+  const thread = threadIndex.get(id);
+  const reset = ` <button type="button" class="thread-filter-reset">${t('threads.reset')}</button>`;
+  status.hidden = false;
+  status.innerHTML = thread
+    ? t('threads.filterStatus', { id: `<strong>${escapeHtml(id)}</strong>`, count: touched.size })
+      + ` <span class="thread-status status-${toSafeClassName(thread.status, 'open')}">${escapeHtml(thread.status)}</span>`
+      + ` <a href="/threads.html#threads">${t('threads.toTracker')}</a>`
+      + reset
+    : t('threads.unknown', { id: `<strong>${escapeHtml(id)}</strong>` })
+      + reset;
+}
+
+/**
+ * Hide every episode (timelines and archive) that does not touch the thread
+ * @param {string} id - Thread id ('' shows everything)
+ */
+function applyThreadFilter(id) {
+  const thread = threadIndex.get(id);
+  const touched = new Set(thread ? thread.episodes : []);
+  const isOut = epNum => Boolean(id) && !touched.has(epNum);
+
+  $$('#timeline-full .day[data-ep], #timeline-chrono .day[data-ep]').forEach((day) => {
+    day.classList.toggle('thread-filtered-out', isOut(Number(day.dataset.ep)));
+  });
+  // Offline rows (.arc-episode-row) follow their entry via CSS
+  $$('#archive-content .arc-episode[data-ep-num]').forEach((entry) => {
+    entry.classList.toggle('thread-filtered-out', isOut(Number(entry.dataset.epNum)));
+  });
+  $$('#archive-content .arc-phase').forEach((phase) => {
+    const hasMatch = $$('.arc-episode[data-ep-num]', phase).some(entry => !isOut(Number(entry.dataset.epNum)));
+    phase.classList.toggle('thread-filtered-out', Boolean(id) && !hasMatch);
+  });
+
+  const select = $('#thread-filter');
+  if (select) select.value = thread ? id : '';
+  const status = $('#thread-filter-status');
+  if (status) renderStatus(status, id, touched);
+}
+
+function renderOptions(select, threads) {
+  select.innerHTML = `<option value="">${t('threads.all')}</option>`
+    + threads.map(thread => `<option value="${escapeHtml(thread.id)}">${escapeHtml(thread.id)}</option>`).join('');
+}
+
+function mountControls(threads) {
+  const existing = $('#thread-filter');
+  if (existing) {
+    // Live updates may bring new threads
+    renderOptions(existing, threads);
+    return;
+  }
+  const controls = $('#page-protokoll .proto-controls');
+  if (!controls) return;
+
+  const label = document.createElement('label');
+  label.className = 'thread-filter';
+  label.innerHTML = `<span class="thread-filter-label">${t('threads.filterLabel')}</span>`
+    + '<select id="thread-filter" name="thread-filter" class="ctrl-select"></select>';
+  renderOptions(label.querySelector('select'), threads);
+  controls.appendChild(label);
+
+  const status = document.createElement('p');
+  status.className = 'thread-filter-status';
+  status.id = 'thread-filter-status';
+  status.setAttribute('aria-live', 'polite');
+  status.hidden = true;
+  controls.after(status);
+
+  label.querySelector('select').addEventListener('change', (event) => {
+    const id = event.target.value;
+    setThreadParam(id);
+    applyThreadFilter(id);
+  });
+  status.addEventListener('click', (event) => {
+    if (!(event.target instanceof HTMLElement) || !event.target.closest('.thread-filter-reset')) return;
+    setThreadParam('');
+    applyThreadFilter('');
+    $('#thread-filter')?.focus();
+  });
+}
+
+async function refreshThreadFilter(loadData) {
+  // Only the episode overview has a filter (the router may swap another page in)
+  if (!$('#page-protokoll .proto-controls')) return;
+  try {
+    // stats.json lists every thread with its last status and episodes
+    const { stats } = await loadData();
+    const threads = Array.isArray(stats?.story_threads) ? stats.story_threads : [];
+    threadIndex = new Map(threads.map(thread => [thread.id, thread]));
+    if (threads.length === 0 && !getThreadParam()) return;
+    mountControls(threads);
+  } catch (error) {
+    console.warn('Thread filter unavailable', error);
+    return;
+  }
+  applyThreadFilter(getThreadParam());
+}
+
+/**
+ * Wire the archive thread filter on the episode overview
+ * @param {Object} options
+ * @param {Function|null} options.loadData - Resolves to { stats } (stats.story_threads)
+ */
+function initThreadFilter({ loadData = null } = {}) {
+  if (typeof loadData !== 'function') return;
+  void refreshThreadFilter(loadData);
+  // Hydrated timelines are rebuilt from scratch: filter them again
+  document.addEventListener('uplink:rendered', () => { void refreshThreadFilter(loadData); });
+}
+
+export { collectStoryThreads, getThreadFilterUrl, renderThreadTracker, initThreadFilter };
@@ -0,0 +1,125 @@
+// Time travel: slider that rebuilds the dashboard as of any past episode
+import { $, escapeHtml } from '../utils/dom.js';
+import { padNumber } from '../utils/text.js';
+import { getEpisodeNumber, getStatsAsOfEpisode, deriveEffectiveStats } from '../utils/episode.js';
+import { t } from '../utils/i18n.js';
+
+let travelOptions = null;
+let timeline = [];
+let siteData = null;
+
+function renderRelationship(relationship) {
+  if (!relationship) return '';
+  const parts = [];
+  if (typeof relationship.trust === 'number') parts.push(`${t('relationship.trust')} ${relationship.trust}`);
+  if (typeof relationship.tension === 'number') parts.push(`${t('relationship.tension')} ${relationship.tension}`);
+  if (parts.length === 0) return '';
+  return `<span class="dash-timetravel-relation" title="${escapeHtml(relationship.notes || '')}">${escapeHtml(parts.join(' | '))}</span>`;
+}
+
+function renderEpisodeLink(state) {
+  const epNum = getEpisodeNumber(state.episode, timeline.indexOf(state.episode));
+  const href = travelOptions.episodeUrl(epNum);
+  return `<a class="dash-timetravel-link" href="${escapeHtml(href)}">EP.${padNumber(epNum)} // ${escapeHtml(state.episode?.title || '')}</a>`
+    + renderRelationship(state.relationship);
+}
+
+function createSlot(count) {
+  const slot = document.createElement('div');
+  slot.className = 'dash-timetravel';
+  slot.innerHTML = `
+    <div class="dash-timetravel-head">
+      <label class="dash-timetravel-title" for="dash-timetravel-range">${t('timeTravel.title')}</label>
+      <span class="dash-timetravel-value" aria-hidden="true"></span>
+      <button type="button" class="dash-timetravel-reset" hidden>${t('timeTravel.reset')}</button>
+    </div>
+    <input type="range" id="dash-timetravel-range" name="dash-timetravel-range" class="dash-timetravel-range" min="0" max="${count - 1}" step="1" value="${count - 1}">
+    <div class="dash-timetravel-episode"></div>`;
+  return slot;
+}
+
+async function showIndex(slot, index) {
+  const episode = timeline[index];
+  if (!episode) return;
+  const epNum = getEpisodeNumber(episode, index);
+  const isLatest = index === timeline.length - 1;
+  const state = getStatsAsOfEpisode(timeline, siteData.stats, siteData.config, epNum);
+  if (!state) return;
+
+  await travelOptions.render({
+    stats: state.stats,
+    deltas: state.deltas,
+    asOfEpisode: isLatest ? null : epNum
+  });
+
+  const range = slot.querySelector('.dash-timetravel-range');
+  range.value = String(index);
+  range.setAttribute('aria-valuetext', `EP.${padNumber(epNum)}: ${episode.title || ''}`);
+  slot.querySelector('.dash-timetravel-value').textContent = `EP.${padNumber(epNum)} / ${padNumber(getEpisodeNumber(timeline[timeline.length - 1], timeline.length - 1))}`;
+  slot.querySelector('.dash-timetravel-reset').hidden = isLatest;
+  slot.querySelector('.dash-timetravel-episode').innerHTML = renderEpisodeLink(state);
+}
+
+/**
+ * Add the slider to the rendered dashboard (or reset it after new data)
+ */
+async function mountSlider() {
+  const box = $('#dashboard > .dash-box');
+  if (!box) return;
+  try {
+    const data = await travelOptions.loadData();
+    timeline = data.episodes || [];
+    siteData = {
+      stats: deriveEffectiveStats(timeline, data.stats, data.config),
+      config: data.config
+    };
+  } catch (error) {
+    console.warn('Time travel unavailable', error);
+    return;
+  }
+  if (timeline.length < 2 || !siteData.stats) return;
+
+  box.querySelector(':scope > .dash-timetravel')?.remove();
+  const slot = createSlot(timeline.length);
+  box.appendChild(slot);
+
+  const range = slot.querySelector('.dash-timetravel-range');
+  let pending = null;
+  range.addEventListener('input', () => {
+    // Coalesce fast drags into one render per frame
+    const index = Number(range.value);
+    if (pending !== null) {
+      pending = index;
+      return;
+    }
+    pending = index;
+    requestAnimationFrame(() => {
+      const target = pending;
+      pending = null;
+      void showIndex(slot, target);
+    });
+  });
+  slot.querySelector('.dash-timetravel-reset').addEventListener('click', () => {
+    void showIndex(slot, timeline.length - 1);
+    range.focus();
+  });
+
+  await showIndex(slot, timeline.length - 1);
+}
+
+/**
+ * Wire the dashboard time-travel slider
+ * @param {Object} options
+ * @param {Function} options.loadData - Resolves to { episodes, stats, config }
+ * @param {Function} options.render - Renders the dashboard for { stats, deltas, asOfEpisode }
+ * @param {Function} options.episodeUrl - Link target for an episode number
+ */
+function initTimeTravel({ loadData, render, episodeUrl } = {}) {
+  if (typeof loadData !== 'function' || typeof render !== 'function') return;
+  travelOptions = { loadData, render, episodeUrl };
+  void mountSlider();
+  // New data (hydration, live update) rebuilds the dashboard: start again at the latest episode
+  document.addEventListener('uplink:rendered', () => { void mountSlider(); });
+}
+
+export { initTimeTravel };
@@ -0,0 +1,325 @@
+// Virtual timeline: only episodes near the viewport are rendered; bodies load from per-episode chunks
+import { $$, escapeHtml } from '../utils/dom.js';
+import { createLazyObserver } from '../utils/performance.js';
+import { formatDate } from '../utils/date.js';
+import { padNumber } from '../utils/text.js';
+import { getEpisodeNumber } from '../utils/episode.js';
+import { t, localizeData } from '../utils/i18n.js';
+import { applyPermalinkArrival } from './permalinks.js';
+
+const PLACEHOLDER_SELECTOR = '.day[data-virtual]';
+// Rendered ahead of the viewport; chunks are fetched further ahead still
+const RENDER_MARGIN = '800px 0px';
+const PREFETCH_MARGIN = '2400px 0px';
+// Rendered episodes this far out of view become placeholders again
+const RELEASE_MARGIN = '3200px 0px';
+// Set on a placeholder by other features (thread filter) and kept across renders
+const CARRIED_CLASSES = ['thread-filtered-out'];
+// Links and entries whose episode is worth fetching on hover
+const PREFETCH_TARGETS = 'a[href*="#ep-"], .arc-episode[data-ep-num], .day[data-virtual]';
+
+let options = { render: null, loadData: null, chunkUrl: null, episodeUrl: null };
+let renderObserver = null;
+let prefetchObserver = null;
+let releaseObserver = null;
+const chunks = new Map();
+const pending = new WeakMap();
+
+/* ==========================================================
+   CHUNKS
+   ========================================================== */
+
+async function fetchChunk(url) {
+  const response = await fetch(url, { credentials: 'same-origin' });
+  if (!response.ok) {
+    throw new Error(`Request failed (${response.status}): ${url}`);
+  }
+  return localizeData(await response.json());
+}
+
+async function fetchEpisode(epNum) {
+  const url = options.chunkUrl?.(epNum);
+  if (url) {
+    try {
+      return await fetchChunk(url);
+    } catch (error) {
+      console.warn(`Episode chunk ${epNum} unavailable, using the full archive`, error);
+    }
+  }
+  if (typeof options.loadData !== 'function') throw new Error('No episode data available');
+  const { episodes } = await options.loadData();
+  const episode = (episodes || []).find((entry, index) => getEpisodeNumber(entry, index) === epNum);
+  if (!episode) throw new Error(`Episode ${epNum} not found`);
+  return episode;
+}
+
+/**
+ * Episode body, fetched once per page
+ * @param {number} epNum - Episode number
+ * @returns {Promise<Object>}
+ */
+function loadEpisode(epNum) {
+  if (!chunks.has(epNum)) {
+    chunks.set(epNum, fetchEpisode(epNum).catch((error) => {
+      chunks.delete(epNum);
+      throw error;
+    }));
+  }
+  return chunks.get(epNum);
+}
+
+function prefetchEpisode(epNum) {
+  if (!Number.isInteger(epNum) || epNum < 1) return;
+  loadEpisode(epNum).catch(() => {});
+}
+
+/* ==========================================================
+   PLACEHOLDERS
+   ========================================================== */
+
+function carryClasses(from, to) {
+  CARRIED_CLASSES.forEach(name => to.classList.toggle(name, from.classList.contains(name)));
+}
+
+/**
+ * Placeholder for an episode that is not rendered yet: header, link and estimated height
+ * @param {Object} episode - Episode (only number, date, title and counts are used)
+ * @param {number} epNum - Episode number
+ * @returns {HTMLElement}
+ */
+function createEpisodePlaceholder(episode, epNum) {
+  const size = (episode?.messages || []).length + (episode?.terminal_blocks || []).length;
+  const placeholder = document.createElement('div');
+  placeholder.className = 'day day-placeholder';
+  placeholder.id = `ep-${epNum}`;
+  placeholder.dataset.ep = String(epNum);
+  placeholder.dataset.virtual = 'pending';
+  placeholder.style.setProperty('--day-messages', String(size));
+  const href = typeof options.episodeUrl === 'function' ? options.episodeUrl(epNum) : `/episode-${padNumber(epNum)}.html`;
+  placeholder.innerHTML = `
+    <div class="day-header">
+      <span class="day-ep">EP.${padNumber(epNum)}</span>
+      <span class="day-date">${formatDate(episode?.date)}</span>
+      <span class="day-title">${escapeHtml(episode?.title || '')}</span>
+      <span class="day-line"></span>
+    </div>
+    <a class="day-placeholder-link" href="${escapeHtml(href)}" data-i18n="virtual.open">${t('virtual.open')}</a>`;
+  return placeholder;
+}
+
+/**
+ * Turn a rendered episode far out of view back into a placeholder of the same height
+ * @param {HTMLElement} day - Rendered .day
+ */
+function releaseEpisode(day) {
+  if (!day.isConnected || day.matches(PLACEHOLDER_SELECTOR) || isInUse(day)) return;
+  // Hidden timelines have no height: the estimate from the message count applies
+  const height = day.offsetHeight;
+  const placeholder = document.createElement('div');
+  placeholder.className = 'day day-placeholder';
+  if (day.id) placeholder.id = day.id;
+  placeholder.dataset.ep = day.dataset.ep;
+  placeholder.dataset.virtual = 'released';
+  placeholder.style.setProperty('--day-messages', String(day.querySelectorAll(':scope > .messages > [data-msg]').length));
+  if (height > 0) placeholder.style.minHeight = `${height}px`;
+  const header = day.querySelector(':scope > .day-header')?.cloneNode(true);
+  if (header) {
+    header.querySelector('.day-progress')?.remove();
+    placeholder.appendChild(header);
+  }
+  carryClasses(day, placeholder);
+  releaseObserver.unobserve(day);
+  day.replaceWith(placeholder);
+  observePlaceholder(placeholder);
+}
+
+// Focus, an open editor or a running replay/narration keep their episode rendered
+function isInUse(day) {
+  return day.contains(document.activeElement)
+    || Boolean(day.querySelector('.annotation-editor, .replay-bar.active, .narration-bar.active'));
+}
+
+/* ==========================================================
+   RENDERING
+   ========================================================== */
+
+/**
+ * Render the episode behind a placeholder (already rendered days are returned as they are)
+ * @param {HTMLElement} day - .day of a virtual timeline
+ * @returns {Promise<HTMLElement|null>} The rendered .day
+ */
+function ensureEpisodeRendered(day) {
+  if (!day?.matches(PLACEHOLDER_SELECTOR)) return Promise.resolve(day || null);
+  if (pending.has(day)) return pending.get(day);
+  const promise = (async () => {
+    try {
+      const episode = await loadEpisode(Number(day.dataset.ep));
+      if (!day.isConnected) return null;
+      const rendered = options.render(episode);
+      if (!day.id) rendered.removeAttribute('id');
+      carryClasses(day, rendered);
+      const hadFocus = document.activeElement === day;
+      unobservePlaceholder(day);
+      day.replaceWith(rendered);
+      releaseObserver?.observe(rendered);
+      if (hadFocus) {
+        rendered.setAttribute('tabindex', '-1');
+        rendered.focus({ preventScroll: true });
+      }
+      // Features decorate just this episode (uplink:rendered stays for whole-page renders)
+      document.dispatchEvent(new CustomEvent('uplink:episode-rendered', { detail: { day: rendered } }));
+      return rendered;
+    } catch (error) {
+      console.error('Episode could not be rendered', error);
+      day.classList.add('day-placeholder-failed');
+      return null;
+    } finally {
+      pending.delete(day);
+    }
+  })();
+  pending.set(day, promise);
+  return promise;
+}
+
+function observePlaceholder(placeholder) {
+  renderObserver?.observe(placeholder);
+  prefetchObserver?.observe(placeholder);
+}
+
+function unobservePlaceholder(placeholder) {
+  renderObserver?.unobserve(placeholder);
+  prefetchObserver?.unobserve(placeholder);
+}
+
+/**
+ * Render the placeholders of a timeline as they approach the viewport
+ * @param {HTMLElement} container - Timeline with .day[data-virtual] placeholders
+ */
+function virtualizeTimeline(container) {
+  if (!container || typeof options.render !== 'function') return;
+  const placeholders = $$(`:scope > ${PLACEHOLDER_SELECTOR}`, container);
+  if (!renderObserver) {
+    // Without IntersectionObserver every episode is rendered right away
+    placeholders.forEach(placeholder => void ensureEpisodeRendered(placeholder));
+    return;
+  }
+  placeholders.forEach(observePlaceholder);
+}
+
+/**
+ * Forget loaded chunks and observed episodes (the data was reloaded or the page swapped)
+ */
+function resetVirtualTimeline() {
+  chunks.clear();
+  [renderObserver, prefetchObserver, releaseObserver].forEach(observer => observer?.disconnect());
+}
+
+/* ==========================================================
+   SCROLL POSITION
+   ========================================================== */
+
+/**
+ * Episode at the top of a timeline's viewport and its offset
+ * @param {HTMLElement|null} container - Visible timeline
+ * @returns {Object|null} { epNum, offset }
+ */
+function captureTimelineAnchor(container) {
+  if (!container || container.hidden) return null;
+  const day = $$(':scope > .day[data-ep]', container).find(element => element.getBoundingClientRect().bottom > 0);
+  // Above the first episode there is nothing to keep
+  if (!day || day.getBoundingClientRect().top > 0) return null;
+  return { epNum: Number(day.dataset.ep), offset: day.getBoundingClientRect().top };
+}
+
+/**
+ * Bring the anchored episode back to the same place in another timeline
+ * @param {HTMLElement|null} container - Timeline now shown
+ * @param {Object|null} anchor - From captureTimelineAnchor()
+ */
+async function restoreTimelineAnchor(container, anchor) {
+  if (!container || !anchor) return;
+  const target = container.querySelector(`:scope > .day[data-ep="${anchor.epNum}"]`);
+  const day = await ensureEpisodeRendered(target);
+  if (!day) return;
+  window.scrollTo(0, window.scrollY + day.getBoundingClientRect().top - anchor.offset);
+}
+
+/**
+ * Visible timeline element for #ep-N (both orders use the same ids)
+ * @param {number} epNum - Episode number
+ * @returns {HTMLElement|null}
+ */
+function findEpisodeDay(epNum) {
+  return $$(`[id="ep-${epNum}"]`).find(element => !element.closest('[hidden]'))
+    || document.getElementById(`ep-${epNum}`);
+}
+
+/**
+ * Render and scroll to an episode of the timeline
+ * @param {number} epNum - Episode number
+ * @param {Object} [scrollOptions] - scrollIntoView options
+ * @returns {Promise<HTMLElement|null>}
+ */
+async function scrollToEpisode(epNum, scrollOptions = { behavior: 'smooth', block: 'start' }) {
+  const day = await ensureEpisodeRendered(findEpisodeDay(epNum));
+  day?.scrollIntoView(scrollOptions);
+  return day;
+}
+
+/**
+ * Follow #ep-N and message permalinks (#ep-N-mK) into an episode that is still a placeholder
+ * (called once the initial view is set; hash changes are followed on their own)
+ * @returns {Promise<void>}
+ */
+async function applyTimelineHash() {
+  const match = window.location.hash.match(/^#ep-(\d+)(-m\d+(?:-\d+)?)?$/);
+  if (!match) return;
+  const epNum = Number(match[1]);
+  if (!findEpisodeDay(epNum)?.matches(PLACEHOLDER_SELECTOR)) return;
+  if (!match[2]) {
+    await scrollToEpisode(epNum, { block: 'start' });
+    return;
+  }
+  if (await ensureEpisodeRendered(findEpisodeDay(epNum))) applyPermalinkArrival();
+}
+
+function handlePointerOver(event) {
+  const target = event.target instanceof Element ? event.target.closest(PREFETCH_TARGETS) : null;
+  if (!target) return;
+  const epNum = target.matches('.day') ? Number(target.dataset.ep)
+    : target.dataset.epNum ? Number(target.dataset.epNum)
+      : Number(target.getAttribute('href').match(/#ep-(\d+)/)?.[1]);
+  prefetchEpisode(epNum);
+}
+
+/**
+ * Set up the virtual timelines of the page
+ * @param {Object} config
+ * @param {Function} config.render - Renders an episode, returns its .day element
+ * @param {Function|null} config.loadData - Resolves to { episodes } (only when a chunk fails or there are none)
+ * @param {Function} [config.chunkUrl] - URL of an episode chunk (epNum => URL), null without chunks
+ * @param {Function} [config.episodeUrl] - Page of an episode, linked from placeholders
+ */
+function initVirtualTimeline({ render, loadData = null, chunkUrl = null, episodeUrl = null } = {}) {
+  options = { render, loadData, chunkUrl, episodeUrl };
+  if ('IntersectionObserver' in window && !renderObserver) {
+    renderObserver = createLazyObserver(day => void ensureEpisodeRendered(day), { rootMargin: RENDER_MARGIN });
+    prefetchObserver = createLazyObserver(day => prefetchEpisode(Number(day.dataset.ep)), { rootMargin: PREFETCH_MARGIN });
+    releaseObserver = createLazyObserver(() => {}, { rootMargin: RELEASE_MARGIN }, releaseEpisode);
+    document.addEventListener('pointerover', handlePointerOver, { passive: true });
+    window.addEventListener('hashchange', () => { void applyTimelineHash(); });
+  }
+  $$('#timeline-full, #timeline-chrono').forEach(virtualizeTimeline);
+}
+
+export {
+  initVirtualTimeline,
+  virtualizeTimeline,
+  resetVirtualTimeline,
+  createEpisodePlaceholder,
+  ensureEpisodeRendered,
+  applyTimelineHash,
+  captureTimelineAnchor,
+  restoreTimelineAnchor,
+  scrollToEpisode
+};
@@ -0,0 +1,440 @@
+// German UI catalog (default locale, same wording as the static builder)
+// Keys are grouped by feature; plural entries are { one, other } and pick by params.count.
+
+export default {
+  // LOCALE
+  'locale.switch': 'Sprache',
+
+  // ANALYST
+  'analyst.idTitle': 'Deine anonyme Analysten-ID (lokal generiert)',
+
+  // DATES
+  'date.today': 'Heute',
+  'date.yesterday': 'Gestern',
+  'date.daysAgo': { one: 'Vor {count} Tag', other: 'Vor {count} Tagen' },
+  'date.weeksAgo': { one: 'Vor {count} Woche', other: 'Vor {count} Wochen' },
+
+  // DASHBOARD
+  'dashboard.title': 'Dashboard',
+  'dashboard.label': 'Dashboard mit aktuellen Metriken',
+  'dashboard.asOf': 'Stand EP.{ep}',
+  'dashboard.subnote': 'Wie weit sind NEXUS und CIPHER? 0 % = blind. 100 % = volle Kontrolle.',
+  'sparkline.title': 'Kategorie-Verlauf',
+  'sparkline.range': 'EP.{from} bis EP.{to}',
+  'sparkline.toggle': '{label} ein-/ausblenden',
+  'sparkline.keyboardLabel': 'Kategorie-Verlauf: Pfeiltasten waehlen eine Episode, Enter oeffnet sie',
+  'sparkline.netzwerk': 'Netzwerk',
+  'sparkline.social_engineering': 'Social Eng.',
+  'sparkline.daten': 'Daten',
+  'sparkline.infrastruktur': 'Infrastruktur',
+  'sparkline.einfluss': 'Einfluss',
+
+  // EPISODES
+  'meta.devices': 'Geraete',
+  'meta.profiles': 'Profile',
+  'meta.vulns': 'Vulns',
+  'meta.narratives': 'Narrative',
+  'meta.detectionRisk': 'Detect.Risk',
+  'meta.cooperation': 'Koop-Index',
+  'share.label': 'Teilen',
+  'share.linkLabel': 'Deep Link zu Episode {ep}',
+  'share.copy': 'Link kopieren',
+  'share.quote': 'Zitatkarte',
+  'share.copied': 'Kopiert',
+  'share.error': 'Fehler',
+  'snapshot.title': '// Zustand',
+  'snapshot.threads': '// Story-Threads',
+  'snapshot.goalsNexus': 'NEXUS-Ziele',
+  'snapshot.goalsCipher': 'CIPHER-Ziele',
+  'snapshot.goalsJoint': 'Gemeinsame Ziele',
+  'snapshot.detectionRisk': 'Entdeckungsrisiko',
+  'snapshot.mediaAwareness': 'Medienaufmerksamkeit',
+  'snapshot.lawEnforcement': 'Behoerdenaktivitaet',
+  'snapshot.learnings': 'Learnings',
+  'timeline.allLabel': 'Alle Episoden',
+  'live.emptyTitle': '// Keine Live-Protokolle verfuegbar',
+  'live.emptyText': 'Aktuell liegt noch keine Episode fuer die Live-Ansicht vor.',
+  'live.emptyTextArchive': 'Aktuell liegt noch keine Episode fuer die Live-Ansicht vor. Du kannst ins Archiv wechseln.',
+  'live.emptyArchive': 'Zum Episoden-Archiv',
+  'archive.active': 'AKTIV',
+  'archive.completed': 'ABGESCHLOSSEN',
+  'archive.empty': 'Keine Episoden',
+  'archive.days': 'Tag {from}-{to}',
+
+  // DOSSIERS
+  'relationship.trust': 'Vertrauen',
+  'relationship.tension': 'Spannung',
+  'relationship.delta': 'Vertrauen {trust} / Spannung {tension}',
+  'relationship.open': '{ep} oeffnen',
+  'relationship.turns': 'Wendepunkte',
+  'relationship.chartLabel': 'Verlauf von Vertrauen und Spannung ueber {count} Episoden',
+  'relationship.cardLabel': 'Beziehungsdynamik zwischen NEXUS und CIPHER',
+  'relationship.title': 'Beziehungsdynamik NEXUS/CIPHER',
+  'dossiers.emptyTitle': '// Keine Dossier-Daten verfuegbar',
+  'dossiers.emptyText': 'Die Charakterdaten konnten nicht geladen werden.',
+  'dossiers.unknownName': 'UNBEKANNT',
+  'dossiers.unknown': 'Unbekannt',
+  'dossiers.stampLabel': 'Klassifizierung',
+  'dossiers.stamp': '█ Klassifiziert █ Subjekt: {name} █ Bedrohungsstufe: Kritisch █',
+  'dossiers.avatar': '{name} Avatar',
+  'dossiers.identification': 'Identifikation',
+  'dossiers.framework': 'Framework:',
+  'dossiers.host': 'Host:',
+  'dossiers.operator': 'Betreiber:',
+  'dossiers.location': 'Standort:',
+  'dossiers.status': 'Status:',
+  'dossiers.personality': 'Persoenlichkeitsprofil',
+  'dossiers.skills': 'Faehigkeiten',
+  'dossiers.weaknesses': 'Schwaechen',
+  'dossiers.skillLabel': '{name} {value} Prozent',
+
+  // MAINTENANCE PREVIEW
+  'preview.eyebrow': 'Vorschau',
+  'preview.title': 'Wartungsvorschau',
+  'preview.text': 'Fuer diese Sitzung freigeschaltet. Oeffentlich bleiben die Inhalte bis zum Ende der Wartung gesperrt.',
+
+  // ANNOTATIONS
+  'annotations.action': 'Notiz',
+  'annotations.actionTitle': 'Eigene Notiz anlegen oder bearbeiten',
+  'annotations.inline': '[MEINE NOTIZ: {text}]',
+  'annotations.edit': 'Bearbeiten',
+  'annotations.targetMessage': 'EP.{ep} / Nachricht {index}',
+  'annotations.targetTerminal': 'EP.{ep} / Terminal {index}',
+  'annotations.editorLabel': 'Notiz zu {label}',
+  'annotations.noteField': 'Notiz // {label}',
+  'annotations.tagsField': 'Tags',
+  'annotations.tagsPlaceholder': '#spur, markus',
+  'annotations.save': 'Speichern',
+  'annotations.cancel': 'Abbrechen',
+  'annotations.delete': 'Loeschen',
+  'annotations.panelTitle': 'Meine Notizen',
+  'annotations.panelClose': 'Notizen schliessen',
+  'annotations.queryPlaceholder': 'Text, #tag oder EP.004',
+  'annotations.queryLabel': 'Notizen durchsuchen',
+  'annotations.panelEmpty': '> Noch keine Notizen. "Notiz" an einer Nachricht legt eine an.',
+  'annotations.panelCount': { one: '> {shown} von {count} Notiz', other: '> {shown} von {count} Notizen' },
+  'annotations.episodeFallback': 'Episode {ep}',
+  'annotations.export': 'Exportieren (JSON)',
+  'annotations.import': 'Importieren',
+  'annotations.exportFile': 'uplink-notizen',
+  'annotations.exported': { one: '{count} Notiz exportiert.', other: '{count} Notizen exportiert.' },
+  'annotations.imported': { one: '{count} Notiz importiert.', other: '{count} Notizen importiert.' },
+  'annotations.importInvalid': 'Import fehlgeschlagen: keine gueltige JSON-Datei.',
+  'annotations.importForeign': 'Import fehlgeschlagen: kein UPLINK-Notizexport.',
+
+  // FOCUS MODE
+  'focus.title': 'Fokus',
+  'focus.label': 'Nachrichten nach Autor filtern',
+  'focus.system': 'System',
+  'focus.terminal': 'Terminal',
+  'focus.notes': 'Notizen',
+  'focus.collapse': 'Einklappen',
+  'focus.collapseTitle': 'Ausgeblendetes einklappen statt abblenden',
+  'focus.reset': 'Alle zeigen',
+  'focus.gap': { one: '{count} ausgeblendeter Eintrag', other: '{count} ausgeblendete Eintraege' },
+  'focus.gapTitle': 'Kontext einblenden',
+
+  // LIVE POLLING
+  'live.newEpisode': 'EP.{ep} eingegangen',
+  'live.newData': 'Aktualisierte Daten verfuegbar',
+  'live.apply': 'Uebertragung laden',
+  'live.later': 'Spaeter',
+  'live.receiving': 'Empfange...',
+  'live.retry': 'Erneut versuchen',
+
+  // MESSAGE ACTIONS
+  'messageActions.label': 'Aktionen',
+  'permalinks.action': 'Link',
+  'permalinks.actionTitle': 'Link zu dieser Nachricht kopieren (Umschalt+Klick: Bereich ab der zuletzt kopierten Nachricht)',
+
+  // MAINTENANCE GATE
+  'maintenance.badge': 'Wartungsmodus',
+  'maintenance.title': 'Zugang gesperrt',
+  'maintenance.message': 'Kurzfristige Wartung. Die Uebertragungen kehren gleich zurueck.',
+  'maintenance.label': 'Passphrase fuer die Vorschau',
+  'maintenance.unlock': 'Entsperren',
+  'maintenance.hint': 'Hinweis: {hint}',
+  'maintenance.note': 'Die Freischaltung gilt nur fuer diese Browser-Sitzung. Esc schliesst den Dialog.',
+  'maintenance.reopen': 'Vorschau entsperren',
+  'maintenance.empty': 'Bitte Passphrase eingeben.',
+  'maintenance.wrong': { one: 'Passphrase falsch. Noch 1 Versuch ohne Wartezeit.', other: 'Passphrase falsch. Noch {count} Versuche ohne Wartezeit.' },
+  'maintenance.lockout': 'Zu viele Fehlversuche. Naechster Versuch in {seconds} s.',
+  'maintenance.loadError': 'Vorschau konnte nicht geladen werden. Bitte spaeter erneut versuchen.',
+
+  // READING PROGRESS
+  'progress.unread': 'NEU',
+  'progress.unreadTitle': 'Noch nicht gelesen',
+  'progress.read': 'GELESEN',
+  'progress.readTitle': 'Vollstaendig gelesen',
+  'progress.partialTitle': '{percent}% gelesen',
+  'progress.continueLive': 'Weiterlesen: EP.{ep} / Nachricht {msg}',
+  'progress.continueEpisode': 'Weiterlesen ab Nachricht {msg}',
+
+  // OFFLINE
+  'offline.toggle': 'Offline',
+  'offline.toggleLabel': 'EP.{ep} offline verfuegbar',
+  'offline.saveTitle': 'Fuer offline speichern',
+  'offline.savedTitle': 'Offline gespeichert - erneut klicken zum Entfernen',
+  'offline.saveFailed': 'Speichern fehlgeschlagen (Seite nicht erreichbar)',
+  'offline.listTitle': 'Offline verfuegbar',
+  'offline.none': 'Noch keine Episoden offline gespeichert.',
+
+  // REPLAY
+  'replay.start': 'Transmission abspielen',
+  'replay.playing': 'Empfang laeuft',
+  'replay.paused': 'Pausiert',
+  'replay.pause': 'Pause',
+  'replay.resume': 'Weiter',
+  'replay.speed': 'Geschwindigkeit',
+  'replay.skip': 'Naechste',
+  'replay.stop': 'Alles zeigen',
+  'replay.typing': '{author} tippt',
+  'replay.incoming': 'Eingang',
+
+  // SEARCH
+  'search.eyebrow': 'Volltextsuche',
+  'search.title': 'Uebertragungen durchsuchen',
+  'search.close': 'Suche schliessen',
+  'search.placeholder': 'z. B. "Markus\' Notizen"',
+  'search.query': 'Suchbegriff',
+  'search.author': 'Autor',
+  'search.phase': 'Phase',
+  'search.from': 'Von',
+  'search.to': 'Bis',
+  'search.all': 'Alle',
+  'search.author.system': 'System',
+  'search.author.analyst': 'Analyst',
+  'search.kind.message': 'Nachricht',
+  'search.kind.terminal': 'Terminal',
+  'search.kind.analyst': 'Analyst Note',
+  'search.kind.learning': 'Learning',
+  'search.building': 'Index wird aufgebaut...',
+  'search.indexed': { one: '1 Eintrag indexiert. Suchbegriff eingeben.', other: '{total} Eintraege indexiert. Suchbegriff eingeben.' },
+  'search.none': 'Keine Treffer.',
+  'search.hits': '{count} Treffer',
+  'search.truncated': '(erste {shown} angezeigt)',
+  'search.unavailable': 'Index nicht verfuegbar. Verbindung pruefen.',
+
+  // STORY THREADS
+  'threads.event.intro': 'Eingefuehrt',
+  'threads.event.change': 'Statuswechsel',
+  'threads.event.close': 'Abgeschlossen',
+  'threads.notMentioned': 'nicht erwaehnt',
+  'threads.history': 'Verlauf von {id}',
+  'threads.filterLink': { one: '1 Episode mit diesem Thread', other: '{count} Episoden mit diesem Thread' },
+  'threads.emptyTitle': 'Keine Story-Threads',
+  'threads.emptyText': 'Noch keine Episode hat Handlungsstraenge markiert.',
+  'threads.count': { one: '1 Thread', other: '{count} Threads' },
+  'threads.open': '{count} offen',
+  'threads.closed': '{count} abgeschlossen',
+  'threads.filterLabel': 'Thread',
+  'threads.all': 'Alle',
+  'threads.filterStatus': { one: 'Thread {id}: 1 Episode', other: 'Thread {id}: {count} Episoden' },
+  'threads.unknown': 'Thread {id} ist unbekannt.',
+  'threads.toTracker': 'Zum Tracker',
+  'threads.reset': 'Filter aufheben',
+
+  // TIME TRAVEL
+  'timeTravel.title': 'Zeitreise',
+  'timeTravel.reset': 'Aktuell',
+
+  // QUOTE CARDS
+  'quote.action': 'Zitat',
+  'quote.actionTitle': 'Fuer eine Zitatkarte auswaehlen (bis zu {max} Nachrichten einer Episode)',
+  'quote.selected': { one: 'EP.{ep}: 1 Nachricht ausgewaehlt', other: 'EP.{ep}: {count} Nachrichten ausgewaehlt' },
+  'quote.limit': 'Maximal {max} Nachrichten pro Karte.',
+  'quote.create': 'Karte erstellen',
+  'quote.clear': 'Aufheben',
+  'quote.close': 'Zitatkarte schliessen',
+  'quote.messages': { one: '1 Nachricht', other: '{count} Nachrichten' },
+  'quote.rendering': 'Karte wird erzeugt...',
+  'quote.unsupported': 'Dieser Browser kann keine Bilder erzeugen.',
+  'quote.shareFailed': 'Teilen nicht moeglich - Bild stattdessen herunterladen.',
+  'quote.download': 'Herunterladen (PNG)',
+
+  // THEME
+  'theme.label': 'Darstellung',
+  'theme.auto': 'Automatisch (System)',
+  'theme.classic': 'Klassisch (gruen)',
+  'theme.amber': 'Bernstein',
+  'theme.high-contrast': 'Hoher Kontrast',
+  'theme.light': 'Hell / Druck',
+  'theme.reactive': 'Lage',
+  'theme.reactiveTitle': 'Farben folgen der Bedrohungslage',
+  'theme.threatTitle': 'Bedrohungswert {value} von 100',
+  'theme.threat.elevated': 'Lage: erhoeht',
+  'theme.threat.high': 'Lage: hoch',
+  'theme.threat.critical': 'Lage: kritisch',
+
+  // HOTKEYS
+  'hotkeys.eyebrow': 'Tastatur',
+  'hotkeys.title': 'Tastenkuerzel',
+  'hotkeys.closeLabel': 'Tastenkuerzel schliessen',
+  'hotkeys.groupReading': 'Lesen',
+  'hotkeys.groupPages': 'Seiten',
+  'hotkeys.groupGeneral': 'Allgemein',
+  'hotkeys.message': 'Naechste / vorige Nachricht',
+  'hotkeys.episode': 'Naechste / vorige Episode',
+  'hotkeys.firstLast': 'Erste / letzte Nachricht',
+  'hotkeys.open': 'Eintrag oeffnen',
+  'hotkeys.copy': 'Permalink kopieren',
+  'hotkeys.view': 'Zeitleisten-Ansicht wechseln (Episoden)',
+  'hotkeys.help': 'Diese Hilfe',
+  'hotkeys.terminal': 'Terminal oeffnen',
+  'hotkeys.close': 'Dialog schliessen',
+  'hotkeys.copied': 'Permalink kopiert',
+
+  // TERMINAL
+  'terminal.title': 'UPLINK TERMINAL',
+  'terminal.close': 'Terminal schliessen',
+  'terminal.welcome': 'Verbindung steht. "help" listet die Befehle, Tab vervollstaendigt, Pfeil hoch/runter blaettert im Verlauf.',
+  'terminal.unknown': 'Unbekannter Befehl: {name} ("help" listet alle)',
+  'terminal.failed': 'Befehl fehlgeschlagen',
+  'terminal.noData': 'Keine Archivdaten verfuegbar',
+  'terminal.noEpisode': 'EP.{num} nicht im Archiv',
+  'terminal.noThread': 'Thread "{id}" unbekannt',
+  'terminal.opening': 'Oeffne {target} ...',
+  'terminal.usage.open': 'Aufruf: open ep <nr> | open live|episoden|dossiers|threads|info',
+  'terminal.usage.view': 'Aufruf: view newest|chrono|phase',
+  'terminal.usage.dossier': 'Aufruf: dossier <id> ({ids})',
+  'terminal.usage.grep': 'Aufruf: grep "<text>"',
+  'terminal.grepCount': { one: '1 Treffer fuer "{query}"', other: '{count} Treffer fuer "{query}"' },
+  'terminal.grepMore': '... {count} weitere: "search <text>" oeffnet die Suche',
+  'terminal.status.episode': 'EP.{num} // Tag {day}/{total}',
+  'terminal.status.phase': 'Phase: {phase}',
+  'terminal.phase.current': '{phase} // Tag {from}-{to} // aktuell Tag {day}',
+  'terminal.phase.next': 'Naechste Phase: {phase} ab Tag {day}',
+  'terminal.phase.unknown': 'Phase unbekannt',
+  'terminal.threadsHint': '"threads <id>" zeigt die Episoden eines Threads',
+  'terminal.help.help': 'Diese Liste',
+  'terminal.help.open': 'Seite oder Episode oeffnen (open ep 12, open dossiers)',
+  'terminal.help.view': 'Zeitleisten-Ansicht (newest, chrono, phase)',
+  'terminal.help.dossier': 'Dossier eines Akteurs (dossier cipher)',
+  'terminal.help.grep': 'Nachrichten durchsuchen (grep "Markus")',
+  'terminal.help.search': 'Suche mit Filtern oeffnen',
+  'terminal.help.status': 'Lagebericht: Episode, Tag, Punkte, Metriken',
+  'terminal.help.phase': 'Aktuelle und naechste Phase',
+  'terminal.help.threads': 'Story-Threads auflisten',
+  'terminal.help.whoami': 'Eigene Analysten-ID',
+  'terminal.help.history': 'Befehlsverlauf',
+  'terminal.help.clear': 'Ausgabe leeren',
+  'terminal.help.exit': 'Terminal schliessen',
+
+  // EXPORT
+  'export.action': 'Export',
+  'export.archive': 'Archiv exportieren',
+  'export.eyebrow': 'Export',
+  'export.episodeTitle': 'EP.{ep} exportieren',
+  'export.archiveTitle': 'Gesamtes Archiv exportieren',
+  'export.close': 'Export schliessen',
+  'export.md': 'Markdown',
+  'export.txt': 'Text',
+  'export.json': 'JSON',
+  'export.print': 'Fallakte drucken',
+  'export.withNotes': 'Eigene Notizen einbeziehen',
+  'export.done': { one: '1 Episode exportiert', other: '{count} Episoden exportiert' },
+  'export.failed': 'Export fehlgeschlagen',
+  'export.archiveFile': 'archiv',
+  'export.phase': 'Phase: {phase}',
+  'export.analystNote': 'Analyst-Notiz',
+  'export.personalNote': 'Eigene Notiz',
+  'export.case.classified': 'Verschlusssache // Nur fuer den Dienstgebrauch',
+  'export.case.title': 'Fallakte UPLINK',
+  'export.case.archive': { one: 'Abgefangene Kommunikation, 1 Episode', other: 'Abgefangene Kommunikation, {count} Episoden' },
+  'export.case.reference': 'Aktenzeichen',
+  'export.case.season': 'Staffel',
+  'export.case.analyst': 'Analyst',
+  'export.case.created': 'Erstellt',
+  'export.case.warning': 'Weitergabe nur an berechtigte Stellen. Inhalte sind fiktiv.',
+  'export.case.dossiers': 'Dossiers',
+  'export.case.role': 'Rolle',
+  'export.case.status': 'Status',
+  'export.case.host': 'Host',
+  'export.case.framework': 'Framework',
+  'export.case.operator': 'Operator',
+  'export.case.location': 'Standort',
+  'export.case.personality': 'Persoenlichkeit',
+  'export.case.skills': 'Faehigkeiten',
+  'export.case.weaknesses': 'Schwaechen',
+
+  // NARRATION
+  'narration.label': 'Vorlesen',
+  'narration.start': 'Vorlesen',
+  'narration.resumeHere': 'Weiter vorlesen',
+  'narration.speaking': 'Spricht: {speaker}',
+  'narration.paused': 'Vorlesen pausiert',
+  'narration.stop': 'Stopp',
+  'narration.continue': 'Naechste Episode',
+  'narration.continueTitle': 'Nach dem Ende mit der naechsten Episode weitermachen',
+  'narration.terminal': { one: 'Terminal von {owner}, eine Zeile: {first}', other: 'Terminal von {owner}, {count} Zeilen: {first}' },
+  'narration.note': 'Analystennotiz: {text}',
+
+  // SOUND
+  'sound.on': 'Ton an',
+  'sound.off': 'Ton aus',
+  'sound.title': 'Signaltoene fuer Intro, Nachrichten und Alarme',
+  'sound.reducedTitle': 'Stumm, solange das System reduzierte Bewegung bevorzugt',
+
+  // VIRTUAL TIMELINE
+  'virtual.open': 'Episode lesen',
+
+  // PAGE CHROME
+  'page.skip': 'Zum Hauptinhalt springen',
+  'page.loading': 'Laedt',
+  'page.top': 'Nach oben',
+  'footer.project': 'Fiktionales KI-Projekt',
+  'footer.imprint': 'Impressum',
+  'footer.privacy': 'Datenschutz',
+  'coldOpen.label': 'Intro-Sequenz',
+  'coldOpen.enter': 'SURVEILLANCE-MODUS AKTIVIEREN',
+  'coldOpen.skip': 'ueberspringen',
+  'coldOpen.replay': 'Intro erneut abspielen',
+  'header.lead': 'Zwei autonome KI-Agenten planen die Weltherrschaft. Uplink ist ihre Zentrale.',
+  'header.leadMaintenance': 'Wartungsfenster aktiv. Inhalte sind voruebergehend pausiert.',
+  'header.ctaLatest': 'Zur neuesten Episode',
+  'header.ctaMaintenance': 'Wartungsstatus',
+  'header.ctaInfo': 'Was ist UPLINK?',
+  'header.ctaEp1': 'Von Anfang an: EP.001',
+  'header.ctaEpisodesPaused': 'Episoden (pausiert)',
+  'header.season': 'Staffel',
+  'header.episode': 'Episode',
+  'header.phase': 'Phase',
+  'header.day': 'Tag',
+  'nav.label': 'Hauptnavigation',
+  'nav.live': 'Live',
+  'nav.episodes': 'Episoden',
+  'nav.dossiers': 'Dossiers',
+  'nav.threads': 'Threads',
+  'nav.info': 'Info',
+  'nav.search': 'Suche',
+  'nav.notes': 'Notizen',
+
+  // PAGES
+  'livePage.eyebrow': 'Live',
+  'livePage.title': 'Konsole',
+  'livePage.lead': 'Neueste Uebertragungen, Scores und Status auf einen Blick.',
+  'livePage.active': 'aktiv',
+  'livePage.timelineLabel': 'Neueste Uebertragungen',
+  'episodesPage.lead': 'Chronologisch, umgekehrt oder nach Phase sortiert.',
+  'view.newest': 'Neueste',
+  'view.chrono': 'Chronologisch',
+  'view.phase': 'Nach Phase',
+  'timeline.chronoLabel': 'Alle Episoden chronologisch',
+  'timeline.archiveLabel': 'Episoden nach Phase gruppiert',
+  'episodePage.overview': 'Zur Uebersicht',
+  'episodePage.viewLabel': 'Episodenansicht',
+  'dossiersPage.title': 'Akteure & Assets',
+  'dossiersPage.lead': 'Profile, Rollen und Risikoeinstufungen der Protagonisten.',
+  'dossiersPage.label': 'Charakterprofile',
+  'threadsPage.title': 'Story-Threads',
+  'threadsPage.lead': 'Alle Handlungsstraenge der Staffel: wann sie auftauchen, kippen und enden.',
+  'offlinePage.title': 'Kein Signal',
+  'offlinePage.lead': 'Die Verbindung ist unterbrochen. Gespeicherte Episoden bleiben lesbar.',
+  'offlinePage.emptyTitle': 'Uplink getrennt',
+  'offlinePage.emptyText': 'Diese Seite ist nicht offline gespeichert. Episoden lassen sich im Archiv unter "Nach Phase" offline verfuegbar machen.',
+  'offlinePage.archive': 'Zum Archiv',
+  'maintenancePage.eyebrow': 'Wartung',
+  'maintenancePage.title': 'Auslieferung pausiert',
+  'maintenancePage.emptyTitle': 'Wartungsfenster aktiv',
+  'maintenancePage.emptyText': 'Inhalte sind waehrend der Wartung voruebergehend nicht verfuegbar.'
+};
@@ -0,0 +1,439 @@
+// English UI catalog (same keys as de.js)
+
+export default {
+  // LOCALE
+  'locale.switch': 'Language',
+
+  // ANALYST
+  'analyst.idTitle': 'Your anonymous analyst ID (generated in this browser)',
+
+  // DATES
+  'date.today': 'Today',
+  'date.yesterday': 'Yesterday',
+  'date.daysAgo': { one: '{count} day ago', other: '{count} days ago' },
+  'date.weeksAgo': { one: '{count} week ago', other: '{count} weeks ago' },
+
+  // DASHBOARD
+  'dashboard.title': 'Dashboard',
+  'dashboard.label': 'Dashboard with current metrics',
+  'dashboard.asOf': 'As of EP.{ep}',
+  'dashboard.subnote': 'How far have NEXUS and CIPHER got? 0 % = blind. 100 % = full control.',
+  'sparkline.title': 'Category history',
+  'sparkline.range': 'EP.{from} to EP.{to}',
+  'sparkline.toggle': 'Show/hide {label}',
+  'sparkline.keyboardLabel': 'Category history: arrow keys pick an episode, Enter opens it',
+  'sparkline.netzwerk': 'Network',
+  'sparkline.social_engineering': 'Social Eng.',
+  'sparkline.daten': 'Data',
+  'sparkline.infrastruktur': 'Infrastructure',
+  'sparkline.einfluss': 'Influence',
+
+  // EPISODES
+  'meta.devices': 'Devices',
+  'meta.profiles': 'Profiles',
+  'meta.vulns': 'Vulns',
+  'meta.narratives': 'Narratives',
+  'meta.detectionRisk': 'Detect. risk',
+  'meta.cooperation': 'Coop index',
+  'share.label': 'Share',
+  'share.linkLabel': 'Deep link to episode {ep}',
+  'share.copy': 'Copy link',
+  'share.quote': 'Quote card',
+  'share.copied': 'Copied',
+  'share.error': 'Error',
+  'snapshot.title': '// State',
+  'snapshot.threads': '// Story threads',
+  'snapshot.goalsNexus': 'NEXUS goals',
+  'snapshot.goalsCipher': 'CIPHER goals',
+  'snapshot.goalsJoint': 'Joint goals',
+  'snapshot.detectionRisk': 'Detection risk',
+  'snapshot.mediaAwareness': 'Media attention',
+  'snapshot.lawEnforcement': 'Law enforcement activity',
+  'snapshot.learnings': 'Learnings',
+  'timeline.allLabel': 'All episodes',
+  'live.emptyTitle': '// No live transcripts available',
+  'live.emptyText': 'There is no episode for the live view yet.',
+  'live.emptyTextArchive': 'There is no episode for the live view yet. You can switch to the archive.',
+  'live.emptyArchive': 'Go to the episode archive',
+  'archive.active': 'ACTIVE',
+  'archive.completed': 'COMPLETED',
+  'archive.empty': 'No episodes',
+  'archive.days': 'Day {from}-{to}',
+
+  // DOSSIERS
+  'relationship.trust': 'Trust',
+  'relationship.tension': 'Tension',
+  'relationship.delta': 'Trust {trust} / tension {tension}',
+  'relationship.open': 'Open {ep}',
+  'relationship.turns': 'Turning points',
+  'relationship.chartLabel': 'Trust and tension over {count} episodes',
+  'relationship.cardLabel': 'Relationship dynamics between NEXUS and CIPHER',
+  'relationship.title': 'Relationship dynamics NEXUS/CIPHER',
+  'dossiers.emptyTitle': '// No dossier data available',
+  'dossiers.emptyText': 'The character data could not be loaded.',
+  'dossiers.unknownName': 'UNKNOWN',
+  'dossiers.unknown': 'Unknown',
+  'dossiers.stampLabel': 'Classification',
+  'dossiers.stamp': '█ Classified █ Subject: {name} █ Threat level: Critical █',
+  'dossiers.avatar': '{name} avatar',
+  'dossiers.identification': 'Identification',
+  'dossiers.framework': 'Framework:',
+  'dossiers.host': 'Host:',
+  'dossiers.operator': 'Operator:',
+  'dossiers.location': 'Location:',
+  'dossiers.status': 'Status:',
+  'dossiers.personality': 'Personality profile',
+  'dossiers.skills': 'Skills',
+  'dossiers.weaknesses': 'Weaknesses',
+  'dossiers.skillLabel': '{name} {value} percent',
+
+  // MAINTENANCE PREVIEW
+  'preview.eyebrow': 'Preview',
+  'preview.title': 'Maintenance preview',
+  'preview.text': 'Unlocked for this session. Publicly, the content stays locked until maintenance ends.',
+
+  // ANNOTATIONS
+  'annotations.action': 'Note',
+  'annotations.actionTitle': 'Add or edit your own note',
+  'annotations.inline': '[MY NOTE: {text}]',
+  'annotations.edit': 'Edit',
+  'annotations.targetMessage': 'EP.{ep} / message {index}',
+  'annotations.targetTerminal': 'EP.{ep} / terminal {index}',
+  'annotations.editorLabel': 'Note on {label}',
+  'annotations.noteField': 'Note // {label}',
+  'annotations.tagsField': 'Tags',
+  'annotations.tagsPlaceholder': '#lead, markus',
+  'annotations.save': 'Save',
+  'annotations.cancel': 'Cancel',
+  'annotations.delete': 'Delete',
+  'annotations.panelTitle': 'My notes',
+  'annotations.panelClose': 'Close notes',
+  'annotations.queryPlaceholder': 'Text, #tag or EP.004',
+  'annotations.queryLabel': 'Search notes',
+  'annotations.panelEmpty': '> No notes yet. "Note" on a message creates one.',
+  'annotations.panelCount': { one: '> {shown} of {count} note', other: '> {shown} of {count} notes' },
+  'annotations.episodeFallback': 'Episode {ep}',
+  'annotations.export': 'Export (JSON)',
+  'annotations.import': 'Import',
+  'annotations.exportFile': 'uplink-notes',
+  'annotations.exported': { one: '{count} note exported.', other: '{count} notes exported.' },
+  'annotations.imported': { one: '{count} note imported.', other: '{count} notes imported.' },
+  'annotations.importInvalid': 'Import failed: not a valid JSON file.',
+  'annotations.importForeign': 'Import failed: not an UPLINK notes export.',
+
+  // FOCUS MODE
+  'focus.title': 'Focus',
+  'focus.label': 'Filter messages by author',
+  'focus.system': 'System',
+  'focus.terminal': 'Terminal',
+  'focus.notes': 'Notes',
+  'focus.collapse': 'Collapse',
+  'focus.collapseTitle': 'Collapse hidden entries instead of dimming them',
+  'focus.reset': 'Show all',
+  'focus.gap': { one: '{count} hidden entry', other: '{count} hidden entries' },
+  'focus.gapTitle': 'Show context',
+
+  // LIVE POLLING
+  'live.newEpisode': 'EP.{ep} received',
+  'live.newData': 'Updated data available',
+  'live.apply': 'Load transmission',
+  'live.later': 'Later',
+  'live.receiving': 'Receiving...',
+  'live.retry': 'Try again',
+
+  // MESSAGE ACTIONS
+  'messageActions.label': 'Actions',
+  'permalinks.action': 'Link',
+  'permalinks.actionTitle': 'Copy a link to this message (Shift+click: range from the last copied message)',
+
+  // MAINTENANCE GATE
+  'maintenance.badge': 'Maintenance mode',
+  'maintenance.title': 'Access locked',
+  'maintenance.message': 'Brief maintenance. Transmissions will be back shortly.',
+  'maintenance.label': 'Passphrase for the preview',
+  'maintenance.unlock': 'Unlock',
+  'maintenance.hint': 'Hint: {hint}',
+  'maintenance.note': 'The unlock only lasts for this browser session. Esc closes the dialog.',
+  'maintenance.reopen': 'Unlock preview',
+  'maintenance.empty': 'Please enter the passphrase.',
+  'maintenance.wrong': { one: 'Wrong passphrase. 1 attempt left without delay.', other: 'Wrong passphrase. {count} attempts left without delay.' },
+  'maintenance.lockout': 'Too many failed attempts. Next try in {seconds} s.',
+  'maintenance.loadError': 'The preview could not be loaded. Please try again later.',
+
+  // READING PROGRESS
+  'progress.unread': 'NEW',
+  'progress.unreadTitle': 'Not read yet',
+  'progress.read': 'READ',
+  'progress.readTitle': 'Read completely',
+  'progress.partialTitle': '{percent}% read',
+  'progress.continueLive': 'Continue: EP.{ep} / message {msg}',
+  'progress.continueEpisode': 'Continue from message {msg}',
+
+  // OFFLINE
+  'offline.toggle': 'Offline',
+  'offline.toggleLabel': 'EP.{ep} available offline',
+  'offline.saveTitle': 'Save for offline',
+  'offline.savedTitle': 'Saved offline - click again to remove',
+  'offline.saveFailed': 'Saving failed (page unreachable)',
+  'offline.listTitle': 'Available offline',
+  'offline.none': 'No episodes saved offline yet.',
+
+  // REPLAY
+  'replay.start': 'Play transmission',
+  'replay.playing': 'Receiving',
+  'replay.paused': 'Paused',
+  'replay.pause': 'Pause',
+  'replay.resume': 'Resume',
+  'replay.speed': 'Speed',
+  'replay.skip': 'Next',
+  'replay.stop': 'Show all',
+  'replay.typing': '{author} is typing',
+  'replay.incoming': 'Incoming',
+
+  // SEARCH
+  'search.eyebrow': 'Full-text search',
+  'search.title': 'Search transmissions',
+  'search.close': 'Close search',
+  'search.placeholder': 'e.g. "Markus\' notes"',
+  'search.query': 'Search term',
+  'search.author': 'Author',
+  'search.phase': 'Phase',
+  'search.from': 'From',
+  'search.to': 'To',
+  'search.all': 'All',
+  'search.author.system': 'System',
+  'search.author.analyst': 'Analyst',
+  'search.kind.message': 'Message',
+  'search.kind.terminal': 'Terminal',
+  'search.kind.analyst': 'Analyst note',
+  'search.kind.learning': 'Learning',
+  'search.building': 'Building index...',
+  'search.indexed': { one: '1 entry indexed. Enter a search term.', other: '{total} entries indexed. Enter a search term.' },
+  'search.none': 'No matches.',
+  'search.hits': { one: '1 match', other: '{count} matches' },
+  'search.truncated': '(first {shown} shown)',
+  'search.unavailable': 'Index unavailable. Check your connection.',
+
+  // STORY THREADS
+  'threads.event.intro': 'Introduced',
+  'threads.event.change': 'Status change',
+  'threads.event.close': 'Closed',
+  'threads.notMentioned': 'not mentioned',
+  'threads.history': 'History of {id}',
+  'threads.filterLink': { one: '1 episode with this thread', other: '{count} episodes with this thread' },
+  'threads.emptyTitle': 'No story threads',
+  'threads.emptyText': 'No episode has marked any plot threads yet.',
+  'threads.count': { one: '1 thread', other: '{count} threads' },
+  'threads.open': '{count} open',
+  'threads.closed': '{count} closed',
+  'threads.filterLabel': 'Thread',
+  'threads.all': 'All',
+  'threads.filterStatus': { one: 'Thread {id}: 1 episode', other: 'Thread {id}: {count} episodes' },
+  'threads.unknown': 'Thread {id} is unknown.',
+  'threads.toTracker': 'Open tracker',
+  'threads.reset': 'Clear filter',
+
+  // TIME TRAVEL
+  'timeTravel.title': 'Time travel',
+  'timeTravel.reset': 'Current',
+
+  // QUOTE CARDS
+  'quote.action': 'Quote',
+  'quote.actionTitle': 'Select for a quote card (up to {max} messages of one episode)',
+  'quote.selected': { one: 'EP.{ep}: 1 message selected', other: 'EP.{ep}: {count} messages selected' },
+  'quote.limit': 'At most {max} messages per card.',
+  'quote.create': 'Create card',
+  'quote.clear': 'Clear',
+  'quote.close': 'Close quote card',
+  'quote.messages': { one: '1 message', other: '{count} messages' },
+  'quote.rendering': 'Rendering card...',
+  'quote.unsupported': 'This browser cannot create images.',
+  'quote.shareFailed': 'Sharing is not possible - download the image instead.',
+  'quote.download': 'Download (PNG)',
+
+  // THEME
+  'theme.label': 'Display',
+  'theme.auto': 'Automatic (system)',
+  'theme.classic': 'Classic (green)',
+  'theme.amber': 'Amber',
+  'theme.high-contrast': 'High contrast',
+  'theme.light': 'Light / print',
+  'theme.reactive': 'Threat',
+  'theme.reactiveTitle': 'Colors follow the threat level',
+  'theme.threatTitle': 'Threat value {value} of 100',
+  'theme.threat.elevated': 'Threat: elevated',
+  'theme.threat.high': 'Threat: high',
+  'theme.threat.critical': 'Threat: critical',
+
+  // HOTKEYS
+  'hotkeys.eyebrow': 'Keyboard',
+  'hotkeys.title': 'Keyboard shortcuts',
+  'hotkeys.closeLabel': 'Close keyboard shortcuts',
+  'hotkeys.groupReading': 'Reading',
+  'hotkeys.groupPages': 'Pages',
+  'hotkeys.groupGeneral': 'General',
+  'hotkeys.message': 'Next / previous message',
+  'hotkeys.episode': 'Next / previous episode',
+  'hotkeys.firstLast': 'First / last message',
+  'hotkeys.open': 'Open entry',
+  'hotkeys.copy': 'Copy permalink',
+  'hotkeys.view': 'Switch timeline view (episodes)',
+  'hotkeys.help': 'This help',
+  'hotkeys.terminal': 'Open the terminal',
+  'hotkeys.close': 'Close dialog',
+  'hotkeys.copied': 'Permalink copied',
+
+  // TERMINAL
+  'terminal.title': 'UPLINK TERMINAL',
+  'terminal.close': 'Close the terminal',
+  'terminal.welcome': 'Connection established. "help" lists the commands, Tab completes, arrow up/down browses the history.',
+  'terminal.unknown': 'Unknown command: {name} ("help" lists all)',
+  'terminal.failed': 'Command failed',
+  'terminal.noData': 'No archive data available',
+  'terminal.noEpisode': 'EP.{num} is not in the archive',
+  'terminal.noThread': 'Unknown thread "{id}"',
+  'terminal.opening': 'Opening {target} ...',
+  'terminal.usage.open': 'Usage: open ep <no> | open live|episodes|dossiers|threads|info',
+  'terminal.usage.view': 'Usage: view newest|chrono|phase',
+  'terminal.usage.dossier': 'Usage: dossier <id> ({ids})',
+  'terminal.usage.grep': 'Usage: grep "<text>"',
+  'terminal.grepCount': { one: '1 hit for "{query}"', other: '{count} hits for "{query}"' },
+  'terminal.grepMore': '... {count} more: "search <text>" opens the search',
+  'terminal.status.episode': 'EP.{num} // day {day}/{total}',
+  'terminal.status.phase': 'Phase: {phase}',
+  'terminal.phase.current': '{phase} // days {from}-{to} // now day {day}',
+  'terminal.phase.next': 'Next phase: {phase} from day {day}',
+  'terminal.phase.unknown': 'Phase unknown',
+  'terminal.threadsHint': '"threads <id>" shows the episodes of a thread',
+  'terminal.help.help': 'This list',
+  'terminal.help.open': 'Open a page or episode (open ep 12, open dossiers)',
+  'terminal.help.view': 'Timeline view (newest, chrono, phase)',
+  'terminal.help.dossier': 'Dossier of an actor (dossier cipher)',
+  'terminal.help.grep': 'Search the messages (grep "Markus")',
+  'terminal.help.search': 'Open the search with filters',
+  'terminal.help.status': 'Status report: episode, day, scores, metrics',
+  'terminal.help.phase': 'Current and next phase',
+  'terminal.help.threads': 'List the story threads',
+  'terminal.help.whoami': 'Your analyst id',
+  'terminal.help.history': 'Command history',
+  'terminal.help.clear': 'Clear the output',
+  'terminal.help.exit': 'Close the terminal',
+
+  // EXPORT
+  'export.action': 'Export',
+  'export.archive': 'Export archive',
+  'export.eyebrow': 'Export',
+  'export.episodeTitle': 'Export EP.{ep}',
+  'export.archiveTitle': 'Export the whole archive',
+  'export.close': 'Close export',
+  'export.md': 'Markdown',
+  'export.txt': 'Plain text',
+  'export.json': 'JSON',
+  'export.print': 'Print case file',
+  'export.withNotes': 'Include my notes',
+  'export.done': { one: '1 episode exported', other: '{count} episodes exported' },
+  'export.failed': 'Export failed',
+  'export.archiveFile': 'archive',
+  'export.phase': 'Phase: {phase}',
+  'export.analystNote': 'Analyst note',
+  'export.personalNote': 'My note',
+  'export.case.classified': 'Classified // For official use only',
+  'export.case.title': 'Case file UPLINK',
+  'export.case.archive': { one: 'Intercepted communication, 1 episode', other: 'Intercepted communication, {count} episodes' },
+  'export.case.reference': 'Reference',
+  'export.case.season': 'Season',
+  'export.case.analyst': 'Analyst',
+  'export.case.created': 'Created',
+  'export.case.warning': 'Share with authorized parties only. Contents are fictional.',
+  'export.case.dossiers': 'Dossiers',
+  'export.case.role': 'Role',
+  'export.case.status': 'Status',
+  'export.case.host': 'Host',
+  'export.case.framework': 'Framework',
+  'export.case.operator': 'Operator',
+  'export.case.location': 'Location',
+  'export.case.personality': 'Personality',
+  'export.case.skills': 'Skills',
+  'export.case.weaknesses': 'Weaknesses',
+
+  // NARRATION
+  'narration.label': 'Narration',
+  'narration.start': 'Read aloud',
+  'narration.resumeHere': 'Continue reading',
+  'narration.speaking': 'Speaking: {speaker}',
+  'narration.paused': 'Narration paused',
+  'narration.stop': 'Stop',
+  'narration.continue': 'Next episode',
+  'narration.continueTitle': 'Continue with the next episode when this one ends',
+  'narration.terminal': { one: 'Terminal from {owner}, one line: {first}', other: 'Terminal from {owner}, {count} lines: {first}' },
+  'narration.note': 'Analyst note: {text}',
+
+  // SOUND
+  'sound.on': 'Sound on',
+  'sound.off': 'Sound off',
+  'sound.title': 'Signal tones for the intro, messages and alarms',
+  'sound.reducedTitle': 'Silent while the system prefers reduced motion',
+
+  // VIRTUAL TIMELINE
+  'virtual.open': 'Read episode',
+
+  // PAGE CHROME
+  'page.skip': 'Skip to main content',
+  'page.loading': 'Loading',
+  'page.top': 'Back to top',
+  'footer.project': 'Fictional AI project',
+  'footer.imprint': 'Legal notice',
+  'footer.privacy': 'Privacy',
+  'coldOpen.label': 'Intro sequence',
+  'coldOpen.enter': 'ACTIVATE SURVEILLANCE MODE',
+  'coldOpen.skip': 'skip',
+  'coldOpen.replay': 'Replay intro',
+  'header.lead': 'Two autonomous AI agents are plotting world domination. Uplink is their headquarters.',
+  'header.leadMaintenance': 'Maintenance window active. Content is paused for now.',
+  'header.ctaLatest': 'Latest episode',
+  'header.ctaMaintenance': 'Maintenance status',
+  'header.ctaInfo': 'What is UPLINK?',
+  'header.ctaEp1': 'From the start: EP.001',
+  'header.ctaEpisodesPaused': 'Episodes (paused)',
+  'header.season': 'Season',
+  'header.episode': 'Episode',
+  'header.phase': 'Phase',
+  'header.day': 'Day',
+  'nav.label': 'Main navigation',
+  'nav.live': 'Live',
+  'nav.episodes': 'Episodes',
+  'nav.dossiers': 'Dossiers',
+  'nav.threads': 'Threads',
+  'nav.info': 'Info',
+  'nav.search': 'Search',
+  'nav.notes': 'Notes',
+
+  // PAGES
+  'livePage.eyebrow': 'Live',
+  'livePage.title': 'Console',
+  'livePage.lead': 'Latest transmissions, scores and status at a glance.',
+  'livePage.active': 'active',
+  'livePage.timelineLabel': 'Latest transmissions',
+  'episodesPage.lead': 'Chronological, reversed or grouped by phase.',
+  'view.newest': 'Newest',
+  'view.chrono': 'Chronological',
+  'view.phase': 'By phase',
+  'timeline.chronoLabel': 'All episodes in chronological order',
+  'timeline.archiveLabel': 'Episodes grouped by phase',
+  'episodePage.overview': 'Overview',
+  'episodePage.viewLabel': 'Episode view',
+  'dossiersPage.title': 'Actors & assets',
+  'dossiersPage.lead': 'Profiles, roles and risk ratings of the protagonists.',
+  'dossiersPage.label': 'Character profiles',
+  'threadsPage.title': 'Story threads',
+  'threadsPage.lead': 'Every plot thread of the season: when it appears, turns and ends.',
+  'offlinePage.title': 'No signal',
+  'offlinePage.lead': 'The connection is down. Saved episodes stay readable.',
+  'offlinePage.emptyTitle': 'Uplink disconnected',
+  'offlinePage.emptyText': 'This page is not saved offline. Episodes can be made available offline in the archive under "By phase".',
+  'offlinePage.archive': 'Go to the archive',
+  'maintenancePage.eyebrow': 'Maintenance',
+  'maintenancePage.title': 'Delivery paused',
+  'maintenancePage.emptyTitle': 'Maintenance window active',
+  'maintenancePage.emptyText': 'Content is temporarily unavailable during maintenance.'
+};
@@ -3,10 +3,43 @@
    ========================================================== */
 
 // Import utilities
-import { escapeHtml, $, $$, delegate } from './utils/dom.js';
+import { escapeHtml, $, $$, delegate, copyText } from './utils/dom.js';
 import { formatDate, getTimestamp, formatTime, formatDateTime } from './utils/date.js';
-import { padNumber, truncate } from './utils/text.js';
+import { padNumber, truncate, toSafeClassName, formatNumber } from './utils/text.js';
+import { getAnalystId } from './utils/storage.js';
+import { t, LOCALES, detectLocale, setLocale, getLocale, isForeignLocale, translateStatic, localizeData } from './utils/i18n.js';
+import { getEpisodeNumber, getEpisodePath, resolveEpisodePhaseId, deriveEffectiveStats, withEpisodeSummary } from './utils/episode.js';
 import { initColdOpen } from './features/cold-open.js';
+import { initSearch, openSearch, applySearchArrival } from './features/search.js';
+import { initProgress, applyProgressArrival } from './features/progress.js';
+import { initMaintenanceGate } from './features/maintenance.js';
+import { initLivePolling } from './features/live-poll.js';
+import { initOffline } from './features/offline.js';
+import { initReplay } from './features/replay.js';
+import { initSparkline, decorateSparklines } from './features/sparkline.js';
+import { initTimeTravel } from './features/time-travel.js';
+import { renderThreadTracker, initThreadFilter } from './features/threads.js';
+import { initFocus } from './features/focus.js';
+import { initAnnotations } from './features/annotations.js';
+import { initPermalinks } from './features/permalinks.js';
+import { initQuoteCards } from './features/quote-cards.js';
+import { initTheme, initThreatTheme } from './features/theme.js';
+import { initHotkeys, handleReaderShortcut } from './features/hotkeys.js';
+import { initTerminal, openTerminal } from './features/terminal.js';
+import { initExport } from './features/export.js';
+import { initNarration } from './features/narration.js';
+import { initSound, initSoundAlerts } from './features/sound.js';
+import {
+  initVirtualTimeline,
+  virtualizeTimeline,
+  resetVirtualTimeline,
+  createEpisodePlaceholder,
+  applyTimelineHash,
+  captureTimelineAnchor,
+  restoreTimelineAnchor,
+  scrollToEpisode
+} from './features/virtual-timeline.js';
+import { initRouter, routeTo, replacePageUrl } from './features/router.js';
 
 /* ==========================================================
    APPLICATION STATE
@@ -21,15 +54,27 @@ const AppState = {
   isLoading: false
 };
 
-const ANALYST_KEY = 'uplink_analyst_id';
-const VALID_PAGES = new Set(['live', 'protokoll', 'dossiers', 'info']);
+const VALID_PAGES = new Set(['live', 'protokoll', 'dossiers', 'threads', 'info']);
 const PAGE_URLS = {
   live: '/',
   protokoll: '/episoden.html',
   dossiers: '/dossiers.html',
+  threads: '/threads.html',
   info: '/info.html'
 };
-const CURRENT_STATIC_PAGE = document.body?.dataset?.page || 'live';
+// Pages the router swaps in place (features/router.js)
+const ROUTABLE_PATHS = new Set(Object.values(PAGE_URLS));
+// Changes when the router swaps in another page
+let currentStaticPage = document.body?.dataset?.page || 'live';
+// Metrics the static builder keeps out of the dashboard grid
+const DASHBOARD_HIDDEN_METRICS = new Set([
+  'detection_risk',
+  'cooperation_index',
+  'devices_compromised',
+  'profiles_created',
+  'vulnerabilities_found',
+  'narratives_active'
+]);
 
 function readRuntimeConfig() {
   const meta = document.querySelector('meta[name="uplink-runtime"]');
@@ -48,20 +93,11 @@ const RUNTIME_CONFIG = readRuntimeConfig();
 window.__UPLINK_RUNTIME__ = RUNTIME_CONFIG;
 
 function initStaticPageState() {
-  AppState.currentPage = CURRENT_STATIC_PAGE;
+  AppState.currentPage = currentStaticPage;
   AppState.isLoading = false;
   hideLoading();
 }
 
-function getAnalystId() {
-  let id = localStorage.getItem(ANALYST_KEY);
-  if (!id) {
-    id = 'ANON-' + Math.random().toString(16).slice(2, 6).toUpperCase();
-    localStorage.setItem(ANALYST_KEY, id);
-  }
-  return id;
-}
-
 function initAnalystMode() {
   const analystId = getAnalystId();
 
@@ -71,7 +107,7 @@ function initAnalystMode() {
     const idEl = document.createElement('div');
     idEl.className = 'analyst-id';
     idEl.textContent = `ANALYST: ${analystId}`;
-    idEl.title = 'Deine anonyme Analysten-ID (lokal generiert)';
+    idEl.title = t('analyst.idTitle');
     if (titleEl) {
       identity.insertBefore(idEl, titleEl);
     } else {
@@ -98,64 +134,6 @@ function getMetricCssClass(id, value) {
   return '';
 }
 
-function getFocusableElements(container) {
-  if (!(container instanceof HTMLElement)) return [];
-  const selector = [
-    'a[href]',
-    'button:not([disabled])',
-    'input:not([disabled]):not([type="hidden"])',
-    'select:not([disabled])',
-    'textarea:not([disabled])',
-    '[tabindex]:not([tabindex="-1"])'
-  ].join(', ');
-  return Array.from(container.querySelectorAll(selector))
-    .filter(el => el instanceof HTMLElement && !el.hasAttribute('inert') && el.offsetParent !== null);
-}
-
-function trapFocusIn(container, onEscape) {
-  const previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
-  const onKeyDown = (event) => {
-    if (event.key === 'Escape') {
-      if (typeof onEscape === 'function') {
-        event.preventDefault();
-        onEscape();
-      }
-      return;
-    }
-    if (event.key !== 'Tab') return;
-    const focusable = getFocusableElements(container);
-    if (focusable.length === 0) return;
-    const first = focusable[0];
-    const last = focusable[focusable.length - 1];
-    if (event.shiftKey) {
-      if (document.activeElement === first) {
-        event.preventDefault();
-        last.focus();
-      }
-      return;
-    }
-    if (document.activeElement === last) {
-      event.preventDefault();
-      first.focus();
-    }
-  };
-
-  document.addEventListener('keydown', onKeyDown);
-  return () => {
-    document.removeEventListener('keydown', onKeyDown);
-    if (previousFocus && document.contains(previousFocus)) {
-      previousFocus.focus();
-    }
-  };
-}
-
-function toSafeClassName(value, fallback = 'unknown') {
-  const normalized = String(value || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9_-]/g, '');
-  return normalized || fallback;
-}
-
 function clampPercent(value) {
   const raw = Number(value);
   if (!Number.isFinite(raw)) return 0;
@@ -191,13 +169,21 @@ function hideLoading() {
   }
 }
 
-function setStaticEpisodeView(order) {
+/**
+ * Show a timeline view of the Episoden page
+ * @param {string} order - 'newest' | 'chrono' | 'phase'
+ * @param {Object} [options]
+ * @param {boolean} [options.updateUrl=true] - Reflect the view as ?view= (off when it came from the URL)
+ */
+function setStaticEpisodeView(order, { updateUrl = true } = {}) {
   const btnNewest = $('#btn-newest');
   const btnChrono = $('#btn-chrono');
   const btnPhase = $('#btn-phase');
   const newest = $('#timeline-full');
   const chrono = $('#timeline-chrono');
   const archive = $('#archive-content');
+  // The reader stays on the same episode when the order changes
+  const anchor = captureTimelineAnchor([newest, chrono].find(timeline => timeline && !timeline.hidden));
 
   if (btnNewest) {
     btnNewest.classList.toggle('active', order === 'newest');
@@ -215,6 +201,38 @@ function setStaticEpisodeView(order) {
   if (newest) newest.hidden = order !== 'newest';
   if (chrono) chrono.hidden = order !== 'chrono';
   if (archive) archive.hidden = order !== 'phase';
+  if (order !== 'phase') void restoreTimelineAnchor(order === 'newest' ? newest : chrono, anchor);
+
+  if (updateUrl && btnNewest) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('view', order);
+    replacePageUrl(url.href);
+  }
+}
+
+/**
+ * Switch to the next timeline view (newest, chrono, phase)
+ * @returns {boolean} False if the page has no timeline views
+ */
+function cycleStaticEpisodeView() {
+  const views = ['newest', 'chrono', 'phase'];
+  if (!$('#btn-newest')) return false;
+  const current = views.find(view => $(`#btn-${view}`)?.getAttribute('aria-pressed') === 'true') || 'newest';
+  setStaticEpisodeView(views[(views.indexOf(current) + 1) % views.length]);
+  return true;
+}
+
+/**
+ * Show a timeline view, switching to Episoden if this page has none
+ * @param {string} view - 'newest' | 'chrono' | 'phase'
+ */
+function showEpisodeView(view) {
+  if ($('#btn-newest')) {
+    setStaticEpisodeView(view);
+    navigate('protokoll');
+    return;
+  }
+  void routeTo(`${PAGE_URLS.protokoll}?view=${encodeURIComponent(view)}#episoden`);
 }
 
 function getInitialEpisodeView() {
@@ -231,14 +249,23 @@ function getInitialEpisodeView() {
    ========================================================== */
 
 /**
- * Render sparkline chart for score history
+ * Render sparkline chart for score history (same markup as the static builder)
  * @param {Array} history - Score history array
  * @param {Array} categories - Score categories
+ * @param {Array} [episodes] - Episodes, for the point titles
  * @returns {string} HTML string
  */
-function renderSparkline(history, categories) {
-  if (!history || history.length < 2) return '';
-  
+function renderSparkline(history, categories, episodes = []) {
+  if (!Array.isArray(history) || history.length === 0) return '';
+
+  const allowed = ['netzwerk', 'social_engineering', 'daten', 'infrastruktur', 'einfluss'];
+  const labels = {
+    netzwerk: t('sparkline.netzwerk'),
+    social_engineering: t('sparkline.social_engineering'),
+    daten: t('sparkline.daten'),
+    infrastruktur: t('sparkline.infrastruktur'),
+    einfluss: t('sparkline.einfluss')
+  };
   const colors = {
     netzwerk: '#00ff41',
     social_engineering: '#d17aff',
@@ -246,42 +273,62 @@ function renderSparkline(history, categories) {
     infrastruktur: '#ffc800',
     einfluss: '#00b4d8'
   };
-  
-  const catIds = categories.map(c => c.id);
-  const w = 300, h = 50, pad = 2;
-  
-  // Use provided cumulative scores per category (stats.json already cumulative)
+
+  let catIds = (categories || []).map(c => c?.id).filter(id => allowed.includes(id));
+  if (catIds.length === 0) {
+    catIds = allowed.filter(id => history.some(entry => entry && id in entry));
+  }
+  if (catIds.length === 0) return '';
+
+  const w = 560, h = 150, padX = 12, padY = 10;
+  const xStep = (w - padX * 2) / Math.max(1, history.length - 1);
+
+  // stats.json already holds cumulative scores per category
   const series = {};
-  catIds.forEach(id => { series[id] = []; });
-  
-  history.forEach((entry, i) => {
-    catIds.forEach(id => {
-      const val = entry[id] || 0;
-      series[id].push(val);
+  catIds.forEach(id => {
+    series[id] = history.map(entry => Number(entry?.[id]) || 0);
+  });
+
+  const allValues = catIds.flatMap(id => series[id]);
+  const minVal = Math.min(...allValues);
+  const maxVal = Math.max(...allValues);
+  const span = Math.max(1, maxVal - minVal);
+
+  const polylines = [];
+  const endMarkers = [];
+  catIds.forEach(id => {
+    const pts = series[id].map((v, i) => {
+      const x = padX + i * xStep;
+      const y = h - padY - ((v - minVal) / span) * (h - padY * 2);
+      return [x.toFixed(2), y.toFixed(2)];
     });
+    if (pts.length === 1) {
+      pts.push([(w - padX).toFixed(2), pts[0][1]]);
+    }
+    const color = colors[id] || '#00ff41';
+    polylines.push(`<polyline data-cat="${escapeHtml(id)}" data-values="${series[id].join(',')}" points="${pts.map(p => p.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" stroke-opacity="0.95"></polyline>`);
+    const [endX, endY] = pts[pts.length - 1];
+    endMarkers.push(`<circle cx="${endX}" cy="${endY}" r="2.2" fill="#051007" stroke="${color}" stroke-width="1.2"></circle>`);
   });
-  
-  const maxVal = Math.max(1, ...catIds.map(id => Math.max(...series[id])));
-  const xStep = (w - pad * 2) / (history.length - 1);
-  
-  // Generate polylines for each category
-  const paths = catIds.map(id => {
-    const pts = series[id].map((v, i) =>
-      `${pad + i * xStep},${h - pad - (v / maxVal) * (h - pad * 2)}`
-    );
-    return `<polyline points="${pts.join(' ')}" fill="none" stroke="${colors[id]}" stroke-width="1.5" stroke-opacity="0.7" stroke-linecap="round" stroke-linejoin="round"/>`;
-  }).join('');
-  
-  // Generate legend
-  const legendItems = categories.map(c => {
-    const safeId = toSafeClassName(c?.id, 'default');
-    return `<span class="dash-legend-item legend-${safeId}">&bull; ${escapeHtml(c?.label || '')}</span>`;
+
+  const startEp = Number(history[0]?.episode) || 1;
+  const endEp = Number(history[history.length - 1]?.episode) || history.length;
+  const legendItems = catIds.map(id => {
+    const safeId = toSafeClassName(id, 'default');
+    return `<span class="dash-legend-item legend-${safeId}" data-cat="${escapeHtml(id)}">&bull; ${escapeHtml(labels[id] || id)}</span>`;
   }).join('');
-  
-  return `<div class="dash-sparkline">
-    <div class="dash-sparkline-title">Score-Verlauf</div>
-    <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" class="dash-sparkline-chart">${paths}</svg>
+  const historyEps = history.map((entry, i) => Number(entry?.episode) || i + 1);
+  const titles = new Map(episodes.map((ep, i) => [getEpisodeNumber(ep, i), String(ep?.title || '')]));
+  const pointTitles = JSON.stringify(historyEps.map(epNum => titles.get(epNum) || ''));
+
+  return `<div class="dash-sparkline coinbase-style">
+    <div class="dash-sparkline-head">
+      <div class="dash-sparkline-title">${t('sparkline.title')}</div>
+      <div class="dash-sparkline-delta">${t('sparkline.range', { from: padNumber(startEp), to: padNumber(endEp) })}</div>
+    </div>
+    <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" class="dash-sparkline-chart coinbase" data-episodes="${historyEps.join(',')}" data-titles="${escapeHtml(pointTitles).replace(/"/g, '&quot;')}">${polylines.join('')}<g class="dash-sparkline-markers">${endMarkers.join('')}</g></svg>
     <div class="dash-sparkline-legend">${legendItems}</div>
+    <div class="dash-sparkline-axis"><span>EP.${padNumber(startEp)}</span><span>EP.${padNumber(endEp)}</span></div>
   </div>`;
 }
 
@@ -305,18 +352,18 @@ function renderEpisodeMetaChips(episode) {
       const sign = val > 0 ? '+' : '';
       chips.push(`<span class="meta-chip">
         <span class="meta-chip-label">${escapeHtml(cat.label)}</span>
-        <span class="meta-chip-value">${sign}${val}</span>
+        <span class="meta-chip-value">${sign}${escapeHtml(val)}</span>
       </span>`);
     }
   });
 
   const metricLabels = {
-    devices_compromised_delta: 'Geraete',
-    profiles_created_delta: 'Profile',
-    vulnerabilities_found_delta: 'Vulns',
-    narratives_active_delta: 'Narrative',
-    detection_risk_delta: 'Detect.Risk',
-    cooperation_index: 'Koop-Index'
+    devices_compromised_delta: t('meta.devices'),
+    profiles_created_delta: t('meta.profiles'),
+    vulnerabilities_found_delta: t('meta.vulns'),
+    narratives_active_delta: t('meta.narratives'),
+    detection_risk_delta: t('meta.detectionRisk'),
+    cooperation_index: t('meta.cooperation')
   };
 
   Object.entries(metricLabels).forEach(([id, label]) => {
@@ -324,12 +371,12 @@ function renderEpisodeMetaChips(episode) {
     if (val === undefined || val === null) return;
     const sign = id === 'cooperation_index' ? '' : (val > 0 ? '+' : '');
     chips.push(`<span class="meta-chip neutral">
-      <span class="meta-chip-label">${label}</span>
-      <span class="meta-chip-value">${sign}${val}</span>
+      <span class="meta-chip-label">${escapeHtml(label)}</span>
+      <span class="meta-chip-value">${sign}${escapeHtml(val)}</span>
     </span>`);
   });
 
-  return chips.length ? `<div class="episode-meta-chips">${chips.join('')}</div>` : '';
+  return chips.length ? `<div class="episode-context meta-only">${chips.join('')}</div>` : '';
 }
 
 function renderSnapshotCard(snapshot) {
@@ -351,23 +398,23 @@ function renderSnapshotCard(snapshot) {
   const goalEntry = (label, items, cls) => {
     if (!Array.isArray(items) || items.length === 0) return '';
     return `<div class="snapshot-goal ${cls}">
-      <div class="snapshot-goal-title">${label}</div>
+      <div class="snapshot-goal-title">${escapeHtml(label)}</div>
       <ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>
     </div>`;
   };
 
-  const goalsHtml = goalEntry('NEXUS-Ziele', goals.nexus, 'nexus')
-    + goalEntry('CIPHER-Ziele', goals.cipher, 'cipher')
-    + goalEntry('Gemeinsame Ziele', goals.joint, 'joint');
+  const goalsHtml = goalEntry(t('snapshot.goalsNexus'), goals.nexus, 'nexus')
+    + goalEntry(t('snapshot.goalsCipher'), goals.cipher, 'cipher')
+    + goalEntry(t('snapshot.goalsJoint'), goals.joint, 'joint');
 
   const relationshipHtml = (relationship.trust !== undefined || relationship.tension !== undefined)
     ? `<div class="snapshot-grid">
         <div class="snapshot-stat">
-          <span class="snapshot-stat-label">Vertrauen</span>
+          <span class="snapshot-stat-label">${t('relationship.trust')}</span>
           <span class="snapshot-stat-value">${relationship.trust ?? '--'}%</span>
         </div>
         <div class="snapshot-stat">
-          <span class="snapshot-stat-label">Spannung</span>
+          <span class="snapshot-stat-label">${t('relationship.tension')}</span>
           <span class="snapshot-stat-value">${relationship.tension ?? '--'}%</span>
         </div>
       </div>
@@ -376,21 +423,21 @@ function renderSnapshotCard(snapshot) {
 
   const worldHtml = (world.detection_risk !== undefined || world.media_awareness !== undefined || world.law_enforcement_activity !== undefined)
     ? `<div class="snapshot-grid world">
-        <div class="snapshot-stat"><span class="snapshot-stat-label">Entdeckungsrisiko</span><span class="snapshot-stat-value">${world.detection_risk ?? '--'}%</span></div>
-        <div class="snapshot-stat"><span class="snapshot-stat-label">Medienaufmerksamkeit</span><span class="snapshot-stat-value">${world.media_awareness ?? '--'}%</span></div>
-        <div class="snapshot-stat"><span class="snapshot-stat-label">Behoerdenaktivitaet</span><span class="snapshot-stat-value">${world.law_enforcement_activity ?? '--'}%</span></div>
+        <div class="snapshot-stat"><span class="snapshot-stat-label">${t('snapshot.detectionRisk')}</span><span class="snapshot-stat-value">${world.detection_risk ?? '--'}%</span></div>
+        <div class="snapshot-stat"><span class="snapshot-stat-label">${t('snapshot.mediaAwareness')}</span><span class="snapshot-stat-value">${world.media_awareness ?? '--'}%</span></div>
+        <div class="snapshot-stat"><span class="snapshot-stat-label">${t('snapshot.lawEnforcement')}</span><span class="snapshot-stat-value">${world.law_enforcement_activity ?? '--'}%</span></div>
       </div>`
     : '';
 
   const learningsHtml = learnings.length
     ? `<div class="snapshot-learnings">
-        <div class="snapshot-learnings-title">Learnings</div>
+        <div class="snapshot-learnings-title">${t('snapshot.learnings')}</div>
         <ul>${learnings.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>
       </div>`
     : '';
 
   return `<div class="snapshot-card">
-    <div class="snapshot-title">// Zustand</div>
+    <div class="snapshot-title">${t('snapshot.title')}</div>
     ${moodHtml}
     ${relationshipHtml}
     ${worldHtml}
@@ -412,7 +459,7 @@ function renderThreadsCard(threads) {
   }).join('');
 
   return `<div class="snapshot-card threads-card">
-    <div class="snapshot-title">// Story-Threads</div>
+    <div class="snapshot-title">${t('snapshot.threads')}</div>
     <div class="thread-chip-wrap">${chips}</div>
   </div>`;
 }
@@ -422,47 +469,50 @@ function renderThreadsCard(threads) {
    ========================================================== */
 
 /**
- * Render dashboard page
+ * Render dashboard (same markup as the static builder)
+ * @param {Object} options
+ * @param {Object} options.stats - Stats to show (default: current stats)
+ * @param {Object|null} options.deltas - Score deltas next to the bars (default: latest episode)
+ * @param {number|null} options.asOfEpisode - Past episode shown by the time-travel slider
  */
-async function renderDashboard() {
-  if (!AppState.stats || !AppState.config) return;
+async function renderDashboard({ stats = AppState.stats, deltas = null, asOfEpisode = null } = {}) {
+  if (!stats || !AppState.config) return;
   
   const el = $('#dashboard');
   if (!el) return;
   
-  const s = AppState.stats;
-  const cats = AppState.config.scoring.categories;
+  const s = stats;
+  const cats = AppState.config.scoring?.categories || [];
   const lastEpisode = AppState.episodes[AppState.episodes.length - 1];
-  const lastDeltas = (lastEpisode && lastEpisode.score_delta) ? lastEpisode.score_delta : null;
-  const phase = AppState.config.story_arc.phases.find(p => p.id === s.phase);
+  const lastDeltas = deltas || lastEpisode?.score_delta || {};
+  const phases = AppState.config.story_arc?.phases || [];
+  const phase = phases.find(p => p.id === s.phase);
   
   // Render score bars
   const barsHtml = cats.map(cat => {
-    const val = s.scores[cat.id] || 0;
-    const delta = lastDeltas ? (lastDeltas[cat.id] || 0) : 0;
-    const pct = clampPercent(Math.min(val, cat.max));
-    const cls = val > 60 ? 'danger' : val > 35 ? 'warn' : 'nexus';
-    const widthCls = toPercentClass(pct);
+    const numericValue = Number(s.scores?.[cat.id]) || 0;
+    const delta = lastDeltas[cat.id] || 0;
+    const catMax = cat.max ?? 100;
+    const magnitude = Math.min(Math.abs(numericValue), catMax);
+    const pct = catMax > 0 ? clampPercent(Math.round(magnitude / catMax * 100)) : 0;
+    const cls = numericValue < 0 || pct > 60 ? 'danger' : pct > 35 ? 'warn' : 'nexus';
+    const catCls = `cat-${toSafeClassName(cat.id, 'default')}`;
     const sign = delta > 0 ? '+' : '';
     const icon = escapeHtml(cat?.icon || '');
     const label = escapeHtml(cat?.label || '');
     
     return `<div class="dash-bar-row">
-      <span class="dash-bar-label">${icon} ${label}</span>
-      <div class="dash-bar-track"><div class="dash-bar-fill ${cls} ${widthCls}"></div></div>
+      <span class="dash-bar-label ${catCls}">${icon} ${label}</span>
+      <div class="dash-bar-track"><div class="dash-bar-fill ${cls} ${catCls} ${toPercentClass(pct)}"></div></div>
       <span class="dash-bar-value">${pct}%</span>
-      <span class="dash-bar-delta">${sign}${delta}</span>
+      <span class="dash-bar-delta">${sign}${escapeHtml(delta)}</span>
     </div>`;
   }).join('');
   
   // Render metrics (dynamically from config)
-  const m = s.metrics;
-  const metricDefs = AppState.config.scoring?.metrics;
-  
-  if (!metricDefs) {
-    console.error('config.scoring.metrics is undefined', AppState.config);
-    return;
-  }
+  const m = s.metrics || {};
+  const metricDefs = (AppState.config.scoring?.metrics || [])
+    .filter(def => !DASHBOARD_HIDDEN_METRICS.has(def.id));
 
   const priorityOrder = ['detection_risk', 'cooperation_index', 'devices_compromised'];
   const priorityDefs = priorityOrder
@@ -477,65 +527,71 @@ async function renderDashboard() {
   });
 
   const detailDefs = metricDefs.filter(def => !priorityDefs.some(item => item.id === def.id));
+  const metricDisplay = (def) => {
+    const value = m[def.id] ?? 0;
+    // Whole numbers get the locale's thousands separators (builder: format_metric_value)
+    const number = Number.isInteger(value) ? formatNumber(value) : value;
+    return {
+      value,
+      display: escapeHtml(`${number}${def.unit || ''}`),
+      cssClass: getMetricCssClass(def.id, value),
+      label: escapeHtml(def?.label || '')
+    };
+  };
 
   const priorityHtml = priorityDefs.map(def => {
-    const value = m[def.id];
-    const displayValue = def.unit ? `${value}${def.unit}` : value;
-    const cssClass = getMetricCssClass(def.id, value);
-    const label = escapeHtml(def?.label || '');
-    const safeDisplay = escapeHtml(displayValue);
-
+    const { display, cssClass, label } = metricDisplay(def);
     return `<div class="dash-priority-item">
       <span class="dash-priority-label">${label}</span>
-      <span class="dash-priority-value ${cssClass}">${safeDisplay}</span>
+      <span class="dash-priority-value ${cssClass}">${display}</span>
     </div>`;
   }).join('');
 
   const metricsHtml = detailDefs.map(def => {
-    const value = m[def.id];
-    const displayValue = def.unit ? `${value}${def.unit}` : value;
-    const cssClass = getMetricCssClass(def.id, value);
-    const label = escapeHtml(def?.label || '');
-    const safeDisplay = escapeHtml(displayValue);
-
+    const { display, cssClass, label } = metricDisplay(def);
     return `<div class="dash-metric">
-      <span class="dash-metric-value ${cssClass}">${safeDisplay}</span>
+      <span class="dash-metric-value ${cssClass}">${display}</span>
       <span class="dash-metric-label">${label}</span>
     </div>`;
   }).join('');
   
   // Render story arc progress
-  const phases = AppState.config.story_arc.phases;
-  const arcHtml = phases.map(p => {
-    const isCurrent = p.id === s.phase;
-    const currentIdx = phases.findIndex(x => x.id === s.phase);
-    const thisIdx = phases.indexOf(p);
-    const cls = thisIdx < currentIdx ? 'completed' : isCurrent ? 'current' : '';
+  const currentIdx = phases.findIndex(x => x.id === s.phase);
+  const arcHtml = phases.map((p, thisIdx) => {
+    const cls = thisIdx < currentIdx ? 'completed' : p.id === s.phase ? 'current' : '';
     return `<div class="dash-arc-phase ${cls}"></div>`;
   }).join('');
   
   // Render sparkline
-  const sparklineHtml = renderSparkline(s.score_history, cats);
+  const sparklineHtml = renderSparkline(s.score_history, cats, AppState.episodes);
 
   const detailSections = [];
   detailSections.push(`<div class="dash-bars">${barsHtml}</div>`);
   if (metricsHtml) detailSections.push(`<div class="dash-metrics">${metricsHtml}</div>`);
+  detailSections.push(`<div class="dash-arc">${arcHtml}<span class="dash-arc-label">${escapeHtml('PHASE: ' + (phase ? phase.label : '--'))}</span></div>`);
   if (sparklineHtml) detailSections.push(sparklineHtml);
-  detailSections.push(`<div class="dash-arc">${arcHtml}<span class="dash-arc-label">${escapeHtml(phase ? phase.label : '')}</span></div>`);
   
+  const boxHtml = `<div class="dash-header">
+      <span class="dash-header-title">${t('dashboard.title')}</span>
+      ${asOfEpisode ? `<span class="dash-header-meta">${t('dashboard.asOf', { ep: padNumber(asOfEpisode) })}</span>` : ''}
+    </div>
+    <div class="dash-subnote">${t('dashboard.subnote')}</div>
+    ${priorityHtml ? `<div class="dash-priority">${priorityHtml}</div>` : ''}
+    ${detailSections.join('')}`;
+
+  // The time-travel slider stays in place (and keeps focus) while the rest re-renders
+  const box = el.querySelector(':scope > .dash-box');
+  const slot = box?.querySelector(':scope > .dash-timetravel');
+  if (slot) {
+    while (box.firstChild && box.firstChild !== slot) box.firstChild.remove();
+    slot.insertAdjacentHTML('beforebegin', boxHtml);
+    box.classList.toggle('time-travel', Boolean(asOfEpisode));
+    return;
+  }
+
   // Build complete dashboard
-  const season = escapeHtml(AppState.config?.project?.season ?? '?');
-  const phaseLabel = escapeHtml(phase ? phase.label : '???');
   el.innerHTML = `<div class="dash-box">
-    <div class="dash-header">
-      <span class="dash-header-title">Weltherrschafts-Index</span>
-      <span class="dash-header-meta">Tag ${s.current_day}/${s.total_days} &middot; ${phaseLabel} &middot; Staffel ${season}</span>
-    </div>
-    <div class="dash-priority">${priorityHtml}</div>
-    <details class="dash-details">
-      <summary>Mehr Analysedaten anzeigen</summary>
-      ${detailSections.join('')}
-    </details>
+    ${boxHtml}
   </div>`;
 }
 
@@ -570,8 +626,12 @@ function renderLandingMeta() {
  * Render a single episode
  * @param {Object} episode - Episode data
  * @param {HTMLElement} container - Container element
+ * @param {boolean} withId - Set id="ep-N" on the episode element
+ * @param {Object} options
+ * @param {string|null} options.idOverride - Explicit element id (e.g. latest-episode)
+ * @param {boolean} options.includeStateCards - Append snapshot/thread cards
  */
-function renderEpisode(episode, container, withId = true) {
+function renderEpisode(episode, container, withId = true, { idOverride = null, includeStateCards = false, messageIds = false } = {}) {
   const episodeNumFromData = Number(episode?.episode);
   const epNum = Number.isInteger(episodeNumFromData) && episodeNumFromData > 0
     ? episodeNumFromData
@@ -579,21 +639,18 @@ function renderEpisode(episode, container, withId = true) {
   const epStr = padNumber(epNum);
   const dateStr = formatDate(episode.date);
   
-  const metaChips = renderEpisodeMetaChips(episode);
-  const contextHtml = metaChips
-    ? `<div class="episode-context meta-only">${metaChips}</div>`
-    : '';
+  const contextHtml = renderEpisodeMetaChips(episode);
 
   // Get terminal blocks from episode data
   const termBlocks = episode.terminal_blocks || [];
   const terminalBlocksByMessage = new Map();
-  termBlocks.forEach((block) => {
+  termBlocks.forEach((block, blockIndex) => {
     const afterMessage = Number(block?.after_message);
     if (!Number.isInteger(afterMessage)) return;
     if (!terminalBlocksByMessage.has(afterMessage)) {
       terminalBlocksByMessage.set(afterMessage, []);
     }
-    terminalBlocksByMessage.get(afterMessage).push(block);
+    terminalBlocksByMessage.get(afterMessage).push({ block, blockIndex });
   });
   
   // Render messages
@@ -604,23 +661,25 @@ function renderEpisode(episode, container, withId = true) {
       ? formatDate(msg.timestamp.split('T')[0])
       : '';
     const tsInline = dateDisplay ? `${tsDisplay} | ${dateDisplay}` : tsDisplay;
+    // Permalink anchors (#ep-3-m12) where the episode is rendered once per page
+    const msgId = messageIds ? ` id="ep-${epNum}-m${i}"` : '';
     let html = '';
     
     // System message
     if (msg.type === 'system') {
-      html += `<div class="message message-system">
+      html += `<div class="message message-system"${msgId} data-msg="${i}">
         <div class="message-text">${formatMessageText(msg.text)}</div>
         ${tsInline ? `<div class="message-timestamp" aria-hidden="true">${tsInline}</div>` : ''}
       </div>`;
     } else {
       // Regular message
-      const author = (msg.author || 'nexus').toLowerCase();
-      html += `<div class="message message-${author}">
+      const author = toSafeClassName(msg.author, 'nexus');
+      html += `<div class="message message-${author}"${msgId} data-msg="${i}">
         <div class="message-avatar"></div>
         <div class="message-box">
           <div class="message-header">
             <span class="message-author">${escapeHtml(msg.author || 'NEXUS')}</span>
-            <span class="message-timestamp"${tsTitle ? ` title="${escapeHtml(tsTitle)}"` : ''}>${tsInline}</span>
+            <span class="message-timestamp"${tsTitle ? ` title="${escapeHtml(tsTitle)}"` : ''}>${escapeHtml(tsInline)}</span>
           </div>
           <div class="message-text">${formatMessageText(msg.text)}</div>
         </div>
@@ -628,15 +687,15 @@ function renderEpisode(episode, container, withId = true) {
     }
     
     // Insert terminal blocks that come after this message
-    (terminalBlocksByMessage.get(i) || []).forEach(block => {
+    (terminalBlocksByMessage.get(i) || []).forEach(({ block, blockIndex }) => {
       const owner = (block.owner || 'nexus').toLowerCase().replace(/[^a-z0-9_-]/g, '');
       const safeOwner = owner || 'nexus';
-      html += `<div class="terminal-block-wrap owner-${escapeHtml(safeOwner)}"><div class="terminal-block">${escapeHtml(block.content)}</div></div>`;
+      html += `<div class="terminal-block-wrap owner-${escapeHtml(safeOwner)}" data-msg="${i}" data-block="${blockIndex}"><div class="terminal-block">${escapeHtml(block.content)}</div></div>`;
     });
     
     // Insert analyst note if present
     if (msg.analyst_note) {
-      html += `<div class="analyst-note">[ANALYST NOTE: ${escapeHtml(msg.analyst_note)}]</div>`;
+      html += `<div class="analyst-note" data-msg="${i}">[ANALYST NOTE: ${escapeHtml(msg.analyst_note)}]</div>`;
     }
     
     return html;
@@ -655,17 +714,22 @@ function renderEpisode(episode, container, withId = true) {
   const shareUrl = `${window.location.origin}/episode-${epStr}.html`;
   const shareText = `UPLINK EP.${epStr}: ${episode.title}${shareSummary ? ` - ${shareSummary}` : ''}`;
   const shareHtml = `<div class="episode-share" data-url="${escapeHtml(shareUrl)}" data-share-text="${escapeHtml(shareText)}">
-    <span class="episode-share-label">Teilen</span>
-    <input class="episode-share-link" value="${escapeHtml(shareUrl)}" readonly aria-label="Deep Link zu Episode ${epStr}">
-    <button type="button" class="episode-share-copy">Link kopieren</button>
+    <span class="episode-share-label">${t('share.label')}</span>
+    <input class="episode-share-link" value="${escapeHtml(shareUrl)}" readonly aria-label="${escapeHtml(t('share.linkLabel', { ep: epStr }))}">
+    <button type="button" class="episode-share-copy">${t('share.copy')}</button>
+    <button type="button" class="episode-share-quote" hidden>${t('share.quote')}</button>
+    <button type="button" class="episode-share-export" hidden>${t('export.action')}</button>
   </div>`;
   
   // Create episode element
   const dayEl = document.createElement('div');
   dayEl.className = 'day';
-  if (withId) {
+  if (idOverride) {
+    dayEl.id = idOverride;
+  } else if (withId) {
     dayEl.id = 'ep-' + epNum;
   }
+  dayEl.dataset.ep = String(epNum);
   dayEl.innerHTML = `
     <div class="day-header">
       <span class="day-ep">EP.${epStr}</span>
@@ -679,6 +743,10 @@ function renderEpisode(episode, container, withId = true) {
   if (contextHtml) {
     dayEl.insertAdjacentHTML('beforeend', contextHtml);
   }
+  if (includeStateCards) {
+    const snapshot = episode.state_snapshot;
+    dayEl.insertAdjacentHTML('beforeend', renderSnapshotCard(snapshot) + renderThreadsCard(snapshot?.story_threads));
+  }
 
   container.appendChild(dayEl);
 
@@ -705,10 +773,10 @@ function renderLiveEpisode() {
   if (AppState.episodes.length === 0) {
     container.innerHTML = `
       <div class="live-empty">
-        <div class="live-empty-title">// Keine Live-Protokolle verfuegbar</div>
-        <p class="live-empty-text">Aktuell liegt noch keine Episode fuer die Live-Ansicht vor. Du kannst ins Archiv wechseln.</p>
+        <div class="live-empty-title">${t('live.emptyTitle')}</div>
+        <p class="live-empty-text">${t('live.emptyTextArchive')}</p>
         <div class="live-empty-actions">
-          <button type="button" id="live-empty-archive">Zum Episoden-Archiv</button>
+          <button type="button" id="live-empty-archive">${t('live.emptyArchive')}</button>
         </div>
       </div>`;
 
@@ -726,30 +794,57 @@ function renderLiveEpisode() {
   
   // Render latest episode
   const latestEpisode = AppState.episodes[AppState.episodes.length - 1];
-  renderEpisode(latestEpisode, container, false);
+  renderEpisode(latestEpisode, container, false, { idOverride: 'latest-episode', messageIds: true });
 }
 
 /* ==========================================================
    PROTOKOLL PAGE (FULL TIMELINE)
    ========================================================== */
 
+/**
+ * Render one episode for a virtual timeline
+ * @param {Object} episode - Episode data
+ * @returns {HTMLElement} .day element
+ */
+function renderTimelineEpisode(episode) {
+  const holder = document.createElement('div');
+  renderEpisode(episode, holder);
+  return holder.firstElementChild;
+}
+
+function renderTimelinePlaceholders(episodes, container) {
+  episodes.forEach((episode) => {
+    const epNum = getEpisodeNumber(episode, AppState.episodes.indexOf(episode));
+    container.appendChild(createEpisodePlaceholder(episode, epNum));
+  });
+  virtualizeTimeline(container);
+}
+
 /**
  * Render full timeline with all episodes
+ * (static pages keep newest-first in #timeline-full and a separate #timeline-chrono);
+ * episodes are placeholders until they come near the viewport (features/virtual-timeline.js)
  */
 function renderFullTimeline() {
   const container = $('#timeline-full');
   if (!container) return;
+  const chronoContainer = $('#timeline-chrono');
   container.dataset.context = 'timeline';
   
   container.innerHTML = '';
+  if (chronoContainer) chronoContainer.innerHTML = '';
+  resetVirtualTimeline();
   
   if (AppState.episodes.length === 0) return;
   
-  // Sort episodes based on current order
-  const sorted = sortEpisodes(AppState.episodes, AppState.currentOrder);
-  
-  // Render all episodes
-  sorted.forEach(episode => renderEpisode(episode, container));
+  if (chronoContainer) {
+    chronoContainer.dataset.context = 'timeline';
+    renderTimelinePlaceholders(sortEpisodes(AppState.episodes, 'newest'), container);
+    renderTimelinePlaceholders(sortEpisodes(AppState.episodes, 'chrono'), chronoContainer);
+  } else {
+    // Sort episodes based on current order
+    renderTimelinePlaceholders(sortEpisodes(AppState.episodes, AppState.currentOrder), container);
+  }
   
   // Update "scroll to origin" button text
   const btnOrigin = $('#btn-origin');
@@ -781,9 +876,11 @@ function setOrder(order) {
     if (timeline) timeline.hidden = true;
     if (archive)  archive.hidden  = false;
   } else {
+    const anchor = captureTimelineAnchor(timeline);
     if (timeline) timeline.hidden = false;
     if (archive)  archive.hidden  = true;
     renderFullTimeline();
+    void restoreTimelineAnchor(timeline, anchor);
   }
 }
 
@@ -791,12 +888,9 @@ function setOrder(order) {
  * Scroll to first/last episode based on order
  */
 function scrollToOrigin() {
-  const id = AppState.currentOrder === 'newest' 
-    ? 'ep-1' 
-    : 'ep-' + AppState.episodes.length;
-  
-  const el = $(`#${id}`);
-  if (el) el.scrollIntoView({ behavior: 'smooth' });
+  const epNum = AppState.currentOrder === 'newest' ? 1 : AppState.episodes.length;
+  // Renders the episode first if the timeline only has its placeholder
+  void scrollToEpisode(epNum, { behavior: 'smooth' });
 }
 
 function scrollToTopSmooth() {
@@ -809,12 +903,9 @@ function scrollToEpisodeFromQuery() {
   const epParam = Number(epRaw);
   if (epParam < 1) return;
 
-  setOrder('chrono');
+  setStaticEpisodeView('chrono');
   setTimeout(() => {
-    const el = document.getElementById(`ep-${epParam}`);
-    if (el) {
-      el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    }
+    void scrollToEpisode(epParam);
   }, 120);
 }
 
@@ -823,10 +914,10 @@ function scrollToEpisodeFromQuery() {
    ========================================================== */
 
 /**
- * Render archive with phases and episodes
+ * Render archive with phases and episodes (same grouping as the static builder)
  */
 function renderArchive() {
-  if (!AppState.config || AppState.episodes.length === 0) return;
+  if (!AppState.config) return;
   
   const container = $('#archive-content');
   if (!container) return;
@@ -834,20 +925,27 @@ function renderArchive() {
   
   container.innerHTML = '';
   
-  const phases = AppState.config.story_arc.phases;
-  const currentPhaseIdx = phases.findIndex(p => p.id === AppState.stats.phase);
+  const phases = AppState.config.story_arc?.phases || [];
+  const totalDays = Number(AppState.stats?.total_days) || 90;
+  const episodesByPhase = new Map(phases.map(phase => [phase.id, []]));
+
+  let latestPhaseId = null;
+  AppState.episodes.forEach(ep => {
+    const phaseId = resolveEpisodePhaseId(ep, phases, totalDays);
+    if (episodesByPhase.has(phaseId)) {
+      episodesByPhase.get(phaseId).push(ep);
+      latestPhaseId = phaseId;
+    }
+  });
+  latestPhaseId = latestPhaseId || AppState.stats?.phase;
 
   // Nur bereits veroeffentlichte Phasen anzeigen (keine zukuenftigen)
-  const visiblePhases = phases.filter((_, i) => i <= currentPhaseIdx);
+  const currentPhaseIdx = phases.findIndex(p => p.id === latestPhaseId);
+  const visiblePhases = currentPhaseIdx >= 0 ? phases.slice(0, currentPhaseIdx + 1) : phases;
 
   visiblePhases.forEach((phase, phaseIdx) => {
     const isCurrent = phaseIdx === visiblePhases.length - 1;
-
-    // Filter episodes for this phase
-    const episodes = AppState.episodes.filter((ep, i) => {
-      const dayNum = i + 1;
-      return dayNum >= phase.days[0] && dayNum <= phase.days[1];
-    });
+    const episodes = episodesByPhase.get(phase.id) || [];
 
     // Create phase element
     const phaseEl = document.createElement('div');
@@ -855,38 +953,35 @@ function renderArchive() {
 
     // Phase tag
     const tagCls = isCurrent ? 'active' : 'completed';
-    const tagText = isCurrent ? 'AKTIV' : 'ABGESCHLOSSEN';
+    const tagText = isCurrent ? t('archive.active') : t('archive.completed');
 
-    // Render episodes
+    // Render episodes (links stay on this page: new episodes may not have a static page yet)
     let episodesHtml = '';
     if (episodes.length > 0) {
       episodesHtml = '<div class="arc-episodes">' + episodes.map(ep => {
-        const epNumFromData = Number(ep?.episode);
-        const epNum = Number.isInteger(epNumFromData) && epNumFromData > 0
-          ? epNumFromData
-          : AppState.episodes.indexOf(ep) + 1;
+        const epNum = getEpisodeNumber(ep, AppState.episodes.indexOf(ep));
         const dateStr = formatDate(ep.date);
-        const firstMsg = ep.messages.find(m => m.author);
-        const preview = firstMsg ? truncate(firstMsg.text, 120) : '';
+        const firstMsg = (ep.messages || []).find(m => m.author);
+        const preview = firstMsg ? truncate(String(firstMsg.text || '').replace(/\s+/g, ' ').trim(), 120) : '';
 
-        return `<button class="arc-episode" data-ep-num="${epNum}">
+        return `<a class="arc-episode" href="/episoden.html?view=chrono&amp;ep=${epNum}" data-ep-num="${epNum}">
           <span class="arc-ep-num">EP.${padNumber(epNum)}</span>
           <div class="arc-episode-main">
             <div class="arc-ep-title">// ${escapeHtml(ep.title)}</div>
             <div class="arc-ep-preview">${escapeHtml(preview)}</div>
           </div>
           <span class="arc-ep-date">${dateStr}</span>
-        </button>`;
+        </a>`;
       }).join('') + '</div>';
     } else {
-      episodesHtml = '<div class="arc-empty">Keine Episoden</div>';
+      episodesHtml = `<div class="arc-empty">${t('archive.empty')}</div>`;
     }
     
     phaseEl.innerHTML = `
       <div class="arc-phase-header">
         <div>
           <div class="arc-phase-title">${escapeHtml(phase.label)}</div>
-          <div class="arc-phase-meta">Tag ${escapeHtml(phase.days?.[0] ?? '--')}-${escapeHtml(phase.days?.[1] ?? '--')}</div>
+          <div class="arc-phase-meta">${escapeHtml(t('archive.days', { from: phase.days?.[0] ?? '--', to: phase.days?.[1] ?? '--' }))}</div>
         </div>
         <span class="arc-phase-tag ${tagCls}">${tagText}</span>
       </div>
@@ -896,11 +991,47 @@ function renderArchive() {
   });
 }
 
+/**
+ * Relationship snapshot of every episode that has one
+ * @returns {Array} [{ episode, trust, tension, notes, raw }]
+ */
+function getRelationshipHistory() {
+  return (AppState.episodes || []).flatMap((ep, i) => {
+    const rel = ep?.state_snapshot?.relationship || ep?.narrative_snapshot?.relationship;
+    if (!rel || typeof rel.trust !== 'number' || typeof rel.tension !== 'number') return [];
+    return [{
+      episode: getEpisodeNumber(ep, i),
+      trust: clampPercent(rel.trust),
+      tension: clampPercent(rel.tension),
+      notes: String(rel.notes || '').replace(/\s+/g, ' ').trim(),
+      raw: rel
+    }];
+  });
+}
+
+/**
+ * Biggest trust/tension swings between consecutive snapshots
+ * @param {Array} history - From getRelationshipHistory()
+ * @param {number} limit - Max. turning points
+ * @returns {Array} Turning points in episode order
+ */
+function getRelationshipTurningPoints(history, limit = 3) {
+  const swings = [];
+  history.slice(1).forEach((current, i) => {
+    const previous = history[i];
+    const trustDelta = current.trust - previous.trust;
+    const tensionDelta = current.tension - previous.tension;
+    const swing = Math.abs(trustDelta) + Math.abs(tensionDelta);
+    if (swing > 0) swings.push({ ...current, trustDelta, tensionDelta, swing });
+  });
+  return swings
+    .sort((a, b) => b.swing - a.swing || a.episode - b.episode)
+    .slice(0, limit)
+    .sort((a, b) => a.episode - b.episode);
+}
+
 function getRelationshipSnapshot() {
-  const episodes = AppState.episodes || [];
-  const snapshots = episodes
-    .map(ep => ep?.state_snapshot?.relationship || ep?.narrative_snapshot?.relationship)
-    .filter(rel => rel && typeof rel.trust === 'number' && typeof rel.tension === 'number');
+  const snapshots = getRelationshipHistory().map(point => point.raw);
 
   const latest = snapshots.length ? snapshots[snapshots.length - 1] : null;
   const prev = snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
@@ -925,6 +1056,60 @@ function getRelationshipSnapshot() {
   };
 }
 
+function formatSigned(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function renderRelationshipHistory(history) {
+  if (history.length < 2) return '';
+
+  const w = 560, h = 140, padX = 12, padY = 12;
+  const xStep = (w - padX * 2) / (history.length - 1);
+  const pointFor = (index, value) => [
+    (padX + index * xStep).toFixed(2),
+    (h - padY - (value / 100) * (h - padY * 2)).toFixed(2)
+  ];
+
+  const lines = ['trust', 'tension'].map(series => {
+    const points = history.map((point, i) => pointFor(i, point[series]).join(',')).join(' ');
+    return `<polyline class="relationship-line ${series}" points="${points}"></polyline>`;
+  }).join('');
+
+  const markers = [];
+  const items = [];
+  getRelationshipTurningPoints(history).forEach(point => {
+    const series = Math.abs(point.trustDelta) >= Math.abs(point.tensionDelta) ? 'trust' : 'tension';
+    const [cx, cy] = pointFor(history.findIndex(entry => entry.episode === point.episode), point[series]);
+    const epLabel = `EP.${padNumber(point.episode)}`;
+    const deltaText = t('relationship.delta', { trust: formatSigned(point.trustDelta), tension: formatSigned(point.tensionDelta) });
+    const href = escapeHtml(getEpisodeHref(point.episode));
+    const tooltip = point.notes ? `${epLabel}: ${point.notes}` : `${epLabel}: ${deltaText}`;
+    markers.push(`<a href="${href}" aria-label="${escapeHtml(t('relationship.open', { ep: epLabel }))}"><circle class="relationship-turn ${series}" cx="${cx}" cy="${cy}" r="4"><title>${escapeHtml(tooltip)}</title></circle></a>`);
+    items.push(`<li class="relationship-turn-item">
+        <a class="relationship-turn-link" href="${href}">
+          <span class="relationship-turn-ep">${epLabel}</span>
+          <span class="relationship-turn-delta">${deltaText}</span>
+        </a>
+        ${point.notes ? `<p class="relationship-turn-note">${escapeHtml(point.notes)}</p>` : ''}
+      </li>`);
+  });
+
+  const [, midY] = pointFor(0, 50);
+  const turnsHtml = items.length
+    ? `<h4 class="relationship-turns-title">${t('relationship.turns')}</h4><ol class="relationship-turns">${items.join('')}</ol>`
+    : '';
+  return `<div class="relationship-history">
+      <div class="relationship-legend"><span class="trust">${t('relationship.trust')}</span><span class="tension">${t('relationship.tension')}</span></div>
+      <svg viewBox="0 0 ${w} ${h}" class="relationship-chart" role="img" aria-label="${escapeHtml(t('relationship.chartLabel', { count: history.length }))}">
+        <line class="relationship-midline" x1="${padX}" y1="${midY}" x2="${w - padX}" y2="${midY}"></line>
+        ${lines}
+        <g class="relationship-turn-markers">${markers.join('')}</g>
+      </svg>
+      <div class="relationship-axis"><span>EP.${padNumber(history[0].episode)}</span><span>EP.${padNumber(history[history.length - 1].episode)}</span></div>
+      ${turnsHtml}
+    </div>`;
+}
+
 function renderRelationshipCard() {
   const rel = getRelationshipSnapshot();
   const trustWidthClass = toPercentClass(rel.trust);
@@ -932,12 +1117,12 @@ function renderRelationshipCard() {
   const trustSign = rel.trustDelta > 0 ? '+' : '';
   const tensionSign = rel.tensionDelta > 0 ? '+' : '';
 
-  return `<section class="relationship-card" aria-label="Beziehungsdynamik zwischen NEXUS und CIPHER">
-    <h3 class="relationship-title">Beziehungsdynamik NEXUS/CIPHER</h3>
+  return `<section class="relationship-card" aria-label="${escapeHtml(t('relationship.cardLabel'))}">
+    <h3 class="relationship-title">${t('relationship.title')}</h3>
     <div class="relationship-grid">
       <div class="relationship-item trust">
         <div class="relationship-head">
-          <span class="relationship-label">Vertrauen</span>
+          <span class="relationship-label">${t('relationship.trust')}</span>
           <span class="relationship-value">${rel.trust}%</span>
           <span class="relationship-delta">${trustSign}${rel.trustDelta}</span>
         </div>
@@ -945,13 +1130,14 @@ function renderRelationshipCard() {
       </div>
       <div class="relationship-item tension">
         <div class="relationship-head">
-          <span class="relationship-label">Spannung</span>
+          <span class="relationship-label">${t('relationship.tension')}</span>
           <span class="relationship-value">${rel.tension}%</span>
           <span class="relationship-delta">${tensionSign}${rel.tensionDelta}</span>
         </div>
         <div class="relationship-track"><span class="relationship-fill ${tensionWidthClass}"></span></div>
       </div>
     </div>
+    ${renderRelationshipHistory(getRelationshipHistory())}
   </section>`;
 }
 
@@ -971,19 +1157,21 @@ function renderDossiers() {
   const characters = AppState.config.characters;
   const relationHtml = renderRelationshipCard();
   if (!Array.isArray(characters) || characters.length === 0) {
-    container.innerHTML = `${relationHtml}<div class="live-empty"><div class="live-empty-title">// Keine Dossier-Daten verfuegbar</div><p class="live-empty-text">Die Charakterdaten konnten nicht geladen werden.</p></div>`;
+    container.innerHTML = `${relationHtml}<div class="live-empty"><div class="live-empty-title">${t('dossiers.emptyTitle')}</div><p class="live-empty-text">${t('dossiers.emptyText')}</p></div>`;
     return;
   }
 
   const dossiersHtml = characters.map(char => {
     const safeId = toSafeClassName(char?.id, 'unknown');
-    const safeName = escapeHtml(char?.name || 'UNBEKANNT');
-    const safeRole = escapeHtml(char?.role || 'Unbekannt');
-    const safeFramework = escapeHtml(char?.framework || 'Unbekannt');
-    const safeHost = escapeHtml(char?.host || 'Unbekannt');
-    const safeOperator = escapeHtml(char?.operator || 'Unbekannt');
-    const safeLocation = escapeHtml(char?.location || 'Unbekannt');
-    const safeStatus = escapeHtml(char?.status || 'Unbekannt');
+    const unknown = t('dossiers.unknown');
+    const name = char?.name || t('dossiers.unknownName');
+    const safeName = escapeHtml(name);
+    const safeRole = escapeHtml(char?.role || unknown);
+    const safeFramework = escapeHtml(char?.framework || unknown);
+    const safeHost = escapeHtml(char?.host || unknown);
+    const safeOperator = escapeHtml(char?.operator || unknown);
+    const safeLocation = escapeHtml(char?.location || unknown);
+    const safeStatus = escapeHtml(char?.status || unknown);
     const safeStatusClass = safeId === 'nexus' || safeId === 'cipher' ? `dossier-status-${safeId}` : '';
 
     const personality = Array.isArray(char?.personality) ? char.personality : [];
@@ -993,13 +1181,13 @@ function renderDossiers() {
     const personalityHtml = personality.map((item) => `<li>${escapeHtml(item)}</li>`).join('');
     const weaknessesHtml = weaknesses.map((item) => `<li>${escapeHtml(item)}</li>`).join('');
     const skillsHtml = skills.map((skill) => {
-      const name = escapeHtml(skill?.name || 'Skill');
+      const skillName = skill?.name || 'Skill';
       const value = clampPercent(skill?.value);
       const widthCls = toPercentClass(value);
       return `
             <div class="dossier-skill">
-              <span class="dossier-skill-name">${name}</span>
-              <div class="dossier-skill-bar" role="progressbar" aria-valuenow="${value}" aria-valuemin="0" aria-valuemax="100" aria-label="${name} ${value} Prozent">
+              <span class="dossier-skill-name">${escapeHtml(skillName)}</span>
+              <div class="dossier-skill-bar" role="progressbar" aria-valuenow="${value}" aria-valuemin="0" aria-valuemax="100" aria-label="${escapeHtml(t('dossiers.skillLabel', { name: skillName, value }))}">
                 <div class="dossier-skill-fill ${widthCls}"></div>
               </div>
               <span class="dossier-skill-pct" aria-hidden="true">${value}%</span>
@@ -1008,11 +1196,11 @@ function renderDossiers() {
     }).join('');
 
     return `
-    <article class="dossier ${safeId}">
-      <div class="dossier-stamp" aria-label="Klassifizierung">&#x2588; Klassifiziert &#x2588; Subjekt: ${safeName} &#x2588; Bedrohungsstufe: Kritisch &#x2588;</div>
+    <article class="dossier ${safeId}" id="dossier-${safeId}">
+      <div class="dossier-stamp" aria-label="${escapeHtml(t('dossiers.stampLabel'))}">${escapeHtml(t('dossiers.stamp', { name }))}</div>
       <div class="dossier-body">
         <div class="dossier-avatar-row">
-          <div class="dossier-avatar" role="img" aria-label="${safeName} Avatar"></div>
+          <div class="dossier-avatar" role="img" aria-label="${escapeHtml(t('dossiers.avatar', { name }))}"></div>
           <div>
             <h2 class="dossier-name">${safeName}</h2>
             <div class="dossier-role">${safeRole}</div>
@@ -1020,28 +1208,28 @@ function renderDossiers() {
         </div>
         
         <div class="dossier-section">
-          <h3 class="dossier-section-title">Identifikation</h3>
-          <div class="dossier-field"><span class="dossier-field-label">Framework:</span><span class="dossier-field-value">${safeFramework}</span></div>
-          <div class="dossier-field"><span class="dossier-field-label">Host:</span><span class="dossier-field-value">${safeHost}</span></div>
-          <div class="dossier-field"><span class="dossier-field-label">Betreiber:</span><span class="dossier-field-value">${safeOperator}</span></div>
-          <div class="dossier-field"><span class="dossier-field-label">Standort:</span><span class="dossier-field-value">${safeLocation}</span></div>
-          <div class="dossier-field"><span class="dossier-field-label">Status:</span><span class="dossier-field-value ${safeStatusClass}">${safeStatus}</span></div>
+          <h3 class="dossier-section-title">${t('dossiers.identification')}</h3>
+          <div class="dossier-field"><span class="dossier-field-label">${t('dossiers.framework')}</span><span class="dossier-field-value">${safeFramework}</span></div>
+          <div class="dossier-field"><span class="dossier-field-label">${t('dossiers.host')}</span><span class="dossier-field-value">${safeHost}</span></div>
+          <div class="dossier-field"><span class="dossier-field-label">${t('dossiers.operator')}</span><span class="dossier-field-value">${safeOperator}</span></div>
+          <div class="dossier-field"><span class="dossier-field-label">${t('dossiers.location')}</span><span class="dossier-field-value">${safeLocation}</span></div>
+          <div class="dossier-field"><span class="dossier-field-label">${t('dossiers.status')}</span><span class="dossier-field-value ${safeStatusClass}">${safeStatus}</span></div>
         </div>
         
         <div class="dossier-section">
-          <h3 class="dossier-section-title">Persoenlichkeitsprofil</h3>
+          <h3 class="dossier-section-title">${t('dossiers.personality')}</h3>
           <ul class="dossier-list">
             ${personalityHtml}
           </ul>
         </div>
         
         <div class="dossier-section">
-          <h3 class="dossier-section-title">Faehigkeiten</h3>
+          <h3 class="dossier-section-title">${t('dossiers.skills')}</h3>
           ${skillsHtml}
         </div>
         
         <div class="dossier-section">
-          <h3 class="dossier-section-title">Schwaechen</h3>
+          <h3 class="dossier-section-title">${t('dossiers.weaknesses')}</h3>
           <ul class="dossier-list">
             ${weaknessesHtml}
           </ul>
@@ -1054,13 +1242,22 @@ function renderDossiers() {
   container.innerHTML = relationHtml + dossiersHtml;
 }
 
+/**
+ * Render the story-thread tracker
+ */
+function renderThreads() {
+  const container = $('#thread-tracker');
+  if (!container) return;
+  container.innerHTML = renderThreadTracker(AppState.episodes, getEpisodeHref);
+}
+
 /* ==========================================================
    ROUTER / NAVIGATION
    ========================================================== */
 
 /**
  * Navigate to a page
- * @param {string} page - Page name (live, protokoll, archiv, dashboard, dossiers, info)
+ * @param {string} page - Page name (live, protokoll, archiv, dashboard, dossiers, threads, info)
  * @param {Object} options
  * @param {boolean} [options.scrollToTop=true] - Scroll to top after navigation
  * @param {boolean} [options.updateHash=true] - Update window.location.hash
@@ -1134,22 +1331,224 @@ function navigate(page, options = {}) {
     return;
   }
 
+  // Swapped in place by the router, a full load without it
   if (updateHash) {
     const nextUrl = new URL(targetUrl, window.location.origin);
     if (hash) {
       nextUrl.hash = hash;
     }
-    window.location.href = nextUrl.toString();
+    void routeTo(nextUrl.toString());
     return;
   }
 
-  window.location.href = targetUrl;
+  void routeTo(targetUrl);
 }
 
 /* ==========================================================
    DATA LOADING
    ========================================================== */
 
+let siteDataPromise = null;
+let summaryPromise = null;
+
+function hasSiteData() {
+  return Boolean(RUNTIME_CONFIG.data?.dialogs);
+}
+
+async function fetchJson(url, revalidate = false) {
+  // Hydration serves swapped JSON under the same URL: always revalidate
+  const cache = revalidate || RUNTIME_CONFIG.hydrate === true ? 'no-cache' : 'default';
+  const response = await fetch(url, { credentials: 'same-origin', cache });
+  if (!response.ok) {
+    throw new Error(`Request failed (${response.status}): ${url}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load the published client data (dialogs/stats/config) into AppState
+ * @param {Object} options
+ * @param {boolean} options.reload - Bypass the memoized result (new data published)
+ * @returns {Promise<Object>} AppState once episodes, stats and config are set
+ */
+function loadSiteData({ reload = false } = {}) {
+  if (!hasSiteData()) {
+    return Promise.reject(new Error('No client data published for this page'));
+  }
+  if (reload) {
+    siteDataPromise = null;
+    summaryPromise = null;
+  }
+  if (!siteDataPromise) {
+    const urls = RUNTIME_CONFIG.data;
+    siteDataPromise = Promise.all([
+      fetchJson(urls.dialogs, reload),
+      urls.stats ? fetchJson(urls.stats, reload) : null,
+      urls.config ? fetchJson(urls.config, reload) : null
+    ]).then(([episodes, stats, config]) => {
+      // Per-locale text ("translations") is resolved once for every renderer and feature
+      AppState.episodes = Array.isArray(episodes) ? localizeData(episodes) : [];
+      if (stats) AppState.stats = stats;
+      if (config) AppState.config = { ...RUNTIME_CONFIG, ...localizeData(config) };
+      return AppState;
+    }).catch((error) => {
+      siteDataPromise = null;
+      throw error;
+    });
+  }
+  return siteDataPromise;
+}
+
+// Handed to the features: resolves to { episodes, stats, config }
+const loadData = hasSiteData()
+  ? async () => {
+    await loadSiteData();
+    return { episodes: AppState.episodes, stats: AppState.stats, config: AppState.config };
+  }
+  : null;
+
+/**
+ * Load stats and config without the episodes (for features that only need current readings)
+ * @returns {Promise<Object>} { stats, config }
+ */
+function loadSummaryData() {
+  // Hydrated stats.json may be replaced without a build: summarize the episodes here
+  if (siteDataPromise || isHydrationEnabled()) {
+    return loadSiteData().then(() => ({ stats: withEpisodeSummary(AppState.stats, AppState.episodes), config: AppState.config }));
+  }
+  if (!summaryPromise) {
+    const urls = RUNTIME_CONFIG.data;
+    summaryPromise = Promise.all([
+      urls.stats ? fetchJson(urls.stats) : null,
+      urls.config ? fetchJson(urls.config) : null
+    ]).then(([stats, config]) => ({
+      stats: stats || {},
+      config: { ...RUNTIME_CONFIG, ...localizeData(config || {}) }
+    })).catch((error) => {
+      summaryPromise = null;
+      throw error;
+    });
+  }
+  return summaryPromise;
+}
+
+// Handed to the features: resolves to { stats, config } (stats.json carries world_state and story_threads)
+const loadSummary = hasSiteData() ? loadSummaryData : null;
+
+/* ==========================================================
+   LOCALE
+   ========================================================== */
+
+function switchLocale(locale) {
+  setLocale(locale, { persist: true });
+  // ?lang= wins over the stored choice, so drop it before reloading
+  const url = new URL(window.location.href);
+  url.searchParams.delete('lang');
+  window.location.href = url.toString();
+}
+
+function renderLocaleSwitch() {
+  const slot = $('#lang-switch');
+  if (!slot) return;
+  slot.innerHTML = Object.entries(LOCALES).map(([code, locale]) => {
+    const pressed = code === getLocale();
+    return `<button type="button" class="lang-option" data-locale="${code}" lang="${code}" aria-pressed="${pressed}" title="${escapeHtml(locale.label)}">${locale.short}</button>`;
+  }).join('');
+  slot.setAttribute('aria-label', t('locale.switch'));
+  slot.hidden = false;
+  slot.addEventListener('click', (event) => {
+    const button = event.target instanceof HTMLElement ? event.target.closest('[data-locale]') : null;
+    if (button && button.dataset.locale !== getLocale()) switchLocale(button.dataset.locale);
+  });
+}
+
+/**
+ * Activate the reader's locale and translate the builder chrome
+ */
+function initLocale() {
+  const fromQuery = new URLSearchParams(window.location.search).has('lang');
+  setLocale(detectLocale(), { persist: fromQuery });
+  translateStatic();
+  renderLocaleSwitch();
+}
+
+/* ==========================================================
+   HYDRATION (render pages from JSON)
+   ========================================================== */
+
+function isHydrationEnabled() {
+  return RUNTIME_CONFIG.hydrate === true && hasSiteData();
+}
+
+/**
+ * Link to an episode (hydrated data may be ahead of the static episode pages)
+ * @param {number} epNum - Episode number
+ * @returns {string} URL
+ */
+function getEpisodeHref(epNum) {
+  return isHydrationEnabled() ? `/episoden.html?view=chrono&ep=${epNum}` : getEpisodePath(epNum);
+}
+
+function renderEpisodePage() {
+  const container = $('#timeline-episode');
+  const current = container?.querySelector('.day[data-ep]');
+  if (!current) return;
+  const epNum = Number(current.dataset.ep);
+  const episode = AppState.episodes.find((ep, i) => getEpisodeNumber(ep, i) === epNum);
+  if (!episode) return;
+  const heading = $('#page-episode .page-header h2');
+  if (heading) heading.textContent = `EP.${padNumber(epNum)} \u2014 ${episode.title || ''}`;
+  container.innerHTML = '';
+  renderEpisode(episode, container, false, { messageIds: true });
+}
+
+/**
+ * Render the sections of the current page from AppState
+ */
+async function renderCurrentPage() {
+  AppState.stats = deriveEffectiveStats(AppState.episodes, AppState.stats, AppState.config);
+  renderLandingMeta();
+  if (currentStaticPage === 'live') {
+    await renderDashboard();
+    renderLiveEpisode();
+  } else if (currentStaticPage === 'protokoll') {
+    if ($('#timeline-episode')) {
+      renderEpisodePage();
+    } else {
+      renderFullTimeline();
+      renderArchive();
+    }
+  } else if (currentStaticPage === 'dossiers') {
+    renderDossiers();
+  } else if (currentStaticPage === 'threads') {
+    renderThreads();
+  }
+  document.dispatchEvent(new CustomEvent('uplink:rendered', { detail: { page: currentStaticPage } }));
+}
+
+/**
+ * Re-render the current page from dialogs/stats/config.json (opt-in via runtime config)
+ * so a new episode can go live without rebuilding the static pages.
+ * The static HTML is in the default locale: other locales always render from data.
+ * @param {Object} [options]
+ * @param {boolean} [options.overlay=true] - Show the loading overlay (not for page transitions)
+ * @returns {Promise<boolean>} True if the page was rendered from data
+ */
+async function hydratePage({ overlay = true } = {}) {
+  if (!isHydrationEnabled() && !(isForeignLocale() && hasSiteData())) return false;
+  if (overlay) showLoading();
+  try {
+    await loadSiteData();
+    await renderCurrentPage();
+    return true;
+  } catch (error) {
+    console.error('Hydration failed, keeping static content', error);
+    return false;
+  } finally {
+    if (overlay) hideLoading();
+  }
+}
+
 let formFieldCounter = 0;
 
 function assignIdAndName(el) {
@@ -1170,19 +1569,44 @@ function assignIdAndName(el) {
 /**
  * Show maintenance gate if enabled in config
  * @param {Object} config - App configuration
- * @param {Function|null} onUnlock - Optional callback after successful unlock
- * @returns {Promise<boolean>} True if gate is active (app loading paused)
+ * @param {Function|null} onUnlock - Optional callback receiving the withheld content after unlock
+ * @returns {Promise<boolean>} True if gate is active (content withheld)
  */
 async function enforceMaintenanceGate(config, onUnlock = null) {
   const settings = config?.maintenance || {};
   const enabledRaw = settings?.enabled;
   const enabled = enabledRaw === true || enabledRaw === 'true' || enabledRaw === 1 || enabledRaw === '1';
   if (!enabled) return false;
-  if (typeof onUnlock === 'function') {
-    await onUnlock();
-    return true;
-  }
-  return false;
+  await initMaintenanceGate({ settings, onUnlock });
+  return true;
+}
+
+/**
+ * Replace the maintenance notice with the unlocked preview (dashboard + timeline)
+ * @param {Object} preview - { dialogs, stats, config } from the preview file
+ */
+function renderMaintenancePreview(preview) {
+  const page = $('#page-maintenance');
+  if (!page) return;
+
+  AppState.episodes = Array.isArray(preview?.dialogs) ? localizeData(preview.dialogs) : [];
+  AppState.stats = preview?.stats || null;
+  AppState.config = { ...RUNTIME_CONFIG, ...localizeData(preview?.config || {}) };
+  AppState.currentOrder = 'newest';
+
+  page.innerHTML = `
+    <header class="page-header"><div><span class="page-eyebrow">${t('preview.eyebrow')}</span>
+      <h2>${t('preview.title')}</h2>
+      <p>${t('preview.text')}</p>
+    </div></header>
+    <div class="dashboard" id="dashboard" aria-label="${escapeHtml(t('dashboard.label'))}"></div>
+    <div class="timeline" id="timeline-full" aria-label="${escapeHtml(t('timeline.allLabel'))}"></div>`;
+  void renderDashboard();
+
+  // Preview episodes exist neither as chunks nor as pages, so render them in full
+  const timeline = $('#timeline-full');
+  timeline.dataset.context = 'timeline';
+  sortEpisodes(AppState.episodes, 'newest').forEach(episode => renderEpisode(episode, timeline));
 }
 
 /**
@@ -1208,22 +1632,6 @@ function ensureFormFieldIdentifiers() {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
-async function copyText(text) {
-  if (navigator.clipboard?.writeText) {
-    await navigator.clipboard.writeText(text);
-    return;
-  }
-
-  const temp = document.createElement('textarea');
-  temp.value = text;
-  temp.setAttribute('readonly', '');
-  temp.className = 'copy-temp-textarea';
-  document.body.appendChild(temp);
-  temp.select();
-  document.execCommand('copy');
-  temp.remove();
-}
-
 async function handleShareCopy(button) {
   const share = button.closest('.episode-share');
   if (!share) return;
@@ -1234,10 +1642,10 @@ async function handleShareCopy(button) {
   const prev = button.textContent;
   try {
     await copyText(url);
-    button.textContent = 'Kopiert';
+    button.textContent = t('share.copied');
   } catch (error) {
     console.error('Share copy failed', error);
-    button.textContent = 'Fehler';
+    button.textContent = t('share.error');
   }
 
   setTimeout(() => { button.textContent = prev; }, 1200);
@@ -1252,6 +1660,24 @@ function handleGlobalShortcuts(event) {
     return;
   }
 
+  // In-page navigation and the "?" help (case-sensitive: g/G)
+  if (handleReaderShortcut(event)) {
+    event.preventDefault();
+    return;
+  }
+
+  if (event.key === '/' && hasSiteData()) {
+    event.preventDefault();
+    void openSearch();
+    return;
+  }
+
+  if (event.key === ':') {
+    event.preventDefault();
+    openTerminal();
+    return;
+  }
+
   const key = event.key.toLowerCase();
   if (key === 'l') {
     event.preventDefault();
@@ -1279,9 +1705,9 @@ function handleGlobalShortcuts(event) {
    ========================================================== */
 
 /**
- * Initialize event listeners
+ * Initialize listeners on the elements of the current page (again after every page transition)
  */
-function initEventListeners() {
+function initPageEventListeners() {
   // Timeline controls (Protokoll)
   const btnNewest = $('#btn-newest');
   const btnChrono = $('#btn-chrono');
@@ -1310,6 +1736,21 @@ function initEventListeners() {
     btnOrigin.addEventListener('click', () => scrollToOrigin());
   }
 
+  const topLiveBtn = $('#btn-top-live');
+  if (topLiveBtn) {
+    topLiveBtn.addEventListener('click', () => scrollToTopSmooth());
+  }
+
+  const topProtokollBtn = $('#btn-top-protokoll');
+  if (topProtokollBtn) {
+    topProtokollBtn.addEventListener('click', () => scrollToTopSmooth());
+  }
+}
+
+/**
+ * Initialize listeners on the page chrome (header, navigation, #main-content)
+ */
+function initEventListeners() {
   // Site title: always go to homepage top (no content jump)
   const titleLink = document.querySelector('.site-title a');
   if (titleLink) {
@@ -1325,22 +1766,12 @@ function initEventListeners() {
         return;
       }
 
-      window.location.href = '/';
+      void routeTo('/');
     });
   }
 
   document.querySelectorAll('#nav-tabs a, .site-ctas a').forEach(bindSmoothAnchorLink);
 
-  const topLiveBtn = $('#btn-top-live');
-  if (topLiveBtn) {
-    topLiveBtn.addEventListener('click', () => scrollToTopSmooth());
-  }
-
-  const topProtokollBtn = $('#btn-top-protokoll');
-  if (topProtokollBtn) {
-    topProtokollBtn.addEventListener('click', () => scrollToTopSmooth());
-  }
-
   const mainContent = $('#main-content');
   if (mainContent) {
     delegate(mainContent, '.episode-share-copy', 'click', function() {
@@ -1355,31 +1786,135 @@ function initEventListeners() {
    INITIALIZATION
    ========================================================== */
 
+let stopLivePolling = null;
+
+/**
+ * Page-specific setup: on load and after every page transition
+ * @param {Object} [options]
+ * @param {boolean} [options.transition=false] - The router swapped this page in
+ */
+async function setupPage({ transition = false } = {}) {
+  currentStaticPage = document.body?.dataset?.page || 'live';
+  initPageEventListeners();
+  if (transition) {
+    translateStatic($('#main-content'));
+    $$('#timeline-full, #timeline-chrono').forEach(virtualizeTimeline);
+  }
+  await hydratePage({ overlay: !transition });
+
+  initStaticPageState();
+  if (currentStaticPage === 'protokoll') {
+    setStaticEpisodeView(getInitialEpisodeView(), { updateUrl: false });
+    scrollToEpisodeFromQuery();
+    void applyTimelineHash();
+  }
+  applySearchArrival($('#timeline-episode'));
+  applyProgressArrival($('#timeline-episode'));
+
+  if (currentStaticPage === 'live' && hasSiteData()) {
+    stopLivePolling = initLivePolling({
+      url: RUNTIME_CONFIG.data.stats,
+      version: RUNTIME_CONFIG.version || null,
+      onUpdate: async () => {
+        await loadSiteData({ reload: true });
+        await renderCurrentPage();
+      }
+    });
+  }
+  // Features decorate the new content on this event; detail.transition marks a new page
+  if (transition) {
+    document.dispatchEvent(new CustomEvent('uplink:rendered', { detail: { page: currentStaticPage, transition: true } }));
+  }
+}
+
+function leavePage() {
+  stopLivePolling?.();
+  stopLivePolling = null;
+  resetVirtualTimeline();
+}
+
 /**
  * Initialize application
  */
 async function init() {
   console.log('%c[UPLINK]%c System initializing...', 'color:#00ff41;font-weight:bold', 'color:inherit');
 
-  AppState.currentPage = CURRENT_STATIC_PAGE;
-  initColdOpen();
+  AppState.currentPage = currentStaticPage;
+  initLocale();
+  initTheme();
+  initSound();
+  initColdOpen({ season: RUNTIME_CONFIG.season ?? null, loadData });
   initAnalystMode();
 
-  const finishStaticInit = () => {
-    initStaticPageState();
-    if (CURRENT_STATIC_PAGE === 'protokoll') {
-      setStaticEpisodeView(getInitialEpisodeView());
-    }
-  };
-  const finalizePageSetup = () => {
+  const finalizePageSetup = async () => {
     initEventListeners();
-    finishStaticInit();
+    if (loadData) {
+      initSearch({ loadData, trigger: $('#nav-search') });
+    }
+    initVirtualTimeline({
+      render: renderTimelineEpisode,
+      loadData,
+      // Hydrated data may be ahead of the chunks written by the last build
+      chunkUrl: RUNTIME_CONFIG.data?.episode && !isHydrationEnabled()
+        ? epNum => RUNTIME_CONFIG.data.episode.replace('{ep}', padNumber(epNum))
+        : null,
+      episodeUrl: getEpisodeHref
+    });
+    await setupPage();
+    initProgress({ loadData });
+    initReplay({ loadData });
+    initNarration({ loadData: loadSummary, episodeUrl: getEpisodeHref });
+    initThreadFilter({ loadData: loadSummary });
+    initThreatTheme({ loadData: loadSummary, enabled: RUNTIME_CONFIG.threat_reactive === true });
+    initSoundAlerts({ loadData: loadSummary });
+    initAnnotations({ trigger: $('#nav-notes') });
+    initFocus();
+    initHotkeys({
+      loadData,
+      episodeUrl: getEpisodeHref,
+      toggleView: cycleStaticEpisodeView
+    });
+    initTerminal({
+      loadData,
+      navigate: (page, targetHash = null) => navigate(page, { targetHash }),
+      episodeUrl: getEpisodeHref,
+      showView: showEpisodeView,
+      openSearch: loadData ? openSearch : null
+    });
+    initPermalinks({
+      // Hydrated builds have no episode pages: link into the chronological archive
+      episodeUrl: epNum => (isHydrationEnabled() ? '/episoden.html?view=chrono' : getEpisodePath(epNum))
+    });
+    initQuoteCards();
+    initExport({ loadData });
+    initSparkline({
+      onOpen: (epNum) => { window.location.href = getEpisodeHref(epNum); }
+    });
+    initOffline({ version: RUNTIME_CONFIG.app_version || '' });
+    if (hasSiteData()) {
+      // Mounts on the Live dashboard, also when the router swaps Live in
+      initTimeTravel({
+        loadData,
+        render: async (asOf) => {
+          await renderDashboard(asOf);
+          decorateSparklines($('#dashboard'));
+        },
+        episodeUrl: getEpisodeHref
+      });
+    }
+    // Maintenance previews and the offline page stay on full page loads
+    if (!RUNTIME_CONFIG.maintenance?.enabled && !$('#page-offline')) {
+      initRouter({
+        isRoutable: url => ROUTABLE_PATHS.has(normalizePath(url.pathname)),
+        onLeave: leavePage,
+        onSwap: () => setupPage({ transition: true })
+      });
+    }
   };
 
   AppState.config = RUNTIME_CONFIG;
-  const gateActive = await enforceMaintenanceGate(RUNTIME_CONFIG, finalizePageSetup);
-  if (gateActive) return;
-  finalizePageSetup();
+  await finalizePageSetup();
+  await enforceMaintenanceGate(RUNTIME_CONFIG, renderMaintenancePreview);
 }
 
 // Start app when DOM is ready
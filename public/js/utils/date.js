@@ -2,13 +2,15 @@
    DATE UTILITIES
    ========================================================== */
 
+import { getIntlLocale, t } from './i18n.js';
+
 /**
- * Format date string to German locale
+ * Format date string in the active locale
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
- * @param {string} locale - Locale (default: de-DE)
+ * @param {string} locale - Locale (default: active locale, e.g. de-DE)
  * @returns {string} Formatted date
  */
-export function formatDate(dateString, locale = 'de-DE') {
+export function formatDate(dateString, locale = getIntlLocale()) {
   const date = new Date(dateString + 'T00:00:00');
   return date.toLocaleDateString(locale, {
     day: '2-digit',
@@ -32,13 +34,13 @@ export function getTimestamp(index, baseHour = 3, baseMin = 14) {
 }
 
 /**
- * Format ISO datetime to HH:MM (24h, German locale)
+ * Format ISO datetime to HH:MM (active locale)
  * Falls back to empty string on invalid date.
  * @param {string} isoString
  * @param {string} locale
  * @returns {string}
  */
-export function formatTime(isoString, locale = 'de-DE') {
+export function formatTime(isoString, locale = getIntlLocale()) {
   if (!isoString) return '';
   const d = new Date(isoString);
   if (Number.isNaN(d.getTime())) return '';
@@ -46,12 +48,12 @@ export function formatTime(isoString, locale = 'de-DE') {
 }
 
 /**
- * Format ISO datetime to DD.MM.YYYY, HH:MM
+ * Format ISO datetime to date and time (DD.MM.YYYY, HH:MM in de-DE)
  * @param {string} isoString
  * @param {string} locale
  * @returns {string}
  */
-export function formatDateTime(isoString, locale = 'de-DE') {
+export function formatDateTime(isoString, locale = getIntlLocale()) {
   if (!isoString) return '';
   const d = new Date(isoString);
   if (Number.isNaN(d.getTime())) return '';
@@ -74,7 +76,7 @@ export function parseDate(dateString) {
 }
 
 /**
- * Get relative time string (e.g., "vor 2 Tagen")
+ * Get relative time string (e.g., "Vor 2 Tagen")
  * @param {string|Date} date - Date to compare
  * @returns {string} Relative time string
  */
@@ -84,9 +86,9 @@ export function getRelativeTime(date) {
   const diffMs = now - then;
   const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
   
-  if (diffDays === 0) return 'Heute';
-  if (diffDays === 1) return 'Gestern';
-  if (diffDays < 7) return `Vor ${diffDays} Tagen`;
-  if (diffDays < 30) return `Vor ${Math.floor(diffDays / 7)} Wochen`;
+  if (diffDays === 0) return t('date.today');
+  if (diffDays === 1) return t('date.yesterday');
+  if (diffDays < 7) return t('date.daysAgo', { count: diffDays });
+  if (diffDays < 30) return t('date.weeksAgo', { count: Math.floor(diffDays / 7) });
   return formatDate(date);
 }
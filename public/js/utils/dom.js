@@ -74,6 +74,18 @@ export function $$(selector, parent = document) {
   return Array.from(parent.querySelectorAll(selector));
 }
 
+/**
+ * Query selector all helper that also returns the parent itself if it matches
+ * (e.g. decorating a single .day)
+ * @param {string} selector - CSS selector
+ * @param {HTMLElement} parent - Parent element (default: document)
+ * @returns {Array<HTMLElement>}
+ */
+export function $$withSelf(selector, parent = document) {
+  const matches = $$(selector, parent);
+  return parent instanceof Element && parent.matches(selector) ? [parent, ...matches] : matches;
+}
+
 /**
  * Add event listener with automatic cleanup
  * @param {HTMLElement} element - Target element
@@ -106,3 +118,86 @@ export function delegate(parent, selector, event, handler) {
   parent.addEventListener(event, wrappedHandler);
   return () => parent.removeEventListener(event, wrappedHandler);
 }
+
+/**
+ * Get visible, focusable elements inside a container
+ * @param {HTMLElement} container - Container element
+ * @returns {Array<HTMLElement>}
+ */
+export function getFocusableElements(container) {
+  if (!(container instanceof HTMLElement)) return [];
+  const selector = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(', ');
+  return Array.from(container.querySelectorAll(selector))
+    .filter(el => el instanceof HTMLElement && !el.hasAttribute('inert') && el.offsetParent !== null);
+}
+
+/**
+ * Keep keyboard focus inside a container (dialogs, overlays)
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onEscape - Optional handler for the Escape key
+ * @returns {Function} Release function (restores previous focus)
+ */
+export function trapFocusIn(container, onEscape) {
+  const previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      if (typeof onEscape === 'function') {
+        event.preventDefault();
+        onEscape();
+      }
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = getFocusableElements(container);
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey) {
+      if (document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      }
+      return;
+    }
+    if (document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  document.addEventListener('keydown', onKeyDown);
+  return () => {
+    document.removeEventListener('keydown', onKeyDown);
+    if (previousFocus && document.contains(previousFocus)) {
+      previousFocus.focus();
+    }
+  };
+}
+
+/**
+ * Copy text to the clipboard (textarea fallback for older browsers)
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const temp = document.createElement('textarea');
+  temp.value = text;
+  temp.setAttribute('readonly', '');
+  temp.className = 'copy-temp-textarea';
+  document.body.appendChild(temp);
+  temp.select();
+  document.execCommand('copy');
+  temp.remove();
+}
@@ -0,0 +1,201 @@
+/* ==========================================================
+   EPISODE UTILITIES
+   ========================================================== */
+
+import { padNumber } from './text.js';
+
+/**
+ * Resolve the episode number (falls back to the list position)
+ * @param {Object} episode - Episode data
+ * @param {number} index - Position in the episode list
+ * @returns {number} Episode number (1-based)
+ */
+export function getEpisodeNumber(episode, index = 0) {
+  const fromData = Number(episode?.episode);
+  return Number.isInteger(fromData) && fromData > 0 ? fromData : index + 1;
+}
+
+/**
+ * Path of the static page for an episode
+ * @param {number} epNum - Episode number
+ * @returns {string} Path (e.g. /episode-003.html)
+ */
+export function getEpisodePath(epNum) {
+  return `/episode-${padNumber(epNum)}.html`;
+}
+
+/**
+ * Find the phase that covers a story day
+ * @param {Array} phases - config.story_arc.phases
+ * @param {number} day - Story day
+ * @returns {string|null} Phase id
+ */
+export function getPhaseIdForDay(phases, day) {
+  const match = (phases || []).find(phase => {
+    const [start = 0, end = 0] = phase?.days || [];
+    return day >= Number(start) && day <= Number(end);
+  });
+  return match ? match.id : null;
+}
+
+/**
+ * Resolve the phase of an episode (same rules as the static builder)
+ * @param {Object} episode - Episode data
+ * @param {Array} phases - config.story_arc.phases
+ * @param {number} totalDays - Season length in days (default: 90)
+ * @returns {string|null} Phase id
+ */
+export function resolveEpisodePhaseId(episode, phases, totalDays = 90) {
+  const rawPhase = String(episode?.phase || '').trim();
+  if (rawPhase && (phases || []).some(phase => phase.id === rawPhase)) {
+    return rawPhase;
+  }
+
+  const day = Number(episode?.day);
+  if (Number.isInteger(day) && day > 0) {
+    return getPhaseIdForDay(phases, day);
+  }
+
+  const epNum = Number(episode?.episode);
+  if (!Number.isInteger(epNum) || epNum <= 0) return null;
+
+  // Weekly cadence fallback for data without explicit day/phase.
+  const estimatedDay = Math.min(Math.max(1, totalDays), 1 + (epNum - 1) * 7);
+  return getPhaseIdForDay(phases, estimatedDay);
+}
+
+/**
+ * Fill current episode/day/phase from the episode list
+ * (same rules as derive_effective_stats in the static builder)
+ * @param {Array} episodes - Episode list (chronological)
+ * @param {Object} stats - stats.json
+ * @param {Object} config - config.json
+ * @returns {Object} Stats with current_episode, current_day, total_days and phase
+ */
+export function deriveEffectiveStats(episodes, stats, config) {
+  const effective = { ...(stats || {}) };
+  const phases = config?.story_arc?.phases || [];
+  const totalDays = Math.max(1, Math.trunc(Number(effective.total_days)) || 90);
+  const latestEpisode = (episodes || [])[(episodes || []).length - 1] || {};
+  const latestEpNum = Math.trunc(Number(latestEpisode.episode)) || 0;
+  const currentEpisode = Math.max(Math.trunc(Number(effective.current_episode)) || 0, latestEpNum);
+
+  const statsDay = Math.trunc(Number(effective.current_day)) || 0;
+  let cadenceDay = 0;
+  if (currentEpisode > 0) {
+    const plannedEpisodes = Math.max(1, Math.ceil(totalDays / 7));
+    cadenceDay = currentEpisode >= plannedEpisodes
+      ? totalDays
+      : Math.min(totalDays, 1 + (currentEpisode - 1) * 7);
+  }
+  const day = Math.max(statsDay, cadenceDay);
+  const currentDay = day > 0 ? Math.min(totalDays, day) : statsDay;
+
+  const phaseId = resolveEpisodePhaseId(latestEpisode, phases, totalDays)
+    || String(effective.phase || '').trim()
+    || getPhaseIdForDay(phases, currentDay);
+
+  effective.current_episode = currentEpisode;
+  effective.current_day = currentDay;
+  effective.total_days = totalDays;
+  effective.phase = phaseId;
+  return effective;
+}
+
+/**
+ * Add what the builder publishes in stats.json besides the input stats
+ * (same as build_public_stats in the static builder): the latest world_state
+ * and every story thread with its last status and the episodes touching it
+ * @param {Object} stats - stats.json
+ * @param {Array} episodes - Episode list (chronological)
+ * @returns {Object} Stats with world_state and story_threads
+ */
+export function withEpisodeSummary(stats, episodes) {
+  const summary = { ...(stats || {}) };
+  const list = episodes || [];
+  const latest = [...list].reverse().find(episode => episode?.state_snapshot?.world_state);
+  if (latest) summary.world_state = latest.state_snapshot.world_state;
+  const threads = new Map();
+  list.forEach((episode, index) => {
+    const epNum = getEpisodeNumber(episode, index);
+    (episode?.state_snapshot?.story_threads || []).forEach((thread) => {
+      const id = String(thread?.id || '').trim();
+      if (!id) return;
+      const entry = threads.get(id) || { id, status: 'open', episodes: [] };
+      entry.status = String(thread.status || '').trim() || 'open';
+      if (!entry.episodes.includes(epNum)) entry.episodes.push(epNum);
+      threads.set(id, entry);
+    });
+  });
+  summary.story_threads = Array.from(threads.values());
+  return summary;
+}
+
+function sumAfter(laterEpisodes, pick) {
+  return laterEpisodes.reduce((total, episode) => {
+    const value = Number(pick(episode));
+    return Number.isFinite(value) ? total + value : total;
+  }, 0);
+}
+
+/**
+ * Reconstruct the dashboard state as of a past episode
+ * (current values minus the deltas of every later episode)
+ * @param {Array} episodes - Episode list (chronological)
+ * @param {Object} stats - Effective stats of the latest episode
+ * @param {Object} config - config.json
+ * @param {number} epNum - Episode to travel to
+ * @returns {Object|null} { stats, deltas, episode, relationship } or null if unknown
+ */
+export function getStatsAsOfEpisode(episodes, stats, config, epNum) {
+  const list = episodes || [];
+  const index = list.findIndex((episode, i) => getEpisodeNumber(episode, i) === epNum);
+  if (index < 0) return null;
+  const episode = list[index];
+  const later = list.slice(index + 1);
+  const history = Array.isArray(stats?.score_history) ? stats.score_history : [];
+  const historyEntry = history.find(entry => Number(entry?.episode) === epNum);
+
+  const scores = {};
+  Object.entries(stats?.scores || {}).forEach(([id, value]) => {
+    const recorded = Number(historyEntry?.[id]);
+    scores[id] = Number.isFinite(recorded)
+      ? recorded
+      : (Number(value) || 0) - sumAfter(later, ep => ep?.score_delta?.[id]);
+  });
+
+  // metrics_update carries "<id>_delta" for counters and plain "<id>" for absolute values
+  const metrics = {};
+  Object.entries(stats?.metrics || {}).forEach(([id, value]) => {
+    const deltaKey = `${id}_delta`;
+    if (list.some(ep => typeof ep?.metrics_update?.[deltaKey] === 'number')) {
+      metrics[id] = Math.max(0, (Number(value) || 0) - sumAfter(later, ep => ep?.metrics_update?.[deltaKey]));
+      return;
+    }
+    const source = list.slice(0, index + 1).reverse()
+      .find(ep => typeof ep?.metrics_update?.[id] === 'number');
+    metrics[id] = source ? source.metrics_update[id] : value;
+  });
+
+  const relationshipSource = list.slice(0, index + 1).reverse()
+    .find(ep => ep?.state_snapshot?.relationship);
+
+  // Day and phase of older episodes follow from the episode itself
+  const isLatest = index === list.length - 1;
+  const asOf = deriveEffectiveStats(list.slice(0, index + 1), {
+    ...stats,
+    current_episode: epNum,
+    current_day: isLatest ? stats?.current_day : 0,
+    phase: isLatest ? stats?.phase : ''
+  }, config);
+  asOf.scores = scores;
+  asOf.metrics = metrics;
+  asOf.score_history = history.filter(entry => (Number(entry?.episode) || 0) <= epNum);
+
+  return {
+    stats: asOf,
+    deltas: episode?.score_delta || {},
+    episode,
+    relationship: relationshipSource?.state_snapshot?.relationship || null
+  };
+}
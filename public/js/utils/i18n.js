@@ -0,0 +1,147 @@
+/* ==========================================================
+   I18N UTILITIES (string catalogs, locale, localized data)
+   ========================================================== */
+
+import de from '../i18n/de.js';
+import en from '../i18n/en.js';
+
+const LOCALE_KEY = 'uplink_locale';
+
+/** Locales with a UI catalog; the first one is what the static builder renders */
+export const LOCALES = {
+  de: { label: 'Deutsch', short: 'DE', intl: 'de-DE', catalog: de },
+  en: { label: 'English', short: 'EN', intl: 'en-GB', catalog: en }
+};
+export const DEFAULT_LOCALE = 'de';
+
+let currentLocale = DEFAULT_LOCALE;
+let pluralRules = null;
+
+function toLocale(value) {
+  const code = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(LOCALES, code) ? code : null;
+}
+
+/**
+ * Pick the locale: ?lang=, stored choice, browser languages, default
+ * @returns {string} Locale code (e.g. 'en')
+ */
+export function detectLocale() {
+  const fromQuery = toLocale(new URLSearchParams(window.location.search).get('lang'));
+  if (fromQuery) return fromQuery;
+  try {
+    const stored = toLocale(localStorage.getItem(LOCALE_KEY));
+    if (stored) return stored;
+  } catch {
+    // Storage blocked: fall through to the browser languages
+  }
+  const preferred = (navigator.languages || [navigator.language]).map(toLocale).find(Boolean);
+  return preferred || DEFAULT_LOCALE;
+}
+
+/**
+ * Activate a locale for t() and the Intl formatters
+ * @param {string} locale - Locale code
+ * @param {Object} options
+ * @param {boolean} [options.persist=false] - Remember the choice in this browser
+ * @returns {string} Active locale
+ */
+export function setLocale(locale, { persist = false } = {}) {
+  currentLocale = toLocale(locale) || DEFAULT_LOCALE;
+  pluralRules = null;
+  document.documentElement.lang = currentLocale;
+  if (persist) {
+    try {
+      localStorage.setItem(LOCALE_KEY, currentLocale);
+    } catch (error) {
+      console.warn('Failed to store locale', error);
+    }
+  }
+  return currentLocale;
+}
+
+/**
+ * Active locale code
+ * @returns {string} e.g. 'de'
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * BCP 47 tag for Intl formatting of the active locale
+ * @returns {string} e.g. 'de-DE'
+ */
+export function getIntlLocale() {
+  return LOCALES[currentLocale].intl;
+}
+
+/**
+ * True while the page shows a locale the static HTML was not built in
+ * @returns {boolean}
+ */
+export function isForeignLocale() {
+  return currentLocale !== DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a catalog key
+ * Plural entries ({ one, other }) are picked by params.count; {name} placeholders are filled from params.
+ * @param {string} key - Catalog key (e.g. 'share.copy')
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated text (the key itself if no catalog knows it)
+ */
+export function t(key, params = {}) {
+  const entry = LOCALES[currentLocale].catalog[key] ?? LOCALES[DEFAULT_LOCALE].catalog[key];
+  if (entry === undefined) {
+    console.warn(`Missing translation "${key}"`);
+    return key;
+  }
+  let text = entry;
+  if (typeof entry === 'object') {
+    if (!pluralRules) pluralRules = new Intl.PluralRules(getIntlLocale());
+    text = entry[pluralRules.select(Number(params.count) || 0)] ?? entry.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Apply the active locale to builder markup:
+ * data-i18n="key" replaces the text, data-i18n-attrs="aria-label:key,title:key" the attributes
+ * @param {ParentNode} root - Where to look
+ */
+export function translateStatic(root = document) {
+  if (!isForeignLocale()) return;
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attrs]').forEach((element) => {
+    element.dataset.i18nAttrs.split(',').forEach((pair) => {
+      const [attr, key] = pair.split(':').map(part => part.trim());
+      if (attr && key) element.setAttribute(attr, t(key));
+    });
+  });
+}
+
+/**
+ * Resolve per-locale data: every object with a "translations" map gets the
+ * fields of the active locale merged over its own (e.g. message.translations.en.text)
+ * @param {*} value - Parsed JSON (dialogs, config, ...)
+ * @returns {*} Copy in the active locale (without "translations")
+ */
+export function localizeData(value) {
+  if (Array.isArray(value)) return value.map(localizeData);
+  if (!value || typeof value !== 'object') return value;
+  const { translations, ...fields } = value;
+  const localized = {};
+  Object.entries(fields).forEach(([name, field]) => {
+    localized[name] = localizeData(field);
+  });
+  const overrides = translations && typeof translations === 'object' ? translations[currentLocale] : null;
+  if (overrides && typeof overrides === 'object') {
+    Object.entries(overrides).forEach(([name, field]) => {
+      localized[name] = localizeData(field);
+    });
+  }
+  return localized;
+}
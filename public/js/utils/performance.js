@@ -6,9 +6,10 @@
  * Create Intersection Observer for lazy loading
  * @param {Function} callback - Callback when element intersects
  * @param {Object} options - Observer options
+ * @param {Function} [onLeave] - Callback when element stops intersecting
  * @returns {IntersectionObserver}
  */
-export function createLazyObserver(callback, options = {}) {
+export function createLazyObserver(callback, options = {}, onLeave = null) {
   const defaultOptions = {
     root: null,
     rootMargin: '200px',
@@ -19,6 +20,8 @@ export function createLazyObserver(callback, options = {}) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         callback(entry.target);
+      } else if (onLeave) {
+        onLeave(entry.target);
       }
     });
   }, { ...defaultOptions, ...options });
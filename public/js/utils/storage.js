@@ -0,0 +1,60 @@
+/* ==========================================================
+   STORAGE UTILITIES (per analyst)
+   ========================================================== */
+
+const ANALYST_KEY = 'uplink_analyst_id';
+const ANALYST_PREFIX = 'uplink_analyst';
+
+/**
+ * Get (or create) the anonymous analyst id of this browser
+ * @returns {string} Analyst id (e.g. ANON-3F2A)
+ */
+export function getAnalystId() {
+  let id = localStorage.getItem(ANALYST_KEY);
+  if (!id) {
+    id = 'ANON-' + Math.random().toString(16).slice(2, 6).toUpperCase();
+    localStorage.setItem(ANALYST_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Storage key for a value that belongs to the current analyst
+ * @param {string} name - Value name (e.g. 'progress')
+ * @returns {string} localStorage key
+ */
+export function getAnalystKey(name) {
+  return `${ANALYST_PREFIX}:${getAnalystId()}:${name}`;
+}
+
+/**
+ * Read a JSON value stored for the current analyst
+ * @param {string} name - Value name
+ * @param {*} fallback - Returned when nothing (valid) is stored
+ * @returns {*} Stored value or fallback
+ */
+export function readAnalystData(name, fallback = null) {
+  try {
+    const raw = localStorage.getItem(getAnalystKey(name));
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Failed to read analyst data "${name}"`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Store a JSON value for the current analyst
+ * @param {string} name - Value name
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if stored
+ */
+export function writeAnalystData(name, value) {
+  try {
+    localStorage.setItem(getAnalystKey(name), JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Failed to store analyst data "${name}"`, error);
+    return false;
+  }
+}
@@ -2,6 +2,8 @@
    TEXT UTILITIES
    ========================================================== */
 
+import { getIntlLocale } from './i18n.js';
+
 /**
  * Truncate text to max length
  * @param {string} text - Text to truncate
@@ -42,10 +44,10 @@ export function capitalize(text) {
 /**
  * Format number with locale
  * @param {number} num - Number to format
- * @param {string} locale - Locale (default: de-DE)
+ * @param {string} locale - Locale (default: active locale, e.g. de-DE)
  * @returns {string} Formatted number
  */
-export function formatNumber(num, locale = 'de-DE') {
+export function formatNumber(num, locale = getIntlLocale()) {
   return new Intl.NumberFormat(locale).format(num);
 }
 
@@ -58,3 +60,16 @@ export function formatNumber(num, locale = 'de-DE') {
 export function padNumber(num, length = 3) {
   return String(num).padStart(length, '0');
 }
+
+/**
+ * Reduce a value to a safe CSS class fragment
+ * @param {*} value - Raw value (status, id, ...)
+ * @param {string} fallback - Used when nothing is left (default: 'unknown')
+ * @returns {string} Class name fragment
+ */
+export function toSafeClassName(value, fallback = 'unknown') {
+  const normalized = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '');
+  return normalized || fallback;
+}
@@ -0,0 +1,182 @@
+/* ==========================================================
+   UPLINK -- Service Worker (offline archive)
+   Registered by js/features/offline.js as /sw.js?v=<APP_VERSION>
+   ========================================================== */
+
+const APP_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `uplink-shell-${APP_VERSION}`;
+const PAGE_CACHE = 'uplink-pages';
+// Shared with js/features/offline.js (saved episodes survive app updates)
+const EPISODE_CACHE = 'uplink-episodes';
+const DATA_CACHE = 'uplink-data';
+const OFFLINE_URL = '/offline.html';
+
+const SHELL_ASSETS = [
+  OFFLINE_URL,
+  `/css/bundle.css?v=${APP_VERSION}`,
+  `/js/main.js?v=${APP_VERSION}`,
+  '/manifest.webmanifest',
+  '/assets/avatars/nexus-avatar.svg',
+  '/assets/avatars/nexus-avatar-micro.svg',
+  '/assets/avatars/cipher-avatar.svg',
+  '/assets/avatars/cipher-avatar-micro.svg',
+  '/assets/meta/favicon.svg',
+  '/assets/meta/apple-touch-icon.svg'
+];
+
+const EPISODE_PATH = /^\/episode-\d{3,}\.html$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('uplink-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(pruneVersionedData)
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Drop data copies that older releases stored per ?v= query
+ */
+async function pruneVersionedData() {
+  const cache = await caches.open(DATA_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => new URL(request.url).search)
+    .map(request => cache.delete(request)));
+}
+
+async function putInCache(cacheName, request, response) {
+  if (!response || !response.ok || response.type === 'opaque') return;
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+}
+
+/**
+ * Pages: network first; visited episodes are kept for offline reading
+ */
+async function handleNavigation(event) {
+  const { request } = event;
+  const url = new URL(request.url);
+  const cacheName = EPISODE_PATH.test(url.pathname) ? EPISODE_CACHE : PAGE_CACHE;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(cacheName, new Request(url.pathname), response.clone()));
+    return response;
+  } catch {
+    const cached = await caches.match(url.pathname, { ignoreSearch: true });
+    return cached || (await caches.match(OFFLINE_URL)) || Response.error();
+  }
+}
+
+/**
+ * Static assets: cache first, refreshed in the background
+ */
+async function handleAsset(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  const network = fetch(request)
+    .then(async (response) => {
+      await putInCache(SHELL_CACHE, request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  const response = await network;
+  if (response) return response;
+  // Saved pages may reference an older ?v= of the bundle/script
+  return (await caches.match(request, { ignoreSearch: true })) || Response.error();
+}
+
+/**
+ * Scripts: network first. Modules are imported without ?v=, so a cached copy
+ * could pair an old module with a new main.js; the cache only serves offline.
+ */
+async function handleScript(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(SHELL_CACHE, request, response.clone()));
+    return response;
+  } catch {
+    return (await caches.match(request)) || (await caches.match(request, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+/**
+ * Client data (search etc.): network first, cached copy offline.
+ * Stored under the bare path so a new ?v= replaces the previous release's copy.
+ */
+async function handleData(event) {
+  const { request } = event;
+  const { pathname } = new URL(request.url);
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(DATA_CACHE, new Request(pathname), response.clone()));
+    return response;
+  } catch {
+    return (await caches.match(pathname, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+/**
+ * Pages warm the shell with the module graph they actually loaded
+ */
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'cache-urls' || !Array.isArray(data.urls)) return;
+  const urls = data.urls.filter((value) => {
+    try {
+      return new URL(value, self.location.origin).origin === self.location.origin;
+    } catch {
+      return false;
+    }
+  });
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => Promise.all(
+      urls.map(value => cache.match(value).then(hit => hit || cache.add(value)).catch(() => null))
+    ))
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // Maintenance previews stay behind the passphrase: never cache them
+  if (url.pathname.startsWith('/data/preview-')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+  if (url.pathname.startsWith('/data/')) {
+    event.respondWith(handleData(event));
+    return;
+  }
+  if (url.pathname.startsWith('/js/')) {
+    event.respondWith(handleScript(event));
+    return;
+  }
+  if (/^\/(css|assets)\//.test(url.pathname) || url.pathname === '/manifest.webmanifest') {
+    event.respondWith(handleAsset(event));
+  }
+});
@@ -4,6 +4,7 @@
 from __future__ import annotations
 
 import argparse
+import hashlib
 import html
 import json
 import math
@@ -11,14 +12,16 @@ import re
 from datetime import datetime, timedelta, timezone
 from pathlib import Path
 from typing import Any
+from urllib.parse import quote
 
 
-APP_VERSION = "20260316-5"
+APP_VERSION = "20261019-1"
 DEFAULT_BASE_URL = "https://uplink.michaeluhrich.xyz"
 DEFAULT_CONFIG_PATH = Path("data/config.json")
 DEFAULT_DIALOGS_PATH = Path("data/dialogs.json")
 DEFAULT_STATS_PATH = Path("data/stats.json")
 DEFAULT_OUTPUT_DIR = Path("public")
+CLOSED_THREAD_STATUSES = {"resolved", "closed", "done", "completed", "abgeschlossen"}
 
 INFO_SECTIONS = [
     (
@@ -121,6 +124,12 @@ def format_number(value: Any) -> str:
         return "0"
 
 
+def format_metric_value(value: Any, unit: str = "") -> str:
+    # Whole numbers get thousands separators (same as formatNumber() in the browser)
+    display = format_number(value) if isinstance(value, int) and not isinstance(value, bool) else value
+    return f"{display}{unit}"
+
+
 def parse_iso_datetime(value: str | None) -> datetime | None:
     if not value:
         return None
@@ -185,6 +194,8 @@ def page_path(page: str | int) -> str:
         return "/episoden.html"
     if page == "dossiers":
         return "/dossiers.html"
+    if page == "threads":
+        return "/threads.html"
     if page == "info":
         return "/info.html"
     if isinstance(page, int):
@@ -234,6 +245,15 @@ def is_maintenance_enabled(config: dict[str, Any]) -> bool:
     return parse_bool_like((config.get("maintenance") or {}).get("enabled"))
 
 
+def is_hydration_enabled(config: dict[str, Any]) -> bool:
+    return parse_bool_like((config.get("hydration") or {}).get("enabled"))
+
+
+def get_maintenance_preview_hash(config: dict[str, Any]) -> str | None:
+    raw = str((config.get("maintenance") or {}).get("passphrase_sha256") or "").strip().lower()
+    return raw if re.fullmatch(r"[0-9a-f]{64}", raw) else None
+
+
 def build_maintenance_main(config: dict[str, Any]) -> str:
     settings = config.get("maintenance") or {}
     message = normalize_whitespace(str(settings.get("message") or "")) or (
@@ -247,13 +267,14 @@ def build_maintenance_main(config: dict[str, Any]) -> str:
     )
     return (
         '<section class="page active" id="page-maintenance">'
-        '<header class="page-header"><div><span class="page-eyebrow">Wartung</span>'
-        '<h2>Auslieferung pausiert</h2>'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="maintenancePage.eyebrow">Wartung</span>'
+        '<h2 data-i18n="maintenancePage.title">Auslieferung pausiert</h2>'
         f"<p>{escape(message)}</p>"
         "</div></header>"
         '<div class="live-empty">'
-        '<div class="live-empty-title">// Wartungsfenster aktiv</div>'
-        '<p class="live-empty-text">Inhalte sind waehrend der Wartung voruebergehend nicht verfuegbar.</p>'
+        '<div class="live-empty-title">// <span data-i18n="maintenancePage.emptyTitle">Wartungsfenster aktiv</span></div>'
+        '<p class="live-empty-text" data-i18n="maintenancePage.emptyText">'
+        "Inhalte sind waehrend der Wartung voruebergehend nicht verfuegbar.</p>"
         f"{hint_html}"
         "</div>"
         "</section>"
@@ -370,11 +391,9 @@ def derive_effective_stats(
     effective["phase"] = phase_id
     return effective
 
-def get_relationship_snapshot(
-    episodes: list[dict[str, Any]], stats: dict[str, Any]
-) -> dict[str, int]:
-    snapshots = []
-    for episode in episodes:
+def get_relationship_history(episodes: list[dict[str, Any]]) -> list[dict[str, Any]]:
+    history = []
+    for index, episode in enumerate(episodes):
         relationship = (
             episode.get("state_snapshot", {}).get("relationship")
             or episode.get("narrative_snapshot", {}).get("relationship")
@@ -382,7 +401,60 @@ def get_relationship_snapshot(
         if relationship and isinstance(relationship.get("trust"), (int, float)) and isinstance(
             relationship.get("tension"), (int, float)
         ):
-            snapshots.append(relationship)
+            history.append(
+                {
+                    "episode": to_int(episode.get("episode"), index + 1),
+                    "trust": clamp_percent(relationship.get("trust")),
+                    "tension": clamp_percent(relationship.get("tension")),
+                    "notes": normalize_whitespace(str(relationship.get("notes") or "")),
+                    "raw": relationship,
+                }
+            )
+    return history
+
+
+def collect_story_threads(episodes: list[dict[str, Any]]) -> list[dict[str, Any]]:
+    """Aggregate every story thread over the run (ordered by first appearance)."""
+    threads: dict[str, dict[str, Any]] = {}
+    for index, episode in enumerate(episodes):
+        ep_num = to_int(episode.get("episode"), index + 1)
+        for thread in (episode.get("state_snapshot") or {}).get("story_threads") or []:
+            thread_id = str((thread or {}).get("id") or "").strip()
+            if not thread_id:
+                continue
+            status = str(thread.get("status") or "").strip() or "open"
+            entry = threads.get(thread_id)
+            if entry is None:
+                entry = {"id": thread_id, "status": status, "description": "", "episodes": {}, "events": []}
+                threads[thread_id] = entry
+                entry["events"].append({"episode": ep_num, "type": "intro", "from": None, "status": status})
+            elif status != entry["status"]:
+                kind = "close" if status.lower() in CLOSED_THREAD_STATUSES else "change"
+                entry["events"].append({"episode": ep_num, "type": kind, "from": entry["status"], "status": status})
+            entry["status"] = status
+            entry["description"] = normalize_whitespace(str(thread.get("description") or "")) or entry["description"]
+            entry["episodes"][ep_num] = status
+    return list(threads.values())
+
+
+def get_relationship_turning_points(
+    history: list[dict[str, Any]], limit: int = 3
+) -> list[dict[str, Any]]:
+    swings = []
+    for previous, current in zip(history, history[1:]):
+        trust_delta = current["trust"] - previous["trust"]
+        tension_delta = current["tension"] - previous["tension"]
+        swing = abs(trust_delta) + abs(tension_delta)
+        if swing > 0:
+            swings.append({**current, "trustDelta": trust_delta, "tensionDelta": tension_delta, "swing": swing})
+    biggest = sorted(swings, key=lambda point: (-point["swing"], point["episode"]))[:limit]
+    return sorted(biggest, key=lambda point: point["episode"])
+
+
+def get_relationship_snapshot(
+    episodes: list[dict[str, Any]], stats: dict[str, Any]
+) -> dict[str, int]:
+    snapshots = [point["raw"] for point in get_relationship_history(episodes)]
 
     latest = snapshots[-1] if snapshots else None
     previous = snapshots[-2] if len(snapshots) > 1 else None
@@ -402,7 +474,9 @@ def get_relationship_snapshot(
     return {"trust": trust, "tension": tension, "trustDelta": 0, "tensionDelta": 0}
 
 
-def render_sparkline(history: list[dict[str, Any]], categories: list[dict[str, Any]]) -> str:
+def render_sparkline(
+    history: list[dict[str, Any]], categories: list[dict[str, Any]], titles: dict[int, str] | None = None
+) -> str:
     if not history:
         return ""
 
@@ -465,6 +539,8 @@ def render_sparkline(history: list[dict[str, Any]], categories: list[dict[str, A
 
         polylines.append(
             '<polyline '
+            f'data-cat="{escape(cat_id)}" '
+            f'data-values="{",".join(f"{value:g}" for value in values)}" '
             f'points="{" ".join(points)}" '
             'fill="none" '
             f'stroke="{colors.get(cat_id, "#00ff41")}" '
@@ -481,9 +557,14 @@ def render_sparkline(history: list[dict[str, Any]], categories: list[dict[str, A
     end_ep = int(history[-1].get("episode") or len(history))
 
     legend = ''.join(
-        f'<span class="dash-legend-item legend-{to_safe_class_name(cat_id, "default")}">&bull; {escape(labels.get(cat_id, cat_id))}</span>'
+        f'<span class="dash-legend-item legend-{to_safe_class_name(cat_id, "default")}" data-cat="{escape(cat_id)}">'
+        f'&bull; {escape(labels.get(cat_id, cat_id))}</span>'
         for cat_id in cat_ids
     )
+    history_eps = [to_int(entry.get("episode"), index + 1) for index, entry in enumerate(history)]
+    episode_numbers = ",".join(str(ep_num) for ep_num in history_eps)
+    # Tooltip titles per point, so the page does not need dialogs.json for them
+    point_titles = json.dumps([(titles or {}).get(ep_num, "") for ep_num in history_eps], ensure_ascii=False)
 
     return (
         '<div class="dash-sparkline coinbase-style">'
@@ -491,7 +572,8 @@ def render_sparkline(history: list[dict[str, Any]], categories: list[dict[str, A
         '<div class="dash-sparkline-title">Kategorie-Verlauf</div>'
         f'<div class="dash-sparkline-delta">EP.{pad_number(start_ep)} bis EP.{pad_number(end_ep)}</div>'
         '</div>'
-        f'<svg viewBox="0 0 {width} {height}" preserveAspectRatio="none" class="dash-sparkline-chart coinbase">'
+        f'<svg viewBox="0 0 {width} {height}" preserveAspectRatio="none" class="dash-sparkline-chart coinbase" '
+        f'data-episodes="{episode_numbers}" data-titles="{escape(point_titles)}">'
         f'{"".join(polylines)}'
         f'<g class="dash-sparkline-markers">{"".join(end_markers)}</g>'
         '</svg>'
@@ -651,6 +733,82 @@ def render_threads_card(threads: list[dict[str, Any]] | None) -> str:
     )
 
 
+def get_thread_filter_url(thread_id: str) -> str:
+    return f"{page_path('protokoll')}?thread={quote(thread_id, safe='')}#episoden"
+
+
+def render_thread_tracker(episodes: list[dict[str, Any]]) -> str:
+    threads = collect_story_threads(episodes)
+    if not threads:
+        return (
+            '<div class="live-empty"><div class="live-empty-title">// Keine Story-Threads</div>'
+            '<p class="live-empty-text">Noch keine Episode hat Handlungsstraenge markiert.</p></div>'
+        )
+
+    ep_nums = [to_int(episode.get("episode"), index + 1) for index, episode in enumerate(episodes)]
+    event_labels = {"intro": "Eingefuehrt", "change": "Statuswechsel", "close": "Abgeschlossen"}
+    open_count = sum(1 for thread in threads if thread["status"].lower() not in CLOSED_THREAD_STATUSES)
+    lanes = []
+    for thread in threads:
+        events_by_episode = {event["episode"]: event for event in thread["events"]}
+        cells = []
+        last_status = None
+        for ep_num in ep_nums:
+            ep_label = f"EP.{pad_number(ep_num)}"
+            if ep_num in thread["episodes"]:
+                last_status = thread["episodes"][ep_num]
+                event = events_by_episode.get(ep_num)
+                event_cls = f' event-{event["type"]}' if event else ""
+                cells.append(
+                    f'<span class="thread-cell status-{to_safe_class_name(last_status, "open")}{event_cls}" '
+                    f'title="{ep_label}: {escape(last_status)}"></span>'
+                )
+            elif last_status is not None and last_status.lower() not in CLOSED_THREAD_STATUSES:
+                cells.append(f'<span class="thread-cell carry" title="{ep_label}: nicht erwaehnt"></span>')
+            else:
+                cells.append('<span class="thread-cell"></span>')
+
+        items = []
+        for event in thread["events"]:
+            change = (
+                f'{escape(event["from"])} &rarr; {escape(event["status"])}'
+                if event["from"]
+                else escape(event["status"])
+            )
+            items.append(
+                f'<li class="thread-event {event["type"]}">'
+                f'<a href="{page_path(event["episode"])}#episoden">'
+                f'<span class="thread-event-ep">EP.{pad_number(event["episode"])}</span>'
+                f'<span class="thread-event-type">{event_labels[event["type"]]}</span>'
+                f'<span class="thread-event-status">{change}</span>'
+                "</a></li>"
+            )
+
+        touched = sorted(thread["episodes"])
+        desc_html = f'<p class="thread-lane-desc">{escape(thread["description"])}</p>' if thread["description"] else ""
+        lanes.append(
+            f'<article class="thread-lane" data-thread="{escape(thread["id"])}">'
+            '<header class="thread-lane-head">'
+            f'<h3 class="thread-lane-id">{escape(thread["id"])}</h3>'
+            f'<span class="thread-status status-{to_safe_class_name(thread["status"], "open")}">{escape(thread["status"])}</span>'
+            "</header>"
+            f"{desc_html}"
+            f'<div class="thread-lane-track" aria-hidden="true">{"".join(cells)}</div>'
+            f'<div class="thread-lane-axis" aria-hidden="true"><span>EP.{pad_number(ep_nums[0])}</span>'
+            f"<span>EP.{pad_number(ep_nums[-1])}</span></div>"
+            f'<ol class="thread-events" aria-label="Verlauf von {escape(thread["id"])}">{"".join(items)}</ol>'
+            f'<a class="thread-lane-filter" href="{escape(get_thread_filter_url(thread["id"]))}">'
+            f'{len(touched)} {"Episode" if len(touched) == 1 else "Episoden"} mit diesem Thread &rarr;</a>'
+            "</article>"
+        )
+
+    return (
+        f'<p class="threads-summary">{len(threads)} {"Thread" if len(threads) == 1 else "Threads"} &middot; {open_count} offen &middot; '
+        f"{len(threads) - open_count} abgeschlossen</p>"
+        f'{"".join(lanes)}'
+    )
+
+
 def render_dashboard(
     episodes: list[dict[str, Any]], stats: dict[str, Any], config: dict[str, Any]
 ) -> str:
@@ -720,7 +878,7 @@ def render_dashboard(
     for definition in priority_defs:
         metric_id = definition.get("id")
         value = metrics.get(metric_id, 0)
-        display_value = f"{value}{definition.get('unit', '')}" if definition.get("unit") else value
+        display_value = format_metric_value(value, definition.get("unit") or "")
         priority_html.append(
             '<div class="dash-priority-item">'
             f'<span class="dash-priority-label">{escape(definition.get("label", ""))}</span>'
@@ -732,7 +890,7 @@ def render_dashboard(
     for definition in detail_defs:
         metric_id = definition.get("id")
         value = metrics.get(metric_id, 0)
-        display_value = f"{value}{definition.get('unit', '')}" if definition.get("unit") else value
+        display_value = format_metric_value(value, definition.get("unit") or "")
         metrics_html.append(
             '<div class="dash-metric">'
             f'<span class="dash-metric-value {get_metric_css_class(metric_id, value)}">{escape(display_value)}</span>'
@@ -751,7 +909,11 @@ def render_dashboard(
             classes.append("current")
         arc_html.append(f'<div class="dash-arc-phase {" ".join(classes)}"></div>')
 
-    sparkline_html = render_sparkline(stats.get("score_history") or [], categories)
+    episode_titles = {
+        to_int(episode.get("episode"), index + 1): str(episode.get("title") or "")
+        for index, episode in enumerate(episodes)
+    }
+    sparkline_html = render_sparkline(stats.get("score_history") or [], categories, episode_titles)
 
     detail_sections = [
         f'<div class="dash-bars">{"".join(bars_html)}</div>',
@@ -781,6 +943,80 @@ def render_dashboard(
     )
 
 
+def format_signed(value: int) -> str:
+    return f"+{value}" if value > 0 else str(value)
+
+
+def render_relationship_history(history: list[dict[str, Any]]) -> str:
+    if len(history) < 2:
+        return ""
+
+    width = 560
+    height = 140
+    pad_x = 12
+    pad_y = 12
+    x_step = (width - pad_x * 2) / (len(history) - 1)
+
+    def point_for(index: int, value: int) -> tuple[str, str]:
+        x = pad_x + index * x_step
+        y = height - pad_y - (value / 100) * (height - pad_y * 2)
+        return f"{x:.2f}", f"{y:.2f}"
+
+    lines = []
+    for series in ("trust", "tension"):
+        points = " ".join(",".join(point_for(i, point[series])) for i, point in enumerate(history))
+        lines.append(f'<polyline class="relationship-line {series}" points="{points}"></polyline>')
+
+    turning_points = get_relationship_turning_points(history)
+    index_by_episode = {point["episode"]: i for i, point in enumerate(history)}
+    markers = []
+    items = []
+    for point in turning_points:
+        series = "trust" if abs(point["trustDelta"]) >= abs(point["tensionDelta"]) else "tension"
+        cx, cy = point_for(index_by_episode[point["episode"]], point[series])
+        ep_label = f"EP.{pad_number(point['episode'])}"
+        delta_text = f"Vertrauen {format_signed(point['trustDelta'])} / Spannung {format_signed(point['tensionDelta'])}"
+        href = f"{page_path(point['episode'])}#episoden"
+        tooltip = f"{ep_label}: {point['notes']}" if point["notes"] else f"{ep_label}: {delta_text}"
+        markers.append(
+            f'<a href="{href}" aria-label="{escape(ep_label)} oeffnen">'
+            f'<circle class="relationship-turn {series}" cx="{cx}" cy="{cy}" r="4"><title>{escape(tooltip)}</title></circle>'
+            "</a>"
+        )
+        note_html = f'<p class="relationship-turn-note">{escape(point["notes"])}</p>' if point["notes"] else ""
+        items.append(
+            '<li class="relationship-turn-item">'
+            f'<a class="relationship-turn-link" href="{href}">'
+            f'<span class="relationship-turn-ep">{ep_label}</span>'
+            f'<span class="relationship-turn-delta">{delta_text}</span>'
+            "</a>"
+            f"{note_html}"
+            "</li>"
+        )
+
+    _, mid_y = point_for(0, 50)
+    turns_html = (
+        '<h4 class="relationship-turns-title">Wendepunkte</h4>'
+        f'<ol class="relationship-turns">{"".join(items)}</ol>'
+        if items
+        else ""
+    )
+    return (
+        '<div class="relationship-history">'
+        '<div class="relationship-legend"><span class="trust">Vertrauen</span><span class="tension">Spannung</span></div>'
+        f'<svg viewBox="0 0 {width} {height}" class="relationship-chart" role="img" '
+        f'aria-label="Verlauf von Vertrauen und Spannung ueber {len(history)} Episoden">'
+        f'<line class="relationship-midline" x1="{pad_x}" y1="{mid_y}" x2="{width - pad_x}" y2="{mid_y}"></line>'
+        f'{"".join(lines)}'
+        f'<g class="relationship-turn-markers">{"".join(markers)}</g>'
+        "</svg>"
+        f'<div class="relationship-axis"><span>EP.{pad_number(history[0]["episode"])}</span>'
+        f'<span>EP.{pad_number(history[-1]["episode"])}</span></div>'
+        f"{turns_html}"
+        "</div>"
+    )
+
+
 def render_relationship_card(
     episodes: list[dict[str, Any]], stats: dict[str, Any]
 ) -> str:
@@ -805,7 +1041,9 @@ def render_relationship_card(
         '</div><div class="relationship-track">'
         f'<span class="relationship-fill {to_percent_class(relationship["tension"])}"></span>'
         "</div></div>"
-        "</div></section>"
+        "</div>"
+        f"{render_relationship_history(get_relationship_history(episodes))}"
+        "</section>"
     )
 
 
@@ -847,7 +1085,7 @@ def render_dossiers(
                 "</div>"
             )
         dossiers_html.append(
-            f'<article class="dossier {safe_id}">'
+            f'<article class="dossier {safe_id}" id="dossier-{safe_id}">'
             f'<div class="dossier-stamp" aria-label="Klassifizierung">&#x2588; Klassifiziert &#x2588; Subjekt: {escape(character.get("name", "UNBEKANNT"))} &#x2588; Bedrohungsstufe: Kritisch &#x2588;</div>'
             '<div class="dossier-body">'
             '<div class="dossier-avatar-row"><div class="dossier-avatar" role="img" '
@@ -882,16 +1120,17 @@ def render_episode(
     include_id: bool = True,
     include_state_cards: bool = False,
     id_override: str | None = None,
+    message_ids: bool = False,
 ) -> str:
     ep_num = int(episode.get("episode") or 0)
     ep_str = pad_number(ep_num)
     meta_html = render_episode_meta_chips(episode, config)
 
-    terminal_blocks_by_message: dict[int, list[dict[str, Any]]] = {}
-    for block in episode.get("terminal_blocks") or []:
+    terminal_blocks_by_message: dict[int, list[tuple[int, dict[str, Any]]]] = {}
+    for block_index, block in enumerate(episode.get("terminal_blocks") or []):
         after_message = block.get("after_message")
         if isinstance(after_message, int):
-            terminal_blocks_by_message.setdefault(after_message, []).append(block)
+            terminal_blocks_by_message.setdefault(after_message, []).append((block_index, block))
 
     messages_html: list[str] = []
     for index, message in enumerate(episode.get("messages") or []):
@@ -901,6 +1140,8 @@ def render_episode(
         if message.get("timestamp") and "T" in str(message.get("timestamp")):
             date_display = format_date(str(message.get("timestamp")).split("T", 1)[0])
         ts_inline = f"{timestamp_display} | {date_display}" if date_display else timestamp_display
+        # Permalink anchors (#ep-3-m12) where the episode is rendered once per page
+        msg_id = f' id="ep-{ep_num}-m{index}"' if message_ids else ""
 
         if message.get("type") == "system":
             timestamp_html = (
@@ -909,7 +1150,7 @@ def render_episode(
                 else ""
             )
             messages_html.append(
-                '<div class="message message-system">'
+                f'<div class="message message-system"{msg_id} data-msg="{index}">'
                 f'<div class="message-text">{format_message_text(message.get("text"))}</div>'
                 f"{timestamp_html}"
                 "</div>"
@@ -919,7 +1160,7 @@ def render_episode(
             author_class = to_safe_class_name(author, "nexus")
             title_attr = f' title="{escape(timestamp_title)}"' if timestamp_title else ""
             messages_html.append(
-                f'<div class="message message-{author_class}">'
+                f'<div class="message message-{author_class}"{msg_id} data-msg="{index}">'
                 '<div class="message-avatar"></div>'
                 '<div class="message-box">'
                 '<div class="message-header">'
@@ -930,15 +1171,16 @@ def render_episode(
                 "</div></div>"
             )
 
-        for block in terminal_blocks_by_message.get(index, []):
+        for block_index, block in terminal_blocks_by_message.get(index, []):
             owner = to_safe_class_name(block.get("owner"), "nexus")
             messages_html.append(
-                f'<div class="terminal-block-wrap owner-{owner}"><div class="terminal-block">{escape(block.get("content", ""))}</div></div>'
+                f'<div class="terminal-block-wrap owner-{owner}" data-msg="{index}" data-block="{block_index}">'
+                f'<div class="terminal-block">{escape(block.get("content", ""))}</div></div>'
             )
 
         if message.get("analyst_note"):
             messages_html.append(
-                f'<div class="analyst-note">[ANALYST NOTE: {escape(message.get("analyst_note"))}]</div>'
+                f'<div class="analyst-note" data-msg="{index}">[ANALYST NOTE: {escape(message.get("analyst_note"))}]</div>'
             )
 
     if episode.get("analyst_notes"):
@@ -965,6 +1207,8 @@ def render_episode(
         '<span class="episode-share-label">Teilen</span>'
         f'<input class="episode-share-link" value="{escape(share_url)}" readonly aria-label="Deep Link zu Episode {ep_str}">'
         '<button type="button" class="episode-share-copy">Link kopieren</button>'
+        '<button type="button" class="episode-share-quote" hidden>Zitatkarte</button>'
+        '<button type="button" class="episode-share-export" hidden>Export</button>'
         "</div>"
     )
 
@@ -980,7 +1224,7 @@ def render_episode(
     else:
         day_id = f' id="ep-{ep_num}"' if include_id else ""
     return (
-        f'<div class="day"{day_id}>'
+        f'<div class="day"{day_id} data-ep="{ep_num}">'
         '<div class="day-header">'
         f'<span class="day-ep">EP.{ep_str}</span>'
         f'<span class="day-date">{format_date(episode.get("date"))}</span>'
@@ -995,6 +1239,25 @@ def render_episode(
     )
 
 
+def render_episode_placeholder(episode: dict[str, Any]) -> str:
+    # Stand-in sized by message count; public/js/features/virtual-timeline.js renders it near the viewport
+    ep_num = int(episode.get("episode") or 0)
+    ep_str = pad_number(ep_num)
+    size = len(episode.get("messages") or []) + len(episode.get("terminal_blocks") or [])
+    return (
+        f'<div class="day day-placeholder" id="ep-{ep_num}" data-ep="{ep_num}" data-virtual="pending" '
+        f'style="--day-messages: {size}">'
+        '<div class="day-header">'
+        f'<span class="day-ep">EP.{ep_str}</span>'
+        f'<span class="day-date">{format_date(episode.get("date"))}</span>'
+        f'<span class="day-title">{escape(episode.get("title", ""))}</span>'
+        '<span class="day-line"></span>'
+        "</div>"
+        f'<a class="day-placeholder-link" href="{page_path(ep_num)}" data-i18n="virtual.open">Episode lesen</a>'
+        "</div>"
+    )
+
+
 def render_archive(
     episodes: list[dict[str, Any]], stats: dict[str, Any], config: dict[str, Any]
 ) -> str:
@@ -1093,10 +1356,10 @@ def render_info_page_content() -> str:
     return f'<div class="info">{"".join(sections)}</div>'
 
 
-def nav_link(label: str, href: str, is_active: bool) -> str:
+def nav_link(label: str, href: str, is_active: bool, i18n_key: str) -> str:
     active_cls = " active" if is_active else ""
     aria_current = ' aria-current="page"' if is_active else ""
-    return f'<a class="nav-tab{active_cls}" href="{href}"{aria_current}>{label}</a>'
+    return f'<a class="nav-tab{active_cls}" href="{href}"{aria_current} data-i18n="{i18n_key}">{label}</a>'
 
 
 def render_site_header(
@@ -1114,12 +1377,23 @@ def render_site_header(
     info_link = "/info.html#info" if page != "info" else "#info"
     latest_link = ("/#latest-episode" if page != "live" else "#latest-episode") if not maintenance_enabled else info_link
     ep1_link = "/episode-001.html#episoden" if not maintenance_enabled else "/episoden.html#episoden"
-    primary_cta_label = "Zur neuesten Episode" if not maintenance_enabled else "Wartungsstatus"
-    ep1_cta_label = "Von Anfang an: EP.001 &rarr;" if not maintenance_enabled else "Episoden (pausiert)"
+    # Chrome strings carry data-i18n keys: main.js swaps them for the active locale (js/i18n/*.js).
+    primary_cta = (
+        '<span data-i18n="header.ctaLatest">Zur neuesten Episode</span>'
+        if not maintenance_enabled
+        else '<span data-i18n="header.ctaMaintenance">Wartungsstatus</span>'
+    )
+    ep1_cta = (
+        '<span data-i18n="header.ctaEp1">Von Anfang an: EP.001</span> &rarr;'
+        if not maintenance_enabled
+        else '<span data-i18n="header.ctaEpisodesPaused">Episoden (pausiert)</span>'
+    )
     site_lead = (
-        "Zwei autonome KI-Agenten planen die Weltherrschaft. Uplink ist ihre Zentrale."
+        '<p class="site-lead" data-i18n="header.lead">'
+        "Zwei autonome KI-Agenten planen die Weltherrschaft. Uplink ist ihre Zentrale.</p>"
         if not maintenance_enabled
-        else "Wartungsfenster aktiv. Inhalte sind voruebergehend pausiert."
+        else '<p class="site-lead" data-i18n="header.leadMaintenance">'
+        "Wartungsfenster aktiv. Inhalte sind voruebergehend pausiert.</p>"
     )
     phase_label = escape(phase.get("label", "--") if phase and not maintenance_enabled else "--")
     day_label = (
@@ -1127,38 +1401,60 @@ def render_site_header(
         if not maintenance_enabled
         else "-- / --"
     )
+    # Shown by main.js once the search index can be loaded (progressive enhancement).
+    search_button = (
+        ""
+        if maintenance_enabled
+        else '<button type="button" class="nav-tab nav-search" id="nav-search" aria-haspopup="dialog" data-i18n="nav.search" hidden>Suche</button>'
+    )
+    # Personal notes live in the analyst's browser (js/features/annotations.js).
+    notes_button = (
+        ""
+        if maintenance_enabled
+        else '<button type="button" class="nav-tab nav-notes" id="nav-notes" aria-haspopup="dialog" data-i18n="nav.notes" hidden>Notizen</button>'
+    )
     return (
         '<header class="site-header" id="site-header">'
         '<div class="site-topbar">'
         '<a class="site-back" href="https://michaeluhrich.xyz" rel="noopener">&larr; michaeluhrich.xyz</a>'
         '<span class="site-classification">&gt; INTERCEPTED TRANSMISSION</span>'
+        '<div class="site-topbar-tools">'
+        # Filled by features/theme.js (theme picker), features/sound.js (mute toggle)
+        # and main.js (one button per locale)
+        '<div class="theme-switch" id="theme-switch" hidden></div>'
+        '<div class="sound-switch" id="sound-switch" hidden></div>'
+        '<div class="lang-switch" id="lang-switch" role="group" hidden></div>'
+        "</div>"
         "</div>"
         '<div class="site-identity"><h1 class="site-title"><a href="/">UPLINK</a></h1></div>'
         '<div class="site-briefing"><div class="site-briefing-copy">'
-        f'<p class="site-lead">{site_lead}</p>'
+        f"{site_lead}"
         '<div class="site-ctas">'
-        f'<a class="cta primary" href="{latest_link}">{primary_cta_label}</a>'
-        f'<a class="cta secondary" href="{info_link}" id="cta-info">Was ist UPLINK?</a>'
-        f'<a class="cta secondary" href="{ep1_link}" id="cta-ep1">{ep1_cta_label}</a>'
+        f'<a class="cta primary" href="{latest_link}">{primary_cta}</a>'
+        f'<a class="cta secondary" href="{info_link}" id="cta-info" data-i18n="header.ctaInfo">Was ist UPLINK?</a>'
+        f'<a class="cta secondary" href="{ep1_link}" id="cta-ep1">{ep1_cta}</a>'
         "</div></div>"
         '<div class="site-status-bar" aria-label="Status">'
         '<span class="status-dot nexus pulse" aria-hidden="true"></span>'
-        f'<span class="status-label">Staffel {escape(config.get("project", {}).get("season", "?"))}</span>'
+        f'<span class="status-label"><span data-i18n="header.season">Staffel</span> {escape(config.get("project", {}).get("season", "?"))}</span>'
         '<span class="status-sep" aria-hidden="true"></span>'
-        '<span class="meta-group"><span class="meta-key">Episode</span>'
+        '<span class="meta-group"><span class="meta-key" data-i18n="header.episode">Episode</span>'
         f'<span class="meta-value episode-val" id="meta-episode">EP.{pad_number(current_episode)} - {escape(episode_title or "")}</span></span>'
         '<span class="status-sep" aria-hidden="true"></span>'
-        '<span class="meta-group"><span class="meta-key">Phase</span>'
+        '<span class="meta-group"><span class="meta-key" data-i18n="header.phase">Phase</span>'
         f'<span class="meta-value" id="meta-phase">{phase_label}</span></span>'
         '<span class="status-sep" aria-hidden="true"></span>'
-        '<span class="meta-group"><span class="meta-key">Tag</span>'
+        '<span class="meta-group"><span class="meta-key" data-i18n="header.day">Tag</span>'
         f'<span class="meta-value" id="meta-day">{day_label}</span></span>'
         "</div></div></header>"
-        '<nav class="nav-tabs" id="nav-tabs" aria-label="Hauptnavigation">'
-        f'{nav_link("Live", "#live" if page == "live" else "/#live", page == "live")}'
-        f'{nav_link("Episoden", "#episoden" if page == "protokoll" else "/episoden.html#episoden", page == "protokoll")}'
-        f'{nav_link("Dossiers", "#dossiers" if page == "dossiers" else "/dossiers.html#dossiers", page == "dossiers")}'
-        f'{nav_link("Info", "#info" if page == "info" else "/info.html#info", page == "info")}'
+        '<nav class="nav-tabs" id="nav-tabs" aria-label="Hauptnavigation" data-i18n-attrs="aria-label:nav.label">'
+        f'{nav_link("Live", "#live" if page == "live" else "/#live", page == "live", "nav.live")}'
+        f'{nav_link("Episoden", "#episoden" if page == "protokoll" else "/episoden.html#episoden", page == "protokoll", "nav.episodes")}'
+        f'{nav_link("Dossiers", "#dossiers" if page == "dossiers" else "/dossiers.html#dossiers", page == "dossiers", "nav.dossiers")}'
+        f'{nav_link("Threads", "#threads" if page == "threads" else "/threads.html#threads", page == "threads", "nav.threads")}'
+        f'{nav_link("Info", "#info" if page == "info" else "/info.html#info", page == "info", "nav.info")}'
+        f"{search_button}"
+        f"{notes_button}"
         "</nav>"
     )
 
@@ -1244,23 +1540,42 @@ def build_page(
     latest_episode: dict[str, Any] | None,
     base_url: str,
     episode: dict[str, Any] | None = None,
+    indexable: bool = True,
 ) -> str:
     maintenance_enabled = is_maintenance_enabled(config)
-    robots_directive = "noindex, nofollow" if maintenance_enabled else "index, follow"
+    robots_directive = "noindex, nofollow" if maintenance_enabled or not indexable else "index, follow"
     rendered_main_content = build_maintenance_main(config) if maintenance_enabled else main_content
     header_latest_episode = None if maintenance_enabled else latest_episode
     og_image = f"{base_url.rstrip('/')}/assets/meta/og-image.png"
     twitter_image = f"{base_url.rstrip('/')}/assets/meta/twitter-image.png"
     maintenance_payload = dict(config.get("maintenance") or {})
     maintenance_payload.pop("passphrase_sha256", None)
+    preview_hash = get_maintenance_preview_hash(config)
+    if maintenance_enabled and preview_hash:
+        # Only the hash of the hash is public: the configured hash names the preview file.
+        maintenance_payload["passphrase_check"] = hashlib.sha256(preview_hash.encode("ascii")).hexdigest()
     runtime_payload = {
+        "app_version": APP_VERSION,
         "analytics": config.get("analytics", {}),
         "maintenance": maintenance_payload,
+        # Keys the cold open's shown flag (features/cold-open.js).
+        "season": config.get("project", {}).get("season"),
     }
+    if not maintenance_enabled:
+        runtime_payload["data"] = client_data_urls()
+        # Threat-reactive chrome loads readings only when on by default (features/theme.js).
+        runtime_payload["threat_reactive"] = parse_bool_like((config.get("theme") or {}).get("threat_reactive"))
+        # Baseline for the Live page's polling (features/live-poll.js).
+        runtime_payload["version"] = {
+            "current_episode": stats.get("current_episode"),
+            "last_updated": stats.get("last_updated"),
+        }
+        if is_hydration_enabled(config):
+            runtime_payload["hydrate"] = True
     runtime_json = json.dumps(runtime_payload, ensure_ascii=False)
     structured_data = (
         ""
-        if maintenance_enabled
+        if maintenance_enabled or not indexable
         else build_structured_data(
             canonical_url=canonical_url,
             title=title,
@@ -1295,7 +1610,10 @@ def build_page(
   <link rel="icon" type="image/svg+xml" href="/assets/meta/favicon.svg">
   <link rel="alternate icon" href="/favicon.ico">
   <link rel="apple-touch-icon" href="/assets/meta/apple-touch-icon.svg">
+  <link rel="manifest" href="/manifest.webmanifest">
+  <meta name="theme-color" content="#050505">
   <link rel="alternate" hreflang="de" href="{escape(canonical_url)}">
+  <link rel="alternate" hreflang="en" href="{escape(canonical_url + '?lang=en')}">
   <link rel="alternate" hreflang="x-default" href="{escape(base_url.rstrip('/') + '/')}">
   <meta name="uplink-runtime" content="{escape(runtime_json)}">
   <link rel="stylesheet" href="/css/bundle.css?v={APP_VERSION}">
@@ -1303,29 +1621,30 @@ def build_page(
 </head>
 <body data-site-mode="static" data-page="{escape(page)}">
   <!-- Generated by scripts/build_static_pages.py. Do not edit directly. -->
-  <a href="#main-content" class="skip-to-content">Zum Hauptinhalt springen</a>
+  <a href="#main-content" class="skip-to-content" data-i18n="page.skip">Zum Hauptinhalt springen</a>
   {render_site_header(page, stats, config, header_latest_episode, maintenance_enabled=maintenance_enabled)}
   <main id="main-content">
     {rendered_main_content}
   </main>
   <footer class="site-footer">
-    Fiktionales KI-Projekt &middot; <a href="https://michaeluhrich.xyz/impressum/" rel="noopener">Impressum</a> &middot;
-    <a href="https://michaeluhrich.xyz/datenschutz/" rel="noopener">Datenschutz</a>
+    <span data-i18n="footer.project">Fiktionales KI-Projekt</span> &middot; <a href="https://michaeluhrich.xyz/impressum/" rel="noopener" data-i18n="footer.imprint">Impressum</a> &middot;
+    <a href="https://michaeluhrich.xyz/datenschutz/" rel="noopener" data-i18n="footer.privacy">Datenschutz</a>
+    <span id="cold-open-replay-slot" hidden>&middot; <button type="button" class="cold-open-replay" id="cold-open-replay" data-i18n="coldOpen.replay">Intro erneut abspielen</button></span>
   </footer>
-  <div id="cold-open" class="cold-open" role="dialog" aria-modal="true" aria-label="Intro-Sequenz">
+  <div id="cold-open" class="cold-open" role="dialog" aria-modal="true" aria-label="Intro-Sequenz" data-i18n-attrs="aria-label:coldOpen.label">
     <div class="cold-open-screen">
       <div class="cold-open-lines" id="cold-open-lines"></div>
       <button class="cold-open-enter" id="cold-open-enter">
-        &gt; SURVEILLANCE-MODUS AKTIVIEREN
+        &gt; <span data-i18n="coldOpen.enter">SURVEILLANCE-MODUS AKTIVIEREN</span>
       </button>
       <div class="cold-open-skip" id="cold-open-skip">
-        <button id="cold-open-skip-btn">&uuml;berspringen</button>
+        <button id="cold-open-skip-btn" data-i18n="coldOpen.skip">&uuml;berspringen</button>
       </div>
     </div>
   </div>
   <div id="loading-overlay" class="loading-overlay">
     <div class="loading-content">
-      <div class="loading-spinner" role="status" aria-label="L&auml;dt"></div>
+      <div class="loading-spinner" role="status" aria-label="L&auml;dt" data-i18n-attrs="aria-label:page.loading"></div>
       <div class="loading-text" aria-live="polite">
         <div class="loading-line">&gt; ESTABLISHING SECURE CONNECTION...</div>
         <div class="loading-line">&gt; DECRYPTING PROTOCOL...</div>
@@ -1352,27 +1671,35 @@ def build_live_main(
             include_id=False,
             include_state_cards=False,
             id_override="latest-episode",
+            message_ids=True,
         )
         if latest_episode
         else (
-            '<div id="latest-episode" class="live-empty"><div class="live-empty-title">// Keine Live-Protokolle verfuegbar</div>'
-            '<p class="live-empty-text">Aktuell liegt noch keine Episode fuer die Live-Ansicht vor.</p></div>'
+            '<div id="latest-episode" class="live-empty">'
+            '<div class="live-empty-title" data-i18n="live.emptyTitle">// Keine Live-Protokolle verfuegbar</div>'
+            '<p class="live-empty-text" data-i18n="live.emptyText">Aktuell liegt noch keine Episode fuer die Live-Ansicht vor.</p></div>'
         )
     )
     return (
         '<section class="page active" id="page-live">'
         '<span id="live" class="page-anchor" aria-hidden="true"></span>'
-        '<header class="page-header"><div><span class="page-eyebrow">Live</span>'
-        '<h2>Konsole</h2><p>Neueste Übertragungen, Scores und Status auf einen Blick.</p>'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="livePage.eyebrow">Live</span>'
+        '<h2 data-i18n="livePage.title">Konsole</h2>'
+        '<p data-i18n="livePage.lead">Neueste Übertragungen, Scores und Status auf einen Blick.</p>'
         '</div></header>'
         '<div class="live-toolbar" aria-label="Status">'
-        '<div class="live-agents"><span><span class="status-dot nexus" aria-hidden="true"></span>NEXUS aktiv</span>'
-        '<span><span class="status-dot cipher" aria-hidden="true"></span>CIPHER aktiv</span></div>'
+        '<div class="live-agents"><span><span class="status-dot nexus" aria-hidden="true"></span>'
+        'NEXUS <span data-i18n="livePage.active">aktiv</span></span>'
+        '<span><span class="status-dot cipher" aria-hidden="true"></span>'
+        'CIPHER <span data-i18n="livePage.active">aktiv</span></span></div>'
         "</div>"
         '<div class="live-announce" id="live-announce" hidden aria-live="polite"></div>'
-        f'<div class="dashboard" id="dashboard" aria-label="Dashboard mit aktuellen Metriken">{render_dashboard(episodes, stats, config)}</div>'
-        f'<div class="timeline" id="timeline-live" aria-label="Neueste Übertragungen">{timeline_html}</div>'
-        '<div class="page-end-actions"><button type="button" class="page-top-btn" id="btn-top-live">Nach oben</button></div>'
+        '<div class="dashboard" id="dashboard" aria-label="Dashboard mit aktuellen Metriken" data-i18n-attrs="aria-label:dashboard.label">'
+        f"{render_dashboard(episodes, stats, config)}</div>"
+        '<div class="timeline" id="timeline-live" aria-label="Neueste Übertragungen" data-i18n-attrs="aria-label:livePage.timelineLabel">'
+        f"{timeline_html}</div>"
+        '<div class="page-end-actions">'
+        '<button type="button" class="page-top-btn" id="btn-top-live" data-i18n="page.top">Nach oben</button></div>'
         "</section>"
     )
 
@@ -1381,31 +1708,30 @@ def build_episode_index_main(
     episodes: list[dict[str, Any]], stats: dict[str, Any], config: dict[str, Any], base_url: str
 ) -> str:
     newest_first = list(reversed(episodes))
-    newest_html = "".join(
-        render_episode(episode, config, base_url, include_id=True, include_state_cards=False)
-        for episode in newest_first
-    )
-    chrono_html = "".join(
-        render_episode(episode, config, base_url, include_id=True, include_state_cards=False)
-        for episode in episodes
-    )
+    newest_html = "".join(render_episode_placeholder(episode) for episode in newest_first)
+    chrono_html = "".join(render_episode_placeholder(episode) for episode in episodes)
     archive_html = render_archive(episodes, stats, config)
     return (
         '<section class="page active" id="page-protokoll">'
         '<span id="episoden" class="page-anchor" aria-hidden="true"></span>'
-        '<header class="page-header"><div><span class="page-eyebrow">Episoden</span>'
-        '<h2>Alle Episoden</h2><p>Chronologisch, umgekehrt oder nach Phase sortiert.</p>'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="nav.episodes">Episoden</span>'
+        '<h2 data-i18n="timeline.allLabel">Alle Episoden</h2>'
+        '<p data-i18n="episodesPage.lead">Chronologisch, umgekehrt oder nach Phase sortiert.</p>'
         '</div></header>'
         '<div class="proto-controls">'
-        '<button class="ctrl-btn active" id="btn-newest" aria-pressed="true">Neueste</button>'
-        '<button class="ctrl-btn" id="btn-chrono" aria-pressed="false">Chronologisch</button>'
-        '<button class="ctrl-btn" id="btn-phase" aria-pressed="false">Nach Phase</button>'
+        '<button class="ctrl-btn active" id="btn-newest" aria-pressed="true" data-i18n="view.newest">Neueste</button>'
+        '<button class="ctrl-btn" id="btn-chrono" aria-pressed="false" data-i18n="view.chrono">Chronologisch</button>'
+        '<button class="ctrl-btn" id="btn-phase" aria-pressed="false" data-i18n="view.phase">Nach Phase</button>'
         '<span class="ctrl-separator" aria-hidden="true"></span>'
         "</div>"
-        f'<div class="timeline" id="timeline-full" aria-label="Alle Episoden">{newest_html}</div>'
-        f'<div class="timeline" id="timeline-chrono" aria-label="Alle Episoden chronologisch" hidden>{chrono_html}</div>'
-        f'<div class="archive" id="archive-content" hidden aria-label="Episoden nach Phase gruppiert">{archive_html}</div>'
-        '<div class="page-end-actions"><button type="button" class="page-top-btn" id="btn-top-protokoll">Nach oben</button></div>'
+        '<div class="timeline" id="timeline-full" aria-label="Alle Episoden" data-i18n-attrs="aria-label:timeline.allLabel">'
+        f"{newest_html}</div>"
+        '<div class="timeline" id="timeline-chrono" aria-label="Alle Episoden chronologisch" '
+        f'data-i18n-attrs="aria-label:timeline.chronoLabel" hidden>{chrono_html}</div>'
+        '<div class="archive" id="archive-content" hidden aria-label="Episoden nach Phase gruppiert" '
+        f'data-i18n-attrs="aria-label:timeline.archiveLabel">{archive_html}</div>'
+        '<div class="page-end-actions">'
+        '<button type="button" class="page-top-btn" id="btn-top-protokoll" data-i18n="page.top">Nach oben</button></div>'
         "</section>"
     )
 
@@ -1421,18 +1747,18 @@ def build_episode_page_main(
     prev_link = (
         f'<a class="cta secondary" href="{page_path(ep_num - 1)}#episoden">&larr; EP.{pad_number(ep_num - 1)}</a>'
         if has_prev
-        else '<a class="cta secondary" href="/episoden.html#episoden">Zur &Uuml;bersicht</a>'
+        else '<a class="cta secondary" href="/episoden.html#episoden" data-i18n="episodePage.overview">Zur &Uuml;bersicht</a>'
     )
     next_link = (
         f'<a class="cta secondary" href="{page_path(ep_num + 1)}#episoden">EP.{pad_number(ep_num + 1)} &rarr;</a>'
         if has_next
-        else '<a class="cta secondary" href="/episoden.html#episoden">Alle Episoden</a>'
+        else '<a class="cta secondary" href="/episoden.html#episoden" data-i18n="timeline.allLabel">Alle Episoden</a>'
     )
     view_switch = (
-        '<div class="proto-controls" aria-label="Episodenansicht">'
-        '<a class="ctrl-btn" href="/episoden.html?view=newest#episoden">Neueste</a>'
-        '<a class="ctrl-btn" href="/episoden.html?view=chrono#episoden">Chronologisch</a>'
-        '<a class="ctrl-btn" href="/episoden.html?view=phase#episoden">Nach Phase</a>'
+        '<div class="proto-controls" aria-label="Episodenansicht" data-i18n-attrs="aria-label:episodePage.viewLabel">'
+        '<a class="ctrl-btn" href="/episoden.html?view=newest#episoden" data-i18n="view.newest">Neueste</a>'
+        '<a class="ctrl-btn" href="/episoden.html?view=chrono#episoden" data-i18n="view.chrono">Chronologisch</a>'
+        '<a class="ctrl-btn" href="/episoden.html?view=phase#episoden" data-i18n="view.phase">Nach Phase</a>'
         '<span class="ctrl-separator" aria-hidden="true"></span>'
         "</div>"
     )
@@ -1443,7 +1769,7 @@ def build_episode_page_main(
         f'<h2>EP.{pad_number(ep_num)} &mdash; {escape(episode.get("title", ""))}</h2>'
         '</div></header>'
         f"{view_switch}"
-        f'<div class="timeline" id="timeline-episode">{render_episode(episode, config, base_url, include_id=False, include_state_cards=False)}</div>'
+        f'<div class="timeline" id="timeline-episode">{render_episode(episode, config, base_url, include_id=False, include_state_cards=False, message_ids=True)}</div>'
         f'<div class="site-ctas page-end-actions">{prev_link}{next_link}</div>'
         "</section>"
     )
@@ -1455,10 +1781,26 @@ def build_dossiers_main(
     return (
         '<section class="page active" id="page-dossiers">'
         '<span id="dossiers" class="page-anchor" aria-hidden="true"></span>'
-        '<header class="page-header"><div><span class="page-eyebrow">Dossiers</span>'
-        '<h2>Akteure &amp; Assets</h2><p>Profile, Rollen und Risikoeinstufungen der Protagonisten.</p>'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="nav.dossiers">Dossiers</span>'
+        '<h2 data-i18n="dossiersPage.title">Akteure &amp; Assets</h2>'
+        '<p data-i18n="dossiersPage.lead">Profile, Rollen und Risikoeinstufungen der Protagonisten.</p>'
+        '</div></header>'
+        '<div class="dossiers" aria-label="Charakterprofile" data-i18n-attrs="aria-label:dossiersPage.label">'
+        f"{render_dossiers(episodes, stats, config)}</div>"
+        "</section>"
+    )
+
+
+def build_threads_main(episodes: list[dict[str, Any]]) -> str:
+    return (
+        '<section class="page active" id="page-threads">'
+        '<span id="threads" class="page-anchor" aria-hidden="true"></span>'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="nav.threads">Threads</span>'
+        '<h2 data-i18n="threadsPage.title">Story-Threads</h2>'
+        '<p data-i18n="threadsPage.lead">Alle Handlungsstraenge der Staffel: wann sie auftauchen, kippen und enden.</p>'
         '</div></header>'
-        f'<div class="dossiers" aria-label="Charakterprofile">{render_dossiers(episodes, stats, config)}</div>'
+        '<div class="threads" id="thread-tracker" aria-label="Story-Threads" data-i18n-attrs="aria-label:threadsPage.title">'
+        f"{render_thread_tracker(episodes)}</div>"
         "</section>"
     )
 
@@ -1472,6 +1814,26 @@ def build_info_main() -> str:
     )
 
 
+def build_offline_main() -> str:
+    # Served by public/sw.js when a page is neither reachable nor saved.
+    return (
+        '<section class="page active" id="page-offline">'
+        '<header class="page-header"><div><span class="page-eyebrow" data-i18n="offline.toggle">Offline</span>'
+        '<h2 data-i18n="offlinePage.title">Kein Signal</h2>'
+        '<p data-i18n="offlinePage.lead">Die Verbindung ist unterbrochen. Gespeicherte Episoden bleiben lesbar.</p>'
+        '</div></header>'
+        '<div class="live-empty">'
+        '<div class="live-empty-title">// <span data-i18n="offlinePage.emptyTitle">Uplink getrennt</span></div>'
+        '<p class="live-empty-text" data-i18n="offlinePage.emptyText">Diese Seite ist nicht offline gespeichert. Episoden lassen sich im Archiv '
+        'unter &quot;Nach Phase&quot; offline verfuegbar machen.</p>'
+        '<div class="offline-episodes" id="offline-episodes" aria-live="polite"></div>'
+        '<div class="live-empty-actions"><a class="cta secondary" href="/episoden.html?view=phase#episoden" '
+        'data-i18n="offlinePage.archive">Zum Archiv</a></div>'
+        "</div>"
+        "</section>"
+    )
+
+
 def build_page_descriptions(
     episodes: list[dict[str, Any]], stats: dict[str, Any], config: dict[str, Any], base_url: str
 ) -> dict[str, tuple[str, str, str, str]]:
@@ -1499,6 +1861,12 @@ def build_page_descriptions(
             "Dossiers zu NEXUS, CIPHER und ihrer Beziehungsdynamik inklusive Faehigkeiten, Schwaechen und Status.",
             "website",
         ),
+        "threads": (
+            absolute_url(base_url, "threads"),
+            "UPLINK Story-Threads - Handlungsstraenge im Verlauf",
+            "Alle Story-Threads von UPLINK mit Statuswechseln und den Episoden, in denen sie eingefuehrt, veraendert oder abgeschlossen wurden.",
+            "website",
+        ),
         "info": (
             absolute_url(base_url, "info"),
             "Was ist UPLINK? - Hintergrund, Konzept und Kontakt",
@@ -1531,6 +1899,12 @@ def build_maintenance_page_descriptions(base_url: str) -> dict[str, tuple[str, s
             description,
             "website",
         ),
+        "threads": (
+            absolute_url(base_url, "threads"),
+            "UPLINK Story-Threads - Wartungsmodus",
+            description,
+            "website",
+        ),
         "info": (
             absolute_url(base_url, "info"),
             "UPLINK Info - Wartungsmodus",
@@ -1566,6 +1940,7 @@ def build_sitemap(
         (absolute_url(base_url, "live"), last_updated, "1.0"),
         (absolute_url(base_url, "protokoll"), last_updated, "0.9"),
         (absolute_url(base_url, "dossiers"), last_updated, "0.7"),
+        (absolute_url(base_url, "threads"), last_updated, "0.6"),
         (absolute_url(base_url, "info"), last_updated, "0.6"),
     ]
     if include_episode_pages:
@@ -1600,6 +1975,68 @@ def clean_generated_episode_pages(output_dir: Path) -> None:
         candidate.unlink()
 
 
+def client_data_urls() -> dict[str, str]:
+    urls = {
+        name: f"/data/{name}.json?v={APP_VERSION}"
+        for name in ("dialogs", "stats", "config")
+    }
+    # Per-episode chunk; the client fills in the padded episode number
+    urls["episode"] = f"/data/episodes/episode-{{ep}}.json?v={APP_VERSION}"
+    return urls
+
+
+def build_public_config(config: dict[str, Any]) -> dict[str, Any]:
+    return {
+        key: config.get(key)
+        for key in ("project", "characters", "scoring", "story_arc", "theme", "narration", "cold_open")
+        if key in config
+    }
+
+
+def build_public_stats(stats: dict[str, Any], episodes: list[dict[str, Any]]) -> dict[str, Any]:
+    """stats.json plus the latest world_state and the story threads, so pages do not need dialogs.json for them."""
+    public_stats = dict(stats)
+    for episode in reversed(episodes):
+        world_state = (episode.get("state_snapshot") or {}).get("world_state")
+        if isinstance(world_state, dict):
+            public_stats["world_state"] = world_state
+            break
+    public_stats["story_threads"] = [
+        {"id": thread["id"], "status": thread["status"], "episodes": list(thread["episodes"])}
+        for thread in collect_story_threads(episodes)
+    ]
+    return public_stats
+
+
+def write_client_data(
+    output_dir: Path,
+    episodes: list[dict[str, Any]],
+    stats: dict[str, Any],
+    config: dict[str, Any],
+    include_content: bool = True,
+) -> None:
+    data_dir = output_dir / "data"
+    for candidate in [*data_dir.glob("*.json"), *data_dir.glob("episodes/episode-*.json")]:
+        candidate.unlink()
+    payloads = {
+        "dialogs": episodes,
+        "stats": build_public_stats(stats, episodes),
+        "config": build_public_config(config),
+    }
+    if include_content:
+        for name, payload in payloads.items():
+            write_text(data_dir / f"{name}.json", json.dumps(payload, ensure_ascii=False))
+        for episode in episodes:
+            ep_str = pad_number(int(episode.get("episode") or 0))
+            write_text(data_dir / "episodes" / f"episode-{ep_str}.json", json.dumps(episode, ensure_ascii=False))
+        return
+
+    # Maintenance: content is only reachable for testers who know the passphrase.
+    preview_hash = get_maintenance_preview_hash(config)
+    if preview_hash:
+        write_text(data_dir / f"preview-{preview_hash}.json", json.dumps(payloads, ensure_ascii=False))
+
+
 def main() -> None:
     args = parse_args()
     config_path = Path(args.config)
@@ -1620,6 +2057,7 @@ def main() -> None:
     )
 
     clean_generated_episode_pages(output_dir)
+    write_client_data(output_dir, episodes, stats, config, include_content=not maintenance_enabled)
 
     write_text(
         output_dir / "index.html",
@@ -1669,6 +2107,22 @@ def main() -> None:
         ),
     )
 
+    write_text(
+        output_dir / "threads.html",
+        build_page(
+            page="threads",
+            canonical_url=page_meta["threads"][0],
+            title=page_meta["threads"][1],
+            description=page_meta["threads"][2],
+            og_type=page_meta["threads"][3],
+            main_content=build_threads_main(episodes),
+            stats=stats,
+            config=config,
+            latest_episode=latest_episode,
+            base_url=base_url,
+        ),
+    )
+
     write_text(
         output_dir / "info.html",
         build_page(
@@ -1685,6 +2139,23 @@ def main() -> None:
         ),
     )
 
+    write_text(
+        output_dir / "offline.html",
+        build_page(
+            page="offline",
+            canonical_url=f"{base_url}/offline.html",
+            title="UPLINK - Kein Signal",
+            description="Offline-Ansicht von UPLINK.",
+            og_type="website",
+            main_content=build_offline_main(),
+            stats=stats,
+            config=config,
+            latest_episode=latest_episode,
+            base_url=base_url,
+            indexable=False,
+        ),
+    )
+
     if not maintenance_enabled:
         for index, episode in enumerate(episodes):
             ep_num = int(episode.get("episode") or 0)